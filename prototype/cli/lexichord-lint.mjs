@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Lexichord Lint
+//
+// Lints Markdown files from the command line with the same rules, comment
+// directives and score as the Inspector, so docs in git can be checked in CI:
+//
+//   node prototype/cli/lexichord-lint.mjs docs --rules team-rules.json --format sarif --output lexichord.sarif
+//
+// Directories are searched recursively for Markdown, skipping hidden folders
+// and node_modules. Rule packs are the files Settings exports (JSON, CSV, a
+// Vale .yml or .zip) or a Vale style folder; their rules are merged over the
+// built-in ones by id. Exits 0 when the findings are within the thresholds,
+// 1 when they are not and 2 when the command itself fails.
+import { readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import { basename, join, relative, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { lintMarkdown, fixMarkdown, countBySeverity } from '../lib/lint.js';
+import { formatReport, REPORT_FORMATS } from '../lib/lint-report.js';
+import { normalizeRule, mergeRules, parseValeRules, readRulePack } from '../lib/rule-packs.js';
+import { defaultRules } from '../lib/style-rules.js';
+import { MARKDOWN_EXTENSIONS } from '../lib/workspace.js';
+
+const USAGE = `Usage: lexichord-lint [options] <file or directory>...
+
+Options:
+  --format <format>      ${REPORT_FORMATS.join(', ')} (default: human)
+  --output <file>        Write the report to a file instead of stdout
+  --rules <path>         Rule pack to merge over the built-in rules (repeatable)
+  --fix                  Apply suggested fixes in place, then report what is left
+  --max-errors <n>       Fail when there are more than n errors (default: 0)
+  --max-warnings <n>     Fail when there are more than n warnings (default: no limit)
+  --help                 Show this help
+`;
+
+class UsageError extends Error {}
+
+const parseCount = (value, name) => {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) throw new UsageError(`--${name} needs a whole number, got "${value}".`);
+  return Number(value);
+};
+
+const findMarkdown = async (path) => {
+  if (!(await stat(path)).isDirectory()) return [path];
+  const entries = await readdir(path, { withFileTypes: true });
+  const nested = await Promise.all(entries
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+    .map(entry => (entry.isDirectory() ? findMarkdown(join(path, entry.name)) : MARKDOWN_EXTENSIONS.test(entry.name) ? [join(path, entry.name)] : [])));
+  return nested.flat();
+};
+
+const findRulesIn = async (path) => {
+  const entries = await readdir(path, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => (entry.isDirectory() ? findRulesIn(join(path, entry.name)) : [join(path, entry.name)])));
+  return nested.flat();
+};
+
+// A Vale style folder is read like the .zip Settings exports
+const loadRulePack = async (path) => {
+  if ((await stat(path)).isDirectory()) {
+    const files = (await findRulesIn(path)).map(async file => ({ path: relative(join(path, '..'), file).split(sep).join('/'), content: await readFile(file, 'utf8') }));
+    return parseValeRules(await Promise.all(files));
+  }
+  return readRulePack(new File([await readFile(path)], basename(path)));
+};
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'human' },
+      output: { type: 'string' },
+      rules: { type: 'string', multiple: true, default: [] },
+      fix: { type: 'boolean', default: false },
+      'max-errors': { type: 'string' },
+      'max-warnings': { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!positionals.length) throw new UsageError('Name at least one file or directory to lint.');
+  if (!REPORT_FORMATS.includes(values.format)) throw new UsageError(`Unknown format "${values.format}". Use one of: ${REPORT_FORMATS.join(', ')}.`);
+  const maxErrors = parseCount(values['max-errors'], 'max-errors') ?? 0;
+  const maxWarnings = parseCount(values['max-warnings'], 'max-warnings');
+
+  let rules = defaultRules.map(normalizeRule);
+  for (const path of values.rules) {
+    try {
+      rules = mergeRules(rules, await loadRulePack(path));
+    } catch (error) {
+      throw new Error(`${path}: ${error.message}`);
+    }
+  }
+
+  const files = [...new Set((await Promise.all(positionals.map(findMarkdown))).flat())].sort();
+  const results = [];
+  let fixedIssues = 0;
+  let fixedFiles = 0;
+  for (const file of files) {
+    let content = await readFile(file, 'utf8');
+    if (values.fix) {
+      const { content: fixedContent, fixed } = fixMarkdown(content, { rules });
+      if (fixed) {
+        await writeFile(file, fixedContent);
+        content = fixedContent;
+        fixedIssues += fixed;
+        fixedFiles++;
+      }
+    }
+    const { issues, score } = lintMarkdown(content, { rules });
+    results.push({ path: relative(process.cwd(), file).split(sep).join('/'), content, issues, score });
+  }
+
+  // JUnit fails the findings the exit code counts against the thresholds
+  const report = formatReport(results, values.format, { rules, failOn: maxWarnings !== undefined ? 'warning' : 'error' });
+  if (values.output) await writeFile(values.output, report);
+  else process.stdout.write(report);
+  if (values.fix) process.stderr.write(`Fixed ${fixedIssues} issue${fixedIssues === 1 ? '' : 's'} in ${fixedFiles} file${fixedFiles === 1 ? '' : 's'}.\n`);
+
+  const counts = countBySeverity(results.flatMap(result => result.issues));
+  return counts.error > maxErrors || (maxWarnings !== undefined && counts.warning > maxWarnings) ? 1 : 0;
+};
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`lexichord-lint: ${error.message}\n${error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? `\n${USAGE}` : ''}`);
+    process.exitCode = 2;
+  },
+);
@@ -1,46 +1,109 @@
-import React, { useState, useEffect } from 'react';
-import { FileText, BookOpen, Piano, BarChart2, Settings, User, Moon, Sun, Menu, X, Search, Sparkles, AlertTriangle, CheckCircle, ChevronDown, Plus, Lock, Play } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef, useLayoutEffect, useContext, createContext } from 'react';
+import { FileText, BookOpen, Piano, BarChart2, Settings, User, Moon, Sun, Menu, X, Search, Sparkles, AlertTriangle, CheckCircle, ChevronDown, Plus, Lock, Play, Code, Eye, Columns, Undo2, Redo2, Folder, FolderOpen, FolderPlus, FilePlus, ChevronRight, Pencil, Trash2, Upload, Download, Check, Square, RotateCcw, Pause } from 'lucide-react';
+import { lintDocument, getLineStarts, offsetToPosition } from './lib/lint-engine.js';
+import { parseMarkdown, slugify } from './lib/markdown.js';
+import { highlight } from './lib/highlight.js';
+import { applyFixes, previewFixes } from './lib/fixes.js';
+import { record, undo, redo, canUndo, canRedo } from './lib/history.js';
+import { createDocument, createStore, getActiveDocument, getContent, isDirty, openDocument, closeDocument, activateDocument, cycleDocument, moveDocument, updateDocument, updateHistory, markSaved } from './lib/document-store.js';
+import { createProject, buildTree, writeFile, setFileIgnores, setFileScoreHistory, createFolder, movePath, deletePath, importFiles, uniquePath, joinPath, basename, dirname, MARKDOWN_EXTENSIONS } from './lib/workspace.js';
+import { loadProjects, saveProject, deleteProject, loadSessions, saveSession, deleteSession, loadSources, saveSource, deleteSource, loadSetting, saveSetting } from './lib/workspace-db.js';
+import { createZip, readZip } from './lib/zip.js';
+import { streamChat, providerOptions, defaultProviderConfig, storableProviderConfig, isAbortError } from './lib/llm.js';
+import { parseEdits, stripEdits, createProposal, pendingHunks, relocateHunks, acceptHunks, rejectHunks, tweakHunk, diffWords } from './lib/proposals.js';
+import { generateChangelog, GIT_LOG_COMMAND } from './lib/changelog.js';
+import { parseSpec, normalizeSpec, renderReference } from './lib/openapi.js';
+import { agents, getAgent, getPersona, createSession, updateSession, endSession, resumeSession, getDocumentContext, buildMessages, exportSessionJSON, exportSessionMarkdown } from './lib/agents.js';
+import { computeScore, defaultScoreConfig, restoreScoreConfig } from './lib/score.js';
+import { createSearchClient } from './lib/search-engine.js';
+import { createSource, isSupportedFile, sourceProgress, MAX_SOURCE_FILE_BYTES } from './lib/sources.js';
+import { createCitations, citationLabel, splitCitations } from './lib/citations.js';
+import { countWords, getDocumentStats } from './lib/text-stats.js';
+import { findIssues, lintMarkdown } from './lib/lint.js';
+import { takeSnapshot, appendSnapshot, dailyTrend, compareDates, topRules } from './lib/score-history.js';
+import { buildStyleReport } from './lib/style-report.js';
+import { exportHTML } from './lib/html-export.js';
+import { createDocx } from './lib/docx.js';
+import { defaultRules, ruleCategories } from './lib/style-rules.js';
+import { IGNORE_SCOPES, applySuppressions, createIgnore } from './lib/suppressions.js';
+import { SEVERITIES, RULE_CATEGORIES, normalizeRule, createRule, validateRule, mergeRules, exportRulesJSON, exportRulesCSV, exportValeRules, readRulePack } from './lib/rule-packs.js';
+import { colors, ACCENT_PRESETS, defaultThemeSettings, resolveMode, themeTokens, themeContrast, exportTheme, parseThemeFile } from './lib/theme.js';
+import { shortcutFromEvent, isValidShortcut, formatShortcut, bindCommands, findCommandByShortcut, shortcutAllowedIn, commandLabel, searchCommands } from './lib/commands.js';
+import { verifyLicenseKey, hasFeature, getFeature, featureAvailability, effectiveTier, tierLabel, isExpired, daysUntilExpiration, maskLicenseKey } from './lib/license.js';
+
+// Persistent Settings
+// State kept in the workspace database under `key`. `restore(saved)` turns a
+// stored value into state (undefined keeps the default) and `store(value)`
+// picks what is written. A setting that can't be read keeps its default; one
+// that can't be written stays in memory and is reported to `onError`.
+const usePersistentSetting = (key, initial, { restore = (saved) => saved, store = (value) => value, onError = () => {} } = {}) => {
+  const [value, setValue] = useState(initial);
+  const [loaded, setLoaded] = useState(false);
+  // The value last read or written, so loading doesn't write it straight back
+  const persisted = useRef(initial);
+
+  useEffect(() => {
+    loadSetting(key)
+      .then(saved => {
+        const restored = saved === undefined || saved === null ? undefined : restore(saved);
+        if (restored === undefined) return;
+        persisted.current = restored;
+        setValue(restored);
+      })
+      .catch(() => {})
+      .finally(() => setLoaded(true));
+  }, [key]);
+
+  useEffect(() => {
+    if (!loaded || value === persisted.current) return;
+    persisted.current = value;
+    saveSetting(key, store(value)).catch(onError);
+  }, [key, value, loaded]);
+
+  return [value, setValue];
+};
 
 // Color System
-const colors = {
-  dark: {
-    surfaceBase: '#0D0D0F',
-    surfaceElevated: '#16161A',
-    surfaceOverlay: '#1E1E24',
-    surfaceEditor: '#121215',
-    borderSubtle: '#2A2A32',
-    borderDefault: '#3D3D47',
-    textPrimary: '#EAEAEC',
-    textSecondary: '#A0A0A8',
-    textTertiary: '#6B6B75',
-    accentPrimary: '#FF6B2C',
-    accentHover: '#FF8A57',
-    accentMuted: 'rgba(255, 107, 44, 0.15)',
-    statusSuccess: '#34D399',
-    statusWarning: '#FBBF24',
-    statusError: '#F87171',
-    statusInfo: '#60A5FA',
-  },
-  light: {
-    surfaceBase: '#FAFAFA',
-    surfaceElevated: '#FFFFFF',
-    surfaceOverlay: '#F5F5F5',
-    surfaceEditor: '#FFFFFF',
-    borderSubtle: '#E5E5E5',
-    borderDefault: '#D4D4D4',
-    textPrimary: '#18181B',
-    textSecondary: '#52525B',
-    textTertiary: '#A1A1AA',
-    accentPrimary: '#EA580C',
-    accentHover: '#F97316',
-    accentMuted: 'rgba(234, 88, 12, 0.1)',
-    statusSuccess: '#059669',
-    statusWarning: '#D97706',
-    statusError: '#DC2626',
-    statusInfo: '#2563EB',
-  }
+// Components read tokens from the theme context rather than picking a palette
+// themselves, so mode, accent and imported palettes apply everywhere at once.
+const ThemeContext = createContext(null);
+
+const systemDarkQuery = () => window.matchMedia?.('(prefers-color-scheme: dark)');
+
+const ThemeProvider = ({ children }) => {
+  const [settings, setSettings] = usePersistentSetting('theme', defaultThemeSettings, {
+    restore: (saved) => ({ ...defaultThemeSettings, ...saved }),
+  });
+  const [systemDark, setSystemDark] = useState(() => systemDarkQuery()?.matches ?? true);
+
+  // System mode follows the OS setting as it changes, not only at startup
+  useEffect(() => {
+    const query = systemDarkQuery();
+    if (!query) return undefined;
+    const listener = (e) => setSystemDark(e.matches);
+    query.addEventListener('change', listener);
+    return () => query.removeEventListener('change', listener);
+  }, []);
+
+  const mode = resolveMode(settings, systemDark);
+
+  // Native controls and scrollbars match the mode
+  useEffect(() => {
+    document.documentElement.style.colorScheme = mode;
+  }, [mode]);
+
+  const value = useMemo(() => ({
+    settings,
+    mode,
+    tokens: themeTokens(settings, mode),
+    updateTheme: (patch) => setSettings(prev => ({ ...prev, ...patch })),
+  }), [settings, mode]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
 };
 
+const useTheme = () => useContext(ThemeContext);
+
 // Sample document content with style issues
 const sampleContent = `# API Reference
 
@@ -63,16 +126,33 @@ Users on the blacklist will receive a 403 Forbidden response. The whitelist feat
 
 Returns a list of all users in the system. The administrator should configure appropriate permissions before deploying to production.`;
 
-const styleIssues = [
-  { line: 12, word: 'blacklist', suggestion: 'blocklist', type: 'error', rule: 'TERM-001' },
-  { line: 12, word: 'whitelist', suggestion: 'allowlist', type: 'error', rule: 'TERM-001' },
-  { line: 16, word: 'administrator', suggestion: 'admin', type: 'warning', rule: 'TERM-002' },
-];
+const introContent = `# Introduction
+
+Welcome to the Auth module documentation. This guide walks you through setting up authentication for your application.
+
+## Before You Begin
+
+You will need an API key and an administrator account. Contact your workspace owner if you don't have one yet.`;
+
+// Shortcuts are shown with Mac symbols on Macs and spelled out elsewhere
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+const shortcutHint = (label, keys) => (keys?.length ? `${label} (${formatShortcut(keys[0], IS_MAC)})` : label);
+
+// Keyboard Shortcut Component
+const Kbd = ({ shortcut }) => {
+  const { tokens: c } = useTheme();
+
+  return (
+    <kbd className="px-2 py-0.5 text-xs rounded font-mono whitespace-nowrap" style={{ background: c.surfaceElevated, color: c.textTertiary }}>
+      {formatShortcut(shortcut, IS_MAC)}
+    </kbd>
+  );
+};
 
 // Navigation Item Component
-const NavItem = ({ icon: Icon, label, active, onClick, locked }) => {
-  const [theme] = useState('dark');
-  const c = colors[theme];
+const NavItem = ({ icon: Icon, label, active, onClick, locked, keys }) => {
+  const { tokens: c } = useTheme();
 
   return (
     <button
@@ -82,7 +162,7 @@ const NavItem = ({ icon: Icon, label, active, onClick, locked }) => {
         background: active ? c.accentMuted : 'transparent',
         borderLeft: active ? `3px solid ${c.accentPrimary}` : '3px solid transparent',
       }}
-      title={label}
+      title={shortcutHint(label, keys)}
     >
       <Icon
         size={22}
@@ -97,23 +177,22 @@ const NavItem = ({ icon: Icon, label, active, onClick, locked }) => {
 };
 
 // Style Score Gauge
-const StyleGauge = ({ score, theme }) => {
-  const c = colors[theme];
-  const getScoreColor = (s) => {
-    if (s >= 90) return c.statusSuccess;
-    if (s >= 70) return c.statusWarning;
-    return c.statusError;
-  };
+const toneColor = (c, tone) => c[{ success: 'statusSuccess', warning: 'statusWarning', error: 'statusError' }[tone] || 'statusInfo'];
 
-  const getScoreLabel = (s) => {
-    if (s >= 90) return 'In Harmony';
-    if (s >= 70) return 'Minor Dissonance';
-    return 'Needs Tuning';
-  };
+const StyleGauge = ({ result, config }) => {
+  const { tokens: c } = useTheme();
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const { score, band } = result;
+  const scoreColor = toneColor(c, band.tone);
 
   return (
-    <div className="text-center p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
-      <div className="text-4xl font-bold mb-2" style={{ color: getScoreColor(score) }}>
+    <div
+      className="relative text-center p-4 rounded-lg"
+      style={{ background: c.surfaceOverlay }}
+      onMouseEnter={() => setShowBreakdown(true)}
+      onMouseLeave={() => setShowBreakdown(false)}
+    >
+      <div className="text-4xl font-bold mb-2" style={{ color: scoreColor }}>
         {score}%
       </div>
       <div className="w-full h-2 rounded-full mb-2" style={{ background: c.borderSubtle }}>
@@ -121,148 +200,3962 @@ const StyleGauge = ({ score, theme }) => {
           className="h-full rounded-full transition-all duration-500"
           style={{
             width: `${score}%`,
-            background: getScoreColor(score)
+            background: scoreColor
           }}
         />
       </div>
       <div className="text-sm" style={{ color: c.textSecondary }}>
-        {getScoreLabel(score)}
+        {band.label}
       </div>
+
+      {/* Score Breakdown */}
+      {showBreakdown && (
+        <div
+          className="absolute left-0 right-0 top-full mt-1 z-10 p-3 rounded-lg text-left text-xs shadow-lg"
+          style={{ background: c.surfaceElevated, border: `1px solid ${c.borderDefault}`, color: c.textSecondary }}
+        >
+          <div className="font-semibold mb-2" style={{ color: c.textPrimary }}>How this score was derived</div>
+          <div className="mb-2">
+            100 − penalties per 100 words ({result.wordCount} words
+            {result.normalizedWords !== result.wordCount && `, counted as ${result.normalizedWords}`})
+          </div>
+          {result.breakdown.length === 0 ? (
+            <div>No issues: nothing deducted.</div>
+          ) : (
+            result.breakdown.map(group => (
+              <div key={`${group.category}:${group.severity}`} className="flex justify-between">
+                <span>{group.count} × {group.category} {group.severity} (weight {group.weight})</span>
+                <span style={{ color: toneColor(c, group.severity) }}>−{group.penalty.toFixed(1)}</span>
+              </div>
+            ))
+          )}
+          <div className="flex justify-between mt-2 pt-2 border-t" style={{ borderColor: c.borderSubtle }}>
+            <span>Thresholds</span>
+            <span>{[...config.thresholds].sort((a, b) => b.min - a.min).map(t => `${t.label} ≥ ${t.min}`).join(' · ')}</span>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-// Issue Card Component
-const IssueCard = ({ issue, theme, onApply }) => {
-  const c = colors[theme];
-  const isError = issue.type === 'error';
+// Score Trend Chart
+const CHART = { width: 640, height: 180, left: 30, right: 12, top: 10, bottom: 22 };
+
+const formatDay = (time) => new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// `series` is `[{ id, label, points: [{ time, score, label }], emphasis }]`;
+// emphasized lines are drawn in the accent color with a dot per point
+const TrendChart = ({ series, thresholds }) => {
+  const { tokens: c } = useTheme();
+  const times = series.flatMap(line => line.points.map(point => point.time));
+  const start = Math.min(...times);
+  const end = Math.max(...times);
+  // A single moment sits in the middle
+  const x = (time) => CHART.left + (end > start ? (time - start) / (end - start) : 0.5) * (CHART.width - CHART.left - CHART.right);
+  const y = (score) => CHART.top + (1 - score / 100) * (CHART.height - CHART.top - CHART.bottom);
 
   return (
-    <div
-      className="p-3 rounded-lg mb-2 cursor-pointer hover:opacity-80 transition-opacity"
-      style={{
-        background: c.surfaceOverlay,
-        borderLeft: `3px solid ${isError ? c.statusError : c.statusWarning}`
-      }}
-    >
-      <div className="flex items-center gap-2 mb-1">
-        <AlertTriangle size={14} style={{ color: isError ? c.statusError : c.statusWarning }} />
-        <span className="text-xs font-mono" style={{ color: c.textTertiary }}>Line {issue.line}</span>
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full" role="img" aria-label="Style score over time">
+      {[0, 50, 100].map(score => (
+        <g key={score}>
+          <line x1={CHART.left} x2={CHART.width - CHART.right} y1={y(score)} y2={y(score)} stroke={c.borderSubtle} />
+          <text x={CHART.left - 6} y={y(score) + 3} textAnchor="end" fontSize="10" fill={c.textTertiary}>{score}</text>
+        </g>
+      ))}
+      {thresholds.filter(threshold => threshold.min > 0 && threshold.min < 100).map(threshold => (
+        <line
+          key={threshold.label}
+          x1={CHART.left}
+          x2={CHART.width - CHART.right}
+          y1={y(threshold.min)}
+          y2={y(threshold.min)}
+          stroke={toneColor(c, threshold.tone)}
+          strokeOpacity={0.6}
+          strokeDasharray="4 4"
+        >
+          <title>{`${threshold.label} ≥ ${threshold.min}`}</title>
+        </line>
+      ))}
+      {series.map(line => (
+        <g key={line.id}>
+          <polyline
+            points={line.points.map(point => `${x(point.time)},${y(point.score)}`).join(' ')}
+            fill="none"
+            stroke={line.emphasis ? c.accentPrimary : c.textTertiary}
+            strokeOpacity={line.emphasis ? 1 : 0.5}
+            strokeWidth={line.emphasis ? 2 : 1}
+            strokeLinejoin="round"
+          >
+            <title>{line.label}</title>
+          </polyline>
+          {line.emphasis && line.points.map(point => (
+            <circle key={point.time} cx={x(point.time)} cy={y(point.score)} r={3} fill={c.accentPrimary}>
+              <title>{point.label}</title>
+            </circle>
+          ))}
+        </g>
+      ))}
+      {formatDay(start) === formatDay(end) ? (
+        <text x={x(start)} y={CHART.height - 6} textAnchor="middle" fontSize="10" fill={c.textTertiary}>{formatDay(start)}</text>
+      ) : (
+        <>
+          <text x={CHART.left} y={CHART.height - 6} fontSize="10" fill={c.textTertiary}>{formatDay(start)}</text>
+          <text x={CHART.width - CHART.right} y={CHART.height - 6} textAnchor="end" fontSize="10" fill={c.textTertiary}>{formatDay(end)}</text>
+        </>
+      )}
+    </svg>
+  );
+};
+
+// Date inputs work in local "YYYY-MM-DD"
+const toDateInput = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const fromDateInput = (value) => new Date(`${value}T00:00`).getTime();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const totalIssues = (summary) => (summary ? summary.counts.error + summary.counts.warning + summary.counts.info : null);
+
+// Score History Component
+const ScoreHistory = ({ documents, activePath, thresholds, now }) => {
+  const { tokens: c } = useTheme();
+  const [scope, setScope] = useState('document');
+  const [range, setRange] = useState(() => ({ from: toDateInput(now - 30 * DAY_MS), to: toDateInput(now) }));
+
+  const inScope = useMemo(
+    () => (scope === 'project' ? documents : documents.filter(doc => doc.path === activePath)),
+    [documents, scope, activePath],
+  );
+
+  const series = useMemo(() => {
+    const perDocument = inScope.map(doc => ({
+      id: doc.path,
+      label: basename(doc.path),
+      emphasis: scope === 'document',
+      points: doc.history.map(snapshot => ({
+        time: snapshot.takenAt,
+        score: snapshot.score,
+        label: `${new Date(snapshot.takenAt).toLocaleString()}: ${snapshot.score} (on ${snapshot.trigger})`,
+      })),
+    }));
+    if (scope === 'document') return perDocument;
+    const project = {
+      id: 'project',
+      label: 'Project',
+      emphasis: true,
+      points: dailyTrend(inScope, now).map(point => ({ ...point, label: `${formatDay(point.time)}: ${point.score}` })),
+    };
+    return [...perDocument, project];
+  }, [inScope, scope, now]);
+
+  const [from, to] = [fromDateInput(range.from), fromDateInput(range.to)].sort((a, b) => a - b);
+  const comparison = useMemo(() => compareDates(inScope, from, to), [inScope, from, to]);
+  const { before, after } = comparison;
+  const rules = topRules(after);
+  const activity = comparison.applied + comparison.ignored;
+
+  // Arrows and deltas; `lowerIsBetter` flips the colors for issue counts
+  const change = (was, is, lowerIsBetter = false) => {
+    if (was == null || is == null || was === is) return null;
+    const improved = lowerIsBetter ? is < was : is > was;
+    return (
+      <span className="text-xs ml-2" style={{ color: improved ? c.statusSuccess : c.statusError }}>
+        {is > was ? '▲' : '▼'} {Math.abs(is - was)}
+      </span>
+    );
+  };
+
+  const dateInputStyle = { background: c.surfaceElevated, color: c.textSecondary, border: `1px solid ${c.borderSubtle}` };
+
+  return (
+    <div className="p-4 rounded-lg mt-6" style={{ background: c.surfaceOverlay }}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold">Score History</h3>
+        <div className="flex rounded-lg overflow-hidden" style={{ border: `1px solid ${c.borderSubtle}` }}>
+          {[
+            { id: 'document', label: 'This document' },
+            { id: 'project', label: 'Project' },
+          ].map(option => (
+            <button
+              key={option.id}
+              onClick={() => setScope(option.id)}
+              className="px-3 py-1 text-xs transition-colors"
+              style={{
+                background: scope === option.id ? c.accentMuted : c.surfaceElevated,
+                color: scope === option.id ? c.accentPrimary : c.textSecondary
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {inScope.length === 0 ? (
+        <div className="text-sm py-6 text-center" style={{ color: c.textTertiary }}>
+          {scope === 'document' && !activePath
+            ? 'Open a document to see its history.'
+            : 'No snapshots yet. Scores are recorded each time a document is saved or a fix is applied.'}
+        </div>
+      ) : (
+        <>
+          <TrendChart series={series} thresholds={thresholds} />
+          {scope === 'project' && (
+            <div className="flex gap-4 text-xs mt-1" style={{ color: c.textTertiary }}>
+              <span><span className="inline-block w-3 h-0.5 align-middle mr-1" style={{ background: c.accentPrimary }} />Project (by word count, daily)</span>
+              <span><span className="inline-block w-3 h-0.5 align-middle mr-1 opacity-50" style={{ background: c.textTertiary }} />Documents</span>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 text-sm mt-6 mb-4" style={{ color: c.textSecondary }}>
+            <span>Compare</span>
+            <input
+              type="date"
+              value={range.from}
+              max={toDateInput(now)}
+              onChange={(e) => e.target.value && setRange(prev => ({ ...prev, from: e.target.value }))}
+              className="text-xs px-2 py-1 rounded outline-none"
+              style={dateInputStyle}
+              aria-label="Compare from"
+            />
+            <span>with</span>
+            <input
+              type="date"
+              value={range.to}
+              max={toDateInput(now)}
+              onChange={(e) => e.target.value && setRange(prev => ({ ...prev, to: e.target.value }))}
+              className="text-xs px-2 py-1 rounded outline-none"
+              style={dateInputStyle}
+              aria-label="Compare to"
+            />
+          </div>
+
+          <div className="grid grid-cols-3 gap-4 mb-6 text-sm">
+            <div className="p-3 rounded-lg" style={{ background: c.surfaceElevated }}>
+              <div className="text-xs mb-1" style={{ color: c.textTertiary }}>Score</div>
+              <div className="text-lg font-semibold">
+                {before?.score ?? '—'} → {after?.score ?? '—'}
+                {change(before?.score, after?.score)}
+              </div>
+            </div>
+            <div className="p-3 rounded-lg" style={{ background: c.surfaceElevated }}>
+              <div className="text-xs mb-1" style={{ color: c.textTertiary }}>Open issues</div>
+              <div className="text-lg font-semibold">
+                {totalIssues(before) ?? '—'} → {totalIssues(after) ?? '—'}
+                {change(totalIssues(before), totalIssues(after), true)}
+              </div>
+              {after && (
+                <div className="text-xs" style={{ color: c.textTertiary }}>
+                  {after.counts.error} errors · {after.counts.warning} warnings · {after.counts.info} info
+                </div>
+              )}
+            </div>
+            <div className="p-3 rounded-lg" style={{ background: c.surfaceElevated }}>
+              <div className="text-xs mb-1" style={{ color: c.textTertiary }}>Fixes applied vs. ignored</div>
+              <div className="text-lg font-semibold">
+                <span style={{ color: c.statusSuccess }}>{comparison.applied}</span>
+                <span style={{ color: c.textTertiary }}> / </span>
+                <span style={{ color: c.statusWarning }}>{comparison.ignored}</span>
+              </div>
+              <div className="flex h-1.5 rounded-full overflow-hidden mt-1" style={{ background: c.borderSubtle }}>
+                {activity > 0 && (
+                  <>
+                    <div style={{ width: `${(comparison.applied / activity) * 100}%`, background: c.statusSuccess }} />
+                    <div style={{ width: `${(comparison.ignored / activity) * 100}%`, background: c.statusWarning }} />
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className={`grid ${scope === 'project' ? 'grid-cols-2' : 'grid-cols-1'} gap-6`}>
+            <div>
+              <h4 className="text-sm font-semibold mb-3">Most violated rules</h4>
+              {rules.length === 0 ? (
+                <div className="text-sm" style={{ color: c.textTertiary }}>No open issues on {formatDay(to)}.</div>
+              ) : (
+                rules.map(rule => (
+                  <div key={rule.rule} className="flex items-center gap-3 mb-2 text-sm">
+                    <code className="w-40 truncate text-xs" style={{ color: c.textSecondary }} title={rule.rule}>{rule.rule}</code>
+                    <div className="flex-1 h-2 rounded-full" style={{ background: c.borderSubtle }}>
+                      <div className="h-full rounded-full" style={{ width: `${(rule.count / rules[0].count) * 100}%`, background: c.statusWarning }} />
+                    </div>
+                    <div className="w-16 text-right text-xs" style={{ color: c.textSecondary }}>
+                      {rule.count}{scope === 'project' && ` in ${rule.documents}`}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+            {scope === 'project' && (
+              <div>
+                <h4 className="text-sm font-semibold mb-3">Changed documents</h4>
+                {comparison.changes.length === 0 ? (
+                  <div className="text-sm" style={{ color: c.textTertiary }}>No score changes between these dates.</div>
+                ) : (
+                  comparison.changes.map(doc => (
+                    <div key={doc.path} className="flex items-center justify-between mb-2 text-sm">
+                      <span className="truncate" style={{ color: c.textSecondary }} title={doc.path}>{doc.path}</span>
+                      <span className="whitespace-nowrap">
+                        {doc.before ?? 'new'} → {doc.after}
+                        {change(doc.before, doc.after)}
+                      </span>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Appearance Settings Component
+const AppearanceSettings = () => {
+  const { settings, mode, tokens: c, updateTheme } = useTheme();
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+  const paletteAccent = (settings.palette?.[mode] || colors[mode]).accentPrimary;
+  const adjusted = settings.accent && c.accentPrimary !== settings.accent.toUpperCase();
+  const selectedStyle = (selected) => ({
+    background: selected ? c.accentMuted : c.surfaceElevated,
+    border: `1px solid ${selected ? c.accentPrimary : c.borderSubtle}`,
+    color: selected ? c.accentPrimary : c.textSecondary,
+  });
+
+  const handleImport = async (file) => {
+    try {
+      const palette = parseThemeFile(await file.text(), file.name.replace(/(\.theme)?\.json$/i, ''));
+      updateTheme({ palette, accent: null });
+      setImportError(null);
+    } catch (error) {
+      setImportError(`${file.name}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold">Appearance</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-1 text-xs px-2 py-1 rounded"
+            style={{ background: c.borderSubtle, color: c.textSecondary }}
+          >
+            <Upload size={12} /> Import theme
+          </button>
+          <button
+            onClick={() => downloadFile(`${slugify(settings.palette?.name || 'lexichord')}.theme.json`, exportTheme(settings), 'application/json')}
+            className="flex items-center gap-1 text-xs px-2 py-1 rounded"
+            style={{ background: c.borderSubtle, color: c.textSecondary }}
+          >
+            <Download size={12} /> Export theme
+          </button>
+        </div>
       </div>
-      <div className="text-sm mb-1" style={{ color: c.textPrimary }}>
-        "<span style={{ textDecoration: 'line-through', color: c.statusError }}>{issue.word}</span>" →
-        <span style={{ color: c.statusSuccess }}> {issue.suggestion}</span>
+
+      <div className="mb-4">
+        <label className="text-sm mb-2 block" style={{ color: c.textSecondary }}>Theme</label>
+        <div className="flex items-center gap-2">
+          {['light', 'dark', 'system'].map((option) => (
+            <button
+              key={option}
+              onClick={() => updateTheme({ mode: option })}
+              className="px-4 py-2 rounded-lg capitalize transition-colors"
+              style={selectedStyle(settings.mode === option)}
+            >
+              {option}
+            </button>
+          ))}
+          {settings.mode === 'system' && (
+            <span className="text-xs" style={{ color: c.textTertiary }}>Currently {mode}</span>
+          )}
+        </div>
       </div>
-      <button
-        onClick={() => onApply(issue)}
-        className="text-xs px-2 py-1 rounded transition-colors"
-        style={{
-          background: c.accentMuted,
-          color: c.accentPrimary
+
+      {settings.palette && (
+        <div className="mb-4 flex items-center gap-2 text-sm">
+          <span style={{ color: c.textSecondary }}>Palette:</span>
+          <span>{settings.palette.name}</span>
+          <button
+            onClick={() => updateTheme({ palette: null })}
+            className="text-xs px-2 py-1 rounded"
+            style={{ background: c.borderSubtle, color: c.textSecondary }}
+          >
+            Use built-in
+          </button>
+        </div>
+      )}
+
+      <div className="mb-4">
+        <label className="text-sm mb-2 block" style={{ color: c.textSecondary }}>Accent Color</label>
+        <div className="flex items-center gap-2">
+          {[null, ...ACCENT_PRESETS].map((color) => (
+            <button
+              key={color || 'palette'}
+              onClick={() => updateTheme({ accent: color })}
+              className="w-8 h-8 rounded-full border-2 transition-transform hover:scale-110"
+              style={{
+                background: color || paletteAccent,
+                borderColor: settings.accent === color ? c.textPrimary : 'transparent'
+              }}
+              title={color || 'Palette default'}
+            />
+          ))}
+          <label
+            className="w-8 h-8 rounded-full border-2 flex items-center justify-center cursor-pointer overflow-hidden"
+            style={{
+              borderColor: settings.accent && !ACCENT_PRESETS.includes(settings.accent) ? c.textPrimary : c.borderDefault,
+            }}
+            title="Custom color"
+          >
+            <Plus size={14} style={{ color: c.textSecondary }} />
+            <input
+              type="color"
+              value={settings.accent || paletteAccent}
+              onChange={(e) => updateTheme({ accent: e.target.value.toUpperCase() })}
+              className="sr-only"
+            />
+          </label>
+        </div>
+        {adjusted && (
+          <p className="text-xs mt-2" style={{ color: c.textTertiary }}>
+            Adjusted to {c.accentPrimary} in {mode} mode so it stands out from the background.
+          </p>
+        )}
+      </div>
+
+      <div className="space-y-1">
+        {themeContrast(c).map(check => (
+          <div key={check.label} className="flex items-center gap-2 text-xs">
+            {check.pass
+              ? <CheckCircle size={12} style={{ color: c.statusSuccess }} />
+              : <AlertTriangle size={12} style={{ color: c.statusWarning }} />}
+            <span className="w-40" style={{ color: c.textSecondary }}>{check.label}</span>
+            <span style={{ color: check.pass ? c.textTertiary : c.statusWarning }}>
+              {check.ratio.toFixed(1)}:1{check.pass ? '' : ` (below ${check.min}:1)`}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {importError && <p className="text-xs mt-2" style={{ color: c.statusError }}>{importError}</p>}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          if (file) handleImport(file);
+          e.target.value = '';
         }}
-      >
-        Apply Fix
-      </button>
+      />
+    </div>
+  );
+};
+
+// Score Settings Component
+const ScoreSettings = ({ config, onChange }) => {
+  const { tokens: c } = useTheme();
+  const inputStyle = { background: c.surfaceElevated, border: `1px solid ${c.borderSubtle}`, color: c.textPrimary };
+
+  const setWeight = (group, key, value) => onChange({
+    ...config,
+    [group]: { ...config[group], [key]: Math.max(0, Number(value) || 0) },
+  });
+
+  const setThreshold = (index, value) => onChange({
+    ...config,
+    thresholds: config.thresholds.map((t, i) => (i === index ? { ...t, min: Math.max(0, Math.min(100, Number(value) || 0)) } : t)),
+  });
+
+  const renderWeights = (group, title) => (
+    <div className="mb-4">
+      <label className="text-sm mb-2 block" style={{ color: c.textSecondary }}>{title}</label>
+      <div className="flex gap-3">
+        {Object.entries(config[group]).map(([key, value]) => (
+          <label key={key} className="flex items-center gap-2 text-sm">
+            <span className="capitalize" style={{ color: c.textTertiary }}>{key}</span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={value}
+              onChange={(e) => setWeight(group, key, e.target.value)}
+              className="w-16 px-2 py-1 rounded outline-none"
+              style={inputStyle}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold">Style Score</h3>
+        <button
+          onClick={() => onChange(defaultScoreConfig)}
+          className="text-xs px-2 py-1 rounded"
+          style={{ background: c.borderSubtle, color: c.textSecondary }}
+        >
+          Reset
+        </button>
+      </div>
+      {renderWeights('severityWeights', 'Penalty per issue (by severity)')}
+      {renderWeights('categoryWeights', 'Multiplier (by rule category)')}
+      <div>
+        <label className="text-sm mb-2 block" style={{ color: c.textSecondary }}>Thresholds</label>
+        <div className="flex gap-3">
+          {config.thresholds.map((threshold, i) => (
+            <label key={threshold.label} className="flex items-center gap-2 text-sm">
+              <span style={{ color: toneColor(c, threshold.tone) }}>{threshold.label} ≥</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={threshold.min}
+                onChange={(e) => setThreshold(i, e.target.value)}
+                className="w-16 px-2 py-1 rounded outline-none"
+                style={inputStyle}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Rule Editor Component
+const RuleEditor = ({ rule, rules, index, groups, onSave, onCancel }) => {
+  const { tokens: c } = useTheme();
+  const [draft, setDraft] = useState(() => ({ ...rule, rows: Object.entries(rule.terms) }));
+  const inputStyle = { background: c.surfaceElevated, border: `1px solid ${c.borderSubtle}`, color: c.textPrimary };
+  const { rows, ...fields } = draft;
+  const result = { ...fields, terms: Object.fromEntries(rows) };
+  const errors = validateRule(result, rules, index);
+
+  const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const setRow = (i, cell, value) => set('rows', rows.map((row, j) => (j === i ? Object.assign([...row], { [cell]: value }) : row)));
+
+  return (
+    <div className="p-3 rounded-lg my-2 space-y-3 text-sm" style={{ background: c.surfaceElevated, border: `1px solid ${c.accentPrimary}` }}>
+      <div className="grid grid-cols-2 gap-3">
+        <label className="flex items-center gap-2">
+          <span className="w-20" style={{ color: c.textTertiary }}>Rule id</span>
+          <input value={draft.id} onChange={(e) => set('id', e.target.value)} className="flex-1 min-w-0 px-2 py-1 rounded outline-none font-mono" style={inputStyle} />
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-20" style={{ color: c.textTertiary }}>Group</span>
+          <input value={draft.group} onChange={(e) => set('group', e.target.value)} list="rule-groups" placeholder="Ungrouped" className="flex-1 min-w-0 px-2 py-1 rounded outline-none" style={inputStyle} />
+          <datalist id="rule-groups">
+            {groups.filter(Boolean).map(group => <option key={group} value={group} />)}
+          </datalist>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-20" style={{ color: c.textTertiary }}>Severity</span>
+          <select value={draft.severity} onChange={(e) => set('severity', e.target.value)} className="flex-1 px-2 py-1 rounded outline-none" style={inputStyle}>
+            {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="w-20" style={{ color: c.textTertiary }}>Category</span>
+          <select value={draft.category} onChange={(e) => set('category', e.target.value)} className="flex-1 px-2 py-1 rounded outline-none" style={inputStyle}>
+            {RULE_CATEGORIES.map(id => <option key={id} value={id}>{ruleCategories.find(category => category.id === id).label}</option>)}
+          </select>
+        </label>
+      </div>
+      <label className="flex items-center gap-2">
+        <span className="w-20" style={{ color: c.textTertiary }}>Explanation</span>
+        <input
+          value={draft.message}
+          onChange={(e) => set('message', e.target.value)}
+          placeholder="Why the replacement is preferred. %s inserts the suggestion, a second %s the match."
+          className="flex-1 px-2 py-1 rounded outline-none"
+          style={inputStyle}
+        />
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="w-20" style={{ color: c.textTertiary }}>Link</span>
+        <input value={draft.link} onChange={(e) => set('link', e.target.value)} placeholder="https://…" className="flex-1 px-2 py-1 rounded outline-none" style={inputStyle} />
+      </label>
+      <div className="flex gap-4 text-xs" style={{ color: c.textSecondary }}>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={draft.caseSensitive} onChange={(e) => set('caseSensitive', e.target.checked)} /> Case sensitive
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={draft.regex} onChange={(e) => set('regex', e.target.checked)} /> Terms are regular expressions
+        </label>
+      </div>
+      <div className="space-y-1">
+        {rows.map(([term, replacement], i) => (
+          <div key={i} className="flex items-center gap-2">
+            <input
+              value={term}
+              onChange={(e) => setRow(i, 0, e.target.value)}
+              placeholder={draft.regex ? 'Pattern' : 'Term'}
+              className="flex-1 min-w-0 px-2 py-1 rounded outline-none font-mono"
+              style={inputStyle}
+            />
+            <span style={{ color: c.textTertiary }}>→</span>
+            <input
+              value={replacement}
+              onChange={(e) => setRow(i, 1, e.target.value)}
+              placeholder={draft.regex ? 'Replacement ($1 for groups)' : 'Replacement'}
+              className="flex-1 min-w-0 px-2 py-1 rounded outline-none"
+              style={inputStyle}
+            />
+            <button
+              onClick={() => set('rows', rows.filter((_, j) => j !== i))}
+              disabled={rows.length === 1}
+              title="Remove term"
+              style={{ color: c.textTertiary, opacity: rows.length === 1 ? 0.4 : 1 }}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <button onClick={() => set('rows', [...rows, ['', '']])} className="flex items-center gap-1 text-xs" style={{ color: c.accentPrimary }}>
+          <Plus size={12} /> Add term
+        </button>
+      </div>
+      {errors.length > 0 && (
+        <ul className="text-xs space-y-0.5" style={{ color: c.statusError }}>
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="text-xs px-3 py-1 rounded" style={{ background: c.borderSubtle, color: c.textSecondary }}>
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave(normalizeRule(result))}
+          disabled={errors.length > 0}
+          className="text-xs px-3 py-1 rounded"
+          style={{ background: c.accentPrimary, color: '#fff', opacity: errors.length ? 0.5 : 1 }}
+        >
+          Save rule
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Style Rule Manager Component
+const RuleManager = ({ rules, onChange }) => {
+  const { tokens: c } = useTheme();
+  const [filter, setFilter] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+  const groups = [...new Set(rules.map(rule => rule.group || ''))].sort((a, b) => (!a) - (!b) || a.localeCompare(b));
+  const termCount = rules.reduce((sum, rule) => sum + Object.keys(rule.terms).length, 0);
+  const query = filter.trim().toLowerCase();
+  const matches = (rule) => !query || [rule.id, rule.group, rule.message, ...Object.entries(rule.terms).flat()]
+    .some(text => (text || '').toLowerCase().includes(query));
+  const smallButton = { background: c.borderSubtle, color: c.textSecondary };
+
+  const saveRule = (index, rule) => {
+    onChange(index === -1 ? [...rules, rule] : rules.map((other, i) => (i === index ? rule : other)));
+    setEditing(null);
+  };
+
+  const setGroupEnabled = (group, enabled) => onChange(rules.map(rule => ((rule.group || '') === group ? { ...rule, enabled } : rule)));
+
+  const handleImport = async (file) => {
+    try {
+      const imported = await readRulePack(file);
+      const existing = new Set(rules.map(rule => rule.id));
+      const added = imported.filter(rule => !existing.has(rule.id)).length;
+      onChange(mergeRules(rules, imported));
+      setStatus({ tone: 'success', text: `Imported ${imported.length} rule${imported.length === 1 ? '' : 's'} from ${file.name} (${added} new, ${imported.length - added} updated).` });
+    } catch (error) {
+      // Vale errors already name the file they came from
+      setStatus({ tone: 'error', text: error.message.startsWith(file.name) ? error.message : `${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleExport = async (format) => {
+    if (format === 'json') downloadFile('style-rules.json', exportRulesJSON(rules), 'application/json');
+    if (format === 'csv') downloadFile('style-rules.csv', exportRulesCSV(rules), 'text/csv');
+    if (format === 'vale') downloadFile('lexichord-vale-style.zip', await createZip(exportValeRules(rules)));
+  };
+
+  return (
+    <div className="p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold">Style Rules</h3>
+          <div className="text-xs" style={{ color: c.textTertiary }}>
+            {rules.length} rule{rules.length === 1 ? '' : 's'} · {termCount} term{termCount === 1 ? '' : 's'}
+          </div>
+        </div>
+        <div className="flex flex-wrap justify-end gap-2">
+          <button onClick={() => setEditing(-1)} className="flex items-center gap-1 text-xs px-2 py-1 rounded" style={{ background: c.accentPrimary, color: '#fff' }}>
+            <Plus size={12} /> Add rule
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} className="flex items-center gap-1 text-xs px-2 py-1 rounded" style={smallButton}>
+            <Upload size={12} /> Import
+          </button>
+          {[['json', 'JSON'], ['csv', 'CSV'], ['vale', 'Vale']].map(([format, label]) => (
+            <button key={format} onClick={() => handleExport(format)} className="flex items-center gap-1 text-xs px-2 py-1 rounded" style={smallButton} title={`Export as ${label}`}>
+              <Download size={12} /> {label}
+            </button>
+          ))}
+          <button
+            onClick={() => window.confirm('Replace all rules with the built-in defaults?') && onChange(defaultRules)}
+            className="text-xs px-2 py-1 rounded"
+            style={smallButton}
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {status && (
+        <p className="text-xs mb-3" style={{ color: status.tone === 'error' ? c.statusError : c.statusSuccess }}>{status.text}</p>
+      )}
+
+      <div className="flex items-center gap-2 px-2 py-1 rounded mb-3" style={{ background: c.surfaceElevated, border: `1px solid ${c.borderSubtle}` }}>
+        <Search size={14} style={{ color: c.textTertiary }} />
+        <input
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by id, term, group or explanation"
+          className="flex-1 bg-transparent outline-none text-sm"
+          style={{ color: c.textPrimary }}
+        />
+      </div>
+
+      {editing === -1 && (
+        <RuleEditor rule={createRule(rules)} rules={rules} index={-1} groups={groups} onSave={(rule) => saveRule(-1, rule)} onCancel={() => setEditing(null)} />
+      )}
+
+      <div className="space-y-3 max-h-96 overflow-y-auto">
+        {groups.map((group) => {
+          const members = rules.map((rule, index) => ({ rule, index })).filter(({ rule }) => (rule.group || '') === group);
+          const visible = members.filter(({ rule }) => matches(rule));
+          if (!visible.length) return null;
+          const enabled = members.filter(({ rule }) => rule.enabled !== false).length;
+          return (
+            <div key={group || 'ungrouped'}>
+              <label className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide mb-1" style={{ color: c.textTertiary }}>
+                <input
+                  type="checkbox"
+                  checked={enabled === members.length}
+                  ref={(el) => el && (el.indeterminate = enabled > 0 && enabled < members.length)}
+                  onChange={(e) => setGroupEnabled(group, e.target.checked)}
+                />
+                {group || 'Ungrouped'} ({enabled}/{members.length})
+              </label>
+              {visible.map(({ rule, index }) => (editing === index ? (
+                <RuleEditor key={rule.id} rule={rule} rules={rules} index={index} groups={groups} onSave={(next) => saveRule(index, next)} onCancel={() => setEditing(null)} />
+              ) : (
+                <div key={rule.id} className="flex items-center gap-2 text-sm py-1" style={{ opacity: rule.enabled === false ? 0.5 : 1 }}>
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled !== false}
+                    onChange={(e) => saveRule(index, { ...rule, enabled: e.target.checked })}
+                    title={rule.enabled === false ? 'Enable rule' : 'Disable rule'}
+                  />
+                  <span className="w-24 flex-shrink-0 font-mono text-xs truncate" title={rule.id}>{rule.id}</span>
+                  <span className="w-16 flex-shrink-0 text-xs" style={{ color: toneColor(c, rule.severity) }}>{rule.severity}</span>
+                  <span className="flex-1 min-w-0 truncate" style={{ color: c.textSecondary }} title={rule.message}>
+                    {Object.entries(rule.terms).slice(0, 2).map(([term, replacement]) => `${rule.regex ? `/${term}/` : term} → ${replacement || '∅'}`).join(', ')}
+                    {Object.keys(rule.terms).length > 2 && ` +${Object.keys(rule.terms).length - 2} more`}
+                  </span>
+                  <button onClick={() => setEditing(index)} title="Edit rule" style={{ color: c.textTertiary }}>
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => window.confirm(`Delete ${rule.id}?`) && onChange(rules.filter((_, i) => i !== index))}
+                    title="Delete rule"
+                    style={{ color: c.textTertiary }}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              )))}
+            </div>
+          );
+        })}
+        {query && !rules.some(matches) && (
+          <div className="text-sm text-center py-4" style={{ color: c.textTertiary }}>No rules match "{filter}".</div>
+        )}
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.csv,.yml,.yaml,.zip"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          if (file) handleImport(file);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
+
+// AI Provider Settings Component
+const ProviderSettings = ({ config, onChange }) => {
+  const { tokens: c } = useTheme();
+  const inputStyle = { background: c.surfaceElevated, border: `1px solid ${c.borderSubtle}`, color: c.textPrimary };
+  const provider = config[config.provider];
+
+  const setField = (key, value) => onChange({ ...config, [config.provider]: { ...provider, [key]: value } });
+
+  const fields = {
+    openai: [
+      { key: 'endpoint', label: 'Base URL', type: 'url' },
+      { key: 'model', label: 'Model', type: 'text' },
+      { key: 'apiKey', label: 'API key', type: 'password' },
+    ],
+    ollama: [
+      { key: 'endpoint', label: 'Endpoint', type: 'url' },
+      { key: 'model', label: 'Model', type: 'text' },
+    ],
+    mock: [
+      { key: 'delayMs', label: 'Delay per token (ms)', type: 'number' },
+    ],
+  }[config.provider];
+
+  return (
+    <div className="p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold">AI Provider</h3>
+        <button
+          onClick={() => onChange(defaultProviderConfig)}
+          className="text-xs px-2 py-1 rounded"
+          style={{ background: c.borderSubtle, color: c.textSecondary }}
+        >
+          Reset
+        </button>
+      </div>
+      <div className="mb-4">
+        <label className="text-sm mb-2 block" style={{ color: c.textSecondary }}>Provider</label>
+        <div className="flex gap-2">
+          {providerOptions.map(option => (
+            <button
+              key={option.id}
+              onClick={() => onChange({ ...config, provider: option.id })}
+              className="px-4 py-2 rounded-lg text-sm transition-colors"
+              style={{
+                background: config.provider === option.id ? c.accentMuted : c.surfaceElevated,
+                border: `1px solid ${config.provider === option.id ? c.accentPrimary : c.borderSubtle}`,
+                color: config.provider === option.id ? c.accentPrimary : c.textSecondary
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="space-y-3">
+        {fields.map(field => (
+          <label key={field.key} className="flex items-center gap-3 text-sm">
+            <span className="w-40" style={{ color: c.textTertiary }}>{field.label}</span>
+            <input
+              type={field.type}
+              value={provider[field.key]}
+              onChange={(e) => setField(field.key, field.type === 'number' ? Math.max(0, Number(e.target.value) || 0) : e.target.value)}
+              className="flex-1 px-2 py-1 rounded outline-none"
+              style={inputStyle}
+              autoComplete="off"
+            />
+          </label>
+        ))}
+        <label className="flex items-center gap-3 text-sm">
+          <span className="w-40" style={{ color: c.textTertiary }}>Temperature</span>
+          <input
+            type="number"
+            min="0"
+            max="2"
+            step="0.1"
+            value={config.temperature}
+            onChange={(e) => onChange({ ...config, temperature: Math.max(0, Math.min(2, Number(e.target.value) || 0)) })}
+            className="w-20 px-2 py-1 rounded outline-none"
+            style={inputStyle}
+          />
+        </label>
+        <label className="flex items-center gap-3 text-sm">
+          <span className="w-40" style={{ color: c.textTertiary }}>Retries on error</span>
+          <input
+            type="number"
+            min="0"
+            max="5"
+            value={config.maxRetries}
+            onChange={(e) => onChange({ ...config, maxRetries: Math.max(0, Math.min(5, Math.round(Number(e.target.value) || 0))) })}
+            className="w-20 px-2 py-1 rounded outline-none"
+            style={inputStyle}
+          />
+        </label>
+      </div>
+      {config.provider === 'openai' && (
+        <>
+          <label className="flex items-center gap-2 text-sm mt-3" style={{ color: c.textSecondary }}>
+            <input
+              type="checkbox"
+              checked={!!provider.rememberKey}
+              onChange={(e) => setField('rememberKey', e.target.checked)}
+            />
+            Remember the API key on this device
+          </label>
+          <p className="text-xs mt-2" style={{ color: c.textTertiary }}>
+            {provider.rememberKey
+              ? 'The API key is saved unencrypted in this browser\'s storage, where anyone with access to this profile can read it.'
+              : 'The API key is kept for this session only and must be entered again after a reload.'}
+            {' '}It is sent directly to the endpoint above.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Keyboard Shortcuts Component
+const ShortcutSettings = ({ commands, bindings, onChange }) => {
+  const { tokens: c } = useTheme();
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState(null);
+  const rebindable = commands.filter(command => !command.transient);
+  const groups = [...new Set(rebindable.map(command => command.group))];
+  const smallButton = { background: c.borderSubtle, color: c.textSecondary };
+
+  const setKeys = (id, keys) => onChange({ ...bindings, [id]: keys });
+  const resetKeys = (id) => onChange(Object.fromEntries(Object.entries(bindings).filter(([key]) => key !== id)));
+
+  const stopRecording = () => {
+    setRecording(null);
+    setError(null);
+  };
+
+  // Keys pressed while recording never reach the app's shortcuts
+  const handleRecord = (e, command) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      stopRecording();
+      return;
+    }
+    const shortcut = shortcutFromEvent(e);
+    if (!shortcut) return;
+    const label = formatShortcut(shortcut, IS_MAC);
+    const owner = findCommandByShortcut(commands.filter(other => other.id !== command.id), shortcut);
+    if (!isValidShortcut(shortcut)) {
+      setError(`${label} would fire while typing. Hold ${formatShortcut('Mod', IS_MAC)} or ${formatShortcut('Alt', IS_MAC)} too, or use a function key.`);
+    } else if (owner) {
+      setError(`${label} is already used by ${commandLabel(owner)}.`);
+    } else {
+      setKeys(command.id, [shortcut]);
+      stopRecording();
+    }
+  };
+
+  return (
+    <div className="p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-semibold">Keyboard Shortcuts</h3>
+        <button
+          onClick={() => onChange({})}
+          disabled={!Object.keys(bindings).length}
+          className="text-xs px-2 py-1 rounded"
+          style={{ ...smallButton, opacity: Object.keys(bindings).length ? 1 : 0.5 }}
+        >
+          Reset all
+        </button>
+      </div>
+      <p className="text-xs mb-3" style={{ color: c.textTertiary }}>
+        Every command is also in the command palette ({commands.find(command => command.id === 'palette.show')?.keys.map(key => formatShortcut(key, IS_MAC)).join(' or ') || 'unbound'}).
+      </p>
+      {error && <p className="text-xs mb-3" style={{ color: c.statusError }}>{error}</p>}
+      <div className="space-y-4 text-sm">
+        {groups.map(group => (
+          <div key={group}>
+            <div className="text-xs uppercase tracking-wide mb-1" style={{ color: c.textTertiary }}>{group}</div>
+            {rebindable.filter(command => command.group === group).map(command => (
+              <div key={command.id} className="flex items-center gap-2 py-1">
+                <span className="flex-1 truncate" style={{ color: c.textSecondary }}>{command.title}</span>
+                {recording === command.id ? (
+                  <button
+                    autoFocus
+                    onKeyDown={(e) => handleRecord(e, command)}
+                    onBlur={stopRecording}
+                    className="text-xs px-2 py-0.5 rounded"
+                    style={{ border: `1px solid ${c.accentPrimary}`, color: c.accentPrimary }}
+                  >
+                    Press a shortcut… (Esc to cancel)
+                  </button>
+                ) : (
+                  <>
+                    {command.keys.map(key => <Kbd key={key} shortcut={key} />)}
+                    <button
+                      onClick={() => {
+                        setError(null);
+                        setRecording(command.id);
+                      }}
+                      className="p-1 rounded"
+                      style={{ color: c.textTertiary }}
+                      title="Change shortcut"
+                    >
+                      <Pencil size={12} />
+                    </button>
+                    {command.keys.length > 0 && (
+                      <button onClick={() => setKeys(command.id, [])} className="p-1 rounded" style={{ color: c.textTertiary }} title="Remove shortcut">
+                        <X size={12} />
+                      </button>
+                    )}
+                    {command.id in bindings && (
+                      <button onClick={() => resetKeys(command.id)} className="p-1 rounded" style={{ color: c.textTertiary }} title="Restore default">
+                        <RotateCcw size={12} />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
     </div>
   );
 };
 
-// Agent Card Component
-const AgentCard = ({ name, description, icon, license, available, theme, onStart }) => {
-  const c = colors[theme];
+// License dates are calendar days, e.g. "Feb 26, 2026"
+const formatLicenseDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+});
+
+// License Settings Component
+const LicenseSettings = ({ license, loading, upgradeFeature, now, onActivate, onDeactivate }) => {
+  const { tokens: c } = useTheme();
+  const [keyInput, setKeyInput] = useState('');
+  const [error, setError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [editing, setEditing] = useState(!license);
+  const cardRef = useRef(null);
+  const inputRef = useRef(null);
+  const wanted = upgradeFeature && getFeature(upgradeFeature);
+  const expired = isExpired(license, now);
+  const daysLeft = daysUntilExpiration(license, now);
+
+  useEffect(() => {
+    setEditing(!license);
+  }, [license]);
+
+  // Upgrade buttons elsewhere land here with the key field ready
+  useEffect(() => {
+    if (!wanted) return;
+    setEditing(true);
+    cardRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    inputRef.current?.focus();
+  }, [wanted]);
+
+  const activate = async (key) => {
+    if (!key.trim()) return;
+    setVerifying(true);
+    const result = await onActivate(key);
+    setVerifying(false);
+    if (result.valid) {
+      setKeyInput('');
+      setError(null);
+      setEditing(false);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div ref={cardRef} className="p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
+      <h3 className="font-semibold mb-4">License</h3>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <div className="font-medium">{tierLabel(effectiveTier(license, now))}</div>
+          <div className="text-sm" style={{ color: expired ? c.statusError : c.textSecondary }}>
+            {!license && (loading ? 'Checking the saved license key…' : 'No license key activated')}
+            {license && `${license.licensee} · ${license.seats} seat${license.seats === 1 ? '' : 's'} · `}
+            {license && !license.expiresAt && 'Perpetual'}
+            {license && license.expiresAt && (expired
+              ? `${tierLabel(license.tier)} expired ${formatLicenseDate(license.expiresAt)}`
+              : `Expires: ${formatLicenseDate(license.expiresAt)}${daysLeft <= 30 ? ` (${daysLeft} day${daysLeft === 1 ? '' : 's'} left)` : ''}`)}
+          </div>
+          {license && (
+            <div className="text-xs font-mono mt-1" style={{ color: c.textTertiary }}>{maskLicenseKey(license.key)}</div>
+          )}
+        </div>
+        {license && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setEditing(e => !e)}
+              className="px-4 py-2 rounded-lg"
+              style={{ background: c.accentPrimary, color: '#fff' }}
+            >
+              {editing ? 'Cancel' : 'Manage'}
+            </button>
+            <button
+              onClick={() => {
+                if (window.confirm(`Remove the ${tierLabel(license.tier)} license from this browser? Locked features stay locked until a key is activated again.`)) onDeactivate();
+              }}
+              className="px-4 py-2 rounded-lg"
+              style={{ background: c.borderSubtle, color: c.textSecondary }}
+            >
+              Deactivate
+            </button>
+          </div>
+        )}
+      </div>
+
+      {editing && (
+        <div className="mb-4">
+          {wanted && !hasFeature(license, wanted.id, now) && (
+            <p className="text-sm mb-2" style={{ color: c.accentPrimary }}>
+              {wanted.name} needs a {tierLabel(wanted.tier)} license or higher.
+            </p>
+          )}
+          <div className="flex gap-2">
+            <input
+              ref={inputRef}
+              type="text"
+              value={keyInput}
+              onChange={(e) => setKeyInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && activate(keyInput)}
+              placeholder="Paste a license key (LEXI1.…)"
+              className="flex-1 px-3 py-2 rounded-lg text-sm font-mono outline-none"
+              style={{ background: c.surfaceElevated, border: `1px solid ${error ? c.statusError : c.borderSubtle}`, color: c.textPrimary }}
+              spellCheck={false}
+              autoComplete="off"
+            />
+            <button
+              onClick={() => activate(keyInput)}
+              disabled={verifying || !keyInput.trim()}
+              className="px-4 py-2 rounded-lg text-sm"
+              style={{ background: c.accentPrimary, color: '#fff', opacity: verifying || !keyInput.trim() ? 0.5 : 1 }}
+            >
+              {verifying ? 'Verifying…' : 'Activate'}
+            </button>
+          </div>
+          {error && <p className="text-xs mt-2" style={{ color: c.statusError }}>{error}</p>}
+          <p className="text-xs mt-2" style={{ color: c.textTertiary }}>
+            Keys are verified on this device; nothing is sent to a server.
+          </p>
+        </div>
+      )}
+
+      <div className="space-y-1">
+        {featureAvailability(license, now).map(feature => (
+          <div key={feature.id} className="flex items-center gap-2 text-sm">
+            <span>{feature.available ? '✅' : '🔒'}</span>
+            <span style={{ color: feature.available ? c.textPrimary : c.textTertiary }}>{feature.name}</span>
+            <span className="flex-1 truncate text-xs" style={{ color: c.textTertiary }}>{feature.description}</span>
+            <span className="text-xs px-2 py-0.5 rounded" style={{ background: c.surfaceElevated, color: c.textTertiary }}>
+              {tierLabel(feature.tier)}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Shown in place of a view the current license does not include
+const UpgradePrompt = ({ feature, onUpgrade }) => {
+  const { tokens: c } = useTheme();
+  const { name, description, tier } = getFeature(feature);
+
+  return (
+    <div className="text-center py-16 rounded-lg" style={{ background: c.surfaceOverlay, border: `1px solid ${c.borderSubtle}` }}>
+      <Lock size={28} className="mx-auto mb-3" style={{ color: c.textTertiary }} />
+      <div className="font-semibold mb-1">{name} is part of {tierLabel(tier)}</div>
+      <p className="text-sm mb-4" style={{ color: c.textSecondary }}>{description}.</p>
+      <button
+        onClick={onUpgrade}
+        className="px-4 py-2 rounded-lg text-sm"
+        style={{ background: c.accentPrimary, color: '#fff' }}
+      >
+        Enter a license key
+      </button>
+    </div>
+  );
+};
+
+// Issue Card Component
+const IssueCard = ({ issue, active, onApply, onIgnore, onSelect }) => {
+  const { tokens: c } = useTheme();
+  const severityColor = toneColor(c, issue.severity);
+  const cardRef = useRef(null);
+  const [choosingScope, setChoosingScope] = useState(false);
+
+  useEffect(() => {
+    if (active) cardRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [active]);
+
+  return (
+    <div
+      ref={cardRef}
+      onClick={() => onSelect?.(issue)}
+      className="p-3 rounded-lg mb-2 cursor-pointer hover:opacity-80 transition-opacity"
+      style={{
+        background: active ? c.accentMuted : c.surfaceOverlay,
+        borderLeft: `3px solid ${severityColor}`,
+        outline: active ? `1px solid ${c.accentPrimary}` : 'none'
+      }}
+    >
+      <div className="flex items-center gap-2 mb-1">
+        <AlertTriangle size={14} style={{ color: severityColor }} />
+        <span className="text-xs font-mono" style={{ color: c.textTertiary }}>Ln {issue.line}, Col {issue.column}</span>
+        <span className="text-xs font-mono ml-auto" style={{ color: c.textTertiary }}>{issue.rule}</span>
+      </div>
+      {issue.suggestion != null ? (
+        <div className="text-sm mb-1" style={{ color: c.textPrimary }}>
+          "<span style={{ textDecoration: 'line-through', color: c.statusError }}>{issue.word}</span>" →
+          <span style={{ color: c.statusSuccess }}> {issue.suggestion}</span>
+        </div>
+      ) : (
+        <div className="text-sm mb-1 truncate" style={{ color: c.textPrimary }} title={issue.word}>
+          "{issue.word}"
+        </div>
+      )}
+      <div className="text-xs mb-2" style={{ color: c.textSecondary }}>
+        {issue.message}
+        {issue.link && (
+          <>
+            {' '}
+            <a href={issue.link} target="_blank" rel="noreferrer" onClick={(e) => e.stopPropagation()} style={{ color: c.accentPrimary }}>
+              Learn more
+            </a>
+          </>
+        )}
+      </div>
+      <div className="flex items-center gap-2 flex-wrap">
+        {issue.suggestion != null && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onApply(issue);
+            }}
+            className="text-xs px-2 py-1 rounded transition-colors"
+            style={{
+              background: c.accentMuted,
+              color: c.accentPrimary
+            }}
+          >
+            Apply Fix
+          </button>
+        )}
+        {onIgnore && (choosingScope ? (
+          IGNORE_SCOPES.map(scope => (
+            <button
+              key={scope.id}
+              onClick={(e) => {
+                e.stopPropagation();
+                setChoosingScope(false);
+                onIgnore(issue, scope.id);
+              }}
+              className="text-xs px-2 py-1 rounded"
+              style={{ border: `1px solid ${c.borderDefault}`, color: c.textSecondary }}
+            >
+              {scope.label}
+            </button>
+          ))
+        ) : (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setChoosingScope(true);
+            }}
+            className="text-xs px-2 py-1 rounded"
+            style={{ color: c.textTertiary }}
+          >
+            Ignore
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Ignored Issue Component
+const IgnoredIssue = ({ issue, onRestore }) => {
+  const { tokens: c } = useTheme();
+  const { suppressedBy } = issue;
+  const reason = suppressedBy.kind === 'directive'
+    ? `Comment on line ${suppressedBy.line}`
+    : IGNORE_SCOPES.find(scope => scope.id === suppressedBy.ignore.scope)?.label;
+
+  return (
+    <div className="flex items-center gap-2 px-2 py-1.5 mt-1 rounded text-xs" style={{ background: c.surfaceOverlay, color: c.textTertiary }}>
+      <span className="font-mono">{issue.rule}</span>
+      <span className="truncate" style={{ color: c.textSecondary }} title={issue.word}>"{issue.word}"</span>
+      <span className="ml-auto whitespace-nowrap">{reason}</span>
+      {suppressedBy.kind === 'ignore' && (
+        <button onClick={() => onRestore(issue)} style={{ color: c.accentPrimary }}>
+          Restore
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Apply All Preview Component
+const FixPreview = ({ content, issues, onConfirm, onCancel }) => {
+  const { tokens: c } = useTheme();
+  const changes = useMemo(() => previewFixes(content, issues), [content, issues]);
+
+  return (
+    <div className="p-3 rounded-lg mb-3" style={{ background: c.surfaceOverlay, border: `1px solid ${c.accentPrimary}` }}>
+      <div className="text-sm font-semibold mb-2">
+        Apply {changes.length} {changes.length === 1 ? 'fix' : 'fixes'}?
+      </div>
+      <div className="max-h-48 overflow-y-auto space-y-1 mb-3">
+        {changes.map(({ issue, before, after }) => (
+          <div key={issue.id} className="text-xs font-mono" style={{ color: c.textSecondary }}>
+            <span style={{ color: c.textTertiary }}>{issue.line}: </span>
+            {before}
+            <span style={{ textDecoration: 'line-through', color: c.statusError }}>{issue.word}</span>
+            <span style={{ color: c.statusSuccess }}>{issue.suggestion}</span>
+            {after}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={onConfirm}
+          className="text-xs px-2 py-1 rounded"
+          style={{ background: c.accentPrimary, color: '#fff' }}
+        >
+          Apply
+        </button>
+        <button
+          onClick={onCancel}
+          className="text-xs px-2 py-1 rounded"
+          style={{ background: c.borderSubtle, color: c.textSecondary }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Markdown Editor Component
+// A native textarea handles caret, selection, IME and paste; lint underlines
+// are drawn on a mirrored backdrop layer beneath it.
+const MarkdownEditor = ({ value, onChange, issues, initialSelection, highlight, onIssueClick, onSelectionChange }) => {
+  const { tokens: c } = useTheme();
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+
+  // Put the caret back where it was when this document was last open
+  useEffect(() => {
+    if (initialSelection) textareaRef.current?.setSelectionRange(initialSelection.start, initialSelection.end);
+  }, []);
+
+  // Grow the textarea with its content so the backdrop never scrolls out of sync
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.style.height = 'auto';
+    textarea.style.height = `${textarea.scrollHeight}px`;
+  }, [value]);
+
+  // Bring a highlighted range (a search hit) into view and select it
+  useEffect(() => {
+    if (!highlight) return;
+    textareaRef.current?.setSelectionRange(highlight.start, highlight.end);
+    textareaRef.current?.focus({ preventScroll: true });
+    highlightRef.current?.scrollIntoView?.({ block: 'center' });
+  }, [highlight]);
+
+  // Overlapping issues (a term inside a long sentence) go on separate layers
+  const layers = useMemo(() => {
+    const stacks = [];
+    issues.forEach(issue => {
+      const stack = stacks.find(layer => layer[layer.length - 1].end <= issue.start);
+      if (stack) stack.push(issue);
+      else stacks.push([issue]);
+    });
+
+    return (stacks.length ? stacks : [[]]).map(layer => {
+      const nodes = [];
+      let cursor = 0;
+      layer.forEach(issue => {
+        const color = toneColor(c, issue.severity);
+        nodes.push(value.slice(cursor, issue.start));
+        nodes.push(
+          <span
+            key={issue.id}
+            style={issue.severity === 'info'
+              ? { background: `${color}26`, borderRadius: '2px' }
+              : { textDecoration: `wavy underline ${color}`, textDecorationThickness: '2px' }}
+          >
+            {value.slice(issue.start, issue.end)}
+          </span>
+        );
+        cursor = issue.end;
+      });
+      // A trailing newline needs a placeholder character to keep both layers the same height
+      nodes.push(value.slice(cursor) + ' ');
+      return nodes;
+    });
+  }, [value, issues, c]);
+
+  const highlightLayer = highlight && highlight.end <= value.length && [
+    value.slice(0, highlight.start),
+    <span key="highlight" ref={highlightRef} style={{ background: `${c.accentPrimary}40`, borderRadius: '2px' }}>
+      {value.slice(highlight.start, highlight.end)}
+    </span>,
+    value.slice(highlight.end) + ' ',
+  ];
+
+  const reportSelection = (e) => onSelectionChange?.({ start: e.target.selectionStart, end: e.target.selectionEnd });
+
+  // Open the most specific issue under a collapsed caret
+  const handleCaret = (e) => {
+    const { selectionStart, selectionEnd } = e.target;
+    reportSelection(e);
+    if (selectionStart !== selectionEnd) return;
+    const issue = issues
+      .filter(i => selectionStart >= i.start && selectionStart <= i.end)
+      .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0];
+    if (issue) onIssueClick?.(issue);
+  };
+
+  const layerClass = 'w-full p-0 m-0 border-0 font-mono text-sm leading-relaxed whitespace-pre-wrap break-words';
+
+  return (
+    <div className="relative max-w-3xl mx-auto">
+      {layers.map((decorations, i) => (
+        <div
+          key={i}
+          aria-hidden="true"
+          className={`${layerClass} absolute inset-0 pointer-events-none select-none`}
+          style={{ color: 'transparent' }}
+        >
+          {decorations}
+        </div>
+      ))}
+      {highlightLayer && (
+        <div
+          aria-hidden="true"
+          className={`${layerClass} absolute inset-0 pointer-events-none select-none`}
+          style={{ color: 'transparent' }}
+        >
+          {highlightLayer}
+        </div>
+      )}
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onClick={handleCaret}
+        onKeyUp={handleCaret}
+        onSelect={reportSelection}
+        spellCheck={false}
+        data-command-scope="editor"
+        className={`${layerClass} relative block resize-none overflow-hidden bg-transparent outline-none`}
+        style={{ color: c.textPrimary, caretColor: c.accentPrimary }}
+      />
+    </div>
+  );
+};
+
+// Markdown Preview Component
+const tokenColors = (c) => ({
+  keyword: c.accentPrimary,
+  string: c.statusSuccess,
+  number: c.statusWarning,
+  variable: c.statusWarning,
+  property: c.statusInfo,
+  function: c.statusInfo,
+  comment: c.textTertiary,
+  punctuation: c.textSecondary,
+  plain: c.textPrimary,
+});
+
+const headingStyles = {
+  1: 'text-2xl font-bold mt-6 mb-3',
+  2: 'text-xl font-semibold mt-6 mb-3',
+  3: 'text-lg font-semibold mt-4 mb-2',
+  4: 'text-base font-semibold mt-4 mb-2',
+  5: 'text-sm font-semibold mt-3 mb-1',
+  6: 'text-sm font-semibold mt-3 mb-1',
+};
+
+const renderInline = (nodes, c) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'break':
+      return <br key={i} />;
+    case 'inlineCode':
+      return (
+        <code key={i} className="font-mono text-sm px-1.5 py-0.5 rounded" style={{ background: c.surfaceOverlay }}>
+          {node.value}
+        </code>
+      );
+    case 'emphasis':
+      return <em key={i}>{renderInline(node.children, c)}</em>;
+    case 'strong':
+      return <strong key={i}>{renderInline(node.children, c)}</strong>;
+    case 'delete':
+      return <del key={i}>{renderInline(node.children, c)}</del>;
+    case 'link': {
+      const external = /^[a-z][a-z0-9+.-]*:/i.test(node.url);
+      return (
+        <a
+          key={i}
+          href={node.url}
+          title={node.title || undefined}
+          target={external ? '_blank' : undefined}
+          rel={external ? 'noopener noreferrer' : undefined}
+          className="underline"
+          style={{ color: c.accentPrimary }}
+        >
+          {renderInline(node.children, c)}
+        </a>
+      );
+    }
+    case 'image':
+      return <img key={i} src={node.url} alt={node.alt} title={node.title || undefined} className="max-w-full rounded" />;
+    default:
+      return null;
+  }
+});
+
+const renderBlocks = (blocks, c, tight = false) => blocks.map((block, i) => {
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${block.depth}`;
+      return (
+        <Tag key={i} id={block.id} className={headingStyles[block.depth]} style={{ fontFamily: 'Inter, sans-serif' }}>
+          {renderInline(block.children, c)}
+        </Tag>
+      );
+    }
+    case 'paragraph':
+      return tight
+        ? <React.Fragment key={i}>{renderInline(block.children, c)}</React.Fragment>
+        : <p key={i} className="my-3">{renderInline(block.children, c)}</p>;
+    case 'code': {
+      const palette = tokenColors(c);
+      return (
+        <pre key={i} className="font-mono text-sm p-3 my-3 rounded-md overflow-x-auto" style={{ background: c.surfaceOverlay }}>
+          <code data-lang={block.lang || undefined}>
+            {highlight(block.value, block.lang).map((token, j) => (
+              <span key={j} style={{ color: palette[token.type] }}>{token.value}</span>
+            ))}
+          </code>
+        </pre>
+      );
+    }
+    case 'blockquote':
+      return (
+        <blockquote key={i} className="my-3 pl-4" style={{ borderLeft: `3px solid ${c.borderDefault}`, color: c.textSecondary }}>
+          {renderBlocks(block.children, c)}
+        </blockquote>
+      );
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      return (
+        <Tag
+          key={i}
+          start={block.ordered && block.start !== 1 ? block.start : undefined}
+          className={`my-3 pl-6 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.children.map((item, j) => (
+            <li key={j} className="my-1" style={item.checked !== null ? { listStyle: 'none', marginLeft: '-1.25rem' } : undefined}>
+              {item.checked !== null && (
+                <input type="checkbox" checked={item.checked} readOnly disabled className="mr-2 align-middle" />
+              )}
+              {renderBlocks(item.children, c, block.tight)}
+            </li>
+          ))}
+        </Tag>
+      );
+    }
+    case 'table':
+      return (
+        <div key={i} className="my-3 overflow-x-auto">
+          <table className="text-sm border-collapse">
+            <thead>
+              <tr>
+                {block.header.map((cell, j) => (
+                  <th key={j} className="px-3 py-1.5 font-semibold" style={{ textAlign: block.align[j] || 'left', border: `1px solid ${c.borderDefault}`, background: c.surfaceOverlay }}>
+                    {renderInline(cell, c)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, j) => (
+                <tr key={j}>
+                  {row.map((cell, k) => (
+                    <td key={k} className="px-3 py-1.5" style={{ textAlign: block.align[k] || 'left', border: `1px solid ${c.borderSubtle}` }}>
+                      {renderInline(cell, c)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'thematicBreak':
+      return <hr key={i} className="my-6" style={{ borderColor: c.borderSubtle }} />;
+    case 'html':
+      // Raw HTML is shown as source, never injected
+      return (
+        <pre key={i} className="font-mono text-xs my-3 whitespace-pre-wrap" style={{ color: c.textTertiary }}>
+          {block.value}
+        </pre>
+      );
+    default:
+      return null;
+  }
+});
+
+const MarkdownPreview = ({ source }) => {
+  const { tokens: c } = useTheme();
+  const tree = useMemo(() => parseMarkdown(source), [source]);
+
+  return (
+    <article className="max-w-3xl mx-auto text-sm leading-relaxed" style={{ color: c.textPrimary }}>
+      {renderBlocks(tree.children, c)}
+    </article>
+  );
+};
+
+// Chat Message Component
+const formatUsage = (usage) => {
+  const prefix = usage.estimated ? '~' : '';
+  return `${prefix}${usage.promptTokens.toLocaleString()} prompt · ${prefix}${usage.completionTokens.toLocaleString()} completion tokens`;
+};
+
+const ChatMessage = ({ message, agentName, onRetry, onReview, onCite }) => {
+  const { tokens: c } = useTheme();
+  const isUser = message.role === 'user';
+  const citations = message.citations || [];
+  const text = isUser ? message.content : stripEdits(message.content);
+
+  return (
+    <div
+      className={`p-3 rounded-lg ${isUser ? 'ml-12' : 'mr-12'}`}
+      style={{
+        background: isUser ? c.accentMuted : c.surfaceElevated,
+        borderLeft: isUser ? 'none' : `3px solid ${message.status === 'error' ? c.statusError : c.accentPrimary}`
+      }}
+    >
+      <div className="text-xs mb-1" style={{ color: c.textTertiary }}>
+        {isUser ? 'You' : agentName}
+      </div>
+      <div className="whitespace-pre-wrap">
+        {citations.length ? splitCitations(text, citations.length).map((part, i) => (part.cite ? (
+          <sup key={i} className="mx-0.5">
+            {part.cite.map(n => (
+              <button
+                key={n}
+                onClick={() => onCite(citations[n - 1])}
+                title={citationLabel(citations[n - 1])}
+                className="px-1 rounded text-xs font-medium"
+                style={{ background: c.accentMuted, color: c.accentPrimary }}
+              >
+                {n}
+              </button>
+            ))}
+          </sup>
+        ) : part.text)) : text}
+        {message.status === 'streaming' && (
+          <span className="inline-block w-2 h-4 ml-0.5 align-middle animate-pulse" style={{ background: c.accentPrimary }} />
+        )}
+      </div>
+      {message.status === 'streaming' && !message.content && (
+        <div className="text-xs" style={{ color: c.textTertiary }}>{message.note || 'Thinking…'}</div>
+      )}
+      {message.status === 'error' && (
+        <div className="flex items-start justify-between gap-3 mt-2 text-xs" style={{ color: c.statusError }}>
+          <span className="flex items-start gap-1">
+            <AlertTriangle size={12} className="mt-0.5 flex-shrink-0" /> {message.error}
+          </span>
+          <button
+            onClick={onRetry}
+            className="flex items-center gap-1 px-2 py-0.5 rounded flex-shrink-0"
+            style={{ background: c.borderSubtle, color: c.textSecondary }}
+          >
+            <RotateCcw size={12} /> Retry
+          </button>
+        </div>
+      )}
+      {message.status === 'stopped' && (
+        <div className="text-xs mt-2" style={{ color: c.textTertiary }}>Stopped.</div>
+      )}
+      {citations.length > 0 && (
+        <div className="mt-2 space-y-0.5 text-xs">
+          {citations.map(citation => (
+            <button
+              key={citation.n}
+              onClick={() => onCite(citation)}
+              className="flex items-center gap-1.5 w-full text-left hover:opacity-80"
+              style={{ color: c.textTertiary }}
+            >
+              <span className="px-1 rounded font-medium" style={{ background: c.accentMuted, color: c.accentPrimary }}>{citation.n}</span>
+              <span className="truncate">{citationLabel(citation)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      {message.proposal && (
+        <button
+          onClick={() => onReview(message.proposal.docId)}
+          className="flex items-center gap-1 mt-2 text-xs px-2 py-1 rounded"
+          style={{ background: c.accentMuted, color: c.accentPrimary }}
+        >
+          <Pencil size={12} />
+          Review {message.proposal.count} proposed edit{message.proposal.count === 1 ? '' : 's'} to {message.proposal.docName}
+        </button>
+      )}
+      {message.usage && (
+        <div className="text-xs mt-2" style={{ color: c.textTertiary }}>{formatUsage(message.usage)}</div>
+      )}
+    </div>
+  );
+};
+
+// Edit Review Component
+const HunkView = ({ hunk, onAccept, onReject, onTweak }) => {
+  const { tokens: c } = useTheme();
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(hunk.replacement);
+  const parts = useMemo(() => diffWords(hunk.original, hunk.replacement), [hunk.original, hunk.replacement]);
+
+  if (editing) {
+    return (
+      <span className="inline-flex items-center gap-1 align-baseline">
+        <input
+          autoFocus
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              onTweak(draft);
+              setEditing(false);
+            } else if (e.key === 'Escape') {
+              setEditing(false);
+            }
+          }}
+          className="px-1 rounded outline-none font-mono text-sm"
+          style={{ background: c.surfaceElevated, border: `1px solid ${c.accentPrimary}`, color: c.textPrimary, width: `${Math.max(draft.length, 8) + 2}ch` }}
+        />
+        <button onClick={() => { onTweak(draft); setEditing(false); }} title="Save (Enter)">
+          <Check size={14} style={{ color: c.statusSuccess }} />
+        </button>
+      </span>
+    );
+  }
+
+  return (
+    <span className="rounded" style={{ background: c.surfaceOverlay, outline: `1px solid ${c.borderDefault}` }} title={hunk.reason}>
+      {parts.map((part, i) => (
+        <span
+          key={i}
+          style={part.type === 'equal' ? undefined : {
+            background: part.type === 'insert' ? `${c.statusSuccess}33` : `${c.statusError}33`,
+            color: part.type === 'insert' ? c.statusSuccess : c.statusError,
+            textDecoration: part.type === 'delete' ? 'line-through' : 'none'
+          }}
+        >
+          {part.text}
+        </span>
+      ))}
+      <span className="inline-flex items-center gap-1 mx-1 align-middle select-none">
+        <button onClick={onAccept} title={`Accept${hunk.reason ? `: ${hunk.reason}` : ''}`}>
+          <Check size={14} style={{ color: c.statusSuccess }} />
+        </button>
+        <button onClick={onReject} title="Reject">
+          <X size={14} style={{ color: c.statusError }} />
+        </button>
+        <button onClick={() => { setDraft(hunk.replacement); setEditing(true); }} title="Tweak the replacement">
+          <Pencil size={12} style={{ color: c.textTertiary }} />
+        </button>
+      </span>
+    </span>
+  );
+};
+
+const EditReview = ({ content, proposal, onAccept, onReject, onTweak, onClose }) => {
+  const { tokens: c } = useTheme();
+  const pending = pendingHunks(proposal);
+  const stale = proposal.hunks.filter(h => h.status === 'stale').length;
+
+  const segments = [];
+  let cursor = 0;
+  pending.forEach(hunk => {
+    segments.push(content.slice(cursor, hunk.start));
+    segments.push(hunk);
+    cursor = hunk.end;
+  });
+  segments.push(content.slice(cursor));
+
+  return (
+    <div>
+      <div
+        className="sticky top-0 z-10 flex items-center justify-between gap-2 mb-3 px-3 py-2 rounded-lg text-sm"
+        style={{ background: c.surfaceOverlay, border: `1px solid ${c.borderSubtle}` }}
+      >
+        <span style={{ color: c.textSecondary }}>
+          {pending.length} proposed edit{pending.length === 1 ? '' : 's'} from {proposal.agentName}
+          {stale > 0 && <span style={{ color: c.textTertiary }}> · {stale} no longer match the text</span>}
+          {proposal.unmatched.length > 0 && <span style={{ color: c.textTertiary }}> · {proposal.unmatched.length} could not be located</span>}
+        </span>
+        <span className="flex items-center gap-2">
+          <button
+            onClick={() => onAccept(pending.map(h => h.id))}
+            className="text-xs px-2 py-1 rounded"
+            style={{ background: c.accentPrimary, color: '#fff' }}
+          >
+            Accept All
+          </button>
+          <button
+            onClick={() => onReject(pending.map(h => h.id))}
+            className="text-xs px-2 py-1 rounded"
+            style={{ background: c.borderSubtle, color: c.textSecondary }}
+          >
+            Reject All
+          </button>
+          <button onClick={onClose} title="Close review">
+            <X size={16} style={{ color: c.textTertiary }} />
+          </button>
+        </span>
+      </div>
+      <div
+        className="font-mono text-sm leading-relaxed whitespace-pre-wrap break-words p-4 rounded-lg"
+        style={{ background: c.surfaceEditor, color: c.textSecondary, border: `1px solid ${c.borderSubtle}` }}
+      >
+        {segments.map((segment, i) => (typeof segment === 'string' ? segment : (
+          <HunkView
+            key={segment.id}
+            hunk={segment}
+            onAccept={() => onAccept([segment.id])}
+            onReject={() => onReject([segment.id])}
+            onTweak={(text) => onTweak(segment.id, text)}
+          />
+        )))}
+      </div>
+    </div>
+  );
+};
+
+// Chronicler Panel Component
+const ChroniclerPanel = ({ onGenerate, onClose }) => {
+  const { tokens: c } = useTheme();
+  const [gitLog, setGitLog] = useState('');
+  const [repoUrl, setRepoUrl] = useState('');
+  const [includeOther, setIncludeOther] = useState(false);
+  const [polish, setPolish] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const fileInputRef = useRef(null);
+  const result = useMemo(
+    () => (gitLog.trim() ? generateChangelog(gitLog, { repoUrl: repoUrl.trim(), includeOther }) : null),
+    [gitLog, repoUrl, includeOther],
+  );
+  const inputStyle = { background: c.surfaceElevated, border: `1px solid ${c.borderSubtle}`, color: c.textPrimary };
+  const entryCount = result
+    ? result.releases.reduce((sum, r) => sum + Object.values(r.sections).reduce((n, entries) => n + entries.length, 0), 0)
+    : 0;
+
+  return (
+    <div className="rounded-lg p-4 mb-4" style={{ background: c.surfaceOverlay, border: `1px solid ${c.borderSubtle}` }}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <span className="text-xl">📜</span>
+          <span className="font-semibold">The Chronicler: Changelog from Git history</span>
+        </div>
+        <button onClick={onClose} title="Close">
+          <X size={16} style={{ color: c.textTertiary }} />
+        </button>
+      </div>
+      <p className="text-xs mb-2" style={{ color: c.textTertiary }}>
+        Paste <code>git log</code> output (default, <code>--oneline --decorate</code>, or the export below) or load a saved file.
+      </p>
+      <code className="block text-xs mb-3 px-2 py-1 rounded overflow-x-auto whitespace-nowrap" style={{ background: c.surfaceElevated, color: c.textSecondary }}>
+        {GIT_LOG_COMMAND} &gt; git-log.txt
+      </code>
+      <textarea
+        value={gitLog}
+        onChange={(e) => {
+          setGitLog(e.target.value);
+          setLoadError(null);
+        }}
+        placeholder="commit 3f2a9c1 (tag: v1.2.0)&#10;Author: …&#10;&#10;    feat(auth): add token refresh (#42)"
+        className="w-full h-32 px-3 py-2 rounded-lg outline-none font-mono text-xs resize-y"
+        style={inputStyle}
+        spellCheck={false}
+      />
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-sm">
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-1 text-xs px-2 py-1 rounded"
+          style={{ background: c.borderSubtle, color: c.textSecondary }}
+        >
+          <Upload size={12} /> Load export…
+        </button>
+        <input
+          type="url"
+          value={repoUrl}
+          onChange={(e) => setRepoUrl(e.target.value)}
+          placeholder="Repository URL for links (optional)"
+          className="flex-1 min-w-[12rem] px-2 py-1 rounded outline-none text-xs"
+          style={inputStyle}
+        />
+        <label className="flex items-center gap-1 text-xs" style={{ color: c.textSecondary }}>
+          <input type="checkbox" checked={includeOther} onChange={(e) => setIncludeOther(e.target.checked)} />
+          Include non-conventional commits
+        </label>
+        <label className="flex items-center gap-1 text-xs" style={{ color: c.textSecondary }}>
+          <input type="checkbox" checked={polish} onChange={(e) => setPolish(e.target.checked)} />
+          Polish wording with the agent
+        </label>
+      </div>
+      {loadError && (
+        <div className="flex items-start gap-1 mt-3 text-xs" style={{ color: c.statusError }}>
+          <AlertTriangle size={12} className="mt-0.5 flex-shrink-0" /> {loadError}
+        </div>
+      )}
+      <div className="flex items-center justify-between mt-3">
+        <span className="text-xs" style={{ color: c.textTertiary }}>
+          {result
+            ? `${result.commits} commits · ${result.releases.length} release${result.releases.length === 1 ? '' : 's'} · ${entryCount} entries`
+            : 'No commits yet.'}
+        </span>
+        <button
+          onClick={() => onGenerate(result.markdown, { polish })}
+          disabled={!entryCount}
+          className="text-sm px-3 py-1.5 rounded"
+          style={{ background: c.accentPrimary, color: '#fff', opacity: entryCount ? 1 : 0.5 }}
+        >
+          Generate CHANGELOG.md
+        </button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".txt,.log,text/plain"
+        className="hidden"
+        onChange={async (e) => {
+          const file = e.target.files[0];
+          e.target.value = '';
+          if (!file) return;
+          try {
+            setGitLog(await file.text());
+            setLoadError(null);
+          } catch (error) {
+            setLoadError(`Could not read ${file.name}: ${error.message}`);
+          }
+        }}
+      />
+    </div>
+  );
+};
+
+// Scribe Panel Component
+const ScribePanel = ({ rules, onGenerate, onClose }) => {
+  const { tokens: c } = useTheme();
+  const [source, setSource] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [autoFix, setAutoFix] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Parse, render and lint as soon as a spec is provided
+  const result = useMemo(() => {
+    if (!source.trim()) return null;
+    try {
+      const api = normalizeSpec(parseSpec(source));
+      const pages = renderReference(api).map(page => {
+        const issues = lintDocument(page.content, rules);
+        return { ...page, issues, fixable: issues.filter(issue => issue.suggestion !== null) };
+      });
+      return { api, pages };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [source, rules]);
+
+  const handleGenerate = () => {
+    const pages = result.pages.map(page => ({
+      path: page.path,
+      content: autoFix ? applyFixes(page.content, page.fixable).content : page.content,
+    }));
+    onGenerate(result.api.title, pages);
+  };
+
+  return (
+    <div className="rounded-lg p-4 mb-4" style={{ background: c.surfaceOverlay, border: `1px solid ${c.borderSubtle}` }}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <span className="text-xl">📖</span>
+          <span className="font-semibold">The Scribe: Reference docs from OpenAPI</span>
+        </div>
+        <button onClick={onClose} title="Close">
+          <X size={16} style={{ color: c.textTertiary }} />
+        </button>
+      </div>
+      <p className="text-xs mb-2" style={{ color: c.textTertiary }}>
+        Load or paste an OpenAPI 3.x or Swagger 2.0 document in JSON or YAML. Local <code>$ref</code>s are resolved.
+      </p>
+      <textarea
+        value={source}
+        onChange={(e) => {
+          setSource(e.target.value);
+          setFileName('');
+          setLoadError(null);
+        }}
+        placeholder={'openapi: 3.0.3\ninfo:\n  title: My API\n  version: 1.0.0\npaths: …'}
+        className="w-full h-32 px-3 py-2 rounded-lg outline-none font-mono text-xs resize-y"
+        style={{ background: c.surfaceElevated, border: `1px solid ${c.borderSubtle}`, color: c.textPrimary }}
+        spellCheck={false}
+      />
+      <div className="flex flex-wrap items-center gap-4 mt-3">
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-1 text-xs px-2 py-1 rounded"
+          style={{ background: c.borderSubtle, color: c.textSecondary }}
+        >
+          <Upload size={12} /> Load spec…
+        </button>
+        {fileName && <span className="text-xs" style={{ color: c.textTertiary }}>{fileName}</span>}
+        <label className="flex items-center gap-1 text-xs" style={{ color: c.textSecondary }}>
+          <input type="checkbox" checked={autoFix} onChange={(e) => setAutoFix(e.target.checked)} />
+          Apply style fixes before opening
+        </label>
+      </div>
+
+      {(loadError || result?.error) && (
+        <div className="flex items-start gap-1 mt-3 text-xs" style={{ color: c.statusError }}>
+          <AlertTriangle size={12} className="mt-0.5 flex-shrink-0" /> {loadError || result.error}
+        </div>
+      )}
+
+      {result?.pages && (
+        <div className="mt-3">
+          <div className="text-xs mb-2" style={{ color: c.textSecondary }}>
+            {result.api.title}{result.api.version ? ` v${result.api.version}` : ''} · {result.api.operations.length} endpoints · {result.pages.length} pages
+          </div>
+          <div className="space-y-1 mb-3">
+            {result.pages.map(page => (
+              <div key={page.path} className="flex justify-between text-xs px-2 py-1 rounded" style={{ background: c.surfaceElevated }}>
+                <span className="font-mono">{page.path}</span>
+                <span style={{ color: page.issues.length ? c.statusWarning : c.statusSuccess }}>
+                  {page.issues.length
+                    ? `${page.issues.length} style issue${page.issues.length === 1 ? '' : 's'}${page.fixable.length ? ` (${page.fixable.length} fixable)` : ''}`
+                    : 'No style issues'}
+                </span>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={handleGenerate}
+              className="text-sm px-3 py-1.5 rounded"
+              style={{ background: c.accentPrimary, color: '#fff' }}
+            >
+              Open in editor
+            </button>
+          </div>
+        </div>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.yaml,.yml,application/json,application/yaml,text/yaml"
+        className="hidden"
+        onChange={async (e) => {
+          const file = e.target.files[0];
+          e.target.value = '';
+          if (!file) return;
+          try {
+            setSource(await file.text());
+            setFileName(file.name);
+            setLoadError(null);
+          } catch (error) {
+            setLoadError(`Could not read ${file.name}: ${error.message}`);
+          }
+        }}
+      />
+    </div>
+  );
+};
+
+// Agent Card Component
+const AgentCard = ({ name, description, icon, license, available, onStart, onUpgrade }) => {
+  const { tokens: c } = useTheme();
+
+  return (
+    <div
+      className="p-4 rounded-lg transition-all duration-200"
+      style={{
+        background: c.surfaceOverlay,
+        border: `1px solid ${c.borderSubtle}`,
+        opacity: available ? 1 : 0.7
+      }}
+    >
+      <div className="flex items-center gap-2 mb-2">
+        <span className="text-xl">{icon}</span>
+        <span className="font-semibold" style={{ color: c.textPrimary }}>{name}</span>
+      </div>
+      <p className="text-sm mb-3" style={{ color: c.textSecondary }}>
+        {description}
+      </p>
+      <div className="flex items-center justify-between">
+        <span className="text-xs px-2 py-1 rounded" style={{
+          background: c.surfaceElevated,
+          color: c.textTertiary
+        }}>
+          {license}
+        </span>
+        {available ? (
+          <button
+            onClick={onStart}
+            className="flex items-center gap-1 text-sm px-3 py-1.5 rounded transition-colors"
+            style={{ background: c.accentPrimary, color: '#fff' }}
+          >
+            <Play size={14} /> Start
+          </button>
+        ) : (
+          <button
+            onClick={onUpgrade}
+            className="flex items-center gap-1 text-sm px-3 py-1.5 rounded"
+            style={{ background: c.borderSubtle, color: c.textTertiary }}
+          >
+            <Lock size={14} /> Upgrade
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Session List Component
+const SessionList = ({ sessions, activeId, onResume, onRename, onExport, onDelete }) => {
+  const { tokens: c } = useTheme();
+
+  return (
+    <div
+      className="w-56 flex-shrink-0 rounded-lg p-2 h-80 overflow-y-auto"
+      style={{ background: c.surfaceOverlay, border: `1px solid ${c.borderSubtle}` }}
+    >
+      <div className="text-xs font-semibold uppercase tracking-wide px-2 py-1 mb-1" style={{ color: c.textSecondary }}>
+        Sessions
+      </div>
+      {sessions.length === 0 ? (
+        <div className="text-xs px-2 py-4" style={{ color: c.textTertiary }}>No sessions yet.</div>
+      ) : (
+        sessions.map(session => {
+          const agent = getAgent(session.agentId);
+          return (
+            <div
+              key={session.id}
+              onClick={() => onResume(session.id)}
+              className="group px-2 py-1.5 rounded cursor-pointer"
+              style={{ background: session.id === activeId ? c.surfaceElevated : 'transparent' }}
+            >
+              <div className="flex items-center gap-1.5 text-sm">
+                <span>{agent.icon}</span>
+                <span className="flex-1 truncate" title={session.title} style={{ color: c.textPrimary }}>{session.title}</span>
+              </div>
+              <div className="flex items-center justify-between text-xs mt-0.5" style={{ color: c.textTertiary }}>
+                <span>
+                  {session.messages.length} messages{session.endedAt ? ' · ended' : ''}
+                </span>
+                <span className="hidden group-hover:flex items-center gap-1.5">
+                  <button onClick={(e) => { e.stopPropagation(); onRename(session); }} title="Rename">
+                    <Pencil size={12} />
+                  </button>
+                  <button onClick={(e) => { e.stopPropagation(); onExport(session, 'markdown'); }} title="Export as Markdown">
+                    <Download size={12} />
+                  </button>
+                  <button onClick={(e) => { e.stopPropagation(); onExport(session, 'json'); }} title="Export as JSON">
+                    <Code size={12} />
+                  </button>
+                  <button onClick={(e) => { e.stopPropagation(); onDelete(session); }} title="Delete">
+                    <Trash2 size={12} />
+                  </button>
+                </span>
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+// Search Results Component
+const SearchResults = ({ results, error, onOpen }) => {
+  const { tokens: c } = useTheme();
+
+  if (error) {
+    return <div className="text-sm py-6 text-center" style={{ color: c.statusError }}>Search failed: {error}</div>;
+  }
+
+  if (!results.length) {
+    return <div className="text-sm py-6 text-center" style={{ color: c.textTertiary }}>No matching documents.</div>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {results.map(result => (
+        <div
+          key={result.doc.id}
+          onClick={() => onOpen(result)}
+          className="p-3 rounded-lg cursor-pointer hover:opacity-80"
+          style={{ background: c.surfaceOverlay }}
+        >
+          <div className="flex items-center gap-2 text-sm">
+            <FileText size={14} style={{ color: c.textTertiary }} />
+            <span className="font-medium">{result.doc.title}{result.doc.heading ? ` › ${result.doc.heading}` : ''}</span>
+            <span className="flex-1 truncate text-xs" style={{ color: c.textTertiary }}>
+              {result.doc.sourceName} / {result.doc.path}:{result.snippet.line}
+            </span>
+            <span className="text-xs" style={{ color: c.textTertiary }}>
+              {result.matches} match{result.matches === 1 ? '' : 'es'}
+            </span>
+          </div>
+          <div className="mt-1.5 text-xs font-mono whitespace-pre-wrap break-words" style={{ color: c.textSecondary }}>
+            {result.snippet.segments.map((segment, i) => (segment.match ? (
+              <mark key={i} className="rounded px-0.5" style={{ background: c.accentMuted, color: c.textPrimary }}>{segment.text}</mark>
+            ) : segment.text))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Source Card Component
+const sourceStatusLabel = (source, now) => {
+  switch (source.status) {
+    case 'indexing':
+      return `Indexing ${source.done} of ${source.files.length} files`;
+    case 'paused':
+      return `Paused at ${source.done} of ${source.files.length} files`;
+    case 'indexed':
+      return source.indexedAt ? `Indexed ${formatRelativeTime(source.indexedAt, now).toLowerCase()}` : 'Indexed';
+    case 'error':
+      return 'None of the files could be indexed';
+    default:
+      return 'Waiting to index';
+  }
+};
+
+const SourceCard = ({ source, now, onReindex, onTogglePause, onRemove }) => {
+  const { tokens: c } = useTheme();
+  const busy = source.status === 'indexing' || source.status === 'queued';
+  const paused = source.status === 'paused';
+
+  return (
+    <div className="group p-4 rounded-lg mb-3" style={{ background: c.surfaceOverlay }}>
+      <div className="flex items-center gap-2 mb-1">
+        {source.status === 'indexed' && <CheckCircle size={16} style={{ color: c.statusSuccess }} />}
+        {source.status === 'error' && <AlertTriangle size={16} style={{ color: c.statusError }} />}
+        {paused && <Pause size={16} style={{ color: c.textTertiary }} />}
+        {busy && (
+          <div className="w-4 h-4 rounded-full border-2 border-t-transparent animate-spin" style={{ borderColor: c.accentPrimary }} />
+        )}
+        <span className="font-medium truncate" title={source.name}>{source.name}</span>
+        <span className="text-xs whitespace-nowrap" style={{ color: c.textTertiary }}>
+          ({source.files.length} files · {source.chunks} chunks)
+        </span>
+        <span className="ml-auto hidden group-hover:flex items-center gap-1.5" style={{ color: c.textTertiary }}>
+          {(busy || paused) && (
+            <button onClick={() => onTogglePause(source)} title={paused ? 'Resume' : 'Pause'}>
+              {paused ? <Play size={14} /> : <Pause size={14} />}
+            </button>
+          )}
+          <button onClick={() => onReindex(source)} title="Re-index">
+            <RotateCcw size={14} />
+          </button>
+          <button onClick={() => onRemove(source)} title="Remove">
+            <Trash2 size={14} />
+          </button>
+        </span>
+      </div>
+      <div className="text-xs" style={{ color: c.textTertiary }}>
+        {sourceStatusLabel(source, now)}
+        {source.skipped > 0 && ` · ${source.skipped} unsupported file${source.skipped === 1 ? '' : 's'} skipped`}
+      </div>
+      {(busy || paused) && (
+        <div className="w-full h-1.5 rounded-full mt-2" style={{ background: c.borderSubtle }}>
+          <div
+            className="h-full rounded-full transition-all"
+            style={{ width: `${sourceProgress(source)}%`, background: paused ? c.textTertiary : c.accentPrimary }}
+          />
+        </div>
+      )}
+      {source.errors.length > 0 && (
+        <details className="mt-2 text-xs">
+          <summary className="cursor-pointer" style={{ color: c.statusWarning }}>
+            {source.errors.length} file{source.errors.length === 1 ? '' : 's'} could not be indexed
+          </summary>
+          <ul className="mt-1 space-y-0.5 max-h-32 overflow-y-auto">
+            {source.errors.map(error => (
+              <li key={error.path} style={{ color: c.textSecondary }}>
+                <span className="font-mono">{error.path}</span>: {error.message}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+// Source List Component
+const SourceList = ({ sources, now, onAdd, onReindex, onTogglePause, onRemove }) => {
+  const { tokens: c } = useTheme();
+  const filesInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  const addButton = (label, inputRef) => (
+    <button
+      onClick={() => inputRef.current?.click()}
+      className="flex-1 p-3 rounded-lg border-2 border-dashed text-center transition-colors"
+      style={{ borderColor: c.borderSubtle, color: c.textSecondary }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      {sources.length === 0 && (
+        <div className="text-sm mb-3" style={{ color: c.textTertiary }}>
+          Add a docs folder, a codebase or an API spec to search it alongside your documents.
+        </div>
+      )}
+      {sources.map(source => (
+        <SourceCard
+          key={source.id}
+          source={source}
+          now={now}
+          onReindex={onReindex}
+          onTogglePause={onTogglePause}
+          onRemove={onRemove}
+        />
+      ))}
+      <div className="flex gap-3">
+        {addButton('+ Add Files', filesInputRef)}
+        {addButton('+ Add Folder', folderInputRef)}
+      </div>
+      <input
+        ref={filesInputRef}
+        type="file"
+        className="hidden"
+        multiple
+        onChange={(e) => {
+          onAdd([...e.target.files]);
+          e.target.value = '';
+        }}
+      />
+      <input
+        ref={folderInputRef}
+        type="file"
+        className="hidden"
+        webkitdirectory=""
+        multiple
+        onChange={(e) => {
+          onAdd([...e.target.files]);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
+
+// Source Viewer Component
+const SourceViewer = ({ source, passage, onClose }) => {
+  const { tokens: c } = useTheme();
+  const markRef = useRef(null);
+  const file = source.files.find(f => f.path === passage.path);
+  const lines = useMemo(() => (file ? file.content.split('\n') : []), [file]);
+  const lastLine = file ? passage.line + (file.content.slice(passage.start, passage.end).match(/\n/g) || []).length : 0;
+
+  useEffect(() => {
+    markRef.current?.scrollIntoView?.({ block: 'center' });
+  }, [passage]);
+
+  return (
+    <div className="mb-8 rounded-lg overflow-hidden" style={{ border: `1px solid ${c.borderSubtle}` }}>
+      <div className="flex items-center gap-2 px-3 py-2 text-sm" style={{ background: c.surfaceOverlay }}>
+        <FileText size={14} style={{ color: c.textTertiary }} />
+        <span className="font-medium">{source.name}</span>
+        <span className="flex-1 truncate text-xs" style={{ color: c.textTertiary }}>{passage.path}:{passage.line}</span>
+        <button onClick={onClose} title="Close" style={{ color: c.textTertiary }}>
+          <X size={14} />
+        </button>
+      </div>
+      {file ? (
+        <div className="max-h-96 overflow-auto py-2 font-mono text-xs" style={{ background: c.surfaceEditor }}>
+          {lines.map((text, i) => {
+            const line = i + 1;
+            const marked = line >= passage.line && line <= lastLine;
+            return (
+              <div
+                key={line}
+                ref={line === passage.line ? markRef : null}
+                className="flex"
+                style={{ background: marked ? c.accentMuted : 'transparent' }}
+              >
+                <span className="w-12 flex-shrink-0 pr-3 text-right select-none" style={{ color: c.textTertiary }}>{line}</span>
+                <span className="whitespace-pre-wrap break-words pr-3" style={{ color: c.textPrimary }}>{text || ' '}</span>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="p-4 text-sm" style={{ color: c.textTertiary }}>This file is no longer part of the source.</div>
+      )}
+    </div>
+  );
+};
+
+// Project Explorer Component
+const TreeNode = ({ node, depth, activePath, collapsed, onToggle, onOpen, onAction, onMove }) => {
+  const { tokens: c } = useTheme();
+  const [dragOver, setDragOver] = useState(false);
+  const isFolder = node.type === 'folder';
+  const isOpen = isFolder && !collapsed.has(node.path);
+  const Icon = isFolder ? (isOpen ? FolderOpen : Folder) : FileText;
+
+  return (
+    <div>
+      <div
+        draggable
+        onDragStart={(e) => e.dataTransfer.setData('application/x-lexichord-path', node.path)}
+        onDragOver={(e) => {
+          if (!isFolder) return;
+          e.preventDefault();
+          setDragOver(true);
+        }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          setDragOver(false);
+          const path = e.dataTransfer.getData('application/x-lexichord-path');
+          if (path) onMove(path, node.path);
+        }}
+        onClick={() => (isFolder ? onToggle(node.path) : onOpen(node.path))}
+        className="group flex items-center gap-1.5 py-1 pr-2 text-sm cursor-pointer rounded"
+        style={{
+          paddingLeft: `${depth * 12 + 8}px`,
+          background: dragOver ? c.accentMuted : node.path === activePath ? c.surfaceOverlay : 'transparent',
+          color: node.path === activePath ? c.textPrimary : c.textSecondary
+        }}
+        title={node.path}
+      >
+        {isFolder
+          ? <ChevronRight size={12} style={{ transform: isOpen ? 'rotate(90deg)' : 'none', color: c.textTertiary }} />
+          : <span className="w-3" />}
+        <Icon size={14} style={{ color: isFolder ? c.accentPrimary : c.textTertiary }} />
+        <span className="flex-1 truncate">{node.name}</span>
+        <span className="hidden group-hover:flex items-center gap-1">
+          {isFolder && (
+            <button onClick={(e) => { e.stopPropagation(); onAction('newFile', node.path); }} title="New file">
+              <FilePlus size={12} style={{ color: c.textTertiary }} />
+            </button>
+          )}
+          <button onClick={(e) => { e.stopPropagation(); onAction('rename', node.path); }} title="Rename">
+            <Pencil size={12} style={{ color: c.textTertiary }} />
+          </button>
+          <button onClick={(e) => { e.stopPropagation(); onAction('delete', node.path); }} title="Delete">
+            <Trash2 size={12} style={{ color: c.textTertiary }} />
+          </button>
+        </span>
+      </div>
+      {isOpen && node.children.map(child => (
+        <TreeNode
+          key={child.path}
+          node={child}
+          depth={depth + 1}
+          activePath={activePath}
+          collapsed={collapsed}
+          onToggle={onToggle}
+          onOpen={onOpen}
+          onAction={onAction}
+          onMove={onMove}
+        />
+      ))}
+    </div>
+  );
+};
+
+const ProjectExplorer = ({ project, activePath, onOpen, onAction, onMove, onImportFolder, onImportZip, onExport }) => {
+  const { tokens: c } = useTheme();
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const folderInputRef = useRef(null);
+  const zipInputRef = useRef(null);
+  const tree = useMemo(() => buildTree(project), [project]);
+
+  const toggle = (path) => setCollapsed(prev => {
+    const next = new Set(prev);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    return next;
+  });
+
+  const toolbar = [
+    { label: 'New file', icon: FilePlus, action: () => onAction('newFile', '') },
+    { label: 'New folder', icon: FolderPlus, action: () => onAction('newFolder', '') },
+    { label: 'Import folder', icon: Upload, action: () => folderInputRef.current?.click() },
+    { label: 'Import .zip', icon: FileText, action: () => zipInputRef.current?.click() },
+    { label: 'Export as .zip', icon: Download, action: onExport },
+  ];
+
+  return (
+    <aside
+      className="w-60 border-r flex flex-col overflow-hidden"
+      style={{ background: c.surfaceElevated, borderColor: c.borderSubtle }}
+    >
+      <div className="flex items-center justify-between px-3 py-2 border-b" style={{ borderColor: c.borderSubtle }}>
+        <span className="text-xs font-semibold uppercase tracking-wide" style={{ color: c.textSecondary }}>Explorer</span>
+        <div className="flex items-center gap-1">
+          {toolbar.map(({ label, icon: Icon, action }) => (
+            <button key={label} onClick={action} className="p-1 rounded hover:opacity-70" title={label}>
+              <Icon size={14} style={{ color: c.textTertiary }} />
+            </button>
+          ))}
+        </div>
+      </div>
+      <div
+        className="flex-1 overflow-y-auto py-1"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          const path = e.dataTransfer.getData('application/x-lexichord-path');
+          if (path) onMove(path, '');
+        }}
+      >
+        {tree.children.length === 0 ? (
+          <div className="text-center text-xs py-8" style={{ color: c.textTertiary }}>
+            This project is empty.
+          </div>
+        ) : (
+          tree.children.map(node => (
+            <TreeNode
+              key={node.path}
+              node={node}
+              depth={0}
+              activePath={activePath}
+              collapsed={collapsed}
+              onToggle={toggle}
+              onOpen={onOpen}
+              onAction={onAction}
+              onMove={onMove}
+            />
+          ))
+        )}
+      </div>
+      <input
+        ref={folderInputRef}
+        type="file"
+        className="hidden"
+        webkitdirectory=""
+        multiple
+        onChange={(e) => {
+          onImportFolder([...e.target.files]);
+          e.target.value = '';
+        }}
+      />
+      <input
+        ref={zipInputRef}
+        type="file"
+        accept=".zip,application/zip"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files[0]) onImportZip(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+    </aside>
+  );
+};
+
+// Project Menu Component
+const ProjectMenu = ({ projects, activeProject, autosave, showExplorer, onSwitch, onAction }) => {
+  const { tokens: c } = useTheme();
+  const [open, setOpen] = useState(false);
+
+  const itemClass = 'w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left hover:opacity-80';
+  const choose = (action) => {
+    setOpen(false);
+    action();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="flex items-center gap-1 px-3 py-1 rounded text-sm"
+        style={{ background: c.surfaceOverlay }}
+      >
+        <span>📁 {activeProject.name}</span>
+        <ChevronDown size={14} style={{ color: c.textTertiary }} />
+      </button>
+      {open && (
+        <div
+          className="absolute left-0 top-full mt-1 w-56 py-1 rounded-lg shadow-lg z-20"
+          style={{ background: c.surfaceElevated, border: `1px solid ${c.borderDefault}` }}
+        >
+          {projects.map(project => (
+            <button key={project.id} onClick={() => choose(() => onSwitch(project.id))} className={itemClass}>
+              <span className="w-3.5">
+                {project.id === activeProject.id && <Check size={14} style={{ color: c.accentPrimary }} />}
+              </span>
+              <span className="truncate">{project.name}</span>
+            </button>
+          ))}
+          <div className="my-1 border-t" style={{ borderColor: c.borderSubtle }} />
+          {[
+            { id: 'newProject', label: 'New project…' },
+            { id: 'renameProject', label: 'Rename project…' },
+            { id: 'deleteProject', label: 'Delete project…' },
+            { id: 'toggleExplorer', label: showExplorer ? 'Hide explorer' : 'Show explorer' },
+            { id: 'toggleAutosave', label: `Autosave: ${autosave ? 'On' : 'Off'}` },
+          ].map(item => (
+            <button
+              key={item.id}
+              onClick={() => choose(() => onAction(item.id))}
+              className={itemClass}
+              style={{ color: item.id === 'deleteProject' ? c.statusError : c.textSecondary }}
+            >
+              <span className="w-3.5" />
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Where the style report goes when a document is exported
+const EXPORT_REPORT_OPTIONS = [
+  { id: 'none', label: 'No report' },
+  { id: 'appendix', label: 'As an appendix' },
+  { id: 'separate', label: 'As a separate file' },
+];
+
+// Export Menu Component
+const ExportMenu = ({ reportMode, onReportModeChange, onExport, keysFor }) => {
+  const { tokens: c } = useTheme();
+  const [open, setOpen] = useState(false);
+
+  const itemClass = 'w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left hover:opacity-80';
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="flex items-center gap-1 px-3 py-1 rounded-lg text-xs"
+        style={{ background: c.surfaceElevated, border: `1px solid ${c.borderSubtle}`, color: c.textSecondary }}
+        title="Export"
+      >
+        <Download size={14} /> Export
+        <ChevronDown size={12} style={{ color: c.textTertiary }} />
+      </button>
+      {open && (
+        <div
+          className="absolute right-0 top-full mt-1 w-60 py-1 rounded-lg shadow-lg z-20"
+          style={{ background: c.surfaceElevated, border: `1px solid ${c.borderDefault}` }}
+        >
+          {[
+            { id: 'html', label: 'HTML' },
+            { id: 'pdf', label: 'Print / Save as PDF…' },
+            { id: 'docx', label: 'Word (.docx)' },
+          ].map((item) => {
+            const keys = keysFor(`export.${item.id}`) || [];
+            return (
+              <button
+                key={item.id}
+                onClick={() => {
+                  setOpen(false);
+                  onExport(item.id);
+                }}
+                className={itemClass}
+                style={{ color: c.textSecondary }}
+              >
+                <span className="flex-1">{item.label}</span>
+                {keys.length > 0 && (
+                  <span className="text-xs" style={{ color: c.textTertiary }}>{formatShortcut(keys[0], IS_MAC)}</span>
+                )}
+              </button>
+            );
+          })}
+          <div className="my-1 border-t" style={{ borderColor: c.borderSubtle }} />
+          <div className="px-3 py-1 text-xs uppercase tracking-wide" style={{ color: c.textTertiary }}>Style report</div>
+          {EXPORT_REPORT_OPTIONS.map(option => (
+            <button key={option.id} onClick={() => onReportModeChange(option.id)} className={itemClass} style={{ color: c.textSecondary }}>
+              <span className="w-3.5">
+                {reportMode === option.id && <Check size={14} style={{ color: c.accentPrimary }} />}
+              </span>
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Document Tab Component
+const DocumentTab = ({ doc, active, dirty, onSelect, onClose, onDragStart, onDrop }) => {
+  const { tokens: c } = useTheme();
+  const [dragOver, setDragOver] = useState(false);
+
+  return (
+    <div
+      draggable
+      onClick={onSelect}
+      onAuxClick={(e) => e.button === 1 && onClose()}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', doc.id);
+        onDragStart(doc.id);
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragOver(true);
+      }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragOver(false);
+        onDrop();
+      }}
+      className={`group flex items-center gap-2 px-3 py-1 text-sm cursor-pointer select-none ${active ? 'rounded-t' : ''}`}
+      style={{
+        background: active ? c.surfaceBase : 'transparent',
+        borderBottom: active ? `2px solid ${c.accentPrimary}` : '2px solid transparent',
+        borderLeft: dragOver ? `2px solid ${c.accentPrimary}` : '2px solid transparent',
+        color: active ? c.textPrimary : c.textSecondary
+      }}
+      title={dirty ? `${doc.name} (unsaved changes)` : doc.name}
+    >
+      <FileText size={14} style={{ color: active ? c.accentPrimary : undefined }} />
+      <span>{doc.name}</span>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onClose();
+        }}
+        className="relative w-3.5 h-3.5 flex items-center justify-center hover:opacity-70"
+        title="Close"
+      >
+        {dirty && (
+          <span className="absolute w-2 h-2 rounded-full group-hover:hidden" style={{ background: c.textSecondary }} />
+        )}
+        <X size={14} className={dirty ? 'hidden group-hover:block' : ''} style={{ color: c.textTertiary }} />
+      </button>
+    </div>
+  );
+};
+
+// Opens a project file as a tab document
+const documentFromFile = (project, path) => createDocument({
+  name: basename(path),
+  content: project.files[path].content,
+  projectId: project.id,
+  path,
+});
+
+const storeFromSession = (project) => {
+  const paths = project.session.openPaths.filter(path => project.files[path]);
+  const store = createStore(paths.map(path => documentFromFile(project, path)));
+  const active = Object.values(store.documents).find(doc => doc.path === project.session.activePath);
+  return active ? activateDocument(store, active.id) : store;
+};
+
+// Adds a score snapshot to a project file's history
+const recordScore = (project, path, snapshot) => setFileScoreHistory(project, path, appendSnapshot(project.files[path]?.scoreHistory, snapshot));
+
+const AUTOSAVE_DELAY_MS = 1000;
+
+const MAX_SEARCH_HISTORY = 20;
+
+// Every file in every project, with unsaved tab content where there is some
+const searchDocumentsFrom = (projects, documents) => {
+  const open = new Map(Object.values(documents).map(doc => [`${doc.projectId}:${doc.path}`, doc]));
+  return Object.values(projects).flatMap(project => Object.values(project.files).map(file => {
+    const id = `${project.id}:${file.path}`;
+    return {
+      id,
+      title: basename(file.path),
+      path: file.path,
+      projectId: project.id,
+      sourceName: project.name,
+      text: open.has(id) ? getContent(open.get(id)) : file.content,
+    };
+  }));
+};
+
+const downloadFile = (name, data, type = 'text/plain') => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Prints an HTML document from a hidden frame, so the browser's print dialog
+// can save it as PDF. Resolves once the dialog closes.
+const printHtml = (html) => new Promise((resolve) => {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+  frame.onload = () => {
+    const done = () => {
+      frame.remove();
+      resolve();
+    };
+    frame.contentWindow.addEventListener('afterprint', done, { once: true });
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+});
+
+// Formats a timestamp relative to now, e.g. "Just now" or "5 min ago"
+const formatRelativeTime = (timestamp, now) => {
+  if (!timestamp) return 'Not modified';
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+// Command Palette Component
+const CommandPalette = ({ commands, onRun, onClose }) => {
+  const { tokens: c } = useTheme();
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const listRef = useRef(null);
+  const results = useMemo(() => searchCommands(commands, query), [commands, query]);
+  const current = Math.min(selected, results.length - 1);
+
+  useEffect(() => {
+    listRef.current?.children[current]?.scrollIntoView?.({ block: 'nearest' });
+  }, [current]);
+
+  const handleKeyDown = (e) => {
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && results.length) {
+      e.preventDefault();
+      setSelected((current + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[current]) {
+      e.preventDefault();
+      onRun(results[current]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-center pt-24" style={{ background: 'rgba(0, 0, 0, 0.4)' }} onClick={onClose}>
+      <div
+        className="w-full max-w-xl h-fit rounded-lg shadow-lg overflow-hidden"
+        style={{ background: c.surfaceElevated, border: `1px solid ${c.borderDefault}` }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-2 px-3 py-2 border-b" style={{ borderColor: c.borderSubtle }}>
+          <Search size={16} style={{ color: c.textTertiary }} />
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setSelected(0);
+            }}
+            onKeyDown={handleKeyDown}
+            placeholder="Type a command…"
+            className="flex-1 bg-transparent outline-none text-sm"
+            style={{ color: c.textPrimary }}
+          />
+        </div>
+        <div ref={listRef} className="max-h-80 overflow-y-auto py-1">
+          {results.map((command, index) => {
+            const label = commandLabel(command);
+            const matched = new Set(command.indices);
+            return (
+              <button
+                key={command.id}
+                onClick={() => onRun(command)}
+                onMouseMove={() => index !== current && setSelected(index)}
+                className="w-full flex items-center gap-2 px-3 py-1.5 text-sm text-left"
+                style={{ background: index === current ? c.accentMuted : 'transparent', color: c.textSecondary }}
+              >
+                <span className="flex-1 truncate">
+                  {[...label].map((ch, i) => (matched.has(i)
+                    ? <span key={i} style={{ color: c.accentPrimary, fontWeight: 600 }}>{ch}</span>
+                    : ch))}
+                </span>
+                {command.keys.map(key => <Kbd key={key} shortcut={key} />)}
+              </button>
+            );
+          })}
+          {!results.length && (
+            <div className="px-3 py-4 text-sm text-center" style={{ color: c.textTertiary }}>No matching commands</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Main App Component
+function Workbench() {
+  // Storage can fail (quota, an aborted transaction); the status bar says so
+  // until a later write succeeds
+  const [storageError, setStorageError] = useState(null);
+  const handleSaveError = (error) => setStorageError({ label: "Couldn't save changes", message: error?.message || 'Storage is unavailable' });
+  const handleLoadError = (error) => setStorageError({ label: "Couldn't load saved data", message: error?.message || 'Storage is unavailable' });
+
+  const [activeNav, setActiveNav] = useState('editor');
+  const [showInspector, setShowInspector] = useState(true);
+  const [scoreConfig, setScoreConfig] = usePersistentSetting('scoreConfig', defaultScoreConfig, {
+    restore: restoreScoreConfig,
+    onError: handleSaveError,
+  });
+  // Custom style rules replace the defaults once edited
+  const [rules, setRules] = usePersistentSetting('rules', defaultRules, {
+    restore: (saved) => (Array.isArray(saved) ? saved.map(normalizeRule) : undefined),
+    onError: handleSaveError,
+  });
+  const [ignoredEverywhere, setIgnoredEverywhere] = usePersistentSetting('ignores', [], {
+    restore: (saved) => (Array.isArray(saved) ? saved : undefined),
+    onError: handleSaveError,
+  });
+  const [showIgnored, setShowIgnored] = useState(false);
+  const [analyticsSection, setAnalyticsSection] = useState(-1);
+  const [workspace, setWorkspace] = useState(() => {
+    const project = createProject('My Project', { 'api-reference.md': sampleContent, 'intro.md': introContent });
+    project.session = { openPaths: ['api-reference.md', 'intro.md'], activePath: 'api-reference.md' };
+    return { projects: { [project.id]: project }, activeProjectId: project.id };
+  });
+  const [store, setStore] = useState(() => storeFromSession(Object.values(workspace.projects)[0]));
+  const [showExplorer, setShowExplorer] = useState(true);
+  const [autosave, setAutosave] = useState(true);
+  const [draggedTab, setDraggedTab] = useState(null);
+  const [activeIssueId, setActiveIssueId] = useState(null);
+  const [editorView, setEditorView] = useState('source');
+  const [showFixPreview, setShowFixPreview] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const [sessions, setSessions] = useState({});
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [chatInput, setChatInput] = useState('');
+  const [providerConfig, setProviderConfig] = usePersistentSetting('llm', defaultProviderConfig, {
+    restore: (saved) => ({ ...defaultProviderConfig, ...saved }),
+    store: storableProviderConfig,
+    onError: handleSaveError,
+  });
+  const [generating, setGenerating] = useState(false);
+  const [activeTool, setActiveTool] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchHistory, setSearchHistory] = usePersistentSetting('searchHistory', [], {
+    restore: (saved) => (Array.isArray(saved) ? saved : undefined),
+    onError: handleSaveError,
+  });
+  const [searchHighlight, setSearchHighlight] = useState(null);
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchError, setSearchError] = useState(null);
+  const [sources, setSources] = useState({});
+  const [sourcePassage, setSourcePassage] = useState(null);
+  const [license, setLicense] = useState(null);
+  const [licenseLoaded, setLicenseLoaded] = useState(false);
+  const [upgradeFeature, setUpgradeFeature] = useState(null);
+  const [showPalette, setShowPalette] = useState(false);
+  const [shortcutBindings, setShortcutBindings] = usePersistentSetting('shortcuts', {}, { onError: handleSaveError });
+  const [exportReport, setExportReport] = usePersistentSetting('exportReport', 'none', {
+    restore: (saved) => (EXPORT_REPORT_OPTIONS.some(option => option.id === saved) ? saved : undefined),
+    onError: handleSaveError,
+  });
+
+  const { tokens: c, mode, updateTheme } = useTheme();
+  const activeDoc = getActiveDocument(store);
+  const content = activeDoc ? getContent(activeDoc) : '';
+  const history = activeDoc?.history;
+  const selection = activeDoc?.selection || { start: 0, end: 0 };
+  const editorPaneRef = useRef(null);
+
+  // History transitions always target whichever document is active
+  const setHistory = (transition) => setStore(prev => updateHistory(prev, prev.activeId, transition));
+  const setSelection = (next) => setStore(prev => updateDocument(prev, prev.activeId, { selection: next }));
+
+  // Lint results are cached per document so switching tabs doesn't re-analyze
+  const lintCache = useRef(new Map());
+  const { analysis, issues: lintIssues } = useMemo(() => {
+    const cached = lintCache.current.get(activeDoc?.id);
+    if (cached && cached.content === content && cached.rules === rules) return cached;
+    const result = { content, rules, ...findIssues(content, rules) };
+    if (activeDoc) lintCache.current.set(activeDoc.id, result);
+    return result;
+  }, [activeDoc?.id, content, rules]);
+
+  // Ignored findings are left out of the Inspector, the score and analytics
+  const fileIgnores = (activeDoc && workspace.projects[activeDoc.projectId]?.files[activeDoc.path]?.ignores) || null;
+  const { issues, ignored } = useMemo(
+    () => applySuppressions(content, lintIssues, [...(fileIgnores || []), ...ignoredEverywhere]),
+    [content, lintIssues, fileIgnores, ignoredEverywhere],
+  );
+  const fixableIssues = useMemo(() => issues.filter(issue => issue.suggestion != null), [issues]);
+  const sectionMetrics = analysis.sections[analyticsSection] || analysis;
+  const scoreResult = useMemo(() => computeScore(content, issues, scoreConfig), [content, issues, scoreConfig]);
+
+  // Document statistics and caret position
+  const stats = useMemo(() => getDocumentStats(content), [content]);
+  const lineStarts = useMemo(() => getLineStarts(content), [content]);
+  const caret = offsetToPosition(lineStarts, Math.min(selection.end, content.length));
+  const selectedWords = selection.end > selection.start ? countWords(content.slice(selection.start, selection.end)) : 0;
+
+  // Keep relative timestamps fresh
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Workspace
+  const activeProject = workspace.projects[workspace.activeProjectId];
+
+  // Files with score snapshots, for the Style Dashboard's history
+  const scoreDocuments = useMemo(() => Object.values(activeProject?.files || {})
+    .filter(file => file.scoreHistory?.length)
+    .map(file => ({ path: file.path, history: file.scoreHistory })), [activeProject?.files]);
+
+  const updateProject = (id, update) => setWorkspace(prev => {
+    const project = prev.projects[id];
+    const next = project && update(project);
+    return next && next !== project ? { ...prev, projects: { ...prev.projects, [id]: next } } : prev;
+  });
+
+  // Restore the workspace from IndexedDB, or seed it with the sample project
+  const persisted = useRef(new Map());
+  const [workspaceLoaded, setWorkspaceLoaded] = useState(false);
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadProjects(), loadSetting('activeProjectId')]).then(([saved, savedActiveId]) => {
+      if (cancelled) return;
+      if (saved.length) {
+        const projects = Object.fromEntries(saved.map(project => [project.id, project]));
+        saved.forEach(project => persisted.current.set(project.id, project));
+        const activeProjectId = projects[savedActiveId] ? savedActiveId : saved[0].id;
+        setWorkspace({ projects, activeProjectId });
+        setStore(storeFromSession(projects[activeProjectId]));
+      }
+      setWorkspaceLoaded(true);
+    }).catch(() => setWorkspaceLoaded(true));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Write every project that changed since it was last persisted
+  useEffect(() => {
+    if (!workspaceLoaded) return;
+    Object.values(workspace.projects).forEach(project => {
+      if (persisted.current.get(project.id) === project) return;
+      persisted.current.set(project.id, project);
+      saveProject(project)
+        .then(() => setStorageError(null))
+        .catch((error) => {
+          // Forget the failed write so the next change tries again
+          if (persisted.current.get(project.id) === project) persisted.current.delete(project.id);
+          handleSaveError(error);
+        });
+    });
+    saveSetting('activeProjectId', workspace.activeProjectId).catch(handleSaveError);
+  }, [workspace, workspaceLoaded]);
+
+  // Mirror the open tabs into the project so a reload reopens them
+  useEffect(() => {
+    if (!activeProject) return;
+    const openPaths = store.order.map(id => store.documents[id].path);
+    const activePath = activeDoc?.path || null;
+    const { session } = activeProject;
+    if (session.activePath === activePath && session.openPaths.join('\n') === openPaths.join('\n')) return;
+    updateProject(activeProject.id, project => ({ ...project, session: { openPaths, activePath } }));
+  }, [store.order, activeDoc?.path, activeProject]);
+
+  // Lints a project file the way the Inspector does, for score snapshots
+  const lintFile = (projectId, path, text) => lintMarkdown(text, {
+    rules,
+    scoreConfig,
+    ignores: [...(workspace.projects[projectId]?.files[path]?.ignores || []), ...ignoredEverywhere],
+  });
+
+  // Writes dirty documents back to their project files, with a score snapshot each
+  const saveDocuments = (ids = store.order) => {
+    const dirty = ids.map(id => store.documents[id]).filter(doc => doc && isDirty(doc));
+    if (!dirty.length) return;
+    const takenAt = Date.now();
+    const snapshots = new Map(dirty.map(doc => [doc.id, takeSnapshot(lintFile(doc.projectId, doc.path, getContent(doc)), { trigger: 'save', takenAt })]));
+    setWorkspace(prev => {
+      const projects = { ...prev.projects };
+      dirty.forEach(doc => {
+        if (!projects[doc.projectId]) return;
+        projects[doc.projectId] = recordScore(writeFile(projects[doc.projectId], doc.path, getContent(doc)), doc.path, snapshots.get(doc.id));
+      });
+      return { ...prev, projects };
+    });
+    setStore(prev => dirty.reduce((next, doc) => markSaved(next, doc.id), prev));
+  };
+
+  useEffect(() => {
+    if (!autosave || !Object.values(store.documents).some(isDirty)) return undefined;
+    const timer = setTimeout(() => saveDocuments(), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [store, autosave]);
+
+  const findOpenDocument = (path) => Object.values(store.documents)
+    .find(doc => doc.projectId === activeProject.id && doc.path === path);
+
+  const handleOpenFile = (path) => {
+    const open = findOpenDocument(path);
+    switchDocument(prev => (open ? activateDocument(prev, open.id) : openDocument(prev, documentFromFile(activeProject, path))));
+    setActiveNav('editor');
+  };
+
+  // Adds a file to the active project and opens it in a new tab
+  const createAndOpenFile = (requestedPath, text = '') => {
+    const path = uniquePath(activeProject, requestedPath);
+    const project = writeFile(activeProject, path, text);
+    const doc = documentFromFile(project, path);
+    updateProject(project.id, () => project);
+    switchDocument(prev => openDocument(prev, doc));
+    return doc;
+  };
+
+  const handleCreateFile = (folder) => {
+    const name = window.prompt('File name', 'untitled.md');
+    if (name) createAndOpenFile(joinPath(folder, /\.\w+$/.test(name) ? name : `${name}.md`));
+  };
+
+  // Keeps open tabs pointing at files after a rename or move
+  const handleMovePath = (from, to) => {
+    const project = movePath(activeProject, from, to);
+    if (project === activeProject) return;
+    updateProject(project.id, () => project);
+    setStore(prev => Object.values(prev.documents).reduce((next, doc) => {
+      if (doc.projectId !== project.id || !(doc.path === from || doc.path.startsWith(`${from}/`))) return next;
+      const path = to + doc.path.slice(from.length);
+      return updateDocument(next, doc.id, { path, name: basename(path) });
+    }, prev));
+  };
+
+  const handleExplorerAction = (action, path) => {
+    if (action === 'newFile') {
+      handleCreateFile(path);
+    } else if (action === 'newFolder') {
+      const name = window.prompt('Folder name');
+      if (name) updateProject(activeProject.id, project => createFolder(project, joinPath(path, name)));
+    } else if (action === 'rename') {
+      const name = window.prompt('Rename to', basename(path));
+      if (name && name !== basename(path)) handleMovePath(path, joinPath(dirname(path), name));
+    } else if (action === 'delete') {
+      if (!window.confirm(`Delete ${path}? This cannot be undone.`)) return;
+      const affected = Object.values(store.documents)
+        .filter(doc => doc.projectId === activeProject.id && (doc.path === path || doc.path.startsWith(`${path}/`)));
+      affected.forEach(doc => lintCache.current.delete(doc.id));
+      switchDocument(prev => affected.reduce((next, doc) => closeDocument(next, doc.id), prev));
+      updateProject(activeProject.id, project => deletePath(project, path));
+    }
+  };
+
+  const handleMoveIntoFolder = (path, folder) => {
+    if (dirname(path) !== folder) handleMovePath(path, joinPath(folder, basename(path)));
+  };
+
+  const handleImportFolder = async (files) => {
+    const markdown = files.filter(file => MARKDOWN_EXTENSIONS.test(file.name));
+    if (!markdown.length) {
+      window.alert('No Markdown files found in that folder.');
+      return;
+    }
+    let imported;
+    try {
+      imported = await Promise.all(markdown.map(async file => ({
+        path: file.webkitRelativePath || file.name,
+        content: await file.text(),
+      })));
+    } catch (error) {
+      window.alert(`Could not import the folder: ${error.message}`);
+      return;
+    }
+    updateProject(activeProject.id, project => importFiles(project, imported));
+  };
+
+  const handleImportZip = async (file) => {
+    try {
+      const decoder = new TextDecoder();
+      const entries = (await readZip(await file.arrayBuffer()))
+        .filter(entry => MARKDOWN_EXTENSIONS.test(entry.path) && !entry.path.startsWith('__MACOSX/'))
+        .map(entry => ({ path: entry.path, content: decoder.decode(entry.bytes) }));
+      if (!entries.length) {
+        window.alert(`${file.name} contains no Markdown files.`);
+        return;
+      }
+      updateProject(activeProject.id, project => importFiles(project, entries, file.name.replace(/\.zip$/i, '')));
+    } catch (error) {
+      window.alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleExportProject = async () => {
+    saveDocuments();
+    // Include unsaved edits without waiting for the save to land in state
+    const files = { ...activeProject.files };
+    Object.values(store.documents).forEach(doc => {
+      if (doc.projectId === activeProject.id && files[doc.path]) {
+        files[doc.path] = { ...files[doc.path], content: getContent(doc) };
+      }
+    });
+    const blob = await createZip(Object.values(files).map(f => ({ path: f.path, content: f.content, modified: f.updatedAt })));
+    downloadFile(`${activeProject.name}.zip`, blob);
+  };
+
+  // Exports the active tab as it is in the editor. The style report matches
+  // the Inspector, so ignored findings stay out of it. HTML keeps the current
+  // theme; print and Word always use the light palette.
+  const handleExportDocument = async (format) => {
+    const title = activeDoc.name.replace(MARKDOWN_EXTENSIONS, '');
+    const report = exportReport === 'none' ? null : buildStyleReport(activeDoc.name, content, { lint: { analysis, issues, ignored, score: scoreResult } });
+    const appendix = exportReport === 'appendix' ? report : null;
+    const separate = exportReport === 'separate' ? report : null;
+    if (format === 'html') {
+      downloadFile(`${title}.html`, exportHTML({ title, content, palette: c, report: appendix }), 'text/html');
+      if (separate) downloadFile(`${title}-style-report.html`, exportHTML({ title, content: null, palette: c, report: separate }), 'text/html');
+    } else if (format === 'pdf') {
+      await printHtml(exportHTML({ title, content, report: appendix }));
+      if (separate) await printHtml(exportHTML({ title, content: null, report: separate }));
+    } else if (format === 'docx') {
+      downloadFile(`${title}.docx`, await createDocx({ title, content, report: appendix }));
+      if (separate) downloadFile(`${title}-style-report.docx`, await createDocx({ title, content: null, report: separate }));
+    }
+  };
+
+  const handleSwitchProject = (id) => {
+    if (id === workspace.activeProjectId) return;
+    saveDocuments();
+    lintCache.current.clear();
+    setWorkspace(prev => ({ ...prev, activeProjectId: id }));
+    setStore(storeFromSession(workspace.projects[id]));
+    setActiveIssueId(null);
+  };
+
+  const handleProjectAction = (action) => {
+    if (action === 'newProject') {
+      const name = window.prompt('Project name', 'New Project');
+      if (!name) return;
+      const project = createProject(name);
+      saveDocuments();
+      lintCache.current.clear();
+      setWorkspace(prev => ({ projects: { ...prev.projects, [project.id]: project }, activeProjectId: project.id }));
+      setStore(createStore());
+    } else if (action === 'renameProject') {
+      const name = window.prompt('Rename project', activeProject.name);
+      if (name) updateProject(activeProject.id, project => ({ ...project, name, updatedAt: Date.now() }));
+    } else if (action === 'deleteProject') {
+      const remaining = Object.values(workspace.projects).filter(project => project.id !== activeProject.id);
+      if (!remaining.length) {
+        window.alert('You cannot delete the only project.');
+        return;
+      }
+      if (!window.confirm(`Delete project "${activeProject.name}" and all of its files?`)) return;
+      deleteProject(activeProject.id).catch(handleSaveError);
+      persisted.current.delete(activeProject.id);
+      lintCache.current.clear();
+      setWorkspace({
+        projects: Object.fromEntries(remaining.map(project => [project.id, project])),
+        activeProjectId: remaining[0].id,
+      });
+      setStore(storeFromSession(remaining[0]));
+    } else if (action === 'toggleExplorer') {
+      setShowExplorer(show => !show);
+    } else if (action === 'toggleAutosave') {
+      setAutosave(on => !on);
+    }
+  };
+
+  // Tabs
+  const rememberScroll = (prev) => (editorPaneRef.current && activeNav === 'editor'
+    ? updateDocument(prev, prev.activeId, { scrollTop: editorPaneRef.current.scrollTop })
+    : prev);
+
+  const switchDocument = (transition) => {
+    setStore(prev => transition(rememberScroll(prev)));
+    setActiveIssueId(null);
+    setShowFixPreview(false);
+    setSearchHighlight(null);
+  };
+
+  const handleNewDocument = () => handleCreateFile('');
+
+  // With autosave on, closing saves; otherwise unsaved changes need confirmation
+  const handleCloseDocument = (doc) => {
+    if (isDirty(doc)) {
+      if (autosave) saveDocuments([doc.id]);
+      else if (!window.confirm(`${doc.name} has unsaved changes. Close it anyway?`)) return;
+    }
+    lintCache.current.delete(doc.id);
+    switchDocument(prev => closeDocument(prev, doc.id));
+  };
+
+  // Restore the scroll offset a document had when it was last active
+  useLayoutEffect(() => {
+    if (editorPaneRef.current && activeDoc) editorPaneRef.current.scrollTop = activeDoc.scrollTop;
+  }, [activeDoc?.id]);
+
+  const handleContentChange = (next) => {
+    setHistory(prev => record(prev, next, { kind: 'typing' }));
+    setSearchHighlight(null);
+  };
+
+  // Each call is a single undoable step, however many issues it fixes
+  const applyIssueFixes = (targets) => {
+    const { content: next, applied } = applyFixes(content, targets);
+    if (!applied.length) return;
+    setHistory(prev => record(prev, next, { kind: 'fix' }));
+    const snapshot = takeSnapshot(lintFile(activeDoc.projectId, activeDoc.path, next), { trigger: 'fix', fixed: applied.length });
+    updateProject(activeDoc.projectId, project => recordScore(project, activeDoc.path, snapshot));
+  };
+
+  const handleApplyFix = (issue) => applyIssueFixes([issue]);
+
+  const handleApplyAll = () => {
+    applyIssueFixes(fixableIssues);
+    setShowFixPreview(false);
+  };
+
+  // "Everywhere" ignores are global settings; the others are stored on the file
+  const updateFileIgnores = (update) => updateProject(activeDoc.projectId, project => (
+    setFileIgnores(project, activeDoc.path, update(project.files[activeDoc.path]?.ignores || []))
+  ));
+
+  const handleIgnoreIssue = (issue, scope) => {
+    const ignore = createIgnore(issue, content, scope);
+    if (scope === 'everywhere') setIgnoredEverywhere(prev => [...prev, ignore]);
+    else updateFileIgnores(prev => [...prev, ignore]);
+  };
+
+  const handleRestoreIssue = (issue) => {
+    const { ignore } = issue.suppressedBy;
+    if (ignore.scope === 'everywhere') setIgnoredEverywhere(prev => prev.filter(entry => entry !== ignore));
+    else updateFileIgnores(prev => prev.filter(entry => entry !== ignore));
+  };
+
+  // Only the key is stored; it is verified again on every load. A key that
+  // can't be read or checked leaves the free tier in place.
+  useEffect(() => {
+    loadSetting('licenseKey')
+      .then(key => key && verifyLicenseKey(key))
+      .then(result => result?.license && setLicense(result.license))
+      .catch(() => setLicense(null))
+      .finally(() => setLicenseLoaded(true));
+  }, []);
+
+  const knowledgeUnlocked = hasFeature(license, 'knowledge-hub', now);
+  const agentsUnlocked = hasFeature(license, 'agents', now);
+
+  const handleActivateLicense = async (key) => {
+    let result;
+    try {
+      result = await verifyLicenseKey(key);
+    } catch (error) {
+      return { valid: false, message: `The license key could not be checked: ${error.message}` };
+    }
+    if (result.valid) {
+      setLicense(result.license);
+      setUpgradeFeature(null);
+      saveSetting('licenseKey', result.license.key).catch(handleSaveError);
+    }
+    return result;
+  };
+
+  const handleDeactivateLicense = () => {
+    setLicense(null);
+    saveSetting('licenseKey', null).catch(handleSaveError);
+  };
+
+  // Upgrade buttons open the License settings, remembering what was wanted
+  const handleUpgrade = (feature) => {
+    setUpgradeFeature(feature);
+    setActiveNav('settings');
+  };
+
+  useEffect(() => {
+    if (activeNav !== 'settings') setUpgradeFeature(null);
+  }, [activeNav]);
+
+  // Writes generated reference pages into a folder named after the API and opens them
+  const handleGenerateReference = (title, pages) => {
+    const folder = uniquePath(activeProject, slugify(title) || 'api-reference');
+    const project = pages.reduce((next, page) => writeFile(next, joinPath(folder, page.path), page.content), activeProject);
+    updateProject(project.id, () => project);
+    switchDocument(prev => pages.reduce(
+      (next, page) => openDocument(next, documentFromFile(project, joinPath(folder, page.path))),
+      prev,
+    ));
+    setActiveTool(null);
+    setActiveNav('editor');
+  };
+
+  // Agent sessions
+  const activeSession = sessions[activeSessionId] || null;
+  const activeAgent = activeSession ? getAgent(activeSession.agentId) : null;
+  const documentContext = getDocumentContext(activeDoc, content, selection);
+  const sessionList = Object.values(sessions).sort((a, b) => b.updatedAt - a.updatedAt);
+
+  const sessionsPersisted = useRef(new Map());
+  const [sessionsLoaded, setSessionsLoaded] = useState(false);
+  useEffect(() => {
+    loadSessions()
+      .then(saved => {
+        saved.forEach(session => sessionsPersisted.current.set(session.id, session));
+        setSessions(prev => ({ ...Object.fromEntries(saved.map(session => [session.id, session])), ...prev }));
+      })
+      .catch(handleLoadError)
+      .finally(() => setSessionsLoaded(true));
+  }, []);
+
+  // Sessions are written once a reply finishes rather than on every streamed token
+  useEffect(() => {
+    if (!sessionsLoaded) return;
+    Object.values(sessions).forEach(session => {
+      if (sessionsPersisted.current.get(session.id) === session) return;
+      if (session.messages.some(msg => msg.status === 'streaming')) return;
+      sessionsPersisted.current.set(session.id, session);
+      saveSession(session)
+        .then(() => setStorageError(null))
+        .catch((error) => {
+          // Forget the failed write so the next change tries again
+          if (sessionsPersisted.current.get(session.id) === session) sessionsPersisted.current.delete(session.id);
+          handleSaveError(error);
+        });
+    });
+  }, [sessions, sessionsLoaded]);
+
+  const patchSession = (id, update) => setSessions(prev => (
+    prev[id] ? { ...prev, [id]: update(prev[id]) } : prev
+  ));
+
+  // Agents with a tool open its panel; the others start a chat session
+  const handleStartAgent = (agent) => {
+    if (!hasFeature(license, agent.feature, now)) {
+      handleUpgrade(agent.feature);
+      return;
+    }
+    if (agent.tool) {
+      setActiveTool(agent.tool);
+      return;
+    }
+    const session = createSession(agent);
+    setSessions(prev => ({ ...prev, [session.id]: session }));
+    setActiveSessionId(session.id);
+  };
+
+  const handleGenerateChangelog = (markdown, { polish }) => {
+    const doc = createAndOpenFile('CHANGELOG.md', markdown);
+    if (!polish) {
+      setActiveNav('editor');
+      return;
+    }
+    // The Chronicler reviews the new document and proposes wording edits
+    const agent = getAgent('chronicler');
+    const session = { ...createSession(agent), title: `Polish ${doc.name}` };
+    setSessions(prev => ({ ...prev, [session.id]: session }));
+    setActiveSessionId(session.id);
+    setActiveTool(null);
+    generateReply(session, [{
+      role: 'user',
+      content: 'Polish the wording of these changelog entries for end users. Keep the structure, versions, links and hashes unchanged.',
+    }], { context: getDocumentContext(doc, markdown, null), docContent: markdown });
+  };
+
+  const handleEndSession = (id) => {
+    if (generating && id === activeSessionId) abortRef.current?.abort();
+    patchSession(id, endSession);
+    if (id === activeSessionId) setActiveSessionId(null);
+  };
+
+  const handleResumeSession = (id) => {
+    patchSession(id, resumeSession);
+    setActiveSessionId(id);
+  };
+
+  const handleRenameSession = (session) => {
+    const title = window.prompt('Rename session', session.title);
+    if (title) patchSession(session.id, s => updateSession(s, { title }));
+  };
+
+  const handleDeleteSession = (session) => {
+    if (!window.confirm(`Delete "${session.title}"?`)) return;
+    if (generating && session.id === activeSessionId) abortRef.current?.abort();
+    deleteSession(session.id).catch(handleSaveError);
+    sessionsPersisted.current.delete(session.id);
+    setSessions(prev => {
+      const { [session.id]: removed, ...rest } = prev;
+      return rest;
+    });
+    if (session.id === activeSessionId) setActiveSessionId(null);
+  };
+
+  const handleExportSession = (session, format) => {
+    const name = session.title.replace(/[\\/:*?"<>|]+/g, '-');
+    if (format === 'json') downloadFile(`${name}.json`, exportSessionJSON(session), 'application/json');
+    else downloadFile(`${name}.md`, exportSessionMarkdown(session), 'text/markdown');
+  };
+
+  // Agent chat
+  const abortRef = useRef(null);
+  const chatUsage = activeSession
+    ? activeSession.messages.reduce((sum, msg) => sum + (msg.usage?.totalTokens || 0), 0)
+    : 0;
+
+  const updateLastMessage = (sessionId, patch) => patchSession(sessionId, session => {
+    const last = session.messages[session.messages.length - 1];
+    return {
+      ...session,
+      messages: [...session.messages.slice(0, -1), { ...last, ...(typeof patch === 'function' ? patch(last) : patch) }],
+    };
+  });
+
+  // Streams a reply to `history` into a new assistant message of the session
+  const generateReply = async (session, history, {
+    context = session.includeContext ? documentContext : null,
+    docContent = content,
+  } = {}) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setGenerating(true);
+    const useKnowledge = knowledgeUnlocked && session.useKnowledge !== false && indexedChunks > 0;
+    patchSession(session.id, s => updateSession(s, {
+      messages: [...history, { role: 'assistant', content: '', status: 'streaming', note: useKnowledge ? 'Searching the Knowledge Hub…' : null }],
+    }));
+
+    try {
+      // Passages similar to the latest question go into the prompt as numbered excerpts
+      const question = [...history].reverse().find(msg => msg.role === 'user')?.content || '';
+      const citations = useKnowledge ? createCitations(await searchClient.current.retrieve(question)) : [];
+      if (controller.signal.aborted) throw new DOMException('Generation stopped', 'AbortError');
+      updateLastMessage(session.id, { citations, note: null });
+
+      const messages = buildMessages(session, context, history, citations);
+      const reply = await streamChat(providerConfig, messages, {
+        signal: controller.signal,
+        onToken: (token) => updateLastMessage(session.id, msg => ({ content: msg.content + token, note: null })),
+        onRetry: (attempt, error) => updateLastMessage(session.id, { note: `${error.message} Retrying (${attempt}/${providerConfig.maxRetries})…` }),
+      });
+      const edits = context && getAgent(session.agentId).canEdit ? parseEdits(reply.content) : [];
+      const proposal = edits.length
+        ? createProposal(docContent, edits, { agentName: getAgent(session.agentId).name, from: context.start })
+        : null;
+      if (proposal?.hunks.length) {
+        setStore(prev => updateDocument(prev, context.docId, doc => ({
+          ...doc,
+          proposal: relocateHunks(proposal, getContent(doc)),
+        })));
+      }
+      updateLastMessage(session.id, {
+        content: reply.content,
+        usage: reply.usage,
+        status: 'done',
+        proposal: proposal?.hunks.length ? { docId: context.docId, docName: context.name, count: proposal.hunks.length } : null,
+      });
+    } catch (error) {
+      if (isAbortError(error)) updateLastMessage(session.id, { status: 'stopped' });
+      else updateLastMessage(session.id, { status: 'error', error: error.message });
+    } finally {
+      abortRef.current = null;
+      setGenerating(false);
+    }
+  };
+
+  const handleSendMessage = () => {
+    if (!chatInput.trim() || generating || !activeSession || activeSession.endedAt) return;
+    if (!hasFeature(license, activeAgent.feature, now)) {
+      handleUpgrade(activeAgent.feature);
+      return;
+    }
+    generateReply(activeSession, [...activeSession.messages, { role: 'user', content: chatInput }]);
+    setChatInput('');
+  };
+
+  const handleStopGeneration = () => abortRef.current?.abort();
+
+  // Citations open the cited passage in the Knowledge Hub's source viewer
+  const handleOpenCitation = (citation) => {
+    if (!sources[citation.sourceId]) {
+      window.alert(`The source "${citation.sourceName}" has been removed from the Knowledge Hub.`);
+      return;
+    }
+    setSourcePassage({ sourceId: citation.sourceId, path: citation.path, line: citation.line, start: citation.start, end: citation.end });
+    setActiveNav('knowledge');
+  };
+
+  // Drops the failed reply and asks again with the same history
+  const handleRetry = () => {
+    if (generating || !activeSession) return;
+    generateReply(activeSession, activeSession.messages.slice(0, -1));
+  };
+
+  // Edit proposals
+  const proposal = activeDoc?.proposal || null;
+  const reviewing = pendingHunks(proposal).length > 0;
+
+  // Keep hunks anchored while the document is edited outside the review
+  useEffect(() => {
+    if (!proposal) return;
+    const next = relocateHunks(proposal, content);
+    if (next !== proposal) setStore(prev => updateDocument(prev, prev.activeId, { proposal: next }));
+  }, [content, proposal]);
+
+  const handleReviewProposal = (docId) => {
+    if (!store.documents[docId]) {
+      window.alert('That document is no longer open.');
+      return;
+    }
+    switchDocument(prev => activateDocument(prev, docId));
+    setActiveNav('editor');
+    setEditorView(view => (view === 'preview' ? 'source' : view));
+  };
+
+  // Each accepted hunk (or Accept All) is one undoable step
+  const handleAcceptHunks = (ids) => {
+    const { content: next, proposal: updated } = acceptHunks(content, proposal, ids);
+    setStore(prev => {
+      const recorded = next === content ? prev : updateHistory(prev, prev.activeId, h => record(h, next, { kind: 'agent' }));
+      return updateDocument(recorded, prev.activeId, { proposal: pendingHunks(updated).length ? updated : null });
+    });
+  };
 
-  return (
-    <div
-      className="p-4 rounded-lg transition-all duration-200"
-      style={{
-        background: c.surfaceOverlay,
-        border: `1px solid ${c.borderSubtle}`,
-        opacity: available ? 1 : 0.7
-      }}
-    >
-      <div className="flex items-center gap-2 mb-2">
-        <span className="text-xl">{icon}</span>
-        <span className="font-semibold" style={{ color: c.textPrimary }}>{name}</span>
-      </div>
-      <p className="text-sm mb-3" style={{ color: c.textSecondary }}>
-        {description}
-      </p>
-      <div className="flex items-center justify-between">
-        <span className="text-xs px-2 py-1 rounded" style={{
-          background: c.surfaceElevated,
-          color: c.textTertiary
-        }}>
-          {license}
-        </span>
-        {available ? (
-          <button
-            onClick={onStart}
-            className="flex items-center gap-1 text-sm px-3 py-1.5 rounded transition-colors"
-            style={{ background: c.accentPrimary, color: '#fff' }}
-          >
-            <Play size={14} /> Start
-          </button>
-        ) : (
-          <button
-            className="flex items-center gap-1 text-sm px-3 py-1.5 rounded"
-            style={{ background: c.borderSubtle, color: c.textTertiary }}
-          >
-            <Lock size={14} /> Upgrade
-          </button>
-        )}
-      </div>
-    </div>
-  );
-};
+  const handleRejectHunks = (ids) => {
+    const updated = rejectHunks(proposal, ids);
+    setStore(prev => updateDocument(prev, prev.activeId, { proposal: pendingHunks(updated).length ? updated : null }));
+  };
 
-// Main App Component
-export default function LexichordPrototype() {
-  const [theme, setTheme] = useState('dark');
-  const [activeNav, setActiveNav] = useState('editor');
-  const [showInspector, setShowInspector] = useState(true);
-  const [styleScore, setStyleScore] = useState(82);
-  const [content, setContent] = useState(sampleContent);
-  const [issues, setIssues] = useState(styleIssues);
-  const [agentChat, setAgentChat] = useState([]);
-  const [chatInput, setChatInput] = useState('');
+  const handleTweakHunk = (id, replacement) => {
+    setStore(prev => updateDocument(prev, prev.activeId, { proposal: tweakHunk(proposal, id, replacement) }));
+  };
+
+  // The search engine runs in a worker and reports source indexing progress
+  const searchClient = useRef(null);
+  useEffect(() => {
+    const client = createSearchClient({
+      onStatus: ({ id, status, done, chunks, errors }) => setSources(prev => (prev[id] ? {
+        ...prev,
+        [id]: { ...prev[id], status, done, chunks, errors, indexedAt: status === 'indexed' ? Date.now() : prev[id].indexedAt },
+      } : prev)),
+    });
+    searchClient.current = client;
+    // The index lives in memory, so saved sources are indexed again on load
+    loadSources().then(saved => {
+      const restored = saved.map(source => ({ ...source, status: source.paused ? 'paused' : 'queued', done: 0, chunks: 0, errors: [] }));
+      setSources(prev => ({ ...Object.fromEntries(restored.map(source => [source.id, source])), ...prev }));
+      restored.filter(source => !source.paused).forEach(client.indexSource);
+    }).catch(handleLoadError);
+    return () => client.terminate();
+  }, []);
+
+  // Workspace documents are synced to the index while the Knowledge Hub is open
+  useEffect(() => {
+    if (activeNav === 'knowledge' && knowledgeUnlocked) searchClient.current.syncDocuments(searchDocumentsFrom(workspace.projects, store.documents));
+  }, [activeNav, knowledgeUnlocked, workspace.projects, store.documents]);
 
-  const c = colors[theme];
+  // The query the shown results belong to, and one submitted before its
+  // results arrived; that one is recorded in the history once they do
+  const searchedQuery = useRef('');
+  const submittedQuery = useRef(null);
 
-  // Simulate fixing an issue
-  const handleApplyFix = (issue) => {
-    setContent(prev => prev.replace(issue.word, issue.suggestion));
-    setIssues(prev => prev.filter(i => i.word !== issue.word));
-    setStyleScore(prev => Math.min(100, prev + 6));
+  const indexedChunks = Object.values(sources).reduce((sum, source) => sum + source.chunks, 0);
+  useEffect(() => {
+    if (activeNav !== 'knowledge' || !searchQuery.trim()) {
+      searchedQuery.current = '';
+      setSearchResults([]);
+      setSearchError(null);
+      return undefined;
+    }
+    let current = true;
+    searchClient.current.search(searchQuery).then(results => {
+      if (!current) return;
+      searchedQuery.current = searchQuery;
+      setSearchResults(results);
+      setSearchError(null);
+      if (submittedQuery.current === searchQuery) {
+        submittedQuery.current = null;
+        recordSearch(searchQuery, results);
+      }
+    }).catch(error => {
+      if (!current) return;
+      setSearchResults([]);
+      setSearchError(error.message);
+    });
+    return () => {
+      current = false;
+    };
+  }, [activeNav, searchQuery, workspace.projects, store.documents, indexedChunks]);
+
+  const handleAddSource = async (fileList) => {
+    const files = fileList.filter(file => isSupportedFile(file.webkitRelativePath || file.name));
+    if (!files.length) {
+      window.alert('None of those files can be indexed. Add Markdown, text, code or OpenAPI files.');
+      return;
+    }
+    const folder = files[0].webkitRelativePath?.split('/')[0];
+    const name = window.prompt('Source name', folder || (files.length === 1 ? files[0].name : 'Files'));
+    if (!name) return;
+    // Reading one byte past the limit is enough for the engine to reject oversized files
+    const contents = await Promise.all(files.map(async file => ({
+      path: file.webkitRelativePath || file.name,
+      content: await file.slice(0, MAX_SOURCE_FILE_BYTES + 1).text(),
+    })));
+    const source = { ...createSource(name, contents), skipped: fileList.length - files.length };
+    setSources(prev => ({ ...prev, [source.id]: source }));
+    saveSource(source).catch(handleSaveError);
+    searchClient.current.indexSource(source);
   };
 
-  // Simulate AI chat
-  const handleSendMessage = () => {
-    if (!chatInput.trim()) return;
+  const handleReindexSource = (source) => {
+    const next = { ...source, paused: false, status: 'queued', done: 0, chunks: 0, errors: [] };
+    setSources(prev => ({ ...prev, [source.id]: next }));
+    if (source.paused) saveSource(next).catch(handleSaveError);
+    searchClient.current.indexSource(next);
+  };
 
-    setAgentChat(prev => [...prev, { role: 'user', content: chatInput }]);
-    setChatInput('');
+  const handleTogglePauseSource = (source) => {
+    const paused = source.status !== 'paused';
+    const next = { ...source, paused, status: paused ? 'paused' : 'indexing' };
+    setSources(prev => ({ ...prev, [source.id]: next }));
+    saveSource(next).catch(handleSaveError);
+    if (paused) searchClient.current.pauseSource(source.id);
+    else searchClient.current.resumeSource(next);
+  };
 
-    setTimeout(() => {
-      setAgentChat(prev => [...prev, {
-        role: 'assistant',
-        content: "I've analyzed your document. Here are my suggestions:\n\n1. The introduction could be more concise\n2. Consider adding code examples\n3. The terminology section needs updating"
-      }]);
-    }, 1000);
+  const handleRemoveSource = (source) => {
+    if (!window.confirm(`Remove source "${source.name}" from the Knowledge Hub?`)) return;
+    searchClient.current.removeSource(source.id);
+    deleteSource(source.id).catch(handleSaveError);
+    setSources(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== source.id)));
+    setSourcePassage(passage => (passage?.sourceId === source.id ? null : passage));
   };
 
-  // Highlight words with issues
-  const renderHighlightedContent = () => {
-    let highlighted = content;
-    issues.forEach(issue => {
-      const color = issue.type === 'error' ? c.statusError : c.statusWarning;
-      highlighted = highlighted.replace(
-        new RegExp(`\\b${issue.word}\\b`, 'g'),
-        `<span style="text-decoration: wavy underline ${color}; text-decoration-thickness: 2px;">${issue.word}</span>`
-      );
+  // Repeated queries move to the top instead of appearing twice
+  const recordSearch = (query, results) => {
+    const text = query.trim();
+    if (!text) return;
+    setSearchHistory(prev => [
+      { query: text, results: results.length, at: Date.now() },
+      ...prev.filter(entry => entry.query.toLowerCase() !== text.toLowerCase()),
+    ].slice(0, MAX_SEARCH_HISTORY));
+  };
+
+  const handleSubmitSearch = () => {
+    if (searchedQuery.current === searchQuery) recordSearch(searchQuery, searchResults);
+    else submittedQuery.current = searchQuery;
+  };
+
+  // Opens the document behind a search hit with the matching text selected;
+  // source passages open in the viewer above the results
+  const handleOpenSearchResult = (result) => {
+    const { projectId, sourceId, path } = result.doc;
+    recordSearch(searchQuery, searchResults);
+    if (sourceId) {
+      setSourcePassage({ sourceId, path, line: result.snippet.line, start: result.snippet.start, end: result.snippet.end });
+      return;
+    }
+    const project = workspace.projects[projectId];
+    if (!project?.files[path]) return;
+    handleSwitchProject(projectId);
+    const range = { start: result.snippet.start, end: result.snippet.end };
+    switchDocument(prev => {
+      const open = Object.values(prev.documents).find(doc => doc.projectId === projectId && doc.path === path);
+      const next = open ? activateDocument(prev, open.id) : openDocument(prev, documentFromFile(project, path));
+      return updateDocument(next, next.activeId, { selection: range });
     });
-    return highlighted;
+    setSearchHighlight({ projectId, path, ...range });
+    setEditorView(view => (view === 'preview' ? 'source' : view));
+    setActiveNav('editor');
+  };
+
+  // Clicking an underline focuses its quick-fix in the Inspector
+  const handleIssueClick = (issue) => {
+    setActiveIssueId(issue.id);
+    setShowInspector(true);
+  };
+
+  // Steps through the Inspector's issues, wrapping at either end
+  const selectIssue = (step) => {
+    const index = issues.findIndex(issue => issue.id === activeIssueId);
+    const next = index === -1 ? (step > 0 ? 0 : issues.length - 1) : (index + step + issues.length) % issues.length;
+    setActiveNav('editor');
+    handleIssueClick(issues[next]);
+  };
+
+  const selectedFix = fixableIssues.find(issue => issue.id === activeIssueId) || fixableIssues[0];
+
+  const searchInputRef = useRef(null);
+  const focusSearchRef = useRef(false);
+  useEffect(() => {
+    if (focusSearchRef.current && activeNav === 'knowledge') searchInputRef.current?.focus();
+    focusSearchRef.current = false;
+  }, [activeNav]);
+
+  const navItems = [
+    { id: 'editor', icon: FileText, label: 'Editor' },
+    { id: 'knowledge', icon: BookOpen, label: 'Knowledge', locked: !knowledgeUnlocked },
+    { id: 'agents', icon: Piano, label: 'Agents', locked: !agentsUnlocked },
+    { id: 'analytics', icon: BarChart2, label: 'Analytics' },
+    { id: 'settings', icon: Settings, label: 'Settings', footer: true },
+    { id: 'profile', icon: User, label: 'Profile', footer: true },
+  ];
+
+  // Command registry: the palette, keyboard shortcuts and Settings all read
+  // this list. Commands that don't apply right now are `enabled: false`, which
+  // hides them from the palette and lets their keys through to the browser.
+  const commands = bindCommands([
+    { id: 'palette.show', group: 'View', title: 'Command Palette', keys: ['Mod+K', 'Mod+Shift+P'], inInputs: true, run: () => setShowPalette(open => !open) },
+    ...navItems.map((item, index) => ({
+      id: `nav.${item.id}`, group: 'Go to', title: item.label, keys: [`Alt+${index + 1}`], run: () => setActiveNav(item.id),
+    })),
+    {
+      id: 'view.inspector',
+      group: 'View',
+      title: showInspector && activeNav === 'editor' ? 'Hide Inspector' : 'Show Inspector',
+      keys: ['Mod+Alt+B'],
+      inEditor: true,
+      run: () => {
+        setShowInspector(show => activeNav !== 'editor' || !show);
+        setActiveNav('editor');
+      },
+    },
+    { id: 'view.explorer', group: 'View', title: showExplorer ? 'Hide Explorer' : 'Show Explorer', keys: ['Mod+Shift+E'], inEditor: true, run: () => handleProjectAction('toggleExplorer') },
+    ...[['source', 'Source'], ['preview', 'Preview'], ['split', 'Side by Side']].map(([view, title]) => ({
+      id: `view.${view}`,
+      group: 'View',
+      title,
+      enabled: Boolean(activeDoc),
+      run: () => {
+        setEditorView(view);
+        setActiveNav('editor');
+      },
+    })),
+    { id: 'document.new', group: 'Document', title: 'New Document', run: handleNewDocument },
+    { id: 'document.save', group: 'Document', title: 'Save', keys: ['Mod+S'], inInputs: true, enabled: Boolean(activeDoc), run: () => saveDocuments([activeDoc.id]) },
+    { id: 'document.close', group: 'Document', title: 'Close', enabled: Boolean(activeDoc), run: () => handleCloseDocument(activeDoc) },
+    {
+      id: 'document.next', group: 'Document', title: 'Next Tab', keys: ['Mod+Tab', 'Mod+PageDown'], run: () => switchDocument(prev => cycleDocument(prev, 1)),
+    },
+    {
+      id: 'document.previous', group: 'Document', title: 'Previous Tab', keys: ['Mod+Shift+Tab', 'Mod+PageUp'], run: () => switchDocument(prev => cycleDocument(prev, -1)),
+    },
+    { id: 'export.html', group: 'Document', title: 'Export as HTML', enabled: Boolean(activeDoc), run: () => handleExportDocument('html') },
+    { id: 'export.pdf', group: 'Document', title: 'Print / Export as PDF', keys: ['Mod+P'], enabled: Boolean(activeDoc), run: () => handleExportDocument('pdf') },
+    { id: 'export.docx', group: 'Document', title: 'Export as Word (.docx)', enabled: Boolean(activeDoc), run: () => handleExportDocument('docx') },
+    { id: 'edit.undo', group: 'Edit', title: 'Undo', keys: ['Mod+Z'], inEditor: true, enabled: Boolean(activeDoc), run: () => setHistory(undo) },
+    { id: 'edit.redo', group: 'Edit', title: 'Redo', keys: ['Mod+Shift+Z', 'Mod+Y'], inEditor: true, enabled: Boolean(activeDoc), run: () => setHistory(redo) },
+    ...store.order.map(id => ({
+      id: `tab.${id}`,
+      group: 'Open Tab',
+      title: store.documents[id].name,
+      transient: true,
+      run: () => {
+        switchDocument(prev => activateDocument(prev, id));
+        setActiveNav('editor');
+      },
+    })),
+    { id: 'issues.next', group: 'Inspector', title: 'Next Issue', keys: ['F8'], inEditor: true, enabled: issues.length > 0, run: () => selectIssue(1) },
+    { id: 'issues.previous', group: 'Inspector', title: 'Previous Issue', keys: ['Shift+F8'], inEditor: true, enabled: issues.length > 0, run: () => selectIssue(-1) },
+    { id: 'issues.applyFix', group: 'Inspector', title: 'Apply Fix', keys: ['Mod+.'], enabled: Boolean(selectedFix), run: () => handleApplyFix(selectedFix) },
+    {
+      id: 'issues.applyAll',
+      group: 'Inspector',
+      title: 'Apply All Fixes…',
+      enabled: fixableIssues.length > 0,
+      run: () => {
+        setActiveNav('editor');
+        setShowInspector(true);
+        setShowFixPreview(true);
+      },
+    },
+    {
+      id: 'knowledge.search',
+      group: 'Knowledge',
+      title: 'Search Knowledge Base',
+      keys: ['Mod+Shift+F'],
+      inEditor: true,
+      run: () => {
+        if (activeNav === 'knowledge') {
+          searchInputRef.current?.focus();
+        } else {
+          focusSearchRef.current = true;
+          setActiveNav('knowledge');
+        }
+      },
+    },
+    ...agents.map(agent => ({
+      id: `agents.${agent.id}`,
+      group: 'Agents',
+      title: `Start ${agent.name}`,
+      run: () => {
+        setActiveNav('agents');
+        handleStartAgent(agent);
+      },
+    })),
+    { id: 'theme.toggle', group: 'Theme', title: 'Toggle Light/Dark', run: () => updateTheme({ mode: mode === 'dark' ? 'light' : 'dark' }) },
+    { id: 'theme.light', group: 'Theme', title: 'Light', run: () => updateTheme({ mode: 'light' }) },
+    { id: 'theme.dark', group: 'Theme', title: 'Dark', run: () => updateTheme({ mode: 'dark' }) },
+    { id: 'theme.system', group: 'Theme', title: 'Match System', run: () => updateTheme({ mode: 'system' }) },
+  ], shortcutBindings);
+
+  const commandKeysFor = (id) => commands.find(command => command.id === id)?.keys;
+
+  const handleRunCommand = (command) => {
+    setShowPalette(false);
+    command.run();
+  };
+
+  // Shortcuts run commands, except while typing: text fields such as the chat
+  // box only let inInputs commands through, and the main editor inEditor ones
+  const handleKeyDown = (e) => {
+    const shortcut = shortcutFromEvent(e);
+    if (!shortcut || !isValidShortcut(shortcut)) return;
+    const command = findCommandByShortcut(commands, shortcut);
+    if (!command || command.enabled === false || !shortcutAllowedIn(command, e.target)) return;
+    e.preventDefault();
+    command.run();
   };
 
+  // The listener is registered once and always calls the latest handler
+  const keyDownRef = useRef(handleKeyDown);
+  keyDownRef.current = handleKeyDown;
+  useEffect(() => {
+    const listener = (e) => keyDownRef.current(e);
+    window.addEventListener('keydown', listener);
+    return () => window.removeEventListener('keydown', listener);
+  }, []);
+
   return (
     <div className="h-screen flex flex-col" style={{ background: c.surfaceBase, color: c.textPrimary }}>
       {/* Title Bar */}
@@ -271,7 +4164,9 @@ export default function LexichordPrototype() {
         style={{ background: c.surfaceElevated, borderColor: c.borderSubtle }}
       >
         <div className="flex items-center gap-3">
-          <Menu size={18} style={{ color: c.textSecondary }} className="cursor-pointer" />
+          <button onClick={() => setShowPalette(true)} title={shortcutHint('Command Palette', commandKeysFor('palette.show'))}>
+            <Menu size={18} style={{ color: c.textSecondary }} />
+          </button>
           <span className="font-semibold tracking-wide" style={{ color: c.accentPrimary }}>
             LEXICHORD
           </span>
@@ -281,11 +4176,11 @@ export default function LexichordPrototype() {
         </div>
         <div className="flex items-center gap-3">
           <button
-            onClick={() => setTheme(t => t === 'dark' ? 'light' : 'dark')}
+            onClick={() => updateTheme({ mode: mode === 'dark' ? 'light' : 'dark' })}
             className="p-1.5 rounded transition-colors"
             style={{ background: c.surfaceOverlay }}
           >
-            {theme === 'dark' ? <Sun size={16} style={{ color: c.textSecondary }} /> : <Moon size={16} style={{ color: c.textSecondary }} />}
+            {mode === 'dark' ? <Sun size={16} style={{ color: c.textSecondary }} /> : <Moon size={16} style={{ color: c.textSecondary }} />}
           </button>
           <Settings size={18} style={{ color: c.textSecondary }} className="cursor-pointer" />
           <div className="flex items-center gap-2 px-2 py-1 rounded" style={{ background: c.surfaceOverlay }}>
@@ -302,16 +4197,21 @@ export default function LexichordPrototype() {
           className="w-14 flex flex-col border-r"
           style={{ background: c.surfaceElevated, borderColor: c.borderSubtle }}
         >
-          <div className="flex-1">
-            <NavItem icon={FileText} label="Editor" active={activeNav === 'editor'} onClick={() => setActiveNav('editor')} />
-            <NavItem icon={BookOpen} label="Knowledge" active={activeNav === 'knowledge'} onClick={() => setActiveNav('knowledge')} />
-            <NavItem icon={Piano} label="Agents" active={activeNav === 'agents'} onClick={() => setActiveNav('agents')} />
-            <NavItem icon={BarChart2} label="Analytics" active={activeNav === 'analytics'} onClick={() => setActiveNav('analytics')} />
-          </div>
-          <div className="border-t" style={{ borderColor: c.borderSubtle }}>
-            <NavItem icon={Settings} label="Settings" active={activeNav === 'settings'} onClick={() => setActiveNav('settings')} />
-            <NavItem icon={User} label="Profile" active={activeNav === 'profile'} onClick={() => setActiveNav('profile')} />
-          </div>
+          {[false, true].map(footer => (
+            <div key={String(footer)} className={footer ? 'border-t' : 'flex-1'} style={footer ? { borderColor: c.borderSubtle } : undefined}>
+              {navItems.filter(item => Boolean(item.footer) === footer).map(item => (
+                <NavItem
+                  key={item.id}
+                  icon={item.icon}
+                  label={item.label}
+                  active={activeNav === item.id}
+                  onClick={() => setActiveNav(item.id)}
+                  locked={item.locked}
+                  keys={commandKeysFor(`nav.${item.id}`)}
+                />
+              ))}
+            </div>
+          ))}
         </nav>
 
         {/* Main Content Area */}
@@ -321,49 +4221,150 @@ export default function LexichordPrototype() {
             className="h-9 flex items-center px-2 border-b"
             style={{ background: c.surfaceElevated, borderColor: c.borderSubtle }}
           >
-            <div className="flex items-center gap-1 px-3 py-1 rounded text-sm" style={{ background: c.surfaceOverlay }}>
-              <span>📁 My Project</span>
-              <ChevronDown size={14} style={{ color: c.textTertiary }} />
-            </div>
-            <div className="flex items-center ml-4">
-              <div
-                className="flex items-center gap-2 px-3 py-1 rounded-t text-sm"
-                style={{
-                  background: c.surfaceBase,
-                  borderBottom: `2px solid ${c.accentPrimary}`
-                }}
-              >
-                <FileText size={14} style={{ color: c.accentPrimary }} />
-                <span>api-reference.md</span>
-                <X size={14} style={{ color: c.textTertiary }} className="cursor-pointer hover:opacity-70" />
-              </div>
-              <div
-                className="flex items-center gap-2 px-3 py-1 text-sm cursor-pointer"
-                style={{ color: c.textSecondary }}
-              >
-                <FileText size={14} />
-                <span>intro.md</span>
-                <X size={14} style={{ color: c.textTertiary }} />
-              </div>
+            <ProjectMenu
+              projects={Object.values(workspace.projects)}
+              activeProject={activeProject}
+              autosave={autosave}
+              showExplorer={showExplorer}
+              onSwitch={handleSwitchProject}
+              onAction={handleProjectAction}
+            />
+            <div className="flex items-center ml-4 overflow-x-auto">
+              {store.order.map((id, index) => (
+                <DocumentTab
+                  key={id}
+                  doc={store.documents[id]}
+                  active={id === store.activeId}
+                  dirty={isDirty(store.documents[id])}
+                  onSelect={() => switchDocument(prev => activateDocument(prev, id))}
+                  onClose={() => handleCloseDocument(store.documents[id])}
+                  onDragStart={setDraggedTab}
+                  onDrop={() => {
+                    if (draggedTab && draggedTab !== id) {
+                      setStore(prev => moveDocument(prev, draggedTab, index));
+                    }
+                    setDraggedTab(null);
+                  }}
+                />
+              ))}
             </div>
-            <button className="ml-2 p-1 rounded hover:bg-white/5">
+            <button onClick={handleNewDocument} className="ml-2 p-1 rounded hover:bg-white/5" title="New document">
               <Plus size={16} style={{ color: c.textTertiary }} />
             </button>
           </div>
 
           {/* Content + Inspector */}
           <div className="flex-1 flex overflow-hidden">
+            {/* Project Explorer */}
+            {showExplorer && activeNav === 'editor' && (
+              <ProjectExplorer
+                project={activeProject}
+                activePath={activeDoc?.path}
+                onOpen={handleOpenFile}
+                onAction={handleExplorerAction}
+                onMove={handleMoveIntoFolder}
+                onImportFolder={handleImportFolder}
+                onImportZip={handleImportZip}
+                onExport={handleExportProject}
+              />
+            )}
+
             {/* Editor/Content Panel */}
-            <div className="flex-1 overflow-auto p-6" style={{ background: c.surfaceEditor }}>
-              {activeNav === 'editor' && (
-                <div
-                  className="max-w-3xl mx-auto font-mono text-sm leading-relaxed"
-                  style={{ color: c.textPrimary }}
-                  dangerouslySetInnerHTML={{ __html: renderHighlightedContent().replace(/\n/g, '<br/>').replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre style="background: ' + c.surfaceOverlay + '; padding: 12px; border-radius: 6px; margin: 8px 0; overflow-x: auto;">$2</pre>').replace(/`([^`]+)`/g, '<code style="background: ' + c.surfaceOverlay + '; padding: 2px 6px; border-radius: 4px;">$1</code>').replace(/^# (.+)$/gm, '<h1 style="font-size: 1.5rem; font-weight: bold; margin: 16px 0 8px; font-family: Inter, sans-serif;">$1</h1>').replace(/^## (.+)$/gm, '<h2 style="font-size: 1.25rem; font-weight: 600; margin: 16px 0 8px; font-family: Inter, sans-serif;">$1</h2>').replace(/^### (.+)$/gm, '<h3 style="font-size: 1.1rem; font-weight: 600; margin: 12px 0 6px; font-family: Inter, sans-serif;">$1</h3>') }}
-                />
+            <div ref={editorPaneRef} className="flex-1 overflow-auto p-6" style={{ background: c.surfaceEditor }}>
+              {activeNav === 'editor' && !activeDoc && (
+                <div className="text-center py-24" style={{ color: c.textTertiary }}>
+                  <FileText size={32} className="mx-auto mb-3" />
+                  <div className="mb-4">No open documents</div>
+                  <button
+                    onClick={handleNewDocument}
+                    className="text-sm px-3 py-1.5 rounded"
+                    style={{ background: c.accentPrimary, color: '#fff' }}
+                  >
+                    New Document
+                  </button>
+                </div>
+              )}
+
+              {activeNav === 'editor' && activeDoc && (
+                <>
+                  <div className={`${editorView === 'split' ? '' : 'max-w-3xl'} mx-auto flex justify-end gap-2 mb-4`}>
+                    <ExportMenu reportMode={exportReport} onReportModeChange={setExportReport} onExport={handleExportDocument} keysFor={commandKeysFor} />
+                    <div className="flex rounded-lg overflow-hidden" style={{ border: `1px solid ${c.borderSubtle}` }}>
+                      {[
+                        { label: shortcutHint('Undo', commandKeysFor('edit.undo')), icon: Undo2, enabled: canUndo(history), action: undo },
+                        { label: shortcutHint('Redo', commandKeysFor('edit.redo')), icon: Redo2, enabled: canRedo(history), action: redo },
+                      ].map(({ label, icon: Icon, enabled, action }) => (
+                        <button
+                          key={label}
+                          onClick={() => setHistory(action)}
+                          disabled={!enabled}
+                          className="px-2 py-1 transition-colors"
+                          style={{ background: c.surfaceElevated, color: enabled ? c.textSecondary : c.textTertiary, opacity: enabled ? 1 : 0.5 }}
+                          title={label}
+                        >
+                          <Icon size={14} />
+                        </button>
+                      ))}
+                    </div>
+                    <div className="flex rounded-lg overflow-hidden" style={{ border: `1px solid ${c.borderSubtle}` }}>
+                      {[
+                        { id: 'source', label: 'Source', icon: Code },
+                        { id: 'preview', label: 'Preview', icon: Eye },
+                        { id: 'split', label: 'Side by side', icon: Columns },
+                      ].map(({ id, label, icon: Icon }) => (
+                        <button
+                          key={id}
+                          onClick={() => setEditorView(id)}
+                          className="flex items-center gap-1 px-3 py-1 text-xs transition-colors"
+                          style={{
+                            background: editorView === id ? c.accentMuted : c.surfaceElevated,
+                            color: editorView === id ? c.accentPrimary : c.textSecondary
+                          }}
+                          title={label}
+                        >
+                          <Icon size={14} /> {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className={editorView === 'split' ? 'grid grid-cols-2 gap-6' : ''}>
+                    {editorView !== 'preview' && reviewing && (
+                      <EditReview
+                        content={content}
+                        proposal={proposal}
+                        onAccept={handleAcceptHunks}
+                        onReject={handleRejectHunks}
+                        onTweak={handleTweakHunk}
+                        onClose={() => setStore(prev => updateDocument(prev, prev.activeId, { proposal: null }))}
+                      />
+                    )}
+                    {editorView !== 'preview' && !reviewing && (
+                      <MarkdownEditor
+                        key={activeDoc.id}
+                        value={content}
+                        initialSelection={selection}
+                        highlight={searchHighlight?.projectId === activeDoc.projectId && searchHighlight.path === activeDoc.path ? searchHighlight : null}
+                        onChange={handleContentChange}
+                        issues={issues}
+                        onIssueClick={handleIssueClick}
+                        onSelectionChange={setSelection}
+                      />
+                    )}
+                    {editorView !== 'source' && (
+                      <MarkdownPreview source={content} />
+                    )}
+                  </div>
+                </>
+              )}
+
+              {activeNav === 'knowledge' && !knowledgeUnlocked && (
+                <div className="max-w-4xl mx-auto">
+                  <h1 className="text-2xl font-bold mb-6">Knowledge Hub</h1>
+                  <UpgradePrompt feature="knowledge-hub" onUpgrade={() => handleUpgrade('knowledge-hub')} />
+                </div>
               )}
 
-              {activeNav === 'knowledge' && (
+              {activeNav === 'knowledge' && knowledgeUnlocked && (
                 <div className="max-w-4xl mx-auto">
                   <h1 className="text-2xl font-bold mb-6">Knowledge Hub</h1>
                   <div
@@ -372,66 +4373,84 @@ export default function LexichordPrototype() {
                   >
                     <Search size={20} style={{ color: c.textTertiary }} />
                     <input
+                      ref={searchInputRef}
                       type="text"
-                      placeholder="Search your knowledge base..."
+                      value={searchQuery}
+                      onChange={(e) => setSearchQuery(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleSubmitSearch();
+                        if (e.key === 'Escape') setSearchQuery('');
+                      }}
+                      placeholder='Search your knowledge base... ("phrase", title:, path:, -exclude)'
                       className="flex-1 bg-transparent outline-none"
                       style={{ color: c.textPrimary }}
                     />
-                    <kbd className="px-2 py-1 text-xs rounded" style={{ background: c.surfaceElevated, color: c.textTertiary }}>⌘K</kbd>
+                    {searchQuery && (
+                      <button onClick={() => setSearchQuery('')} title="Clear search" style={{ color: c.textTertiary }}>
+                        <X size={16} />
+                      </button>
+                    )}
+                    {commandKeysFor('knowledge.search')?.length > 0 && <Kbd shortcut={commandKeysFor('knowledge.search')[0]} />}
                   </div>
 
+                  {sourcePassage && sources[sourcePassage.sourceId] && (
+                    <SourceViewer
+                      source={sources[sourcePassage.sourceId]}
+                      passage={sourcePassage}
+                      onClose={() => setSourcePassage(null)}
+                    />
+                  )}
+
+                  {searchQuery.trim() && (
+                    <div className="mb-8">
+                      <h2 className="text-lg font-semibold mb-4" style={{ color: c.textSecondary }}>
+                        Results <span className="text-sm font-normal" style={{ color: c.textTertiary }}>({searchResults.length})</span>
+                      </h2>
+                      <SearchResults results={searchResults} error={searchError} onOpen={handleOpenSearchResult} />
+                    </div>
+                  )}
+
                   <div className="grid grid-cols-2 gap-6">
                     <div>
                       <h2 className="text-lg font-semibold mb-4" style={{ color: c.textSecondary }}>Sources</h2>
-                      {[
-                        { name: 'Codebase', files: 142, status: 'indexed' },
-                        { name: 'Documentation', files: 38, status: 'indexed' },
-                        { name: 'API Specs', files: 3, status: 'indexing', progress: 67 },
-                      ].map((source, i) => (
-                        <div
-                          key={i}
-                          className="p-4 rounded-lg mb-3"
-                          style={{ background: c.surfaceOverlay }}
-                        >
-                          <div className="flex items-center gap-2 mb-2">
-                            {source.status === 'indexed' ? (
-                              <CheckCircle size={16} style={{ color: c.statusSuccess }} />
-                            ) : (
-                              <div className="w-4 h-4 rounded-full border-2 border-t-transparent animate-spin" style={{ borderColor: c.accentPrimary }} />
-                            )}
-                            <span className="font-medium">{source.name}</span>
-                            <span className="text-xs" style={{ color: c.textTertiary }}>({source.files} files)</span>
-                          </div>
-                          {source.progress && (
-                            <div className="w-full h-1.5 rounded-full" style={{ background: c.borderSubtle }}>
-                              <div
-                                className="h-full rounded-full"
-                                style={{ width: `${source.progress}%`, background: c.accentPrimary }}
-                              />
-                            </div>
-                          )}
-                        </div>
-                      ))}
-                      <button
-                        className="w-full p-3 rounded-lg border-2 border-dashed text-center transition-colors"
-                        style={{ borderColor: c.borderSubtle, color: c.textSecondary }}
-                      >
-                        + Add Source
-                      </button>
+                      <SourceList
+                        sources={Object.values(sources).sort((a, b) => a.createdAt - b.createdAt)}
+                        now={now}
+                        onAdd={handleAddSource}
+                        onReindex={handleReindexSource}
+                        onTogglePause={handleTogglePauseSource}
+                        onRemove={handleRemoveSource}
+                      />
                     </div>
 
                     <div>
-                      <h2 className="text-lg font-semibold mb-4" style={{ color: c.textSecondary }}>Recent Queries</h2>
+                      <div className="flex items-center justify-between mb-4">
+                        <h2 className="text-lg font-semibold" style={{ color: c.textSecondary }}>Recent Queries</h2>
+                        {searchHistory.length > 0 && (
+                          <button onClick={() => setSearchHistory([])} className="text-xs" style={{ color: c.textTertiary }}>
+                            Clear
+                          </button>
+                        )}
+                      </div>
                       <div className="space-y-3">
-                        {['authentication flow', 'error handling', 'rate limiting'].map((query, i) => (
+                        {searchHistory.length === 0 && (
+                          <div className="text-sm" style={{ color: c.textTertiary }}>
+                            Searches you run (press Enter or open a result) appear here.
+                          </div>
+                        )}
+                        {searchHistory.map(entry => (
                           <div
-                            key={i}
+                            key={entry.query}
+                            onClick={() => setSearchQuery(entry.query)}
                             className="p-3 rounded-lg cursor-pointer hover:opacity-80"
                             style={{ background: c.surfaceOverlay }}
                           >
                             <div className="flex items-center gap-2">
                               <Search size={14} style={{ color: c.textTertiary }} />
-                              <span>{query}</span>
+                              <span className="flex-1 truncate">{entry.query}</span>
+                              <span className="text-xs" style={{ color: c.textTertiary }}>
+                                {entry.results} result{entry.results === 1 ? '' : 's'} · {formatRelativeTime(entry.at, now)}
+                              </span>
                             </div>
                           </div>
                         ))}
@@ -441,7 +4460,14 @@ export default function LexichordPrototype() {
                 </div>
               )}
 
-              {activeNav === 'agents' && (
+              {activeNav === 'agents' && !agentsUnlocked && (
+                <div className="max-w-4xl mx-auto">
+                  <h1 className="text-2xl font-bold mb-6">The Ensemble</h1>
+                  <UpgradePrompt feature="agents" onUpgrade={() => handleUpgrade('agents')} />
+                </div>
+              )}
+
+              {activeNav === 'agents' && agentsUnlocked && (
                 <div className="max-w-4xl mx-auto">
                   <h1 className="text-2xl font-bold mb-6">The Ensemble</h1>
                   <p className="mb-6" style={{ color: c.textSecondary }}>
@@ -449,107 +4475,176 @@ export default function LexichordPrototype() {
                   </p>
 
                   <div className="grid grid-cols-2 gap-4 mb-8">
-                    <AgentCard
-                      name="The Editor"
-                      description="Refines prose for clarity, conciseness, and style compliance."
-                      icon="🎭"
-                      license="Writer Pro"
-                      available={true}
-                      theme={theme}
-                      onStart={() => {}}
-                    />
-                    <AgentCard
-                      name="The Simplifier"
-                      description="Reduces complexity and eliminates jargon for broader audiences."
-                      icon="✨"
-                      license="Writer Pro"
-                      available={true}
-                      theme={theme}
-                      onStart={() => {}}
-                    />
-                    <AgentCard
-                      name="The Chronicler"
-                      description="Generates changelogs and release notes from Git history."
-                      icon="📜"
-                      license="Teams"
-                      available={false}
-                      theme={theme}
-                      onStart={() => {}}
+                    {agents.map(agent => (
+                      <AgentCard
+                        key={agent.id}
+                        name={agent.name}
+                        description={agent.description}
+                        icon={agent.icon}
+                        license={tierLabel(getFeature(agent.feature).tier)}
+                        available={hasFeature(license, agent.feature, now)}
+                        onStart={() => handleStartAgent(agent)}
+                        onUpgrade={() => handleUpgrade(agent.feature)}
+                      />
+                    ))}
+                  </div>
+
+                  {activeTool === 'openapi' && (
+                    <ScribePanel
+                      rules={rules}
+                      onGenerate={handleGenerateReference}
+                      onClose={() => setActiveTool(null)}
                     />
-                    <AgentCard
-                      name="The Scribe"
-                      description="Converts OpenAPI/Swagger specs into human-readable documentation."
-                      icon="📖"
-                      license="Teams"
-                      available={false}
-                      theme={theme}
-                      onStart={() => {}}
+                  )}
+
+                  {activeTool === 'changelog' && (
+                    <ChroniclerPanel
+                      onGenerate={handleGenerateChangelog}
+                      onClose={() => setActiveTool(null)}
                     />
-                  </div>
+                  )}
 
-                  {/* Agent Chat */}
-                  <div
-                    className="rounded-lg p-4"
-                    style={{ background: c.surfaceOverlay, border: `1px solid ${c.borderSubtle}` }}
-                  >
-                    <div className="flex items-center justify-between mb-4">
-                      <div className="flex items-center gap-2">
-                        <span className="text-xl">🎭</span>
-                        <span className="font-semibold">Active Session: The Editor</span>
-                      </div>
-                      <button
-                        className="text-sm px-3 py-1 rounded"
-                        style={{ background: c.borderSubtle, color: c.textSecondary }}
-                      >
-                        End Session
-                      </button>
-                    </div>
+                  <div className="flex gap-4">
+                    <SessionList
+                      sessions={sessionList}
+                      activeId={activeSessionId}
+                      onResume={handleResumeSession}
+                      onRename={handleRenameSession}
+                      onExport={handleExportSession}
+                      onDelete={handleDeleteSession}
+                    />
 
-                    <div className="h-48 overflow-y-auto mb-4 space-y-3">
-                      {agentChat.length === 0 ? (
-                        <div className="text-center py-8" style={{ color: c.textTertiary }}>
-                          Start a conversation with The Editor...
+                    {/* Agent Chat */}
+                    <div
+                      className="flex-1 min-w-0 rounded-lg p-4"
+                      style={{ background: c.surfaceOverlay, border: `1px solid ${c.borderSubtle}` }}
+                    >
+                      {!activeSession ? (
+                        <div className="text-center py-16" style={{ color: c.textTertiary }}>
+                          Start an agent above, or resume a previous session.
                         </div>
                       ) : (
-                        agentChat.map((msg, i) => (
-                          <div
-                            key={i}
-                            className={`p-3 rounded-lg ${msg.role === 'user' ? 'ml-12' : 'mr-12'}`}
-                            style={{
-                              background: msg.role === 'user' ? c.accentMuted : c.surfaceElevated,
-                              borderLeft: msg.role === 'assistant' ? `3px solid ${c.accentPrimary}` : 'none'
-                            }}
-                          >
-                            <div className="text-xs mb-1" style={{ color: c.textTertiary }}>
-                              {msg.role === 'user' ? 'You' : 'The Editor'}
+                        <>
+                          <div className="flex items-center justify-between gap-2 mb-4">
+                            <div className="flex items-center gap-2 min-w-0">
+                              <span className="text-xl">{activeAgent.icon}</span>
+                              <span className="font-semibold truncate" title={activeSession.title}>
+                                {activeSession.endedAt ? 'Ended' : 'Active'} Session: {activeSession.title}
+                              </span>
+                            </div>
+                            <div className="flex items-center gap-2 flex-shrink-0">
+                              <select
+                                value={activeSession.personaId}
+                                onChange={(e) => patchSession(activeSession.id, s => updateSession(s, { personaId: e.target.value }))}
+                                className="text-xs px-2 py-1 rounded outline-none"
+                                style={{ background: c.surfaceElevated, color: c.textSecondary, border: `1px solid ${c.borderSubtle}` }}
+                                title="Persona"
+                              >
+                                {activeAgent.personas.map(persona => (
+                                  <option key={persona.id} value={persona.id}>{persona.label}</option>
+                                ))}
+                              </select>
+                              {activeSession.endedAt ? (
+                                <button
+                                  onClick={() => handleResumeSession(activeSession.id)}
+                                  className="text-sm px-3 py-1 rounded"
+                                  style={{ background: c.accentPrimary, color: '#fff' }}
+                                >
+                                  Resume
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => handleEndSession(activeSession.id)}
+                                  className="text-sm px-3 py-1 rounded"
+                                  style={{ background: c.borderSubtle, color: c.textSecondary }}
+                                >
+                                  End Session
+                                </button>
+                              )}
                             </div>
-                            <div className="whitespace-pre-wrap">{msg.content}</div>
                           </div>
-                        ))
-                      )}
-                    </div>
 
-                    <div className="flex gap-2">
-                      <input
-                        type="text"
-                        value={chatInput}
-                        onChange={(e) => setChatInput(e.target.value)}
-                        onKeyDown={(e) => e.key === 'Enter' && handleSendMessage()}
-                        placeholder="Type your message..."
-                        className="flex-1 px-4 py-2 rounded-lg outline-none"
-                        style={{
-                          background: c.surfaceElevated,
-                          border: `1px solid ${c.borderSubtle}`,
-                          color: c.textPrimary
-                        }}
-                      />
-                      <button
-                        onClick={handleSendMessage}
-                        className="px-4 py-2 rounded-lg"
-                        style={{ background: c.accentPrimary, color: '#fff' }}
-                      >
-                        Send
-                      </button>
+                          <div className="h-48 overflow-y-auto mb-4 space-y-3">
+                            {activeSession.messages.length === 0 ? (
+                              <div className="text-center py-8" style={{ color: c.textTertiary }}>
+                                Start a conversation with {activeAgent.name}...
+                              </div>
+                            ) : (
+                              activeSession.messages.map((msg, i) => (
+                                <ChatMessage
+                                  key={i}
+                                  message={msg}
+                                  agentName={activeAgent.name}
+                                  onRetry={handleRetry}
+                                  onReview={handleReviewProposal}
+                                  onCite={handleOpenCitation}
+                                />
+                              ))
+                            )}
+                          </div>
+
+                          <label className="flex items-center gap-2 text-xs mb-2" style={{ color: c.textTertiary }}>
+                            <input
+                              type="checkbox"
+                              checked={activeSession.includeContext}
+                              onChange={(e) => patchSession(activeSession.id, s => updateSession(s, { includeContext: e.target.checked }))}
+                            />
+                            {documentContext
+                              ? `Share ${documentContext.kind === 'selection' ? `the selection in ${documentContext.name} (${countWords(documentContext.text)} words)` : `${documentContext.name} (${countWords(documentContext.text)} words${documentContext.truncated ? ', truncated' : ''})`}`
+                              : 'No open document to share'}
+                          </label>
+                          <label className="flex items-center gap-2 text-xs mb-2" style={{ color: c.textTertiary }}>
+                            <input
+                              type="checkbox"
+                              checked={activeSession.useKnowledge !== false}
+                              disabled={!indexedChunks}
+                              onChange={(e) => patchSession(activeSession.id, s => updateSession(s, { useKnowledge: e.target.checked }))}
+                            />
+                            {indexedChunks
+                              ? `Look up relevant passages in the Knowledge Hub (${Object.keys(sources).length} source${Object.keys(sources).length === 1 ? '' : 's'})`
+                              : 'Add sources in the Knowledge Hub to ground answers in them'}
+                          </label>
+
+                          <div className="flex gap-2">
+                            <input
+                              type="text"
+                              value={chatInput}
+                              onChange={(e) => setChatInput(e.target.value)}
+                              onKeyDown={(e) => e.key === 'Enter' && handleSendMessage()}
+                              placeholder={activeSession.endedAt ? 'Resume the session to continue...' : 'Type your message...'}
+                              disabled={Boolean(activeSession.endedAt)}
+                              className="flex-1 px-4 py-2 rounded-lg outline-none"
+                              style={{
+                                background: c.surfaceElevated,
+                                border: `1px solid ${c.borderSubtle}`,
+                                color: c.textPrimary
+                              }}
+                            />
+                            {generating ? (
+                              <button
+                                onClick={handleStopGeneration}
+                                className="flex items-center gap-1 px-4 py-2 rounded-lg"
+                                style={{ background: c.borderSubtle, color: c.textPrimary }}
+                              >
+                                <Square size={14} /> Stop
+                              </button>
+                            ) : (
+                              <button
+                                onClick={handleSendMessage}
+                                disabled={Boolean(activeSession.endedAt)}
+                                className="px-4 py-2 rounded-lg"
+                                style={{ background: c.accentPrimary, color: '#fff', opacity: activeSession.endedAt ? 0.5 : 1 }}
+                              >
+                                Send
+                              </button>
+                            )}
+                          </div>
+                          <div className="flex justify-between text-xs mt-2" style={{ color: c.textTertiary }}>
+                            <span>{providerOptions.find(option => option.id === providerConfig.provider)?.label} · {providerConfig[providerConfig.provider].model || 'mock'} · {getPersona(activeAgent, activeSession.personaId).label}</span>
+                            {chatUsage > 0 && <span>{chatUsage.toLocaleString()} tokens this session</span>}
+                          </div>
+                        </>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -560,22 +4655,38 @@ export default function LexichordPrototype() {
                   <h1 className="text-2xl font-bold mb-6">Style Dashboard</h1>
 
                   <div className="grid grid-cols-2 gap-6 mb-8">
-                    <StyleGauge score={styleScore} theme={theme} />
+                    <StyleGauge result={scoreResult} config={scoreConfig} />
 
                     <div className="p-4 rounded-lg" style={{ background: c.surfaceOverlay }}>
-                      <h3 className="font-semibold mb-4">Voice Profile</h3>
+                      <div className="flex items-center justify-between mb-4">
+                        <h3 className="font-semibold">Voice Profile</h3>
+                        <select
+                          value={analyticsSection}
+                          onChange={(e) => setAnalyticsSection(Number(e.target.value))}
+                          className="text-xs px-2 py-1 rounded outline-none max-w-[50%]"
+                          style={{ background: c.surfaceElevated, color: c.textSecondary, border: `1px solid ${c.borderSubtle}` }}
+                        >
+                          <option value={-1}>Whole document</option>
+                          {analysis.sections.map((section, i) => (
+                            <option key={i} value={i}>{section.heading || 'Introduction'}</option>
+                          ))}
+                        </select>
+                      </div>
                       {[
-                        { label: 'Directness', value: 75, left: 'Soft', right: 'Assertive' },
-                        { label: 'Formality', value: 60, left: 'Casual', right: 'Formal' },
-                        { label: 'Complexity', value: 40, left: 'Simple', right: 'Technical' },
+                        { label: 'Directness', value: sectionMetrics.voice.directness, left: 'Soft', right: 'Assertive' },
+                        { label: 'Formality', value: sectionMetrics.voice.formality, left: 'Casual', right: 'Formal' },
+                        { label: 'Complexity', value: sectionMetrics.voice.complexity, left: 'Simple', right: 'Technical' },
                       ].map((metric, i) => (
                         <div key={i} className="mb-4">
-                          <div className="text-sm mb-1" style={{ color: c.textSecondary }}>{metric.label}</div>
+                          <div className="flex justify-between text-sm mb-1" style={{ color: c.textSecondary }}>
+                            <span>{metric.label}</span>
+                            <span style={{ color: c.textTertiary }}>{metric.value}</span>
+                          </div>
                           <div className="flex items-center gap-2">
                             <span className="text-xs" style={{ color: c.textTertiary }}>{metric.left}</span>
                             <div className="flex-1 h-2 rounded-full relative" style={{ background: c.borderSubtle }}>
                               <div
-                                className="absolute w-3 h-3 rounded-full -top-0.5 transform -translate-x-1/2"
+                                className="absolute w-3 h-3 rounded-full -top-0.5 transform -translate-x-1/2 transition-all duration-500"
                                 style={{ left: `${metric.value}%`, background: c.accentPrimary }}
                               />
                             </div>
@@ -583,6 +4694,19 @@ export default function LexichordPrototype() {
                           </div>
                         </div>
                       ))}
+                      <div className="grid grid-cols-2 gap-2 pt-3 border-t text-sm" style={{ borderColor: c.borderSubtle }}>
+                        {[
+                          { label: 'Grade level (FK)', value: sectionMetrics.fleschKincaidGrade.toFixed(1) },
+                          { label: 'Avg. sentence', value: `${sectionMetrics.avgSentenceLength.toFixed(1)} words` },
+                          { label: 'Passive voice', value: `${Math.round(sectionMetrics.passiveRatio * 100)}%` },
+                          { label: 'Hedging words', value: sectionMetrics.hedgeCount },
+                        ].map(stat => (
+                          <div key={stat.label} className="flex justify-between">
+                            <span style={{ color: c.textTertiary }}>{stat.label}</span>
+                            <span>{stat.value}</span>
+                          </div>
+                        ))}
+                      </div>
                     </div>
                   </div>
 
@@ -591,18 +4715,18 @@ export default function LexichordPrototype() {
                     style={{ background: c.surfaceOverlay }}
                   >
                     <h3 className="font-semibold mb-4">Issues by Category</h3>
-                    {[
-                      { label: 'Terminology Violations', count: issues.filter(i => i.type === 'error').length, max: 10 },
-                      { label: 'Style Warnings', count: issues.filter(i => i.type === 'warning').length, max: 10 },
-                      { label: 'Readability', count: 0, max: 10 },
-                    ].map((cat, i) => (
+                    {ruleCategories.map(category => ({
+                      label: category.label,
+                      count: issues.filter(i => i.category === category.id).length,
+                      max: 10,
+                    })).map((cat, i) => (
                       <div key={i} className="flex items-center gap-3 mb-3">
                         <div className="w-40 text-sm" style={{ color: c.textSecondary }}>{cat.label}</div>
                         <div className="flex-1 h-2 rounded-full" style={{ background: c.borderSubtle }}>
                           <div
                             className="h-full rounded-full"
                             style={{
-                              width: `${(cat.count / cat.max) * 100}%`,
+                              width: `${Math.min(100, (cat.count / cat.max) * 100)}%`,
                               background: cat.count > 0 ? c.statusError : c.statusSuccess
                             }}
                           />
@@ -611,6 +4735,13 @@ export default function LexichordPrototype() {
                       </div>
                     ))}
                   </div>
+
+                  <ScoreHistory
+                    documents={scoreDocuments}
+                    activePath={activeDoc?.path || null}
+                    thresholds={scoreConfig.thresholds}
+                    now={now}
+                  />
                 </div>
               )}
 
@@ -619,74 +4750,31 @@ export default function LexichordPrototype() {
                   <h1 className="text-2xl font-bold mb-6">Settings</h1>
 
                   <div className="space-y-6">
-                    <div
-                      className="p-4 rounded-lg"
-                      style={{ background: c.surfaceOverlay }}
-                    >
-                      <h3 className="font-semibold mb-4">Appearance</h3>
-
-                      <div className="mb-4">
-                        <label className="text-sm mb-2 block" style={{ color: c.textSecondary }}>Theme</label>
-                        <div className="flex gap-2">
-                          {['Light', 'Dark', 'System'].map((t) => (
-                            <button
-                              key={t}
-                              onClick={() => setTheme(t.toLowerCase() === 'system' ? 'dark' : t.toLowerCase())}
-                              className="px-4 py-2 rounded-lg transition-colors"
-                              style={{
-                                background: (theme === t.toLowerCase() || (t === 'Dark' && theme === 'dark')) ? c.accentMuted : c.surfaceElevated,
-                                border: `1px solid ${(theme === t.toLowerCase() || (t === 'Dark' && theme === 'dark')) ? c.accentPrimary : c.borderSubtle}`,
-                                color: (theme === t.toLowerCase() || (t === 'Dark' && theme === 'dark')) ? c.accentPrimary : c.textSecondary
-                              }}
-                            >
-                              {t}
-                            </button>
-                          ))}
-                        </div>
-                      </div>
+                    <AppearanceSettings />
 
-                      <div className="mb-4">
-                        <label className="text-sm mb-2 block" style={{ color: c.textSecondary }}>Accent Color</label>
-                        <div className="flex gap-2">
-                          {['#FF6B2C', '#60A5FA', '#34D399', '#A78BFA', '#F87171'].map((color) => (
-                            <button
-                              key={color}
-                              className="w-8 h-8 rounded-full border-2 transition-transform hover:scale-110"
-                              style={{
-                                background: color,
-                                borderColor: color === '#FF6B2C' ? '#fff' : 'transparent'
-                              }}
-                            />
-                          ))}
-                        </div>
-                      </div>
-                    </div>
+                    <ScoreSettings config={scoreConfig} onChange={setScoreConfig} />
 
-                    <div
-                      className="p-4 rounded-lg"
-                      style={{ background: c.surfaceOverlay }}
-                    >
-                      <h3 className="font-semibold mb-4">License</h3>
-                      <div className="flex items-center justify-between">
-                        <div>
-                          <div className="font-medium">Writer Pro</div>
-                          <div className="text-sm" style={{ color: c.textSecondary }}>Expires: Feb 26, 2026</div>
-                        </div>
-                        <button
-                          className="px-4 py-2 rounded-lg"
-                          style={{ background: c.accentPrimary, color: '#fff' }}
-                        >
-                          Manage
-                        </button>
-                      </div>
-                    </div>
+                    <RuleManager rules={rules} onChange={setRules} />
+
+                    <ProviderSettings config={providerConfig} onChange={setProviderConfig} />
+
+                    <ShortcutSettings commands={commands} bindings={shortcutBindings} onChange={setShortcutBindings} />
+
+                    <LicenseSettings
+                      license={license}
+                      loading={!licenseLoaded}
+                      upgradeFeature={upgradeFeature}
+                      now={now}
+                      onActivate={handleActivateLicense}
+                      onDeactivate={handleDeactivateLicense}
+                    />
                   </div>
                 </div>
               )}
             </div>
 
             {/* Inspector Panel */}
-            {showInspector && activeNav === 'editor' && (
+            {showInspector && activeNav === 'editor' && activeDoc && (
               <aside
                 className="w-80 border-l overflow-y-auto"
                 style={{ background: c.surfaceElevated, borderColor: c.borderSubtle }}
@@ -699,18 +4787,16 @@ export default function LexichordPrototype() {
                     </button>
                   </div>
 
-                  <StyleGauge score={styleScore} theme={theme} />
+                  <StyleGauge result={scoreResult} config={scoreConfig} />
 
                   <div className="mt-6">
                     <div className="flex items-center justify-between mb-3">
                       <h3 className="font-semibold text-sm" style={{ color: c.textSecondary }}>
                         Issues ({issues.length})
                       </h3>
-                      {issues.length > 0 && (
+                      {fixableIssues.length > 0 && (
                         <button
-                          onClick={() => {
-                            issues.forEach(handleApplyFix);
-                          }}
+                          onClick={() => setShowFixPreview(true)}
                           className="text-xs px-2 py-1 rounded"
                           style={{ background: c.accentMuted, color: c.accentPrimary }}
                         >
@@ -719,16 +4805,48 @@ export default function LexichordPrototype() {
                       )}
                     </div>
 
+                    {showFixPreview && fixableIssues.length > 0 && (
+                      <FixPreview
+                        content={content}
+                        issues={fixableIssues}
+                        onConfirm={handleApplyAll}
+                        onCancel={() => setShowFixPreview(false)}
+                      />
+                    )}
+
                     {issues.length === 0 ? (
                       <div className="text-center py-8" style={{ color: c.textTertiary }}>
                         <CheckCircle size={32} className="mx-auto mb-2" style={{ color: c.statusSuccess }} />
                         <div>No issues found!</div>
                       </div>
                     ) : (
-                      issues.map((issue, i) => (
-                        <IssueCard key={i} issue={issue} theme={theme} onApply={handleApplyFix} />
+                      issues.map((issue) => (
+                        <IssueCard
+                          key={issue.id}
+                          issue={issue}
+                          active={issue.id === activeIssueId}
+                          onApply={handleApplyFix}
+                          onIgnore={handleIgnoreIssue}
+                          onSelect={(selected) => setActiveIssueId(selected.id)}
+                        />
                       ))
                     )}
+
+                    {ignored.length > 0 && (
+                      <div className="mt-3">
+                        <button
+                          onClick={() => setShowIgnored(show => !show)}
+                          className="flex items-center gap-1 text-xs"
+                          style={{ color: c.textTertiary }}
+                        >
+                          {showIgnored ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                          Ignored ({ignored.length})
+                        </button>
+                        {showIgnored && ignored.map(issue => (
+                          <IgnoredIssue key={issue.id} issue={issue} onRestore={handleRestoreIssue} />
+                        ))}
+                      </div>
+                    )}
                   </div>
 
                   <div className="mt-6 pt-6 border-t" style={{ borderColor: c.borderSubtle }}>
@@ -736,22 +4854,23 @@ export default function LexichordPrototype() {
                       Document Info
                     </h3>
                     <div className="space-y-2 text-sm">
-                      <div className="flex justify-between">
-                        <span style={{ color: c.textTertiary }}>Words</span>
-                        <span>127</span>
-                      </div>
-                      <div className="flex justify-between">
-                        <span style={{ color: c.textTertiary }}>Characters</span>
-                        <span>847</span>
-                      </div>
-                      <div className="flex justify-between">
-                        <span style={{ color: c.textTertiary }}>Reading time</span>
-                        <span>~1 min</span>
-                      </div>
-                      <div className="flex justify-between">
-                        <span style={{ color: c.textTertiary }}>Modified</span>
-                        <span>Just now</span>
-                      </div>
+                      {[
+                        { label: 'Words', value: stats.words.toLocaleString() },
+                        { label: 'Characters', value: stats.characters.toLocaleString() },
+                        { label: 'Headings', value: stats.headings },
+                        { label: 'Reading time', value: `~${stats.readingMinutes} min` },
+                        { label: 'Selection', value: selectedWords ? `${selectedWords} words` : '—' },
+                        {
+                          label: 'Modified',
+                          value: formatRelativeTime(activeDoc.modifiedAt, now),
+                          title: activeDoc.modifiedAt ? new Date(activeDoc.modifiedAt).toLocaleString() : undefined,
+                        },
+                      ].map(info => (
+                        <div key={info.label} className="flex justify-between">
+                          <span style={{ color: c.textTertiary }}>{info.label}</span>
+                          <span title={info.title}>{info.value}</span>
+                        </div>
+                      ))}
                     </div>
                   </div>
                 </div>
@@ -765,22 +4884,45 @@ export default function LexichordPrototype() {
             style={{ background: c.surfaceElevated, borderColor: c.borderSubtle, color: c.textTertiary }}
           >
             <div className="flex items-center gap-4">
-              <span>📊 127 words</span>
-              <span>📏 ~1 min read</span>
-              <span style={{ color: styleScore >= 90 ? c.statusSuccess : styleScore >= 70 ? c.statusWarning : c.statusError }}>
-                🎯 Style: {styleScore}%
+              {storageError && (
+                <span className="flex items-center gap-1" style={{ color: c.statusError }} title={storageError.message}>
+                  <AlertTriangle size={12} /> {storageError.label}
+                </span>
+              )}
+              <span>📊 {stats.words.toLocaleString()} words</span>
+              <span>📏 ~{stats.readingMinutes} min read</span>
+              <span style={{ color: toneColor(c, scoreResult.band.tone) }} title={scoreResult.band.label}>
+                🎯 Style: {scoreResult.score}%
               </span>
             </div>
             <div className="flex items-center gap-4">
               <span className="flex items-center gap-1">
-                <Sparkles size={12} style={{ color: c.statusSuccess }} />
-                AI: Ready
+                <Sparkles size={12} style={{ color: generating ? c.accentPrimary : c.statusSuccess }} />
+                AI: {generating ? 'Generating…' : `Ready (${providerOptions.find(option => option.id === providerConfig.provider)?.label})`}
               </span>
-              <span>Ln 16, Col 24</span>
+              {selectedWords > 0 && <span>{selectedWords} words selected</span>}
+              <span>Ln {caret.line}, Col {caret.column}</span>
             </div>
           </footer>
         </main>
       </div>
+
+      {/* The palette leaves out itself and commands that don't apply right now */}
+      {showPalette && (
+        <CommandPalette
+          commands={commands.filter(command => command.enabled !== false && command.id !== 'palette.show')}
+          onRun={handleRunCommand}
+          onClose={() => setShowPalette(false)}
+        />
+      )}
     </div>
   );
 }
+
+export default function LexichordPrototype() {
+  return (
+    <ThemeProvider>
+      <Workbench />
+    </ThemeProvider>
+  );
+}
@@ -0,0 +1,167 @@
+// Agents & Sessions
+//
+// An agent is a fixed system prompt plus a set of personas that adjust its
+// tone. A session is one conversation with one agent; sessions keep their own
+// message history so several can be resumed independently. Agents with a
+// `tool` open a dedicated panel instead of starting a chat, and every agent
+// names the license feature that unlocks it. Session helpers return a new
+// session rather than changing the one they are given.
+import { EDIT_INSTRUCTIONS } from './proposals.js';
+import { formatExcerpts, citationLabel } from './citations.js';
+
+export const agents = [
+  {
+    id: 'editor',
+    feature: 'agent.editor',
+    name: 'The Editor',
+    icon: '🎭',
+    description: 'Refines prose for clarity, conciseness, and style compliance.',
+    canEdit: true,
+    systemPrompt: 'You are The Editor, a technical editor. Improve clarity, concision and consistency while keeping the author\'s meaning. Point to the exact sentence you are commenting on and show rewrites in full.',
+    personas: [
+      { id: 'balanced', label: 'Balanced', prompt: 'Be constructive and direct. Prioritize the three changes with the biggest impact.' },
+      { id: 'strict', label: 'Strict', prompt: 'Apply the style guide rigorously and flag every deviation, however small.' },
+      { id: 'mentor', label: 'Mentor', prompt: 'Explain the reasoning behind each suggestion so the writer can apply it next time.' },
+    ],
+  },
+  {
+    id: 'simplifier',
+    feature: 'agent.simplifier',
+    name: 'The Simplifier',
+    icon: '✨',
+    description: 'Reduces complexity and eliminates jargon for broader audiences.',
+    canEdit: true,
+    systemPrompt: 'You are The Simplifier. Rewrite text for a broad audience: short sentences, common words, active voice, and jargon either removed or defined on first use.',
+    personas: [
+      { id: 'plain', label: 'Plain Language', prompt: 'Target a general adult reader, around grade 8.' },
+      { id: 'newcomer', label: 'Newcomer', prompt: 'Assume the reader is new to the product and define every domain term.' },
+    ],
+  },
+  {
+    id: 'chronicler',
+    feature: 'agent.chronicler',
+    name: 'The Chronicler',
+    icon: '📜',
+    description: 'Generates changelogs and release notes from Git history.',
+    canEdit: true,
+    tool: 'changelog',
+    systemPrompt: 'You are The Chronicler. Turn commit history into clear, user-facing release notes grouped by type of change.',
+    personas: [
+      { id: 'release', label: 'Release Notes', prompt: 'Write for end users; describe impact, not implementation.' },
+    ],
+  },
+  {
+    id: 'scribe',
+    feature: 'agent.scribe',
+    name: 'The Scribe',
+    icon: '📖',
+    description: 'Converts OpenAPI/Swagger specs into human-readable documentation.',
+    canEdit: true,
+    tool: 'openapi',
+    systemPrompt: 'You are The Scribe. Turn API specifications into accurate, example-driven reference documentation.',
+    personas: [
+      { id: 'reference', label: 'Reference', prompt: 'Be exhaustive and precise; include request and response examples.' },
+    ],
+  },
+];
+
+export const getAgent = (id) => agents.find(agent => agent.id === id) || null;
+
+export const getPersona = (agent, personaId) => agent.personas.find(p => p.id === personaId) || agent.personas[0];
+
+// Characters of document context sent with each request (roughly 3,000 tokens)
+export const MAX_CONTEXT_CHARS = 12000;
+
+let nextId = 1;
+
+export const createSession = (agent, { personaId = agent.personas[0].id, now = Date.now() } = {}) => ({
+  id: `session-${now.toString(36)}-${nextId++}`,
+  agentId: agent.id,
+  personaId,
+  title: `${agent.name} — ${new Date(now).toLocaleString()}`,
+  includeContext: true,
+  useKnowledge: true,
+  messages: [],
+  createdAt: now,
+  updatedAt: now,
+  endedAt: null,
+});
+
+export const updateSession = (session, patch) => ({ ...session, ...patch, updatedAt: Date.now() });
+
+export const endSession = (session) => updateSession(session, { endedAt: Date.now() });
+
+export const resumeSession = (session) => (session.endedAt ? updateSession(session, { endedAt: null }) : session);
+
+/**
+ * Describes what the agent is shown alongside the conversation: the current
+ * selection if there is one, otherwise the whole active document.
+ */
+export const getDocumentContext = (doc, content, selection) => {
+  if (!doc) return null;
+  const hasSelection = selection && selection.end > selection.start;
+  const text = hasSelection ? content.slice(selection.start, selection.end) : content;
+  return {
+    docId: doc.id,
+    name: doc.name,
+    kind: hasSelection ? 'selection' : 'document',
+    start: hasSelection ? selection.start : 0,
+    text: text.length > MAX_CONTEXT_CHARS ? text.slice(0, MAX_CONTEXT_CHARS) : text,
+    truncated: text.length > MAX_CONTEXT_CHARS,
+  };
+};
+
+// Builds the provider message list: system prompt, persona, context and
+// Knowledge Hub excerpts, then history
+export const buildMessages = (session, context, history = session.messages, citations = []) => {
+  const agent = getAgent(session.agentId);
+  const persona = getPersona(agent, session.personaId);
+  const system = [agent.systemPrompt, persona.prompt];
+  if (context) {
+    system.push(context.kind === 'selection'
+      ? `The writer has selected this passage in "${context.name}":`
+      : `The writer is working on "${context.name}"${context.truncated ? ' (truncated)' : ''}:`);
+    system.push(`"""\n${context.text}\n"""`);
+    if (agent.canEdit) system.push(EDIT_INSTRUCTIONS);
+  }
+  if (citations.length) system.push(formatExcerpts(citations));
+  return [
+    { role: 'system', content: system.join('\n\n') },
+    ...history.filter(msg => msg.status !== 'error').map(({ role, content }) => ({ role, content })),
+  ];
+};
+
+export const exportSessionJSON = (session) => JSON.stringify({
+  title: session.title,
+  agent: session.agentId,
+  persona: session.personaId,
+  createdAt: new Date(session.createdAt).toISOString(),
+  endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+  messages: session.messages
+    .filter(msg => msg.status !== 'error')
+    .map(({ role, content, usage, citations }) => ({
+      role,
+      content,
+      ...(usage && { usage }),
+      ...(citations?.length && { citations: citations.map(({ text, ...citation }) => citation) }),
+    })),
+}, null, 2);
+
+export const exportSessionMarkdown = (session) => {
+  const agent = getAgent(session.agentId);
+  const persona = getPersona(agent, session.personaId);
+  const lines = [
+    `# ${session.title}`,
+    '',
+    `- **Agent:** ${agent.name} (${persona.label})`,
+    `- **Started:** ${new Date(session.createdAt).toLocaleString()}`,
+  ];
+  if (session.endedAt) lines.push(`- **Ended:** ${new Date(session.endedAt).toLocaleString()}`);
+  session.messages
+    .filter(msg => msg.status !== 'error')
+    .forEach(msg => {
+      lines.push('', `## ${msg.role === 'user' ? 'You' : agent.name}`, '', msg.content);
+      if (msg.citations?.length) lines.push('', ...msg.citations.map(citation => `${citation.n}. ${citationLabel(citation)}`));
+    });
+  return `${lines.join('\n')}\n`;
+};
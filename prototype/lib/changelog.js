@@ -0,0 +1,194 @@
+// Changelog Generation
+//
+// Turns pasted `git log` output into a Keep a Changelog document. Commits are
+// parsed as Conventional Commits, grouped into releases by version tags, and
+// sorted into the Keep a Changelog sections. Everything runs locally.
+
+// Recommended export; fields are separated by \x1f and commits by \x1e
+export const GIT_LOG_COMMAND = "git log --date=short --pretty=format:'%H%x1f%ad%x1f%D%x1f%s%x1f%b%x1e'";
+
+export const changelogSections = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// Conventional Commit types and the section they belong to; null means hidden
+const TYPE_SECTIONS = {
+  feat: 'Added',
+  fix: 'Fixed',
+  perf: 'Changed',
+  refactor: 'Changed',
+  revert: 'Changed',
+  deprecate: 'Deprecated',
+  remove: 'Removed',
+  security: 'Security',
+  docs: null,
+  style: null,
+  test: null,
+  build: null,
+  ci: null,
+  chore: null,
+};
+
+const VERSION_TAG = /^v?\d+\.\d+\.\d+(?:[-+][\w.-]+)?$/;
+
+const CONVENTIONAL = /^(\w+)(?:\(([^)]*)\))?(!)?:\s+(.+)$/;
+
+const tagsFrom = (decoration = '') => [...decoration.matchAll(/tag:\s*([^,)\s]+)/g)].map(m => m[1]);
+
+// `git log --pretty=format:'%H%x1f%ad%x1f%D%x1f%s%x1f%b%x1e'`
+const parseSeparated = (text) => text.split('\x1e').map(record => record.replace(/^\s+/, '')).filter(Boolean).map(record => {
+  const [hash, date, decoration, subject, body = ''] = record.split('\x1f');
+  return { hash: hash.trim(), date: date.trim(), tags: tagsFrom(decoration), subject: subject.trim(), body: body.trim() };
+});
+
+// Default `git log` output (optionally with --decorate)
+const parseMedium = (text) => {
+  const commits = [];
+  let current = null;
+  text.split('\n').forEach(line => {
+    const header = line.match(/^commit ([0-9a-f]{7,40})(?:\s+\((.*)\))?/);
+    if (header) {
+      current = { hash: header[1], date: '', tags: tagsFrom(header[2]), subject: '', body: '' };
+      commits.push(current);
+      return;
+    }
+    if (!current) return;
+    const date = line.match(/^(?:Date|AuthorDate):\s+(.*)$/);
+    if (date) {
+      const parsed = new Date(date[1]);
+      current.date = Number.isNaN(parsed.getTime()) ? date[1].trim() : parsed.toISOString().slice(0, 10);
+      return;
+    }
+    if (/^(?:Author|Merge|Commit|CommitDate):/.test(line)) return;
+    const message = line.replace(/^ {4}/, '');
+    if (!current.subject && message.trim()) current.subject = message.trim();
+    else if (current.subject) current.body += `${message}\n`;
+  });
+  commits.forEach(commit => {
+    commit.body = commit.body.trim();
+  });
+  return commits;
+};
+
+// `git log --oneline --decorate`
+const parseOneline = (text) => text.split('\n').filter(line => line.trim()).map(line => {
+  const match = line.match(/^([0-9a-f]{7,40})\s+(?:\(([^)]*)\)\s+)?(.*)$/);
+  return match ? { hash: match[1], date: '', tags: tagsFrom(match[2]), subject: match[3].trim(), body: '' } : null;
+}).filter(Boolean);
+
+/**
+ * Parses `git log` output in the recommended separated format, the default
+ * format, or `--oneline`. Commits are returned newest first, as git prints them.
+ */
+export const parseGitLog = (text) => {
+  if (text.includes('\x1f')) return parseSeparated(text);
+  if (/^commit [0-9a-f]{7,40}/m.test(text)) return parseMedium(text);
+  return parseOneline(text);
+};
+
+const refsFrom = (text) => [...new Set([...text.matchAll(/(?:^|[\s(])#(\d+)\b/g)].map(m => Number(m[1])))];
+
+/**
+ * Reads the Conventional Commit parts of a commit. Non-conventional subjects
+ * get `type: null`. Breaking changes come from "!" or a BREAKING CHANGE footer.
+ */
+export const parseConventionalCommit = (commit) => {
+  const match = commit.subject.match(CONVENTIONAL);
+  const footer = commit.body.match(/^BREAKING[ -]CHANGE:\s*([\s\S]*?)(?:\n\s*\n|$)/m);
+  const description = match ? match[4] : commit.subject;
+  return {
+    ...commit,
+    type: match ? match[1].toLowerCase() : null,
+    scope: match && match[2] ? match[2] : null,
+    breaking: Boolean((match && match[3]) || footer),
+    breakingNote: footer ? footer[1].replace(/\s+/g, ' ').trim() : null,
+    description: description.replace(/\s*\(#\d+\)\s*$/, ''),
+    refs: refsFrom(`${commit.subject}\n${commit.body}`),
+    merge: /^Merge (?:pull request|branch|remote-tracking branch)\b/.test(commit.subject),
+  };
+};
+
+export const sectionFor = (entry, { includeOther = false } = {}) => {
+  if (entry.breaking && (!entry.type || TYPE_SECTIONS[entry.type] === null)) return 'Changed';
+  if (entry.type && entry.type in TYPE_SECTIONS) return TYPE_SECTIONS[entry.type];
+  return includeOther ? 'Changed' : null;
+};
+
+/**
+ * Groups commits (newest first) into releases. Commits above the newest
+ * version tag are "Unreleased"; each version tag starts a new release.
+ */
+export const groupReleases = (commits, options = {}) => {
+  const releases = [];
+  let release = { version: null, date: null, sections: {} };
+  releases.push(release);
+
+  commits.map(parseConventionalCommit).forEach(entry => {
+    const tag = entry.tags.find(t => VERSION_TAG.test(t));
+    if (tag) {
+      release = { version: tag.replace(/^v/, ''), tag, date: entry.date || null, sections: {} };
+      releases.push(release);
+    }
+    if (entry.merge) return;
+    const section = sectionFor(entry, options);
+    if (!section) return;
+    (release.sections[section] = release.sections[section] || []).push(entry);
+  });
+
+  return releases.filter(r => r.version || Object.keys(r.sections).length);
+};
+
+const formatEntry = (entry, repoUrl) => {
+  const base = repoUrl ? repoUrl.replace(/\/+$/, '') : null;
+  const refs = entry.refs.map(n => (base ? `[#${n}](${base}/pull/${n})` : `#${n}`));
+  const hash = entry.hash.slice(0, 7);
+  let text = `${entry.breaking ? '**BREAKING:** ' : ''}${entry.scope ? `**${entry.scope}:** ` : ''}${entry.description}`;
+  if (refs.length) text += ` (${refs.join(', ')})`;
+  text += base ? ` ([${hash}](${base}/commit/${entry.hash}))` : ` (${hash})`;
+  if (entry.breakingNote) text += `\n  ${entry.breakingNote}`;
+  return `- ${text}`;
+};
+
+/**
+ * Renders releases as Keep a Changelog Markdown. With a repository URL,
+ * pull request numbers and hashes become links and compare links are added.
+ */
+export const renderChangelog = (releases, { repoUrl = '' } = {}) => {
+  const base = repoUrl ? repoUrl.replace(/\/+$/, '') : null;
+  const lines = [
+    '# Changelog',
+    '',
+    'All notable changes to this project will be documented in this file.',
+    '',
+    'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),',
+    'and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).',
+  ];
+
+  releases.forEach(release => {
+    lines.push('', release.version ? `## [${release.version}]${release.date ? ` - ${release.date}` : ''}` : '## [Unreleased]');
+    changelogSections.forEach(section => {
+      const entries = release.sections[section];
+      if (!entries) return;
+      const sorted = [...entries].sort((a, b) => Number(b.breaking) - Number(a.breaking));
+      lines.push('', `### ${section}`, '', ...sorted.map(entry => formatEntry(entry, repoUrl)));
+    });
+  });
+
+  if (base) {
+    const links = releases.map((release, i) => {
+      const previous = releases.slice(i + 1).find(r => r.tag);
+      const name = release.version || 'Unreleased';
+      const head = release.tag || 'HEAD';
+      return previous
+        ? `[${name}]: ${base}/compare/${previous.tag}...${head}`
+        : `[${name}]: ${base}/${release.tag ? `releases/tag/${release.tag}` : 'commits/HEAD'}`;
+    });
+    lines.push('', ...links);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+export const generateChangelog = (gitLog, options = {}) => {
+  const commits = parseGitLog(gitLog);
+  const releases = groupReleases(commits, options);
+  return { commits: commits.length, releases, markdown: renderChangelog(releases, options) };
+};
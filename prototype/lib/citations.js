@@ -0,0 +1,60 @@
+// Knowledge Citations
+//
+// Passages retrieved from Knowledge Hub sources are numbered and added to the
+// agent's system prompt; the agent cites them as [1], [2, 3] and so on. Each
+// reply keeps the list of passages it was given, so the numbers in it can be
+// rendered as links back to the source text.
+
+// Characters of each passage included in the prompt
+const MAX_EXCERPT_CHARS = 1200;
+
+export const EXCERPT_INTRO = [
+  'Excerpts from the writer\'s Knowledge Hub that may be relevant are listed below, numbered.',
+  'When you rely on one, cite it by its number in square brackets, like [1] or [1, 3].',
+  'Only cite excerpts you actually used, and say so if none of them answer the question.',
+].join(' ');
+
+// `[n] source — path, line n` followed by the passage between <<< and >>>
+export const EXCERPT_PATTERN = /^\[(\d+)\] .*\n<<<\n([\s\S]*?)\n>>>$/gm;
+
+// Turns retrieval results into the citations stored with a reply
+export const createCitations = (results) => results.map(({ doc }, i) => ({
+  n: i + 1,
+  sourceId: doc.sourceId,
+  sourceName: doc.sourceName,
+  path: doc.path,
+  heading: doc.heading || null,
+  line: doc.line,
+  start: doc.offset,
+  end: doc.offset + doc.text.length,
+  text: doc.text.length > MAX_EXCERPT_CHARS ? `${doc.text.slice(0, MAX_EXCERPT_CHARS)}…` : doc.text,
+}));
+
+export const citationLabel = (citation) => `${citation.sourceName} — ${citation.path}, line ${citation.line}${citation.heading ? ` (${citation.heading})` : ''}`;
+
+export const formatExcerpts = (citations) => [
+  EXCERPT_INTRO,
+  ...citations.map(citation => `[${citation.n}] ${citationLabel(citation)}\n<<<\n${citation.text}\n>>>`),
+].join('\n\n');
+
+const CITATION = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+
+/**
+ * Splits reply text into `{ text }` and `{ cite: [n, ...] }` parts. Numbers
+ * outside 1..count (and Markdown links like [1](url)) stay as plain text.
+ */
+export const splitCitations = (text, count) => {
+  const parts = [];
+  let cursor = 0;
+  for (const match of text.matchAll(CITATION)) {
+    const numbers = match[1].split(',').map(n => Number(n.trim()));
+    if (!numbers.every(n => n >= 1 && n <= count)) continue;
+    if (match.index > cursor) parts.push({ text: text.slice(cursor, match.index) });
+    parts.push({ cite: numbers });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) parts.push({ text: text.slice(cursor) });
+  return parts;
+};
+
+export const citedNumbers = (text, count) => [...new Set(splitCitations(text, count).flatMap(part => part.cite || []))].sort((a, b) => a - b);
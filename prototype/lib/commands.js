@@ -0,0 +1,129 @@
+// Commands
+//
+// Everything the palette and the keyboard can do is a command: `{ id, title,
+// group, keys, run }`, plus `inInputs` for shortcuts that should also fire
+// while typing in a text field, `inEditor` for ones that fire in the main
+// editor but no other field, and `transient` for commands that only exist
+// for the current session (one per open tab, say), which can't be rebound.
+// Shortcuts are strings like "Mod+Shift+P", where Mod is Ctrl, or ⌘ on a Mac;
+// a command may have several. Rebindings are stored as `{ [id]: keys }` and
+// replace the command's defaults.
+
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift'];
+
+const KEY_NAMES = { ' ': 'Space', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right', Esc: 'Escape' };
+
+// Punctuation by physical key, since Shift changes `e.key` (. becomes >)
+const PUNCTUATION_CODES = {
+  Period: '.', Comma: ',', Slash: '/', Backslash: '\\', Semicolon: ';', Quote: "'",
+  BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`',
+};
+
+const MAC_SYMBOLS = { Mod: '⌘', Alt: '⌥', Shift: '⇧', Up: '↑', Down: '↓', Left: '←', Right: '→', Enter: '↩', Escape: 'Esc' };
+
+/**
+ * The shortcut a keydown event spells, or null for a bare modifier. Letters,
+ * digits and punctuation come from the physical key, so Shift and Option
+ * (which change `e.key` on a Mac) don't change the shortcut.
+ */
+export const shortcutFromEvent = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+  let key;
+  if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+  else if (PUNCTUATION_CODES[e.code]) key = PUNCTUATION_CODES[e.code];
+  else key = KEY_NAMES[e.key] || (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+  return [e.ctrlKey || e.metaKey ? 'Mod' : null, e.altKey ? 'Alt' : null, e.shiftKey ? 'Shift' : null, key].filter(Boolean).join('+');
+};
+
+// Without Ctrl/⌘ or Alt a shortcut would fire while typing; function keys are the exception
+export const isValidShortcut = (shortcut) => /^(Mod|Alt)\+./.test(shortcut) || /^(Shift\+)?F\d{1,2}$/.test(shortcut);
+
+/** "Mod+Shift+P" as ⌘⇧P on a Mac and Ctrl+Shift+P elsewhere. */
+export const formatShortcut = (shortcut, mac = false) => {
+  const parts = shortcut.split('+');
+  return mac ? parts.map(part => MAC_SYMBOLS[part] || part).join('') : parts.map(part => (part === 'Mod' ? 'Ctrl' : part)).join('+');
+};
+
+export const commandKeys = (command, bindings = {}) => bindings[command.id] ?? command.keys ?? [];
+
+// Commands with the user's rebindings applied
+export const bindCommands = (commands, bindings = {}) => commands.map(command => ({
+  ...command,
+  keys: command.transient ? command.keys || [] : commandKeys(command, bindings),
+}));
+
+export const findCommandByShortcut = (commands, shortcut) => commands.find(command => command.keys?.includes(shortcut)) || null;
+
+const TEXT_ENTRY_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * Whether a command's shortcut may fire with focus on `target`. Fields that
+ * take typing (inputs, text areas, selects, editable elements) only let
+ * `inInputs` commands through, and the main editor, marked with
+ * `data-command-scope="editor"`, `inEditor` ones as well.
+ */
+export const shortcutAllowedIn = (command, target) => {
+  if (!target || !(TEXT_ENTRY_TAGS.includes(target.tagName) || target.isContentEditable)) return true;
+  if (command.inInputs) return true;
+  return Boolean(command.inEditor && target.closest?.('[data-command-scope="editor"]'));
+};
+
+// Scores one alignment of the query, taking each later letter as early as possible
+const matchFrom = (q, t, start) => {
+  const indices = [];
+  let score = 0;
+  let from = start;
+  for (const ch of q) {
+    const index = t.indexOf(ch, from);
+    if (index === -1) return null;
+    const wordStart = index === 0 || /[\s:/._-]/.test(t[index - 1]);
+    const consecutive = indices.length > 0 && indices[indices.length - 1] === index - 1;
+    score += 1 + (wordStart ? 8 : 0) + (consecutive ? 5 : 0) - Math.min(index - from, 5) * 0.1;
+    indices.push(index);
+    from = index + 1;
+  }
+  return { score, indices };
+};
+
+/**
+ * Matches a query against text as a subsequence, ignoring case. Letters that
+ * start a word or follow the previous match score higher, so "ti" prefers
+ * "Toggle Inspector" over "Edit". Every occurrence of the first letter is
+ * tried as a starting point. Returns `{ score, indices }` or null.
+ */
+export const fuzzyMatch = (query, text) => {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (!q) return { score: 0, indices: [] };
+  let best = null;
+  for (let start = t.indexOf(q[0]); start !== -1; start = t.indexOf(q[0], start + 1)) {
+    const match = matchFrom(q, t, start);
+    if (!match) break;
+    if (!best || match.score > best.score) best = match;
+  }
+  return best;
+};
+
+export const commandLabel = (command) => `${command.group}: ${command.title}`;
+
+// Letters matched in the title count for more than ones matched in the group
+const TITLE_BONUS = 0.5;
+
+/**
+ * Commands matching the query, best first (shorter labels win ties), each
+ * with the `indices` of the matched characters in its label. An empty query
+ * keeps registry order.
+ */
+export const searchCommands = (commands, query) => commands
+  .map((command, order) => {
+    const match = fuzzyMatch(query, commandLabel(command));
+    const titleStart = command.group.length + 2;
+    const score = match && match.score + match.indices.filter(index => index >= titleStart).length * TITLE_BONUS;
+    return { command, order, match, score };
+  })
+  .filter(({ match }) => match)
+  .sort((a, b) => b.score - a.score
+    || (query.trim() ? commandLabel(a.command).length - commandLabel(b.command).length : 0)
+    || a.order - b.order)
+  .map(({ command, match }) => ({ ...command, indices: match.indices }));
@@ -0,0 +1,92 @@
+// Document Store
+//
+// Immutable helpers for the set of open documents. Each document owns its
+// undo history, the content it was last saved with, and the editor view state
+// (selection and scroll offset) to restore when its tab is activated again.
+import { createHistory } from './history.js';
+
+let nextId = 1;
+
+export const createDocument = ({ id, name, content = '', savedContent = content, modifiedAt = null, ...rest }) => ({
+  id: id || `doc-${Date.now().toString(36)}-${nextId++}`,
+  name,
+  history: createHistory(content),
+  savedContent,
+  selection: { start: 0, end: 0 },
+  scrollTop: 0,
+  modifiedAt,
+  ...rest,
+});
+
+export const createStore = (documents = []) => ({
+  documents: Object.fromEntries(documents.map(doc => [doc.id, doc])),
+  order: documents.map(doc => doc.id),
+  activeId: documents.length ? documents[0].id : null,
+});
+
+export const getActiveDocument = (store) => store.documents[store.activeId] || null;
+
+export const getContent = (doc) => doc.history.present;
+
+export const isDirty = (doc) => doc.history.present !== doc.savedContent;
+
+// Opens a document in a new tab after the active one, or focuses it if already open
+export const openDocument = (store, doc) => {
+  if (store.documents[doc.id]) return { ...store, activeId: doc.id };
+  const index = store.order.indexOf(store.activeId) + 1;
+  return {
+    documents: { ...store.documents, [doc.id]: doc },
+    order: [...store.order.slice(0, index), doc.id, ...store.order.slice(index)],
+    activeId: doc.id,
+  };
+};
+
+// Closing the active tab activates its right-hand neighbour, else the left one
+export const closeDocument = (store, id) => {
+  if (!store.documents[id]) return store;
+  const index = store.order.indexOf(id);
+  const order = store.order.filter(docId => docId !== id);
+  const { [id]: closed, ...documents } = store.documents;
+  const activeId = store.activeId === id
+    ? order[Math.min(index, order.length - 1)] || null
+    : store.activeId;
+  return { documents, order, activeId };
+};
+
+export const activateDocument = (store, id) => (store.documents[id] ? { ...store, activeId: id } : store);
+
+// Cycles through tabs; `step` is 1 for the next tab and -1 for the previous one
+export const cycleDocument = (store, step) => {
+  if (!store.order.length) return store;
+  const index = store.order.indexOf(store.activeId);
+  const next = (index + step + store.order.length) % store.order.length;
+  return { ...store, activeId: store.order[next] };
+};
+
+export const moveDocument = (store, id, toIndex) => {
+  const order = store.order.filter(docId => docId !== id);
+  order.splice(Math.max(0, Math.min(toIndex, order.length)), 0, id);
+  return { ...store, order };
+};
+
+export const updateDocument = (store, id, update) => {
+  const doc = store.documents[id];
+  if (!doc) return store;
+  const next = typeof update === 'function' ? update(doc) : { ...doc, ...update };
+  return next === doc ? store : { ...store, documents: { ...store.documents, [id]: next } };
+};
+
+// Applies a history transition, stamping the modification time when content changes
+export const updateHistory = (store, id, transition) => updateDocument(store, id, doc => {
+  const history = transition(doc.history);
+  if (history === doc.history) return doc;
+  return {
+    ...doc,
+    history,
+    modifiedAt: history.present !== doc.history.present ? Date.now() : doc.modifiedAt,
+  };
+});
+
+export const markSaved = (store, id) => updateDocument(store, id, doc => (
+  isDirty(doc) ? { ...doc, savedContent: doc.history.present } : doc
+));
@@ -0,0 +1,283 @@
+// DOCX Export
+//
+// Writes a Word document locally from the Markdown tree: WordprocessingML
+// parts zipped with createZip, no server and no library. Headings, emphasis,
+// links, lists (numbered ones restart per list), tables, quotes and code map to
+// Word's built-in styles where it has one, so the file picks up a reviewer's
+// own template. Images are replaced by their alt text. The style report can
+// follow the document after a page break, or be the whole document.
+import { parseMarkdown } from './markdown.js';
+import { createZip } from './zip.js';
+import { colors } from './theme.js';
+import { formatReportDate, summarizeCounts, describeOccurrence } from './style-report.js';
+
+const NS = {
+  w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+};
+
+const REL_TYPES = {
+  document: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+  core: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+  styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+  numbering: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering',
+  hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+};
+
+export const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Word wants colors as bare hex
+const hex = (color) => color.replace('#', '');
+
+const palette = colors.light;
+
+const TONE_COLORS = { success: palette.statusSuccess, warning: palette.statusWarning, error: palette.statusError };
+
+// Indent per list level, in twentieths of a point
+const LIST_INDENT = 720;
+
+// Control characters other than tab and newline are not allowed in XML
+const escapeXml = (text) => String(text)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+// Runs
+
+const runProperties = (format) => {
+  const props = [
+    format.style ? `<w:rStyle w:val="${format.style}"/>` : '',
+    format.bold ? '<w:b/>' : '',
+    format.italic ? '<w:i/>' : '',
+    format.strike ? '<w:strike/>' : '',
+    format.color ? `<w:color w:val="${hex(format.color)}"/>` : '',
+  ].join('');
+  return props ? `<w:rPr>${props}</w:rPr>` : '';
+};
+
+const textRun = (text, format = {}) => `<w:r>${runProperties(format)}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+
+// Code keeps its line breaks
+const codeRun = (text) => `<w:r>${text.split('\n').map((line, i) => `${i ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t>`).join('')}</w:r>`;
+
+const renderInline = (nodes, context, format = {}) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text':
+      // Soft line breaks read as spaces, as in the preview
+      return textRun(node.value.replace(/\n/g, ' '), format);
+    case 'break':
+      return '<w:r><w:br/></w:r>';
+    case 'inlineCode':
+      return textRun(node.value, { ...format, style: 'CodeChar' });
+    case 'emphasis':
+      return renderInline(node.children, context, { ...format, italic: true });
+    case 'strong':
+      return renderInline(node.children, context, { ...format, bold: true });
+    case 'delete':
+      return renderInline(node.children, context, { ...format, strike: true });
+    case 'link': {
+      const runs = renderInline(node.children, context, { ...format, style: 'Hyperlink' });
+      // Links to headings in the same document have no bookmark to point at
+      if (!/^[a-z][a-z0-9+.-]*:/i.test(node.url)) return runs;
+      return `<w:hyperlink r:id="${context.link(node.url)}" w:history="1">${runs}</w:hyperlink>`;
+    }
+    case 'image':
+      return textRun(`[Image: ${node.alt || node.url}]`, { ...format, italic: true });
+    default:
+      return '';
+  }
+}).join('');
+
+// Blocks
+
+const paragraph = (runs, { style, numbering, indent, align, keepNext } = {}) => {
+  const props = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    keepNext ? '<w:keepNext/>' : '',
+    numbering ? `<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.id}"/></w:numPr>` : '',
+    indent ? `<w:ind w:left="${indent}"/>` : '',
+    align ? `<w:jc w:val="${align === 'center' ? 'center' : align === 'right' ? 'right' : 'left'}"/>` : '',
+  ].join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+};
+
+const tableCell = (content) => `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${content}</w:tc>`;
+
+const table = (rows, { header = true } = {}) => {
+  const columns = Math.max(...rows.map(row => row.length));
+  return [
+    '<w:tbl>',
+    '<w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr>',
+    `<w:tblGrid>${'<w:gridCol/>'.repeat(columns)}</w:tblGrid>`,
+    ...rows.map((row, i) => `<w:tr>${header && i === 0 ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${row.map(tableCell).join('')}</w:tr>`),
+    '</w:tbl>',
+    // Word needs a paragraph between a table and whatever follows it
+    paragraph(''),
+  ].join('');
+};
+
+const renderBlocks = (blocks, context, { style, level = -1 } = {}) => blocks.map((block) => {
+  const indent = level >= 0 ? LIST_INDENT * (level + 1) : undefined;
+  switch (block.type) {
+    case 'heading':
+      return paragraph(renderInline(block.children, context), { style: `Heading${block.depth}` });
+    case 'paragraph':
+      return paragraph(renderInline(block.children, context), { style, indent });
+    case 'code':
+    case 'html':
+      return paragraph(codeRun(block.value), { style: 'Code', indent });
+    case 'blockquote':
+      return renderBlocks(block.children, context, { style: 'Quote', level });
+    case 'list': {
+      const id = context.list(block.ordered, block.start);
+      return block.children.map((item) => {
+        const [first, ...rest] = item.children;
+        const task = item.checked === null ? '' : textRun(item.checked ? '☒ ' : '☐ ');
+        const numbering = { id, level: level + 1 };
+        const lead = first?.type === 'paragraph'
+          ? paragraph(task + renderInline(first.children, context), { style: style || 'ListParagraph', numbering })
+          : paragraph(task, { style: style || 'ListParagraph', numbering }) + (first ? renderBlocks([first], context, { style, level: level + 1 }) : '');
+        return lead + renderBlocks(rest, context, { style, level: level + 1 });
+      }).join('');
+    }
+    case 'table':
+      return table([
+        block.header.map((cell, i) => paragraph(renderInline(cell, context, { bold: true }), { align: block.align[i] })),
+        ...block.rows.map(row => row.map((cell, i) => paragraph(renderInline(cell, context), { align: block.align[i] }))),
+      ]);
+    case 'thematicBreak':
+      return '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr></w:pPr></w:p>';
+    default:
+      return '';
+  }
+}).join('');
+
+const renderReport = (report) => [
+  paragraph(textRun('Style Report'), { style: 'Heading1' }),
+  paragraph(textRun(`${report.title} · Generated ${formatReportDate(report.generatedAt)}`, { color: palette.textSecondary })),
+  paragraph(textRun(`${report.score} `, { bold: true, color: TONE_COLORS[report.tone] }) + textRun(report.band, { bold: true, color: TONE_COLORS[report.tone] })),
+  paragraph(textRun(`${summarizeCounts(report.counts)} open${report.ignored ? `; ${report.ignored} ignored` : ''}.`)),
+  paragraph(textRun('Issues by rule'), { style: 'Heading2' }),
+  report.rules.length
+    ? table([
+      ['Rule', 'Severity', 'Count', 'Finding'].map(label => paragraph(textRun(label, { bold: true }))),
+      ...report.rules.map(rule => [
+        paragraph(textRun(rule.rule, { style: 'CodeChar' })),
+        paragraph(textRun(rule.severity)),
+        paragraph(textRun(String(rule.occurrences.length))),
+        paragraph(textRun(rule.message)) + rule.occurrences.map(occurrence => paragraph(textRun(describeOccurrence(occurrence), { color: palette.textSecondary }))).join(''),
+      ]),
+    ])
+    : paragraph(textRun('No open issues.')),
+  paragraph(textRun('Readability'), { style: 'Heading2' }),
+  table(report.metrics.map(metric => [paragraph(textRun(metric.label, { bold: true })), paragraph(textRun(metric.value))]), { header: false }),
+].join('');
+
+// Parts
+
+const relationships = (rels) => `${XML_HEADER}<Relationships xmlns="${NS.rels}">${rels.map(rel => (
+  `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`
+)).join('')}</Relationships>`;
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+  + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+  + '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>'
+  + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+  + '</Types>';
+
+const headingStyle = (depth) => {
+  const sizes = [32, 26, 24, 22, 22, 22];
+  return `<w:style w:type="paragraph" w:styleId="Heading${depth}"><w:name w:val="heading ${depth}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>`
+    + `<w:pPr><w:keepNext/><w:spacing w:before="${depth === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${depth - 1}"/></w:pPr>`
+    + `<w:rPr><w:b/>${depth > 3 ? '<w:i/>' : ''}<w:color w:val="${hex(palette.textPrimary)}"/><w:sz w:val="${sizes[depth - 1]}"/></w:rPr></w:style>`;
+};
+
+const STYLES = `${XML_HEADER}<w:styles xmlns:w="${NS.w}">`
+  + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>'
+  + '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+  + `<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/><w:rPr><w:color w:val="${hex(palette.textPrimary)}"/></w:rPr></w:style>`
+  + [1, 2, 3, 4, 5, 6].map(headingStyle).join('')
+  + `<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="${hex(palette.borderDefault)}"/></w:pBdr><w:ind w:left="360"/></w:pPr><w:rPr><w:i/><w:color w:val="${hex(palette.textSecondary)}"/></w:rPr></w:style>`
+  + `<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="${hex(palette.surfaceOverlay)}"/><w:spacing w:after="160" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/></w:rPr></w:style>`
+  + '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr></w:style>'
+  + `<w:style w:type="character" w:styleId="CodeChar"><w:name w:val="Code Char"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/><w:shd w:val="clear" w:color="auto" w:fill="${hex(palette.surfaceOverlay)}"/></w:rPr></w:style>`
+  + `<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="${hex(palette.accentPrimary)}"/><w:u w:val="single"/></w:rPr></w:style>`
+  + '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:tblPr><w:tblBorders>'
+  + ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="${hex(palette.borderDefault)}"/>`).join('')
+  + '</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>'
+  + '</w:styles>';
+
+const BULLETS = ['•', '◦', '▪'];
+
+const listLevels = (ordered) => Array.from({ length: 9 }, (_, level) => (
+  `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${ordered ? ['decimal', 'lowerLetter', 'lowerRoman'][level % 3] : 'bullet'}"/>`
+  + `<w:lvlText w:val="${ordered ? `%${level + 1}.` : BULLETS[level % 3]}"/><w:lvlJc w:val="left"/>`
+  + `<w:pPr><w:ind w:left="${LIST_INDENT * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+)).join('');
+
+// Abstract 0 is bullets and 1 is numbers; every list gets its own instance
+const numbering = (lists) => `${XML_HEADER}<w:numbering xmlns:w="${NS.w}">`
+  + `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${listLevels(false)}</w:abstractNum>`
+  + `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${listLevels(true)}</w:abstractNum>`
+  + lists.map((list, i) => `<w:num w:numId="${i + 1}"><w:abstractNumId w:val="${list.ordered ? 1 : 0}"/>${
+    list.ordered ? `<w:lvlOverride w:ilvl="0"><w:startOverride w:val="${list.start ?? 1}"/></w:lvlOverride>` : ''}</w:num>`).join('')
+  + '</w:numbering>';
+
+const coreProperties = (title, created) => `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" `
+  + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+  + `<dc:title>${escapeXml(title)}</dc:title><dc:creator>Lexichord</dc:creator>`
+  + `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date(created).toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>`
+  + '</cp:coreProperties>';
+
+/**
+ * Builds a .docx for a document and resolves to a Blob. `report` (from
+ * buildStyleReport) follows the document on a new page; pass `content: null`
+ * to export the report alone.
+ */
+export const createDocx = async ({ title, content, report = null, created = Date.now() }) => {
+  const links = [];
+  const lists = [];
+  const context = {
+    link: (url) => {
+      links.push(url);
+      return `rIdLink${links.length}`;
+    },
+    list: (ordered, start) => {
+      lists.push({ ordered, start });
+      return lists.length;
+    },
+  };
+
+  const body = [
+    content == null ? '' : renderBlocks(parseMarkdown(content).children, context),
+    report && content != null ? '<w:p><w:r><w:br w:type="page"/></w:r></w:p>' : '',
+    report ? renderReport(report) : '',
+  ].join('');
+
+  const document = `${XML_HEADER}<w:document xmlns:w="${NS.w}" xmlns:r="${NS.r}"><w:body>${body}`
+    + '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>'
+    + '</w:body></w:document>';
+
+  const zip = await createZip([
+    { path: '[Content_Types].xml', content: CONTENT_TYPES },
+    { path: '_rels/.rels', content: relationships([
+      { id: 'rId1', type: REL_TYPES.document, target: 'word/document.xml' },
+      { id: 'rId2', type: REL_TYPES.core, target: 'docProps/core.xml' },
+    ]) },
+    { path: 'docProps/core.xml', content: coreProperties(title, created) },
+    { path: 'word/document.xml', content: document },
+    { path: 'word/styles.xml', content: STYLES },
+    { path: 'word/numbering.xml', content: numbering(lists) },
+    { path: 'word/_rels/document.xml.rels', content: relationships([
+      { id: 'rIdStyles', type: REL_TYPES.styles, target: 'styles.xml' },
+      { id: 'rIdNumbering', type: REL_TYPES.numbering, target: 'numbering.xml' },
+      ...links.map((url, i) => ({ id: `rIdLink${i + 1}`, type: REL_TYPES.hyperlink, target: url, external: true })),
+    ]) },
+  ].map(file => ({ ...file, modified: created })));
+  return new Blob([zip], { type: DOCX_TYPE });
+};
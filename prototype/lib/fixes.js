@@ -0,0 +1,54 @@
+// Quick Fixes
+//
+// Fixes are applied at the exact offsets reported by the lint engine, from the
+// end of the document backwards so earlier offsets stay valid.
+
+// Carries the casing of the original word over to its replacement
+export const matchCase = (original, replacement) => {
+  if (!/[a-z]/i.test(original)) return replacement;
+  if (original.length > 1 && original === original.toUpperCase()) return replacement.toUpperCase();
+  if (original[0] === original[0].toUpperCase() && original.slice(1) === original.slice(1).toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+};
+
+/**
+ * Applies the given issues' suggestions to `content`. Issues without a
+ * suggestion, whose range no longer holds the flagged word, or that overlap an
+ * already applied fix, are skipped and returned in `skipped`.
+ */
+export const applyFixes = (content, issues) => {
+  const applied = [];
+  const skipped = [];
+  let result = content;
+  let boundary = Infinity;
+
+  [...issues].sort((a, b) => b.start - a.start).forEach(issue => {
+    if (issue.suggestion == null || issue.end > boundary || content.slice(issue.start, issue.end) !== issue.word) {
+      skipped.push(issue);
+      return;
+    }
+    result = result.slice(0, issue.start) + issue.suggestion + result.slice(issue.end);
+    boundary = issue.start;
+    applied.unshift(issue);
+  });
+
+  return { content: result, applied, skipped };
+};
+
+// Describes each change a batch of fixes would make, with surrounding context
+export const previewFixes = (content, issues, context = 24) => {
+  const { applied } = applyFixes(content, issues);
+  return applied.map(issue => {
+    const lineStart = content.lastIndexOf('\n', issue.start - 1) + 1;
+    const lineEnd = content.indexOf('\n', issue.end);
+    const before = content.slice(Math.max(lineStart, issue.start - context), issue.start);
+    const after = content.slice(issue.end, Math.min(lineEnd === -1 ? content.length : lineEnd, issue.end + context));
+    return {
+      issue,
+      before: (issue.start - context > lineStart ? '…' : '') + before,
+      after: after + (lineEnd !== -1 && issue.end + context < lineEnd ? '…' : ''),
+    };
+  });
+};
@@ -0,0 +1,114 @@
+// Syntax Highlighting
+//
+// Small regex tokenizers for the languages that show up in API docs. Each
+// grammar is an ordered list of [tokenType, pattern]; the first pattern that
+// matches at the current position wins, anything else is emitted as plain text.
+
+const grammars = {
+  http: [
+    ['comment', /#.*/y],
+    ['keyword', /^(?:GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|TRACE|CONNECT)\b/my],
+    ['keyword', /^HTTP\/\d(?:\.\d)?/my],
+    ['number', /(?<=^HTTP\/\d(?:\.\d)? )\d{3}/my],
+    ['property', /^[A-Za-z0-9-]+(?=:)/my],
+    ['variable', /\{[^}\n]+\}/y],
+    ['string', /(?<=^\S+ )\/[^\s?]*/my],
+  ],
+  json: [
+    ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+    ['string', /"(?:[^"\\\n]|\\.)*"/y],
+    ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+    ['keyword', /\b(?:true|false|null)\b/y],
+    ['punctuation', /[{}[\],:]/y],
+  ],
+  javascript: [
+    ['comment', /\/\/.*|\/\*[\s\S]*?\*\//y],
+    ['string', /(["'`])(?:[^\\]|\\.)*?\1/y],
+    ['keyword', /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|yield|interface|type|enum|implements)\b/y],
+    ['keyword', /\b(?:true|false|null|undefined)\b/y],
+    ['number', /\b\d+(?:\.\d+)?\b/y],
+    ['function', /\b[A-Za-z_$][\w$]*(?=\()/y],
+    ['punctuation', /[{}()[\];,.]/y],
+  ],
+  bash: [
+    ['comment', /#.*/y],
+    ['string', /"(?:[^"\\]|\\.)*"|'[^']*'/y],
+    ['variable', /\$\{?[A-Za-z_][\w]*\}?/y],
+    ['keyword', /\b(?:if|then|else|fi|for|do|done|while|case|esac|export|function|in)\b/y],
+    ['function', /^\s*[\w./-]+/my],
+    ['property', /\s--?[\w-]+/y],
+  ],
+  yaml: [
+    ['comment', /#.*/y],
+    ['property', /^\s*-?\s*[\w.$/-]+(?=\s*:)/my],
+    ['string', /"(?:[^"\\\n]|\\.)*"|'[^'\n]*'/y],
+    ['number', /\b\d+(?:\.\d+)?\b/y],
+    ['keyword', /\b(?:true|false|null|yes|no)\b/y],
+    ['punctuation', /[:\-[\]{},|>]/y],
+  ],
+  csharp: [
+    ['comment', /\/\/.*|\/\*[\s\S]*?\*\//y],
+    ['string', /@?"(?:[^"\\]|\\.)*"/y],
+    ['keyword', /\b(?:abstract|async|await|bool|break|case|catch|class|const|continue|default|do|double|else|enum|false|finally|for|foreach|if|in|int|interface|internal|is|namespace|new|null|object|out|override|private|protected|public|readonly|record|return|sealed|static|string|struct|switch|this|throw|true|try|using|var|virtual|void|while)\b/y],
+    ['number', /\b\d+(?:\.\d+)?[fdmFDM]?\b/y],
+    ['function', /\b[A-Za-z_]\w*(?=\()/y],
+    ['punctuation', /[{}()[\];,.]/y],
+  ],
+};
+
+const aliases = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'javascript',
+  tsx: 'javascript',
+  typescript: 'javascript',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  yml: 'yaml',
+  cs: 'csharp',
+  'c#': 'csharp',
+};
+
+export const resolveLanguage = (lang) => {
+  const name = (lang || '').toLowerCase();
+  return grammars[name] ? name : aliases[name] || null;
+};
+
+/**
+ * Splits code into `{ type, value }` tokens. Unknown languages produce a
+ * single plain token.
+ */
+export const highlight = (code, lang) => {
+  const grammar = grammars[resolveLanguage(lang)];
+  if (!grammar) return [{ type: 'plain', value: code }];
+
+  const tokens = [];
+  const push = (type, value) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) last.value += value;
+    else tokens.push({ type, value });
+  };
+
+  let position = 0;
+  while (position < code.length) {
+    let matched = false;
+    for (const [type, pattern] of grammar) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(code);
+      if (match && match[0]) {
+        push(type, match[0]);
+        position += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      push('plain', code[position]);
+      position++;
+    }
+  }
+
+  return tokens;
+};
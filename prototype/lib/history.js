@@ -0,0 +1,61 @@
+// Undo History
+//
+// An immutable undo/redo stack of document snapshots. Consecutive typing is
+// coalesced into a single entry so undo steps back by bursts, not keystrokes.
+
+const COALESCE_MS = 1000;
+const MAX_ENTRIES = 200;
+
+export const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  lastKind: null,
+  lastTime: 0,
+});
+
+/**
+ * Records a new present value. `kind` is 'typing' for keystrokes (which
+ * coalesce) or any other label for discrete operations such as fixes.
+ */
+export const record = (history, present, { kind = 'edit', time = Date.now() } = {}) => {
+  if (present === history.present) return history;
+
+  const coalesce = kind === 'typing' &&
+    history.lastKind === 'typing' &&
+    time - history.lastTime < COALESCE_MS;
+
+  return {
+    past: coalesce ? history.past : [...history.past, history.present].slice(-MAX_ENTRIES),
+    present,
+    future: [],
+    lastKind: kind,
+    lastTime: time,
+  };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+
+export const canRedo = (history) => history.future.length > 0;
+
+export const undo = (history) => {
+  if (!canUndo(history)) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastKind: null,
+    lastTime: 0,
+  };
+};
+
+export const redo = (history) => {
+  if (!canRedo(history)) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastKind: null,
+    lastTime: 0,
+  };
+};
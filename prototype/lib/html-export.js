@@ -0,0 +1,198 @@
+// HTML Export
+//
+// Renders a document as one self-contained HTML file: the Markdown tree from
+// parseMarkdown as escaped HTML, with a stylesheet built from a color palette
+// (a set of theme tokens) and a print stylesheet that switches to the light
+// palette, so printing from a browser gives a clean PDF. The style report can
+// be appended, starting on a new printed page, or exported on its own.
+import { parseMarkdown } from './markdown.js';
+import { highlight } from './highlight.js';
+import { colors } from './theme.js';
+import { formatReportDate, summarizeCounts, describeOccurrence } from './style-report.js';
+
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+const attribute = (name, value) => (value == null || value === '' ? '' : ` ${name}="${escapeHtml(value)}"`);
+
+// Same token colors as the preview
+const tokenColors = (palette) => ({
+  keyword: palette.accentPrimary,
+  string: palette.statusSuccess,
+  number: palette.statusWarning,
+  variable: palette.statusWarning,
+  property: palette.statusInfo,
+  function: palette.statusInfo,
+  comment: palette.textTertiary,
+  punctuation: palette.textSecondary,
+});
+
+const renderInline = (nodes) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text':
+      return escapeHtml(node.value);
+    case 'break':
+      return '<br>';
+    case 'inlineCode':
+      return `<code>${escapeHtml(node.value)}</code>`;
+    case 'emphasis':
+      return `<em>${renderInline(node.children)}</em>`;
+    case 'strong':
+      return `<strong>${renderInline(node.children)}</strong>`;
+    case 'delete':
+      return `<del>${renderInline(node.children)}</del>`;
+    case 'link':
+      return `<a${attribute('href', node.url)}${attribute('title', node.title)}>${renderInline(node.children)}</a>`;
+    case 'image':
+      return `<img${attribute('src', node.url)}${attribute('alt', node.alt)}${attribute('title', node.title)}>`;
+    default:
+      return '';
+  }
+}).join('');
+
+const renderBlocks = (blocks, tight = false) => blocks.map((block) => {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.depth}${attribute('id', block.id)}>${renderInline(block.children)}</h${block.depth}>`;
+    case 'paragraph':
+      return tight ? renderInline(block.children) : `<p>${renderInline(block.children)}</p>`;
+    case 'code': {
+      const code = highlight(block.value, block.lang)
+        .map(token => (token.type === 'plain' ? escapeHtml(token.value) : `<span class="tok-${token.type}">${escapeHtml(token.value)}</span>`))
+        .join('');
+      return `<pre><code${attribute('data-lang', block.lang)}>${code}</code></pre>`;
+    }
+    case 'blockquote':
+      return `<blockquote>\n${renderBlocks(block.children)}\n</blockquote>`;
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const items = block.children.map((item) => {
+        const checkbox = item.checked !== null ? `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> ` : '';
+        return `<li${item.checked !== null ? ' class="task"' : ''}>${checkbox}${renderBlocks(item.children, block.tight)}</li>`;
+      });
+      return `<${tag}${block.ordered && block.start !== 1 ? attribute('start', block.start) : ''}>\n${items.join('\n')}\n</${tag}>`;
+    }
+    case 'table': {
+      const align = (index) => attribute('style', block.align[index] && `text-align: ${block.align[index]}`);
+      return [
+        '<table>',
+        `<thead><tr>${block.header.map((cell, i) => `<th${align(i)}>${renderInline(cell)}</th>`).join('')}</tr></thead>`,
+        `<tbody>${block.rows.map(row => `<tr>${row.map((cell, i) => `<td${align(i)}>${renderInline(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`,
+        '</table>',
+      ].join('\n');
+    }
+    case 'thematicBreak':
+      return '<hr>';
+    case 'html':
+      // Raw HTML is shown as source, as in the preview
+      return `<pre class="raw-html">${escapeHtml(block.value)}</pre>`;
+    default:
+      return '';
+  }
+}).join(tight ? '' : '\n');
+
+/** Renders Markdown as an HTML fragment; raw HTML in the source stays escaped. */
+export const markdownToHtml = (source) => renderBlocks(parseMarkdown(source).children);
+
+const tokenRules = (palette) => Object.entries(tokenColors(palette))
+  .map(([type, color]) => `.tok-${type} { color: ${color}; }`)
+  .join('\n    ');
+
+const stylesheet = (palette) => {
+  const print = colors.light;
+  return `
+    body { margin: 0; background: ${palette.surfaceBase}; color: ${palette.textPrimary}; font: 16px/1.65 Inter, system-ui, -apple-system, "Segoe UI", sans-serif; }
+    main { max-width: 46rem; margin: 0 auto; padding: 3rem 1.5rem; }
+    h1, h2, h3, h4, h5, h6 { line-height: 1.3; margin: 1.8em 0 0.6em; }
+    h1 { font-size: 2em; margin-top: 0; }
+    a { color: ${palette.accentPrimary}; }
+    code, pre { font-family: "JetBrains Mono", ui-monospace, Menlo, Consolas, monospace; font-size: 0.875em; }
+    code { background: ${palette.surfaceOverlay}; padding: 0.1em 0.35em; border-radius: 4px; }
+    pre { background: ${palette.surfaceOverlay}; padding: 0.9em 1em; border-radius: 6px; overflow-x: auto; }
+    pre code { background: none; padding: 0; font-size: 1em; }
+    pre.raw-html { background: none; color: ${palette.textTertiary}; white-space: pre-wrap; }
+    blockquote { margin: 1em 0; padding-left: 1em; border-left: 3px solid ${palette.borderDefault}; color: ${palette.textSecondary}; }
+    table { border-collapse: collapse; margin: 1em 0; font-size: 0.9em; }
+    th, td { border: 1px solid ${palette.borderDefault}; padding: 0.4em 0.75em; text-align: left; vertical-align: top; }
+    th { background: ${palette.surfaceOverlay}; }
+    hr { border: 0; border-top: 1px solid ${palette.borderSubtle}; margin: 2em 0; }
+    img { max-width: 100%; }
+    li.task { list-style: none; margin-left: -1.25em; }
+    ${tokenRules(palette)}
+    .style-report { margin-top: 3rem; padding-top: 2rem; border-top: 2px solid ${palette.borderDefault}; }
+    .style-report .meta { color: ${palette.textSecondary}; }
+    .style-report .score { font-size: 2.5em; font-weight: 700; line-height: 1; }
+    .tone-success { color: ${palette.statusSuccess}; }
+    .tone-warning { color: ${palette.statusWarning}; }
+    .tone-error { color: ${palette.statusError}; }
+    .style-report ul { margin: 0.25em 0 0; padding-left: 1.2em; color: ${palette.textSecondary}; font-size: 0.9em; }
+    .style-report.standalone { margin-top: 0; padding-top: 0; border-top: 0; break-before: auto; }
+
+    @page { margin: 2cm; }
+    @media print {
+      :root { color-scheme: light; }
+      body { background: #fff; color: ${print.textPrimary}; font-size: 11pt; }
+      main { max-width: none; padding: 0; }
+      a { color: ${print.accentPrimary}; }
+      a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.85em; color: ${print.textSecondary}; }
+      code, pre, th { background: ${print.surfaceOverlay}; }
+      pre { white-space: pre-wrap; border: 1px solid ${print.borderSubtle}; }
+      pre, blockquote, table, img, tr { break-inside: avoid; }
+      h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+      blockquote { color: ${print.textSecondary}; border-color: ${print.borderDefault}; }
+      th, td { border-color: ${print.borderDefault}; }
+      ${tokenRules(print)}
+      .style-report { break-before: page; margin-top: 0; padding-top: 0; border-top: 0; }
+      .tone-success { color: ${print.statusSuccess}; }
+      .tone-warning { color: ${print.statusWarning}; }
+      .tone-error { color: ${print.statusError}; }
+    }`;
+};
+
+/** The style report as an HTML section; `standalone` when it is the whole file. */
+export const renderStyleReport = (report, standalone = false) => [
+  `<section class="style-report${standalone ? ' standalone' : ''}">`,
+  '<h1>Style Report</h1>',
+  `<p class="meta">${escapeHtml(report.title)} · Generated ${escapeHtml(formatReportDate(report.generatedAt))}</p>`,
+  `<p><span class="score tone-${report.tone}">${report.score}</span> <strong class="tone-${report.tone}">${escapeHtml(report.band)}</strong></p>`,
+  `<p>${escapeHtml(summarizeCounts(report.counts))} open${report.ignored ? `; ${report.ignored} ignored` : ''}.</p>`,
+  '<h2>Issues by rule</h2>',
+  report.rules.length
+    ? [
+      '<table>',
+      '<thead><tr><th>Rule</th><th>Severity</th><th>Count</th><th>Finding</th></tr></thead>',
+      '<tbody>',
+      ...report.rules.map(rule => `<tr><td><code>${escapeHtml(rule.rule)}</code></td><td>${rule.severity}</td><td>${rule.occurrences.length}</td><td>${escapeHtml(rule.message)}<ul>${
+        rule.occurrences.map(occurrence => `<li>${escapeHtml(describeOccurrence(occurrence))}</li>`).join('')}</ul></td></tr>`),
+      '</tbody>',
+      '</table>',
+    ].join('\n')
+    : '<p>No open issues.</p>',
+  '<h2>Readability</h2>',
+  '<table>',
+  `<tbody>${report.metrics.map(metric => `<tr><th>${escapeHtml(metric.label)}</th><td>${escapeHtml(metric.value)}</td></tr>`).join('')}</tbody>`,
+  '</table>',
+  '</section>',
+].join('\n');
+
+/**
+ * A complete HTML file for a document. `palette` is a set of theme tokens
+ * (the light palette by default); `report` is appended when given. Pass
+ * `content: null` to export the report alone.
+ */
+export const exportHTML = ({ title, content, palette = colors.light, report = null }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="generator" content="Lexichord">
+  <title>${escapeHtml(content == null ? `Style Report: ${title}` : title)}</title>
+  <style>${stylesheet(palette)}
+  </style>
+</head>
+<body>
+<main>
+${[content == null ? '' : markdownToHtml(content), report ? renderStyleReport(report, content == null) : ''].filter(Boolean).join('\n')}
+</main>
+</body>
+</html>
+`;
@@ -0,0 +1,137 @@
+// Licensing
+//
+// Licenses are verified offline. A key is `LEXI1.<payload>.<signature>`: the
+// payload is base64url JSON { id, licensee, tier, seats, issuedAt, expiresAt }
+// and the signature is ECDSA P-256 / SHA-256 over the payload segment, made
+// with Lexichord's private key and checked here against the public one.
+// Features name the lowest tier that includes them; `hasFeature` is the one
+// place the app asks whether something is unlocked. Verification is async
+// (WebCrypto).
+
+export const TIERS = [
+  { id: 'core', label: 'Core', rank: 0 },
+  { id: 'writer_pro', label: 'Writer Pro', rank: 1 },
+  { id: 'teams', label: 'Teams', rank: 2 },
+  { id: 'enterprise', label: 'Enterprise', rank: 3 },
+];
+
+export const FEATURES = [
+  { id: 'knowledge-hub', name: 'Knowledge Hub', description: 'Search sources and ground agent answers in cited passages', tier: 'writer_pro' },
+  { id: 'agents', name: 'The Ensemble', description: 'AI agents that review and rewrite documents', tier: 'writer_pro' },
+  { id: 'agent.editor', name: 'The Editor', description: 'Clarity, concision and style compliance', tier: 'writer_pro' },
+  { id: 'agent.simplifier', name: 'The Simplifier', description: 'Plain-language rewrites for broad audiences', tier: 'writer_pro' },
+  { id: 'agent.chronicler', name: 'The Chronicler', description: 'Changelogs and release notes from Git history', tier: 'teams' },
+  { id: 'agent.scribe', name: 'The Scribe', description: 'Reference documentation from OpenAPI specs', tier: 'teams' },
+];
+
+const PREFIX = 'LEXI1';
+
+// Public half of the signing key; the private half never ships
+const PUBLIC_KEY = {
+  kty: 'EC',
+  crv: 'P-256',
+  x: 'NNjPJvcG16fCpkWgHmNV3PcR2pSxL_h8PHaolaGkAyo',
+  y: 'jmZEgVKQYtbcAjhxDHH6pBfG2sZqYcy33jH4YonA4yU',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getTier = (id) => TIERS.find(tier => tier.id === id) || TIERS[0];
+
+export const getFeature = (id) => FEATURES.find(feature => feature.id === id) || null;
+
+export const tierLabel = (id) => getTier(id).label;
+
+export const isExpired = (license, now = Date.now()) => Boolean(license?.expiresAt) && now >= Date.parse(license.expiresAt) + DAY_MS;
+
+// An expired license falls back to Core rather than disappearing from Settings
+export const effectiveTier = (license, now = Date.now()) => (license && !isExpired(license, now) ? license.tier : 'core');
+
+/**
+ * True when the license's tier includes the feature. Unknown features are
+ * locked, so a typo fails closed instead of giving the feature away.
+ */
+export const hasFeature = (license, featureId, now = Date.now()) => {
+  const feature = getFeature(featureId);
+  return Boolean(feature) && getTier(effectiveTier(license, now)).rank >= getTier(feature.tier).rank;
+};
+
+export const featureAvailability = (license, now = Date.now()) => FEATURES.map(feature => ({
+  ...feature,
+  available: hasFeature(license, feature.id, now),
+}));
+
+export const daysUntilExpiration = (license, now = Date.now()) => (
+  license?.expiresAt ? Math.ceil((Date.parse(license.expiresAt) + DAY_MS - now) / DAY_MS) : null
+);
+
+export const maskLicenseKey = (key) => (key ? `${PREFIX}.••••••••${key.slice(-6)}` : '');
+
+// Pasted keys often pick up line breaks or spaces where they wrapped
+export const normalizeLicenseKey = (key) => key.replace(/\s+/g, '');
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidPayload = (payload) => payload
+  && typeof payload.id === 'string'
+  && typeof payload.licensee === 'string' && payload.licensee.trim()
+  && TIERS.some(tier => tier.id === payload.tier && tier.id !== 'core')
+  && Number.isInteger(payload.seats) && payload.seats > 0
+  && DATE.test(payload.issuedAt)
+  && (payload.expiresAt === null || DATE.test(payload.expiresAt));
+
+const failure = (error, message) => ({ valid: false, error, message });
+
+let publicKey = null;
+
+const importPublicKey = () => {
+  if (!publicKey) {
+    publicKey = crypto.subtle.importKey('jwk', PUBLIC_KEY, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  }
+  return publicKey;
+};
+
+/**
+ * Verifies a license key and resolves to `{ valid: true, license }` or
+ * `{ valid: false, error, message }`, where `error` is one of
+ * 'invalid-format', 'invalid-signature' or 'expired'. Expired licenses are
+ * still returned so Settings can say when they ran out.
+ */
+export const verifyLicenseKey = async (input, now = Date.now()) => {
+  const key = normalizeLicenseKey(input);
+  const parts = key.split('.');
+  if (parts.length !== 3 || parts[0] !== PREFIX || !parts[1] || !parts[2]) {
+    return failure('invalid-format', `License keys start with "${PREFIX}." and have three parts separated by dots.`);
+  }
+
+  let payload;
+  let signature;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(fromBase64Url(parts[1])));
+    signature = fromBase64Url(parts[2]);
+  } catch {
+    return failure('invalid-format', 'This license key is damaged. Copy it again from your purchase email.');
+  }
+  if (!isValidPayload(payload)) {
+    return failure('invalid-format', 'This license key is not one Lexichord recognizes.');
+  }
+
+  const verified = await crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    await importPublicKey(),
+    signature,
+    new TextEncoder().encode(parts[1]),
+  );
+  if (!verified) return failure('invalid-signature', 'This license key was not issued by Lexichord.');
+
+  const license = { key, ...payload };
+  if (isExpired(license, now)) {
+    return { ...failure('expired', `This license expired on ${payload.expiresAt}.`), license };
+  }
+  return { valid: true, license };
+};
@@ -0,0 +1,122 @@
+import { defaultRules } from './style-rules.js';
+import { matchCase } from './fixes.js';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Offsets at which each line of `text` begins
+export const getLineStarts = (text) => {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+};
+
+// Converts a character offset into a 1-based line and column
+export const offsetToPosition = (lineStarts, offset) => {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+};
+
+// Fenced code blocks (``` or ~~~) and inline code spans, as [start, end) ranges
+export const findCodeRanges = (text) => {
+  const ranges = [];
+  const lineStarts = getLineStarts(text);
+  let fence = null;
+  let proseStart = 0;
+
+  const addInlineRanges = (start, end) => {
+    const segment = text.slice(start, end);
+    const runs = [...segment.matchAll(/`+/g)];
+    for (let i = 0; i < runs.length; i++) {
+      const closing = runs.findIndex((run, j) => j > i && run[0].length === runs[i][0].length);
+      if (closing === -1) continue;
+      ranges.push([start + runs[i].index, start + runs[closing].index + runs[closing][0].length]);
+      i = closing;
+    }
+  };
+
+  lineStarts.forEach((lineStart, index) => {
+    const lineEnd = index + 1 < lineStarts.length ? lineStarts[index + 1] : text.length;
+    const line = text.slice(lineStart, lineEnd).replace(/\n$/, '');
+    const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+
+    if (!fence && marker && !(marker[1][0] === '`' && line.slice(marker[0].length).includes('`'))) {
+      addInlineRanges(proseStart, lineStart);
+      fence = { char: marker[1][0], length: marker[1].length, start: lineStart };
+    } else if (fence && marker && marker[1][0] === fence.char && marker[1].length >= fence.length && !line.slice(marker[0].length).trim()) {
+      ranges.push([fence.start, lineEnd]);
+      fence = null;
+      proseStart = lineEnd;
+    }
+  });
+
+  if (fence) {
+    ranges.push([fence.start, text.length]);
+  } else {
+    addInlineRanges(proseStart, text.length);
+  }
+
+  return ranges.sort((a, b) => a[0] - b[0]);
+};
+
+const isInRanges = (ranges, start, end) => ranges.some(([from, to]) => start < to && end > from);
+
+// Builds one global matcher per term of a rule
+const compileRule = (rule) => Object.entries(rule.terms || {}).map(([term, replacement]) => ({
+  pattern: new RegExp(rule.regex ? term : `\\b${escapeRegExp(term)}\\b`, rule.caseSensitive ? 'g' : 'gi'),
+  replacement,
+}));
+
+// Vale-style messages: the first %s is the suggestion, the second the match
+const formatMessage = (message, suggestion, word) => {
+  const values = [suggestion, word];
+  return message.replace(/%s/g, () => values.shift() ?? '');
+};
+
+// Orders issues by position, shorter ranges first when they start together
+export const compareIssues = (a, b) => a.start - b.start || a.end - b.end;
+
+/**
+ * Scans a Markdown document and returns every rule violation outside of code,
+ * sorted by position. Lines and columns are 1-based; `start`/`end` are offsets.
+ */
+export const lintDocument = (content, rules = defaultRules) => {
+  const codeRanges = findCodeRanges(content);
+  const lineStarts = getLineStarts(content);
+  const issues = [];
+
+  rules.filter(rule => rule.enabled !== false).forEach(rule => {
+    compileRule(rule).forEach(({ pattern, replacement }) => {
+      for (const match of content.matchAll(pattern)) {
+        if (!match[0]) continue;
+        const start = match.index;
+        const end = start + match[0].length;
+        if (isInRanges(codeRanges, start, end)) continue;
+
+        const suggestion = matchCase(match[0], rule.regex ? match[0].replace(new RegExp(pattern.source, pattern.flags.replace('g', '')), replacement) : replacement);
+        issues.push({
+          id: `${rule.id}:${start}`,
+          rule: rule.id,
+          category: rule.category,
+          severity: rule.severity,
+          message: formatMessage(rule.message, suggestion, match[0]),
+          link: rule.link || null,
+          word: match[0],
+          suggestion,
+          start,
+          end,
+          ...offsetToPosition(lineStarts, start),
+        });
+      }
+    });
+  });
+
+  return issues.sort(compareIssues);
+};
@@ -0,0 +1,157 @@
+// Lint Reports
+//
+// Formats lint results for people and for CI. Every formatter takes the same
+// list of `{ path, content, issues, score }` (one entry per file, `score` as
+// returned by computeScore) and returns a string: a readable summary, JSON,
+// SARIF 2.1.0 for code scanning, or JUnit XML for test dashboards. SARIF
+// describes rules from the `rules` they were linted with, plus the built-in
+// readability checks, and JUnit fails the findings at or above the `failOn`
+// severity. Paths are reported as given, so pass them relative to the
+// repository root.
+import { getLineStarts, offsetToPosition } from './lint-engine.js';
+import { countBySeverity } from './lint.js';
+import { READABILITY_RULES } from './readability.js';
+import { defaultRules } from './style-rules.js';
+
+export const REPORT_FORMATS = ['human', 'json', 'sarif', 'junit'];
+
+const TOOL_NAME = 'Lexichord';
+const TOOL_URI = 'https://github.com/southpawriter02/lexichord';
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+const SEVERITY_RANK = { info: 0, warning: 1, error: 2 };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Where an issue ends, 1-based like its start
+const endPosition = (lineStarts, issue) => offsetToPosition(lineStarts, issue.end);
+
+// A rule's message with its placeholders left open: "Use '…' instead of '…'."
+const describeRule = (rule) => (rule?.message?.trim() ? rule.message.trim().replace(/%s/g, '…') : null);
+
+/** One line per issue under each file name, then totals. */
+export const formatHuman = (results) => {
+  const lines = [];
+  results.filter(result => result.issues.length).forEach((result) => {
+    lines.push(result.path);
+    const width = Math.max(...result.issues.map(issue => `${issue.line}:${issue.column}`.length));
+    result.issues.forEach((issue) => {
+      lines.push(`  ${`${issue.line}:${issue.column}`.padEnd(width)}  ${issue.severity.padEnd(7)}  ${issue.message}  ${issue.rule}`);
+    });
+    lines.push(`  Score ${result.score.score} (${result.score.band.label})`, '');
+  });
+  const counts = countBySeverity(results.flatMap(result => result.issues));
+  const total = counts.error + counts.warning + counts.info;
+  const withIssues = results.filter(result => result.issues.length).length;
+  lines.push(total
+    ? `${plural(total, 'problem')} (${plural(counts.error, 'error')}, ${plural(counts.warning, 'warning')}, ${counts.info} info) in ${withIssues} of ${plural(results.length, 'file')}`
+    : `No problems in ${plural(results.length, 'file')}`);
+  return `${lines.join('\n')}\n`;
+};
+
+export const formatJSON = (results) => `${JSON.stringify({
+  summary: { files: results.length, ...countBySeverity(results.flatMap(result => result.issues)) },
+  files: results.map(result => ({
+    path: result.path,
+    score: result.score.score,
+    band: result.score.band.label,
+    wordCount: result.score.wordCount,
+    issues: result.issues.map(({ id, ...issue }) => issue),
+  })),
+}, null, 2)}\n`;
+
+/**
+ * A SARIF 2.1.0 log with one run. Each rule that fired is described once in
+ * the tool's rule list, by its own message rather than one finding's; results
+ * point at it by id and index.
+ */
+export const formatSARIF = (results, { rules: definitions = defaultRules } = {}) => {
+  const byId = new Map([...READABILITY_RULES, ...definitions].map(rule => [rule.id, rule]));
+  const rules = [];
+  const ruleIndex = new Map();
+  results.forEach(result => result.issues.forEach((issue) => {
+    if (ruleIndex.has(issue.rule)) return;
+    ruleIndex.set(issue.rule, rules.length);
+    rules.push({
+      id: issue.rule,
+      shortDescription: { text: describeRule(byId.get(issue.rule)) || issue.rule },
+      ...(issue.link ? { helpUri: issue.link } : {}),
+      defaultConfiguration: { level: SARIF_LEVELS[issue.severity] },
+      properties: { category: issue.category },
+    });
+  }));
+
+  return `${JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, informationUri: TOOL_URI, rules } },
+      results: results.flatMap((result) => {
+        const lineStarts = getLineStarts(result.content);
+        return result.issues.map((issue) => {
+          const end = endPosition(lineStarts, issue);
+          return {
+            ruleId: issue.rule,
+            ruleIndex: ruleIndex.get(issue.rule),
+            level: SARIF_LEVELS[issue.severity],
+            message: { text: issue.suggestion != null ? `${issue.message} Suggested: "${issue.suggestion}".` : issue.message },
+            locations: [{
+              physicalLocation: {
+                artifactLocation: { uri: result.path },
+                region: { startLine: issue.line, startColumn: issue.column, endLine: end.line, endColumn: end.column },
+              },
+            }],
+          };
+        });
+      }),
+    }],
+  }, null, 2)}\n`;
+};
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+/**
+ * JUnit XML with a test suite per file and a test case per issue. Issues at
+ * or above the `failOn` severity fail; the rest pass with the finding as
+ * output. A file without issues gets one passing case so it still shows up
+ * as tested.
+ */
+export const formatJUnit = (results, { failOn = 'error' } = {}) => {
+  const fails = (issue) => SEVERITY_RANK[issue.severity] >= SEVERITY_RANK[failOn];
+  const failures = results.reduce((sum, result) => sum + result.issues.filter(fails).length, 0);
+  const suites = results.map((result) => {
+    const cases = result.issues.length
+      ? result.issues.map((issue) => {
+        const detail = escapeXml(`${result.path}:${issue.line}:${issue.column} "${issue.word}"${issue.suggestion != null ? ` → "${issue.suggestion}"` : ''}`);
+        return [
+          `    <testcase name="${escapeXml(`${issue.rule} at ${issue.line}:${issue.column}`)}" classname="${escapeXml(result.path)}">`,
+          fails(issue)
+            ? `      <failure type="${issue.severity}" message="${escapeXml(issue.message)}">${detail}</failure>`
+            : `      <system-out>${escapeXml(`${issue.severity}: ${issue.message}`)} ${detail}</system-out>`,
+          '    </testcase>',
+        ].join('\n');
+      })
+      : [`    <testcase name="style" classname="${escapeXml(result.path)}" />`];
+    return [
+      `  <testsuite name="${escapeXml(result.path)}" tests="${cases.length}" failures="${result.issues.filter(fails).length}" errors="0">`,
+      ...cases,
+      '  </testsuite>',
+    ].join('\n');
+  });
+  const tests = results.reduce((sum, result) => sum + Math.max(result.issues.length, 1), 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${failures}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+};
+
+export const formatReport = (results, format, options = {}) => ({
+  human: formatHuman,
+  json: formatJSON,
+  sarif: formatSARIF,
+  junit: formatJUnit,
+}[format])(results, options);
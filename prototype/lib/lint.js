@@ -0,0 +1,60 @@
+// Headless Linting
+//
+// Everything the Inspector checks, without React: style rules, readability
+// findings, suppressions and the style score. The app and the command-line
+// runner both lint through these helpers, so a document scores the same in
+// the editor and in CI.
+import { lintDocument, compareIssues } from './lint-engine.js';
+import { analyzeText } from './readability.js';
+import { applySuppressions } from './suppressions.js';
+import { applyFixes } from './fixes.js';
+import { computeScore, defaultScoreConfig } from './score.js';
+import { defaultRules } from './style-rules.js';
+
+/**
+ * Rule and readability findings for a document, sorted by position, before
+ * any suppressions. Returns `{ analysis, issues }`.
+ */
+export const findIssues = (content, rules = defaultRules, readabilityConfig = undefined) => {
+  const analysis = analyzeText(content, readabilityConfig);
+  return {
+    analysis,
+    issues: [...lintDocument(content, rules), ...analysis.issues].sort(compareIssues),
+  };
+};
+
+/**
+ * Lints one Markdown document the way the Inspector does. Comment directives
+ * and `ignores` set findings aside; the score only counts what is left.
+ * Returns `{ analysis, issues, ignored, score }`.
+ */
+export const lintMarkdown = (content, { rules = defaultRules, ignores = [], scoreConfig = defaultScoreConfig, readabilityConfig } = {}) => {
+  const { analysis, issues: found } = findIssues(content, rules, readabilityConfig);
+  const { issues, ignored } = applySuppressions(content, found, ignores);
+  return { analysis, issues, ignored, score: computeScore(content, issues, scoreConfig) };
+};
+
+// Fixing can uncover or shift findings, so a few passes run until nothing changes
+const MAX_FIX_PASSES = 5;
+
+/**
+ * Applies every suggested fix, like Apply All, and lints the result again.
+ * Returns `{ content, fixed }`, where `fixed` counts the applied fixes.
+ */
+export const fixMarkdown = (content, options = {}) => {
+  let result = content;
+  let fixed = 0;
+  for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+    const fixable = lintMarkdown(result, options).issues.filter(issue => issue.suggestion != null);
+    const { content: next, applied } = applyFixes(result, fixable);
+    if (!applied.length || next === result) break;
+    result = next;
+    fixed += applied.length;
+  }
+  return { content: result, fixed };
+};
+
+export const countBySeverity = (issues) => issues.reduce(
+  (counts, issue) => ({ ...counts, [issue.severity]: (counts[issue.severity] || 0) + 1 }),
+  { error: 0, warning: 0, info: 0 },
+);
@@ -0,0 +1,277 @@
+// LLM Providers
+//
+// Every provider streams a chat completion through the same call:
+// `streamChat(config, messages, { signal, onToken })` resolves to the full
+// reply and its token usage. Providers that don't report usage get an
+// estimate (about four characters per token), flagged with `estimated`.
+import { EDIT_BLOCK_LANG } from './proposals.js';
+import { EXCERPT_PATTERN } from './citations.js';
+
+export const providerOptions = [
+  { id: 'mock', label: 'Mock (offline)' },
+  { id: 'openai', label: 'OpenAI-compatible' },
+  { id: 'ollama', label: 'Ollama (local)' },
+];
+
+export const defaultProviderConfig = {
+  provider: 'mock',
+  openai: { endpoint: 'https://api.openai.com/v1', model: 'gpt-4o-mini', apiKey: '', rememberKey: false },
+  ollama: { endpoint: 'http://localhost:11434', model: 'llama3.1' },
+  mock: { delayMs: 25 },
+  temperature: 0.3,
+  maxRetries: 2,
+};
+
+export class ProviderError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * The provider config as it may be written to storage. The API key stays in
+ * memory for the session unless the user asked to remember it.
+ */
+export const storableProviderConfig = (config) => (config.openai.rememberKey
+  ? config
+  : { ...config, openai: { ...config.openai, apiKey: '' } });
+
+// Providers report errors as a string or as an object, usually with a message
+const errorDetail = (error) => {
+  if (!error) return '';
+  if (typeof error === 'string') return error;
+  return error.message ?? JSON.stringify(error);
+};
+
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const estimateUsage = (messages, reply) => {
+  const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content) + 4, 0);
+  const completionTokens = estimateTokens(reply);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+};
+
+const abortError = () => new DOMException('Generation stopped', 'AbortError');
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Reads a streamed response body line by line
+const readLines = async (response, onLine) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    lines.forEach(line => line.trim() && onLine(line.trim()));
+    if (done) return;
+  }
+};
+
+const post = async (url, body, { headers = {}, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new ProviderError(`Could not reach ${url}. Check the endpoint and that the server allows this origin.`, { retryable: true });
+  }
+  if (!response.ok) {
+    let detail = '';
+    try {
+      const data = await response.json();
+      detail = errorDetail(data.error);
+    } catch {
+      // Not JSON; the status line is all we have
+    }
+    throw new ProviderError(
+      `${response.status} ${response.statusText}${detail ? `: ${detail}` : ''}`,
+      { status: response.status, retryable: response.status === 429 || response.status >= 500 },
+    );
+  }
+  return response;
+};
+
+const streamOpenAI = async (config, messages, { signal, onToken }) => {
+  const { endpoint, model, apiKey } = config.openai;
+  const response = await post(`${trimSlash(endpoint)}/chat/completions`, {
+    model,
+    messages,
+    temperature: config.temperature,
+    stream: true,
+    stream_options: { include_usage: true },
+  }, { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, signal });
+
+  let content = '';
+  let usage = null;
+  await readLines(response, line => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+    const chunk = JSON.parse(data);
+    const token = chunk.choices?.[0]?.delta?.content;
+    if (token) {
+      content += token;
+      onToken(token);
+    }
+    if (chunk.usage) {
+      usage = {
+        promptTokens: chunk.usage.prompt_tokens,
+        completionTokens: chunk.usage.completion_tokens,
+        totalTokens: chunk.usage.total_tokens,
+        estimated: false,
+      };
+    }
+  });
+  return { content, usage: usage || estimateUsage(messages, content) };
+};
+
+const streamOllama = async (config, messages, { signal, onToken }) => {
+  const { endpoint, model } = config.ollama;
+  const response = await post(`${trimSlash(endpoint)}/api/chat`, {
+    model,
+    messages,
+    stream: true,
+    options: { temperature: config.temperature },
+  }, { signal });
+
+  let content = '';
+  let usage = null;
+  await readLines(response, line => {
+    const chunk = JSON.parse(line);
+    if (chunk.error) throw new ProviderError(errorDetail(chunk.error));
+    const token = chunk.message?.content;
+    if (token) {
+      content += token;
+      onToken(token);
+    }
+    if (chunk.done && chunk.eval_count !== undefined) {
+      usage = {
+        promptTokens: chunk.prompt_eval_count || 0,
+        completionTokens: chunk.eval_count,
+        totalTokens: (chunk.prompt_eval_count || 0) + chunk.eval_count,
+        estimated: false,
+      };
+    }
+  });
+  return { content, usage: usage || estimateUsage(messages, content) };
+};
+
+// Wordy phrases the mock provider proposes edits for
+const MOCK_EDITS = [
+  { pattern: /\bin order to\b/i, replace: 'to', reason: 'Shorter with the same meaning.' },
+  { pattern: /\butiliz(?:e|es|ed|ing)\b/i, replace: (word) => word.replace(/utiliz/i, 'us'), reason: 'Plain word.' },
+  { pattern: /\bis able to\b/i, replace: 'can', reason: 'Shorter with the same meaning.' },
+  { pattern: /\bvery /i, replace: '', reason: 'Intensifier adds no information.' },
+  { pattern: /\bblacklist\b/i, replace: 'blocklist', reason: 'Inclusive terminology.' },
+  { pattern: /\bwhitelist\b/i, replace: 'allowlist', reason: 'Inclusive terminology.' },
+  { pattern: /\badministrator\b/i, replace: 'admin', reason: 'House style prefers the short form.' },
+];
+
+// Proposes edits for the document quoted in the system prompt, if the agent can edit
+const mockEdits = (system) => {
+  const quoted = system.match(/"""\n([\s\S]*?)\n"""/);
+  if (!quoted || !system.includes(EDIT_BLOCK_LANG)) return [];
+  const text = quoted[1];
+  const taken = [];
+  const edits = [];
+  MOCK_EDITS.forEach(({ pattern, replace, reason }) => {
+    const match = text.match(pattern);
+    if (!match) return;
+    // Include the following word so the text to find is less likely to repeat
+    const tail = text.slice(match.index + match[0].length).match(/^[^\S\n]*[^\s]+/)?.[0] || '';
+    const start = match.index;
+    const end = start + match[0].length + tail.length;
+    if (taken.some(range => start < range.end && end > range.start)) return;
+    taken.push({ start, end });
+    const replacement = typeof replace === 'function' ? replace(match[0]) : replace;
+    edits.push({ find: match[0] + tail, replace: replacement + tail, reason });
+  });
+  return edits;
+};
+
+// Quotes the first sentence of each Knowledge Hub excerpt, citing it by number
+const mockCitations = (system) => [...system.matchAll(EXCERPT_PATTERN)].slice(0, 2).map(([, n, text]) => {
+  const sentence = text.replace(/^#+\s.*$/gm, '').replace(/\s+/g, ' ').trim().match(/^.{1,160}?[.!?](?=\s|$)|^.{1,160}/)?.[0];
+  return `Your knowledge base notes: "${sentence}" [${n}]`;
+});
+
+// The mock reply depends only on the conversation, so tests and demos are repeatable
+export const mockReply = (messages) => {
+  const last = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const words = last.split(/\s+/).filter(Boolean).length;
+  const system = messages.find(m => m.role === 'system')?.content || '';
+  const edits = mockEdits(system);
+  const reply = [
+    `I read your message (${words} word${words === 1 ? '' : 's'}). Here are my suggestions:`,
+    '',
+    '1. Lead with the outcome the reader cares about.',
+    '2. Replace vague qualifiers with specific values.',
+    '3. Keep each paragraph to a single idea.',
+  ];
+  const cited = mockCitations(system);
+  if (cited.length) reply.push('', ...cited);
+  if (edits.length) {
+    reply.push('', `I also found ${edits.length} wording change${edits.length === 1 ? '' : 's'} you can review in the editor.`);
+    reply.push('', `\`\`\`${EDIT_BLOCK_LANG}`, JSON.stringify(edits, null, 2), '```');
+  }
+  return reply.join('\n');
+};
+
+const streamMock = async (config, messages, { signal, onToken }) => {
+  const content = mockReply(messages);
+  const tokens = content.match(/\s*\S+/g) || [];
+  for (const token of tokens) {
+    if (signal?.aborted) throw abortError();
+    await new Promise(resolve => setTimeout(resolve, config.mock.delayMs));
+    if (signal?.aborted) throw abortError();
+    onToken(token);
+  }
+  return { content, usage: estimateUsage(messages, content) };
+};
+
+const streamers = {
+  openai: streamOpenAI,
+  ollama: streamOllama,
+  mock: streamMock,
+};
+
+/**
+ * Streams a chat completion from the configured provider. Retryable failures
+ * (network errors, 429 and 5xx) are retried with backoff as long as no tokens
+ * have arrived yet; `onRetry(attempt, error)` is called before each retry.
+ */
+export const streamChat = async (config, messages, { signal, onToken = () => {}, onRetry = () => {} } = {}) => {
+  const stream = streamers[config.provider];
+  if (!stream) throw new ProviderError(`Unknown provider "${config.provider}"`);
+
+  for (let attempt = 0; ; attempt++) {
+    let received = false;
+    try {
+      return await stream(config, messages, {
+        signal,
+        onToken: (token) => {
+          received = true;
+          onToken(token);
+        },
+      });
+    } catch (error) {
+      if (isAbortError(error) || received || !error.retryable || attempt >= config.maxRetries) throw error;
+      onRetry(attempt + 1, error);
+      await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
+      if (signal?.aborted) throw abortError();
+    }
+  }
+};
@@ -0,0 +1,691 @@
+// Markdown Parser
+//
+// A compact CommonMark + GFM (tables, task lists, strikethrough, autolinks)
+// parser producing a plain object tree. Raw HTML is never passed through: HTML
+// blocks and inline tags are kept as literal text, comments are dropped, and
+// link/image URLs are sanitized, so the tree is safe to render as elements.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', mdash: '—', ndash: '–', hellip: '…' };
+
+const PUNCTUATION = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]{1,6}|#[0-9]{1,7}|[a-z]+);/gi, (match, name) => {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '�';
+  }
+  return ENTITIES[name.toLowerCase()] ?? match;
+});
+
+// Only allow URL schemes that cannot execute script
+export const sanitizeUrl = (url) => {
+  const trimmed = decodeEntities(url.trim()).replace(/[\u0000-\u001F\u007F\s]/g, '');
+  const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return trimmed;
+  return ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()) ? trimmed : '';
+};
+
+export const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^\w\s-]/g, '')
+  .trim()
+  .replace(/\s+/g, '-');
+
+const normalizeLabel = (label) => label.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Block patterns
+const FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])( {1,4}|\t|$)/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const HTML_BLOCK = /^ {0,3}(<!--|<\/?[a-zA-Z][\w-]*(?:\s|\/?>|$))/;
+const LINK_DEFINITION = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+
+const isBlank = (line) => /^[ \t]*$/.test(line);
+
+const splitTableRow = (line) => {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Lines that end a paragraph without a blank line in between
+const interruptsParagraph = (line) => FENCE.test(line) ||
+  ATX_HEADING.test(line) ||
+  THEMATIC_BREAK.test(line) ||
+  BLOCKQUOTE.test(line) ||
+  HTML_BLOCK.test(line) ||
+  (LIST_ITEM.test(line) && !isBlank(line.replace(LIST_ITEM, '')) && /^( {0,3})([-+*]|1[.)])/.test(line));
+
+const stripIndent = (line, width) => {
+  let removed = 0;
+  let i = 0;
+  while (removed < width && i < line.length && (line[i] === ' ' || line[i] === '\t')) {
+    removed += line[i] === '\t' ? 4 - (removed % 4) : 1;
+    i++;
+  }
+  return line.slice(i);
+};
+
+const indentWidth = (line) => {
+  let width = 0;
+  for (const char of line) {
+    if (char === ' ') width++;
+    else if (char === '\t') width += 4 - (width % 4);
+    else break;
+  }
+  return width;
+};
+
+const parseBlocks = (lines, firstLine, definitions) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const lineNumber = firstLine + i;
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code
+    const fence = line.match(FENCE);
+    if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+      const [, indent, marker, info] = fence;
+      const body = [];
+      i++;
+      while (i < lines.length) {
+        const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length) {
+          i++;
+          break;
+        }
+        body.push(stripIndent(lines[i], indent.length));
+        i++;
+      }
+      blocks.push({ type: 'code', lang: decodeEntities(info.trim().split(/\s+/)[0] || ''), value: body.join('\n'), line: lineNumber });
+      continue;
+    }
+
+    // Indented code
+    if (INDENTED_CODE.test(line)) {
+      const body = [];
+      while (i < lines.length && (INDENTED_CODE.test(lines[i]) || isBlank(lines[i]))) {
+        body.push(stripIndent(lines[i], 4));
+        i++;
+      }
+      while (body.length && isBlank(body[body.length - 1])) body.pop();
+      blocks.push({ type: 'code', lang: '', value: body.join('\n'), line: lineNumber });
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      const text = heading[2] || '';
+      blocks.push({ type: 'heading', depth: heading[1].length, id: slugify(text), children: parseInline(text, definitions), line: lineNumber });
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push({ type: 'thematicBreak', line: lineNumber });
+      i++;
+      continue;
+    }
+
+    // Blockquote, including lazy paragraph continuation lines
+    if (BLOCKQUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        if (BLOCKQUOTE.test(lines[i])) {
+          body.push(lines[i].replace(BLOCKQUOTE, ''));
+        } else if (interruptsParagraph(lines[i])) {
+          break;
+        } else {
+          body.push(lines[i]);
+        }
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(body, lineNumber, definitions), line: lineNumber });
+      continue;
+    }
+
+    // Lists
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[2]);
+      const delimiter = listItem[2].slice(-1);
+      const items = [];
+      let tight = true;
+
+      const continuesList = (candidate) => {
+        const item = candidate.match(LIST_ITEM);
+        return item && /\d/.test(item[2]) === ordered && item[2].slice(-1) === delimiter;
+      };
+
+      while (i < lines.length && continuesList(lines[i])) {
+        const item = lines[i].match(LIST_ITEM);
+
+        const rest = lines[i].slice(item[0].length);
+        const contentIndent = isBlank(rest) ? item[1].length + item[2].length + 1 : item[0].length;
+        const itemLine = firstLine + i;
+        const body = [rest];
+        let sawBlank = false;
+        i++;
+
+        while (i < lines.length) {
+          if (isBlank(lines[i])) {
+            body.push('');
+            sawBlank = true;
+            i++;
+            continue;
+          }
+          if (indentWidth(lines[i]) >= contentIndent) {
+            if (sawBlank) tight = false;
+            body.push(stripIndent(lines[i], contentIndent));
+            sawBlank = false;
+            i++;
+            continue;
+          }
+          // Lazy continuation of a paragraph
+          if (!sawBlank && !interruptsParagraph(lines[i]) && !LIST_ITEM.test(lines[i])) {
+            body.push(lines[i]);
+            i++;
+            continue;
+          }
+          break;
+        }
+
+        while (body.length > 1 && isBlank(body[body.length - 1])) body.pop();
+        if (sawBlank && i < lines.length && continuesList(lines[i])) tight = false;
+
+        const task = body[0].match(/^\[([ xX])\](?:[ \t]+|$)/);
+        if (task) body[0] = body[0].slice(task[0].length);
+
+        items.push({
+          type: 'listItem',
+          checked: task ? task[1] !== ' ' : null,
+          children: parseBlocks(body, itemLine, definitions),
+          line: itemLine,
+        });
+
+        if (sawBlank && !(i < lines.length && continuesList(lines[i]))) break;
+      }
+
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(listItem[2], 10) : null,
+        tight,
+        children: items,
+        line: lineNumber,
+      });
+      continue;
+    }
+
+    // Raw HTML is shown as text; comments are dropped entirely
+    if (HTML_BLOCK.test(line)) {
+      const body = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        body.push(lines[i]);
+        i++;
+      }
+      const value = body.join('\n');
+      if (!/^\s*<!--[\s\S]*-->\s*$/.test(value)) {
+        blocks.push({ type: 'html', value, line: lineNumber });
+      }
+      continue;
+    }
+
+    // GFM table: a header row followed by a delimiter row with the same number of cells
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+
+      if (header.length === align.length) {
+        const rows = [];
+        i += 2;
+        while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+          const cells = splitTableRow(lines[i]);
+          rows.push(header.map((_, column) => parseInline(cells[column] || '', definitions)));
+          i++;
+        }
+        blocks.push({
+          type: 'table',
+          align,
+          header: header.map(cell => parseInline(cell, definitions)),
+          rows,
+          line: lineNumber,
+        });
+        continue;
+      }
+    }
+
+    // Paragraph, possibly turned into a setext heading or consumed by link definitions
+    const body = [];
+    let setextDepth = 0;
+    while (i < lines.length && !isBlank(lines[i])) {
+      if (body.length) {
+        const underline = lines[i].match(SETEXT_UNDERLINE);
+        if (underline) {
+          setextDepth = underline[1][0] === '=' ? 1 : 2;
+          i++;
+          break;
+        }
+        if (interruptsParagraph(lines[i])) break;
+      }
+      body.push(lines[i]);
+      i++;
+    }
+
+    // Link reference definitions were collected up front by parseMarkdown
+    while (body.length && LINK_DEFINITION.test(body[0])) body.shift();
+    if (!body.length) continue;
+
+    const text = body.map(l => l.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, '');
+    blocks.push(setextDepth
+      ? { type: 'heading', depth: setextDepth, id: slugify(text), children: parseInline(text, definitions), line: lineNumber }
+      : { type: 'paragraph', children: parseInline(text, definitions), line: lineNumber });
+  }
+
+  return blocks;
+};
+
+// Inline parsing
+
+// Sticky patterns, matched at an offset without copying the rest of the text
+const BACKTICKS = /`+/y;
+const LINK_DESTINATION = /\([ \t\n]*(<[^>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:[ \t\n]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t\n]*\)/y;
+const LINK_REFERENCE = /\[([^\]]*)\]/y;
+const AUTOLINK = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/y;
+const EMAIL_AUTOLINK = /<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/y;
+const HTML_COMMENT = /<!--[\s\S]*?-->/y;
+const AUTOLINK_LITERAL = /(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~'")\]]/y;
+
+const matchAt = (pattern, text, index) => {
+  pattern.lastIndex = index;
+  return pattern.exec(text);
+};
+
+// Where each "[" closes, found in one pass; unclosed ones are left out
+const matchBrackets = (text) => {
+  const closing = new Map();
+  const open = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '`') {
+      const run = matchAt(BACKTICKS, text, i)[0];
+      const close = text.indexOf(run, i + run.length);
+      i = close !== -1 ? close + run.length - 1 : i + run.length - 1;
+    } else if (text[i] === '[') {
+      open.push(i);
+    } else if (text[i] === ']' && open.length) {
+      closing.set(open.pop(), i);
+    }
+  }
+  return closing;
+};
+
+// Parses `(url "title")` directly after a link label
+const parseLinkDestination = (text, start) => {
+  const match = matchAt(LINK_DESTINATION, text, start);
+  if (!match) return null;
+  const url = match[1].startsWith('<') ? match[1].slice(1, -1) : match[1];
+  return {
+    url: url.replace(/\\([!-/:-@[-`{-~])/g, '$1'),
+    title: match[2] ? decodeEntities(match[2].slice(1, -1)) : null,
+    length: match[0].length,
+  };
+};
+
+const isWhitespace = (char) => char === undefined || /\s/.test(char);
+const isPunctuation = (char) => char !== undefined && PUNCTUATION.test(char);
+
+// A delimiter run can open emphasis if it is left-flanking (CommonMark 6.2)
+const canOpen = (text, start, end, char) => {
+  const before = text[start - 1];
+  const after = text[end];
+  const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+  const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+  return char === '_' ? leftFlanking && (!rightFlanking || isPunctuation(before)) : leftFlanking;
+};
+
+const canClose = (text, start, end, char) => {
+  const before = text[start - 1];
+  const after = text[end];
+  const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+  const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+  return char === '_' ? rightFlanking && (!leftFlanking || isPunctuation(after)) : rightFlanking;
+};
+
+const pushText = (nodes, value) => {
+  if (!value) return;
+  const last = nodes[nodes.length - 1];
+  if (last && last.type === 'text') last.value += value;
+  else nodes.push({ type: 'text', value });
+};
+
+const makeLink = (url, title, children) => {
+  const safeUrl = sanitizeUrl(url);
+  return safeUrl ? { type: 'link', url: safeUrl, title, children } : null;
+};
+
+// Nodes between two cells of the working list, with delimiter runs that
+// were never matched turned back into text
+const collectNodes = (from, to) => {
+  const nodes = [];
+  for (let cell = from; cell !== to; cell = cell.next) {
+    if (cell.node.type === 'delimiter' || cell.node.type === 'text') pushText(nodes, cell.node.value);
+    else nodes.push(cell.node);
+  }
+  return nodes;
+};
+
+const unlink = (delimiter) => {
+  if (delimiter.prev) delimiter.prev.next = delimiter.next;
+  if (delimiter.next) delimiter.next.prev = delimiter.prev;
+};
+
+/**
+ * Pairs emphasis, strong emphasis and strikethrough delimiter runs with
+ * CommonMark's "process emphasis" procedure. `nodes` holds the scanned inline
+ * nodes, with each run as a `delimiter` node; `runs` describes those runs in
+ * order. Searches for an opener resume where the last failed one stopped, so
+ * the pass is linear in the number of runs.
+ */
+const resolveEmphasis = (nodes, runs) => {
+  const head = { node: null, prev: null, next: null };
+  let tail = head;
+  const cells = new Map();
+  nodes.forEach((node) => {
+    tail.next = { node, prev: tail, next: null };
+    tail = tail.next;
+    cells.set(node, tail);
+  });
+  const end = { node: null, prev: tail, next: null };
+  tail.next = end;
+
+  runs.forEach((run, index) => {
+    run.cell = cells.get(run.node);
+    run.prev = runs[index - 1] || null;
+    run.next = runs[index + 1] || null;
+  });
+
+  const openersBottom = new Map();
+  let closer = runs[0] || null;
+  while (closer) {
+    if (!closer.canClose) {
+      closer = closer.next;
+      continue;
+    }
+    const key = `${closer.char}${closer.canOpen}${closer.originalLength % 3}`;
+    const bottom = openersBottom.get(key) || null;
+    let opener = closer.prev;
+    while (opener && opener !== bottom) {
+      // The "rule of 3": a run that can both open and close only pairs with one
+      // whose combined length isn't a multiple of 3, unless both lengths are
+      const oddMatch = closer.char !== '~' && (opener.canClose || closer.canOpen)
+        && closer.originalLength % 3 !== 0 && (opener.originalLength + closer.originalLength) % 3 === 0;
+      if (opener.char === closer.char && opener.canOpen && !oddMatch) break;
+      opener = opener.prev;
+    }
+
+    if (opener && opener !== bottom) {
+      const used = closer.char === '~' || (opener.length >= 2 && closer.length >= 2) ? 2 : 1;
+      opener.length -= used;
+      closer.length -= used;
+      opener.node.value = opener.char.repeat(opener.length);
+      closer.node.value = closer.char.repeat(closer.length);
+
+      const type = closer.char === '~' ? 'delete' : used === 2 ? 'strong' : 'emphasis';
+      const cell = { node: { type, children: collectNodes(opener.cell.next, closer.cell) }, prev: opener.cell, next: closer.cell };
+      opener.cell.next = cell;
+      closer.cell.prev = cell;
+
+      // Runs between the pair can no longer match anything
+      opener.next = closer;
+      closer.prev = opener;
+      if (opener.length === 0) unlink(opener);
+      if (closer.length === 0) {
+        unlink(closer);
+        closer = closer.next;
+      }
+    } else {
+      openersBottom.set(key, closer.prev);
+      const next = closer.next;
+      if (!closer.canOpen) unlink(closer);
+      closer = next;
+    }
+  }
+
+  return collectNodes(head.next, end);
+};
+
+export const parseInline = (text, definitions = new Map()) => {
+  const nodes = [];
+  const runs = [];
+  let brackets = null;
+  // Backtick run lengths with no closer left in the text
+  const unclosedRuns = new Set();
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    pushText(nodes, decodeEntities(buffer));
+    buffer = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    // Backslash escapes and hard breaks
+    if (char === '\\') {
+      if (text[i + 1] === '\n') {
+        flush();
+        nodes.push({ type: 'break' });
+        i += 2;
+        continue;
+      }
+      if (isPunctuation(text[i + 1])) {
+        flush();
+        pushText(nodes, text[i + 1]);
+        i += 2;
+        continue;
+      }
+    }
+
+    if (char === '\n') {
+      const hardBreak = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/ +$/, '');
+      flush();
+      nodes.push(hardBreak ? { type: 'break' } : { type: 'text', value: '\n' });
+      i++;
+      continue;
+    }
+
+    // Code spans
+    if (char === '`') {
+      const run = matchAt(BACKTICKS, text, i)[0];
+      // The closer is a run of exactly the same length
+      let close = -1;
+      if (!unclosedRuns.has(run.length)) {
+        for (let at = text.indexOf('`', i + run.length); at !== -1;) {
+          const length = matchAt(BACKTICKS, text, at)[0].length;
+          if (length === run.length) {
+            close = at;
+            break;
+          }
+          at = text.indexOf('`', at + length);
+        }
+        if (close === -1) unclosedRuns.add(run.length);
+      }
+      if (close !== -1) {
+        flush();
+        let value = text.slice(i + run.length, close).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(value)) value = value.slice(1, -1);
+        nodes.push({ type: 'inlineCode', value });
+        i = close + run.length;
+        continue;
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    // Autolinks and inline HTML
+    if (char === '<') {
+      const autolink = matchAt(AUTOLINK, text, i);
+      const email = !autolink && matchAt(EMAIL_AUTOLINK, text, i);
+      if (autolink || email) {
+        const link = autolink
+          ? makeLink(autolink[1], null, [{ type: 'text', value: autolink[1] }])
+          : makeLink(`mailto:${email[1]}`, null, [{ type: 'text', value: email[1] }]);
+        const match = autolink || email;
+        flush();
+        if (link) nodes.push(link);
+        else pushText(nodes, match[0]);
+        i += match[0].length;
+        continue;
+      }
+      const comment = matchAt(HTML_COMMENT, text, i);
+      if (comment) {
+        flush();
+        i += comment[0].length;
+        continue;
+      }
+    }
+
+    // Images and links
+    if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+      const isImage = char === '!';
+      const open = isImage ? i + 1 : i;
+      if (!brackets) brackets = matchBrackets(text);
+      const close = brackets.get(open) ?? -1;
+      if (close !== -1) {
+        const label = text.slice(open + 1, close);
+        let target = parseLinkDestination(text, close + 1);
+        let consumed = target ? close + 1 + target.length : 0;
+
+        if (!target) {
+          const reference = matchAt(LINK_REFERENCE, text, close + 1);
+          const key = normalizeLabel(reference && reference[1] ? reference[1] : label);
+          if (definitions.has(key)) {
+            target = definitions.get(key);
+            consumed = close + 1 + (reference ? reference[0].length : 0);
+          }
+        }
+
+        if (target) {
+          flush();
+          if (isImage) {
+            const src = sanitizeUrl(target.url);
+            const alt = label.replace(/[*_`[\]]/g, '');
+            if (src) nodes.push({ type: 'image', url: src, alt, title: target.title });
+            else pushText(nodes, alt);
+          } else {
+            const children = parseInline(label, definitions);
+            const link = makeLink(target.url, target.title, children);
+            if (link) nodes.push(link);
+            else nodes.push(...children);
+          }
+          i = consumed;
+          continue;
+        }
+      }
+    }
+
+    // Emphasis, strong emphasis and strikethrough runs are paired up at the end
+    if (char === '*' || char === '_' || (char === '~' && text[i + 1] === '~')) {
+      let end = i;
+      while (text[end] === char) end++;
+      if (char !== '~' || end - i === 2) {
+        flush();
+        const node = { type: 'delimiter', value: text.slice(i, end) };
+        nodes.push(node);
+        runs.push({
+          node,
+          char,
+          length: end - i,
+          originalLength: end - i,
+          canOpen: canOpen(text, i, end, char),
+          canClose: canClose(text, i, end, char),
+        });
+      } else {
+        buffer += text.slice(i, end);
+      }
+      i = end;
+      continue;
+    }
+
+    // GFM autolink literals
+    if ((char === 'h' || char === 'w') && !/[\w]/.test(text[i - 1] || '')) {
+      const literal = matchAt(AUTOLINK_LITERAL, text, i);
+      if (literal) {
+        const url = literal[0].startsWith('www.') ? `http://${literal[0]}` : literal[0];
+        flush();
+        nodes.push(makeLink(url, null, [{ type: 'text', value: literal[0] }]));
+        i += literal[0].length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return runs.length ? resolveEmphasis(nodes, runs) : nodes;
+};
+
+/**
+ * Parses Markdown into a tree of block and inline nodes. Block nodes carry the
+ * 1-based source `line` they start on.
+ */
+export const parseMarkdown = (source) => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+
+  // Link reference definitions may appear after their first use
+  const definitions = new Map();
+  let fence = null;
+  lines.forEach((line, index) => {
+    const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (marker && (!fence || (marker[1][0] === fence[0] && marker[1].length >= fence.length))) {
+      fence = fence ? null : marker[1];
+      return;
+    }
+    const definition = !fence && (index === 0 || isBlank(lines[index - 1]) || LINK_DEFINITION.test(lines[index - 1])) && line.match(LINK_DEFINITION);
+    if (definition && !definitions.has(normalizeLabel(definition[1]))) {
+      const [, label, url, ...titles] = definition;
+      definitions.set(normalizeLabel(label), { url, title: titles.find(title => title !== undefined) || null });
+    }
+  });
+
+  return { type: 'root', children: parseBlocks(lines, 1, definitions) };
+};
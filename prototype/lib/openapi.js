@@ -0,0 +1,341 @@
+// OpenAPI Reference Generation
+//
+// Reads an OpenAPI 3.x or Swagger 2.0 document (JSON or YAML), resolves local
+// `$ref`s, normalizes both versions into one operation model, and renders
+// Markdown reference pages: an overview plus one page per tag.
+import { parseYaml } from './yaml.js';
+import { slugify } from './markdown.js';
+
+export const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+export const parseSpec = (text) => {
+  const trimmed = text.trim();
+  const spec = trimmed.startsWith('{') ? JSON.parse(trimmed) : parseYaml(trimmed);
+  if (!spec || typeof spec !== 'object') throw new Error('The file does not contain an API description.');
+  if (!spec.openapi && !spec.swagger) throw new Error('Missing an "openapi" or "swagger" version field.');
+  if (spec.swagger && !String(spec.swagger).startsWith('2')) throw new Error(`Unsupported Swagger version ${spec.swagger}.`);
+  if (spec.openapi && !String(spec.openapi).startsWith('3')) throw new Error(`Unsupported OpenAPI version ${spec.openapi}.`);
+  return spec;
+};
+
+const lookup = (spec, ref) => {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, part) => {
+    const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !(key in node)) throw new Error(`Unresolved $ref: ${ref}`);
+    return node[key];
+  }, spec);
+};
+
+/**
+ * Returns a copy of `node` with local `$ref`s replaced by their targets.
+ * A reference back into itself becomes `{ $circular: '<name>' }`. Each target
+ * is resolved once and shared by every reference to it, unless a cycle ran
+ * through it: those depend on the path taken and are resolved per reference.
+ */
+export const resolveRefs = (spec, node = spec) => {
+  const resolved = new Map();
+  let cycles = 0;
+  const visit = (node, seen) => {
+    if (Array.isArray(node)) return node.map(item => visit(item, seen));
+    if (!node || typeof node !== 'object') return node;
+    if (typeof node.$ref === 'string') {
+      const { $ref, ...siblings } = node;
+      if (seen.includes($ref)) {
+        cycles += 1;
+        return { $circular: $ref.split('/').pop() };
+      }
+      let target = resolved.get($ref);
+      if (!target) {
+        const before = cycles;
+        target = visit(lookup(spec, $ref), [...seen, $ref]);
+        if (cycles === before) resolved.set($ref, target);
+      }
+      return { ...target, ...siblings, $name: $ref.split('/').pop() };
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, visit(value, seen)]));
+  };
+  return visit(node, []);
+};
+
+const SAMPLE_STRINGS = {
+  'date-time': '2024-01-01T12:00:00Z',
+  date: '2024-01-01',
+  email: 'user@example.com',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  uri: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+  password: '********',
+  byte: 'U3dhZ2dlcg==',
+};
+
+// Builds a representative example value from a schema
+export const exampleFromSchema = (schema, depth = 0) => {
+  if (!schema || depth > 6) return null;
+  if (schema.$circular) return {};
+  if (schema.example !== undefined) return schema.example;
+  if (schema.examples && Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum && schema.enum.length) return schema.enum[0];
+  if (schema.allOf) {
+    return schema.allOf.reduce((merged, part) => {
+      const value = exampleFromSchema(part, depth + 1);
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+    }, {});
+  }
+  if (schema.oneOf || schema.anyOf) return exampleFromSchema((schema.oneOf || schema.anyOf)[0], depth + 1);
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : 'string')) {
+    case 'object': {
+      const result = {};
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        if (!property.writeOnly || depth === 0) result[name] = exampleFromSchema(property, depth + 1);
+      });
+      if (!schema.properties && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        result.key = exampleFromSchema(schema.additionalProperties, depth + 1);
+      }
+      return result;
+    }
+    case 'array':
+      return [exampleFromSchema(schema.items, depth + 1)];
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 0.0;
+    case 'boolean':
+      return true;
+    default:
+      return SAMPLE_STRINGS[schema.format] || 'string';
+  }
+};
+
+// A short type label such as "string (date-time)", "array of Pet" or "Pet"
+export const describeType = (schema) => {
+  if (!schema) return '—';
+  if (schema.$circular) return schema.$circular;
+  if (schema.$name && (schema.type === 'object' || schema.properties || schema.allOf)) return schema.$name;
+  if (schema.type === 'array' || schema.items) return `array of ${describeType(schema.items)}`;
+  if (schema.oneOf || schema.anyOf) return (schema.oneOf || schema.anyOf).map(describeType).join(' | ');
+  const type = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type || 'object';
+  const detail = schema.format || (schema.enum ? schema.enum.map(v => `\`${v}\``).join(', ') : '');
+  return detail ? `${type} (${detail})` : type;
+};
+
+const firstExample = (media) => {
+  if (!media) return undefined;
+  if (media.example !== undefined) return media.example;
+  if (media.examples) {
+    const first = Object.values(media.examples)[0];
+    if (first && first.value !== undefined) return first.value;
+  }
+  return media.schema ? exampleFromSchema(media.schema) : undefined;
+};
+
+const pickContent = (content = {}) => {
+  const type = Object.keys(content).find(t => /json/.test(t)) || Object.keys(content)[0];
+  return type ? { contentType: type, schema: content[type].schema, example: firstExample(content[type]) } : null;
+};
+
+/**
+ * Normalizes a resolved spec into `{ title, version, description, servers,
+ * securitySchemes, tags, operations }` for both OpenAPI 3 and Swagger 2.
+ */
+export const normalizeSpec = (rawSpec) => {
+  const spec = resolveRefs(rawSpec);
+  const isSwagger = Boolean(spec.swagger);
+  const securitySchemes = (isSwagger ? spec.securityDefinitions : spec.components?.securitySchemes) || {};
+  const servers = isSwagger
+    ? (spec.host ? (spec.schemes || ['https']).map(scheme => ({ url: `${scheme}://${spec.host}${spec.basePath || ''}` })) : [])
+    : spec.servers || [];
+
+  const operations = [];
+  Object.entries(spec.paths || {}).forEach(([path, item]) => {
+    HTTP_METHODS.forEach(method => {
+      const op = item[method];
+      if (!op) return;
+      // Operation parameters override path-level ones with the same name and location
+      const params = [...(item.parameters || []), ...(op.parameters || [])]
+        .reduce((all, p) => [...all.filter(q => !(q.name === p.name && q.in === p.in)), p], []);
+
+      let requestBody = null;
+      if (isSwagger) {
+        const body = params.find(p => p.in === 'body');
+        const form = params.filter(p => p.in === 'formData');
+        if (body) {
+          requestBody = {
+            contentType: (op.consumes || spec.consumes || ['application/json'])[0],
+            required: Boolean(body.required),
+            description: body.description || '',
+            schema: body.schema,
+            example: exampleFromSchema(body.schema),
+          };
+        } else if (form.length) {
+          const schema = {
+            type: 'object',
+            properties: Object.fromEntries(form.map(p => [p.name, { ...p, description: p.description }])),
+          };
+          requestBody = { contentType: 'application/x-www-form-urlencoded', required: form.some(p => p.required), description: '', schema, example: exampleFromSchema(schema) };
+        }
+      } else if (op.requestBody) {
+        const picked = pickContent(op.requestBody.content);
+        if (picked) requestBody = { ...picked, required: Boolean(op.requestBody.required), description: op.requestBody.description || '' };
+      }
+
+      const responses = Object.entries(op.responses || {}).map(([status, response]) => {
+        const picked = isSwagger
+          ? (response.schema ? { contentType: (op.produces || spec.produces || ['application/json'])[0], schema: response.schema, example: response.examples ? Object.values(response.examples)[0] : exampleFromSchema(response.schema) } : null)
+          : pickContent(response.content);
+        return { status, description: response.description || '', ...(picked || {}) };
+      });
+
+      operations.push({
+        method: method.toUpperCase(),
+        path,
+        operationId: op.operationId || null,
+        summary: op.summary || '',
+        description: op.description || '',
+        deprecated: Boolean(op.deprecated),
+        tags: op.tags && op.tags.length ? op.tags : ['default'],
+        parameters: params
+          .filter(p => p.in !== 'body' && p.in !== 'formData')
+          .map(p => ({
+            name: p.name,
+            in: p.in,
+            required: Boolean(p.required || p.in === 'path'),
+            description: p.description || '',
+            schema: isSwagger ? p : p.schema || (p.content ? Object.values(p.content)[0].schema : null),
+          })),
+        requestBody,
+        responses,
+        security: op.security !== undefined ? op.security : spec.security || [],
+      });
+    });
+  });
+
+  const declared = (spec.tags || []).map(t => (typeof t === 'string' ? { name: t } : t));
+  const used = [...new Set(operations.flatMap(op => op.tags))];
+  const tags = [
+    ...declared.filter(t => used.includes(t.name)),
+    ...used.filter(name => !declared.some(t => t.name === name)).map(name => ({ name })),
+  ];
+
+  return {
+    title: spec.info?.title || 'API Reference',
+    version: spec.info?.version || '',
+    description: spec.info?.description || '',
+    servers,
+    securitySchemes,
+    tags,
+    operations,
+  };
+};
+
+const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim() || '—';
+
+const describeScheme = (name, scheme) => {
+  if (!scheme) return `\`${name}\``;
+  if (scheme.type === 'http') return `HTTP ${scheme.scheme === 'bearer' ? `Bearer token${scheme.bearerFormat ? ` (${scheme.bearerFormat})` : ''}` : scheme.scheme} (\`${name}\`)`;
+  if (scheme.type === 'basic') return `HTTP Basic (\`${name}\`)`;
+  if (scheme.type === 'apiKey') return `API key in ${scheme.in} \`${scheme.name}\` (\`${name}\`)`;
+  if (scheme.type === 'oauth2') return `OAuth 2.0 (\`${name}\`)`;
+  if (scheme.type === 'openIdConnect') return `OpenID Connect (\`${name}\`)`;
+  return `\`${name}\``;
+};
+
+const describeSecurity = (security, schemes) => {
+  if (!security.length) return 'None';
+  return security.map(requirement => {
+    const entries = Object.entries(requirement);
+    if (!entries.length) return 'None (optional)';
+    return entries.map(([name, scopes]) => `${describeScheme(name, schemes[name])}${scopes && scopes.length ? `, scopes: ${scopes.map(s => `\`${s}\``).join(', ')}` : ''}`).join(' and ');
+  }).join(', or ');
+};
+
+const codeBlock = (value, contentType = 'application/json') => {
+  const json = /json/.test(contentType);
+  const body = typeof value === 'string' && !json ? value : JSON.stringify(value, null, 2);
+  return ['```' + (json ? 'json' : ''), body, '```'];
+};
+
+const operationTitle = (op) => op.summary || op.operationId || `${op.method} ${op.path}`;
+
+const renderOperation = (op, api) => {
+  const lines = [`## ${operationTitle(op)}`, '', `\`${op.method} ${op.path}\``, ''];
+  if (op.deprecated) lines.push('> **Deprecated.** Avoid using this endpoint in new integrations.', '');
+  if (op.description) lines.push(op.description.trim(), '');
+  lines.push(`**Authentication:** ${describeSecurity(op.security, api.securitySchemes)}`, '');
+
+  if (op.parameters.length) {
+    lines.push('### Parameters', '', '| Name | In | Type | Required | Description |', '|------|----|------|----------|-------------|');
+    op.parameters.forEach(p => {
+      lines.push(`| \`${cell(p.name)}\` | ${p.in} | ${cell(describeType(p.schema))} | ${p.required ? 'Yes' : 'No'} | ${cell(p.description)} |`);
+    });
+    lines.push('');
+  }
+
+  if (op.requestBody) {
+    const body = op.requestBody;
+    lines.push('### Request body', '', `\`${body.contentType}\`${body.required ? ' (required)' : ''}${body.description ? ` — ${body.description.trim()}` : ''}`, '');
+    const properties = body.schema?.properties || {};
+    if (Object.keys(properties).length) {
+      const required = body.schema.required || [];
+      lines.push('| Field | Type | Required | Description |', '|-------|------|----------|-------------|');
+      Object.entries(properties).forEach(([name, property]) => {
+        lines.push(`| \`${cell(name)}\` | ${cell(describeType(property))} | ${required.includes(name) ? 'Yes' : 'No'} | ${cell(property.description)} |`);
+      });
+      lines.push('');
+    }
+    if (body.example !== undefined) lines.push('Example request:', '', ...codeBlock(body.example, body.contentType), '');
+  }
+
+  if (op.responses.length) {
+    lines.push('### Responses', '', '| Status | Description | Body |', '|--------|-------------|------|');
+    op.responses.forEach(r => lines.push(`| ${r.status} | ${cell(r.description)} | ${r.schema ? cell(describeType(r.schema)) : '—'} |`));
+    lines.push('');
+    op.responses.filter(r => r.example !== undefined && r.example !== null).forEach(r => {
+      lines.push(`Example ${r.status} response:`, '', ...codeBlock(r.example, r.contentType), '');
+    });
+  }
+
+  return lines;
+};
+
+export const tagFileName = (tag) => `${slugify(tag) || 'default'}.md`;
+
+/**
+ * Renders the normalized API as `[{ path, title, content }]`: an index page
+ * followed by one page per tag.
+ */
+export const renderReference = (api) => {
+  const index = [`# ${api.title}`, ''];
+  if (api.version) index.push(`**Version:** ${api.version}`, '');
+  if (api.description) index.push(api.description.trim(), '');
+  if (api.servers.length) {
+    index.push('## Servers', '', ...api.servers.map(s => `- \`${s.url}\`${s.description ? ` — ${s.description}` : ''}`), '');
+  }
+  const schemes = Object.entries(api.securitySchemes);
+  if (schemes.length) {
+    index.push('## Authentication', '', ...schemes.map(([name, scheme]) => `- ${describeScheme(name, scheme)}${scheme.description ? `: ${scheme.description.trim()}` : ''}`), '');
+  }
+  index.push('## Endpoints', '');
+
+  const pages = api.tags.map(tag => {
+    const operations = api.operations.filter(op => op.tags.includes(tag.name));
+    const file = tagFileName(tag.name);
+    index.push(`### [${tag.name}](${file})`, '');
+    if (tag.description) index.push(tag.description.trim(), '');
+    index.push('| Method | Path | Summary |', '|--------|------|---------|');
+    operations.forEach(op => {
+      index.push(`| ${op.method} | [\`${cell(op.path)}\`](${file}#${slugify(operationTitle(op))}) | ${cell(op.summary)} |`);
+    });
+    index.push('');
+
+    const lines = [`# ${tag.name}`, ''];
+    if (tag.description) lines.push(tag.description.trim(), '');
+    operations.forEach(op => lines.push(...renderOperation(op, api)));
+    return { path: file, title: tag.name, content: `${lines.join('\n').trimEnd()}\n` };
+  });
+
+  return [{ path: 'index.md', title: api.title, content: `${index.join('\n').trimEnd()}\n` }, ...pages];
+};
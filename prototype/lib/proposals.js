@@ -0,0 +1,170 @@
+// Edit Proposals
+//
+// Agents that can edit reply with a fenced `lexichord-edits` block holding a
+// JSON array of `{ find, replace, reason }`. Each edit is located in the
+// document as a hunk with offsets; accepting one applies it and shifts the
+// hunks after it, so the rest stay valid.
+
+export const EDIT_BLOCK_LANG = 'lexichord-edits';
+
+export const EDIT_INSTRUCTIONS = [
+  'When you recommend concrete changes to the document, also return them as a fenced code block',
+  `tagged \`${EDIT_BLOCK_LANG}\` containing a JSON array of objects with "find" (exact text copied from`,
+  'the document, long enough to be unique), "replace" (the new text) and "reason" (one short sentence).',
+  'Keep each edit to a sentence or less. Explain your changes in prose before the block.',
+].join(' ');
+
+const EDIT_BLOCK = new RegExp(`\`\`\`${EDIT_BLOCK_LANG}[^\\n]*\\n([\\s\\S]*?)(?:\`\`\`|$)`);
+
+// Extracts `[{ find, replace, reason }]` from a reply; malformed blocks yield none
+export const parseEdits = (reply) => {
+  const match = reply.match(EDIT_BLOCK);
+  if (!match) return [];
+  try {
+    const edits = JSON.parse(match[1]);
+    return Array.isArray(edits)
+      ? edits.filter(e => e && typeof e.find === 'string' && e.find && typeof e.replace === 'string' && e.find !== e.replace)
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+// The reply as shown in the chat, without the machine-readable block
+export const stripEdits = (reply) => reply.replace(EDIT_BLOCK, '').trim();
+
+let nextId = 1;
+
+/**
+ * Locates edits in `content`, searching from `from` first and then from the
+ * top. Edits that can't be found or that overlap an earlier one are returned
+ * in `unmatched` instead of becoming hunks.
+ */
+export const createProposal = (content, edits, { agentName, from = 0 } = {}) => {
+  const hunks = [];
+  const unmatched = [];
+  edits.forEach(edit => {
+    let start = content.indexOf(edit.find, from);
+    if (start === -1) start = content.indexOf(edit.find);
+    const end = start + edit.find.length;
+    if (start === -1 || hunks.some(h => start < h.end && end > h.start)) {
+      unmatched.push(edit);
+      return;
+    }
+    hunks.push({
+      id: `hunk-${nextId++}`,
+      start,
+      end,
+      original: edit.find,
+      replacement: edit.replace,
+      reason: edit.reason || '',
+      status: 'pending',
+    });
+  });
+  hunks.sort((a, b) => a.start - b.start);
+  return { agentName, hunks, unmatched };
+};
+
+export const pendingHunks = (proposal) => (proposal ? proposal.hunks.filter(h => h.status === 'pending') : []);
+
+/**
+ * Re-anchors pending hunks after the document changed outside the review:
+ * a hunk whose text moved is matched to the nearest occurrence of its
+ * original text, and one whose text is gone becomes `stale`.
+ */
+export const relocateHunks = (proposal, content) => {
+  let changed = false;
+  const hunks = proposal.hunks.map(hunk => {
+    if (hunk.status !== 'pending' || content.slice(hunk.start, hunk.end) === hunk.original) return hunk;
+    changed = true;
+    const after = content.indexOf(hunk.original, hunk.start);
+    const before = content.lastIndexOf(hunk.original, hunk.start);
+    const candidates = [after, before].filter(i => i !== -1);
+    if (!candidates.length) return { ...hunk, status: 'stale' };
+    const start = candidates.reduce((best, i) => (Math.abs(i - hunk.start) < Math.abs(best - hunk.start) ? i : best));
+    return { ...hunk, start, end: start + hunk.original.length };
+  });
+  return changed ? { ...proposal, hunks } : proposal;
+};
+
+// Applies the given pending hunks back to front; returns the new content and proposal
+export const acceptHunks = (content, proposal, ids) => {
+  const accepted = new Set(ids);
+  let next = content;
+  const hunks = [...proposal.hunks].sort((a, b) => b.start - a.start).map(hunk => {
+    if (!accepted.has(hunk.id) || hunk.status !== 'pending' || next.slice(hunk.start, hunk.end) !== hunk.original) return hunk;
+    next = next.slice(0, hunk.start) + hunk.replacement + next.slice(hunk.end);
+    return { ...hunk, status: 'accepted', end: hunk.start + hunk.replacement.length };
+  });
+
+  // Shift every hunk by the length change of accepted hunks before it
+  const shifts = hunks
+    .filter(h => h.status === 'accepted' && accepted.has(h.id))
+    .map(h => ({ at: h.start, delta: h.replacement.length - h.original.length }));
+  const shifted = hunks.map(hunk => {
+    const delta = shifts.filter(s => s.at < hunk.start).reduce((sum, s) => sum + s.delta, 0);
+    return delta ? { ...hunk, start: hunk.start + delta, end: hunk.end + delta } : hunk;
+  }).sort((a, b) => a.start - b.start);
+
+  return { content: next, proposal: { ...proposal, hunks: shifted } };
+};
+
+export const rejectHunks = (proposal, ids) => {
+  const rejected = new Set(ids);
+  return {
+    ...proposal,
+    hunks: proposal.hunks.map(h => (rejected.has(h.id) && h.status === 'pending' ? { ...h, status: 'rejected' } : h)),
+  };
+};
+
+export const tweakHunk = (proposal, id, replacement) => ({
+  ...proposal,
+  hunks: proposal.hunks.map(h => (h.id === id ? { ...h, replacement } : h)),
+});
+
+const tokenize = (text) => text.match(/\s+|[\w'’-]+|[^\w\s]/g) || [];
+
+// Cells in the LCS table before falling back to a whole-hunk replacement
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Word-level diff of two strings as `[{ type: 'equal' | 'insert' | 'delete', text }]`,
+ * with adjacent parts of the same type merged.
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [{ type: 'delete', text: before }, { type: 'insert', text: after }].filter(p => p.text);
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  return parts;
+};
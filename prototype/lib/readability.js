@@ -0,0 +1,222 @@
+// Readability & Voice Analysis
+//
+// Works on the raw Markdown with code masked out, so every sentence and
+// finding keeps its offsets into the original document. Voice scores are
+// heuristics on a 0–100 scale meant for comparing drafts, not absolute grades.
+import { findCodeRanges, getLineStarts, offsetToPosition } from './lint-engine.js';
+
+export const defaultReadabilityConfig = {
+  maxSentenceWords: 25,
+  flagPassive: true,
+};
+
+// The checks analyzeText reports, described like style rules for reports
+export const READABILITY_RULES = [
+  { id: 'READ-001', category: 'readability', severity: 'info', message: 'Long sentence. Consider splitting it.' },
+  { id: 'READ-002', category: 'readability', severity: 'info', message: 'Passive voice. Consider naming who performs the action.' },
+];
+
+const HEDGES = [
+  'maybe', 'perhaps', 'possibly', 'probably', 'might', 'could', 'somewhat', 'fairly', 'quite', 'rather',
+  'arguably', 'generally', 'usually', 'seems', 'seem', 'appears', 'apparently', 'likely', 'sort of',
+  'kind of', 'i think', 'i believe', 'in my opinion', 'to some extent', 'more or less',
+];
+
+const HEDGE_PATTERN = new RegExp(`\\b(?:${HEDGES.map(h => h.replace(/ /g, '\\s+')).join('|')})\\b`, 'gi');
+
+const IRREGULAR_PARTICIPLES = 'known|seen|given|taken|made|done|written|shown|sent|built|found|held|kept|left|lost|paid|put|read|run|said|set|sold|told|thought|understood|won|chosen|driven|broken|spoken|begun|drawn|forgotten|hidden|stolen|bound|brought|bought|caught|fed|felt|heard|hit|hurt|laid|led|meant|met|shut|spent|stood|struck|taught|thrown|worn';
+
+const PASSIVE_PATTERN = new RegExp(`\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?(?:\\w+ed|${IRREGULAR_PARTICIPLES})\\b`, 'gi');
+
+const ABBREVIATIONS = /\b(?:e\.g|i\.e|etc|vs|mr|mrs|ms|dr|prof|approx|no|fig|cf)\.$/i;
+
+const WORD_PATTERN = /[A-Za-z0-9À-ɏ]+(?:['’-][A-Za-z0-9À-ɏ]+)*/g;
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+export const countSyllables = (word) => {
+  let w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  w = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = w.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+// Replaces code with spaces (keeping newlines) so offsets stay aligned
+const maskCode = (content) => {
+  let masked = '';
+  let cursor = 0;
+  findCodeRanges(content).forEach(([start, end]) => {
+    masked += content.slice(cursor, start) + content.slice(start, end).replace(/[^\n]/g, ' ');
+    cursor = end;
+  });
+  return masked + content.slice(cursor);
+};
+
+// Splits prose into sections (by heading) containing sentences with offsets
+const segmentDocument = (content) => {
+  const masked = maskCode(content);
+  const lineStarts = getLineStarts(masked);
+  const sections = [{ heading: null, line: 1, start: 0, sentences: [] }];
+  let paragraph = null;
+
+  const flushParagraph = () => {
+    if (!paragraph) return;
+    const text = masked.slice(paragraph.start, paragraph.end);
+    let sentenceStart = 0;
+    for (let i = 0; i <= text.length; i++) {
+      const atEnd = i === text.length;
+      const terminal = !atEnd && /[.!?]/.test(text[i]) && (i + 1 === text.length || /\s/.test(text[i + 1]));
+      if (!atEnd && !(terminal && !ABBREVIATIONS.test(text.slice(sentenceStart, i + 1)))) continue;
+      const raw = text.slice(sentenceStart, atEnd ? i : i + 1);
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (trimmed && (trimmed.match(WORD_PATTERN) || []).length) {
+        const start = paragraph.start + sentenceStart + leading;
+        sections[sections.length - 1].sentences.push({ start, end: start + trimmed.length, text: trimmed });
+      }
+      sentenceStart = i + 1;
+    }
+    paragraph = null;
+  };
+
+  lineStarts.forEach((lineStart, index) => {
+    const lineEnd = index + 1 < lineStarts.length ? lineStarts[index + 1] - 1 : masked.length;
+    const line = masked.slice(lineStart, lineEnd);
+    const heading = line.match(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+
+    if (heading) {
+      flushParagraph();
+      sections.push({ heading: heading[1], line: index + 1, start: lineStart, sentences: [] });
+      return;
+    }
+    if (!line.trim() || /^\s*\|/.test(line) || /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line) || /^ {0,3}<!--/.test(line)) {
+      flushParagraph();
+      return;
+    }
+
+    // List items and blockquotes start a new paragraph after their marker
+    const marker = line.match(/^\s*(?:>\s*)*(?:[-+*]|\d{1,9}[.)])?\s*(?:\[[ xX]\]\s+)?/);
+    const isItem = /^\s*(?:>\s*)*(?:[-+*]|\d{1,9}[.)])\s/.test(line);
+    if (isItem) flushParagraph();
+    const start = lineStart + (marker ? marker[0].length : 0);
+    if (!paragraph) paragraph = { start, end: lineEnd };
+    else paragraph.end = lineEnd;
+  });
+  flushParagraph();
+
+  return { masked, sections: sections.filter(s => s.heading !== null || s.sentences.length) };
+};
+
+const measure = (sentences) => {
+  let words = 0;
+  let syllables = 0;
+  let longWords = 0;
+  let contractions = 0;
+  let pronouns = 0;
+  let characters = 0;
+  let passive = 0;
+  let hedges = 0;
+
+  sentences.forEach(sentence => {
+    const sentenceWords = sentence.text.match(WORD_PATTERN) || [];
+    words += sentenceWords.length;
+    sentenceWords.forEach(word => {
+      const count = countSyllables(word);
+      syllables += count;
+      characters += word.length;
+      if (count >= 3) longWords++;
+      if (/['’](?:t|s|re|ve|ll|d|m)$/i.test(word)) contractions++;
+      if (/^(?:i|me|my|we|us|our|you|your)$/i.test(word)) pronouns++;
+    });
+    passive += sentence.passive.length;
+    hedges += sentence.hedges;
+  });
+
+  const sentenceCount = sentences.length;
+  const avgSentenceLength = sentenceCount ? words / sentenceCount : 0;
+  const syllablesPerWord = words ? syllables / words : 0;
+  const fleschKincaidGrade = words ? Math.max(0, 0.39 * avgSentenceLength + 11.8 * syllablesPerWord - 15.59) : 0;
+  const passiveRatio = sentenceCount ? sentences.filter(s => s.passive.length).length / sentenceCount : 0;
+  const per100 = (count) => (words ? (count * 100) / words : 0);
+
+  return {
+    words,
+    sentences: sentenceCount,
+    avgSentenceLength,
+    fleschKincaidGrade,
+    passiveRatio,
+    passiveCount: passive,
+    hedgeCount: hedges,
+    longSentences: sentences.filter(s => s.long).length,
+    voice: {
+      directness: words ? clamp(100 - per100(hedges) * 12 - passiveRatio * 60) : 50,
+      formality: words ? clamp(50 + ((characters / words) - 4.5) * 15 - per100(contractions) * 8 - per100(pronouns) * 3) : 50,
+      complexity: words ? clamp((fleschKincaidGrade - 4) * 6 + (longWords / words) * 120) : 0,
+    },
+  };
+};
+
+/**
+ * Analyzes a Markdown document. Returns document-wide metrics, per-section
+ * metrics keyed by heading, and readability issues in the lint issue shape.
+ */
+export const analyzeText = (content, config = defaultReadabilityConfig) => {
+  const { masked, sections } = segmentDocument(content);
+  const lineStarts = getLineStarts(content);
+  const issues = [];
+
+  sections.forEach(section => {
+    section.sentences.forEach(sentence => {
+      const wordCount = (sentence.text.match(WORD_PATTERN) || []).length;
+      sentence.long = wordCount > config.maxSentenceWords;
+      sentence.hedges = (sentence.text.match(HEDGE_PATTERN) || []).length;
+      sentence.passive = [...masked.slice(sentence.start, sentence.end).matchAll(PASSIVE_PATTERN)].map(match => ({
+        start: sentence.start + match.index,
+        end: sentence.start + match.index + match[0].length,
+      }));
+
+      if (sentence.long) {
+        issues.push({
+          id: `READ-001:${sentence.start}`,
+          rule: 'READ-001',
+          category: 'readability',
+          severity: 'info',
+          message: `Long sentence (${wordCount} words). Consider splitting it; the limit is ${config.maxSentenceWords}.`,
+          word: sentence.text,
+          suggestion: null,
+          start: sentence.start,
+          end: sentence.end,
+          ...offsetToPosition(lineStarts, sentence.start),
+        });
+      }
+      if (config.flagPassive) {
+        sentence.passive.forEach(({ start, end }) => {
+          issues.push({
+            id: `READ-002:${start}`,
+            rule: 'READ-002',
+            category: 'readability',
+            severity: 'info',
+            message: 'Passive voice. Consider naming who performs the action.',
+            word: content.slice(start, end),
+            suggestion: null,
+            start,
+            end,
+            ...offsetToPosition(lineStarts, start),
+          });
+        });
+      }
+    });
+  });
+
+  return {
+    ...measure(sections.flatMap(section => section.sentences)),
+    sections: sections.map(section => ({
+      heading: section.heading,
+      line: section.line,
+      ...measure(section.sentences),
+    })),
+    issues,
+  };
+};
@@ -0,0 +1,265 @@
+// Rule Packs
+//
+// Custom style rules are edited in Settings and shared as rule packs in three
+// formats: JSON (the rules exactly as stored), CSV (one row per term, for
+// editing large term lists in a spreadsheet) and Vale substitution rules (one
+// YAML file per rule, zipped as a Vale style folder). JSON and CSV round-trip
+// every field; Vale has no place for groups or categories.
+import { parseYaml } from './yaml.js';
+import { readZip } from './zip.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+export const RULE_CATEGORIES = ['terminology', 'style'];
+
+const CSV_COLUMNS = ['id', 'group', 'category', 'severity', 'enabled', 'case_sensitive', 'regex', 'term', 'replacement', 'message', 'link'];
+
+// Vale calls info-level alerts suggestions
+const VALE_LEVELS = { error: 'error', warning: 'warning', info: 'suggestion' };
+
+export const normalizeRule = (raw) => ({
+  id: String(raw.id || '').trim(),
+  group: String(raw.group || '').trim(),
+  category: RULE_CATEGORIES.includes(raw.category) ? raw.category : 'terminology',
+  severity: SEVERITIES.includes(raw.severity) ? raw.severity : 'warning',
+  message: String(raw.message || ''),
+  link: String(raw.link || '').trim(),
+  caseSensitive: Boolean(raw.caseSensitive),
+  regex: Boolean(raw.regex),
+  enabled: raw.enabled !== false,
+  terms: Object.fromEntries(Object.entries(raw.terms || {}).map(([term, replacement]) => [term, String(replacement ?? '')])),
+});
+
+// The next free id like CUSTOM-001
+export const nextRuleId = (rules, prefix = 'CUSTOM') => {
+  const used = new Set(rules.map(rule => rule.id));
+  let n = 1;
+  while (used.has(`${prefix}-${String(n).padStart(3, '0')}`)) n++;
+  return `${prefix}-${String(n).padStart(3, '0')}`;
+};
+
+export const createRule = (rules, group = '') => normalizeRule({ id: nextRuleId(rules), group, message: '', terms: { '': '' } });
+
+/**
+ * Problems that would stop a rule from linting correctly, as messages. The
+ * rule's own entry in `rules` (matched by position) is ignored when checking
+ * for duplicate ids.
+ */
+export const validateRule = (rule, rules = [], index = -1) => {
+  const errors = [];
+  if (!rule.id) errors.push('Give the rule an id.');
+  else if (!/^[\w.-]+$/.test(rule.id)) errors.push('Ids may only contain letters, digits, dots, dashes and underscores.');
+  else if (rules.some((other, i) => i !== index && other.id === rule.id)) errors.push(`Another rule already uses the id ${rule.id}.`);
+  const terms = Object.keys(rule.terms);
+  if (!terms.length || terms.some(term => !term.trim())) errors.push('Every row needs a term to match.');
+  if (rule.regex) {
+    terms.filter(Boolean).forEach((term) => {
+      try {
+        new RegExp(term);
+      } catch (error) {
+        errors.push(`/${term}/ is not a valid pattern: ${error.message}`);
+      }
+    });
+  }
+  if (rule.link && !/^https?:\/\//.test(rule.link)) errors.push('Links must start with http:// or https://.');
+  return errors;
+};
+
+// Imported rules replace existing rules with the same id; new ones are added
+export const mergeRules = (rules, imported) => {
+  const byId = new Map(imported.map(rule => [rule.id, rule]));
+  const merged = rules.map(rule => byId.get(rule.id) || rule);
+  const existing = new Set(rules.map(rule => rule.id));
+  return [...merged, ...imported.filter(rule => !existing.has(rule.id))];
+};
+
+const checkImported = (rules) => {
+  const valid = rules.map(normalizeRule);
+  valid.forEach((rule, i) => {
+    const [error] = validateRule(rule, valid, i);
+    if (error) throw new Error(`${rule.id || `Rule ${i + 1}`}: ${error}`);
+  });
+  return valid;
+};
+
+// JSON
+
+export const exportRulesJSON = (rules) => `${JSON.stringify({ rules: rules.map(normalizeRule) }, null, 2)}\n`;
+
+export const parseRulesJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Rule packs must be valid JSON.');
+  }
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) throw new Error('Expected a list of rules or { "rules": [...] }.');
+  return checkImported(rules);
+};
+
+// CSV
+
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Parses RFC 4180 CSV (quoted fields may contain commas, quotes and newlines). */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && !field) {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+export const exportRulesCSV = (rules) => [
+  CSV_COLUMNS.join(','),
+  ...rules.map(normalizeRule).flatMap(rule => Object.entries(rule.terms).map(([term, replacement]) => [
+    rule.id, rule.group, rule.category, rule.severity, rule.enabled, rule.caseSensitive, rule.regex, term, replacement, rule.message, rule.link,
+  ].map(csvField).join(','))),
+].join('\n') + '\n';
+
+// Rows sharing an id form one rule; rule-level columns come from its first row
+export const parseRulesCSV = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  const missing = ['id', 'term'].filter(name => !columns.includes(name));
+  if (missing.length) throw new Error(`The CSV header needs ${missing.map(name => `a "${name}"`).join(' and ')} column.`);
+
+  const rules = new Map();
+  const flag = (value, fallback) => (value === undefined || value === '' ? fallback : /^(true|yes|1)$/i.test(value.trim()));
+  rows.forEach((cells) => {
+    const row = Object.fromEntries(columns.map((name, i) => [name, cells[i] ?? '']));
+    const id = row.id.trim();
+    if (!rules.has(id)) {
+      rules.set(id, {
+        id,
+        group: row.group,
+        category: row.category,
+        severity: row.severity,
+        enabled: flag(row.enabled, true),
+        caseSensitive: flag(row.case_sensitive, false),
+        regex: flag(row.regex, false),
+        message: row.message,
+        link: row.link,
+        terms: {},
+      });
+    }
+    rules.get(id).terms[row.term] = row.replacement;
+  });
+  return checkImported([...rules.values()]);
+};
+
+// Vale
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Vale swap keys are patterns; these are the ones that are really just words
+const isPlainPattern = (pattern) => !/[*+?^${}()|[\]]|\\[^.\-\s]|(?<!\\)\./.test(pattern);
+
+const yamlString = (value) => JSON.stringify(String(value));
+
+/**
+ * One Vale substitution rule per enabled Lexichord rule, as `[{ path, content }]`
+ * under `<style>/`, ready for createZip. Regex rules set `nonword` because
+ * Lexichord doesn't add word boundaries to them either.
+ */
+export const exportValeRules = (rules, style = 'Lexichord') => rules.map(normalizeRule).filter(rule => rule.enabled).map(rule => ({
+  path: `${style}/${rule.id}.yml`,
+  content: [
+    ...(rule.group ? [`# Group: ${rule.group}`] : []),
+    'extends: substitution',
+    `message: ${yamlString(rule.message || 'Use \'%s\' instead of \'%s\'.')}`,
+    ...(rule.link ? [`link: ${yamlString(rule.link)}`] : []),
+    `level: ${VALE_LEVELS[rule.severity]}`,
+    `ignorecase: ${!rule.caseSensitive}`,
+    ...(rule.regex ? ['nonword: true'] : []),
+    'swap:',
+    ...Object.entries(rule.terms).map(([term, replacement]) => `  ${yamlString(rule.regex ? term : escapeRegExp(term))}: ${yamlString(replacement)}`),
+  ].join('\n') + '\n',
+}));
+
+/**
+ * Reads a Vale substitution rule. The id comes from the file name and the
+ * group from its style folder, as Vale does (Style/Rule.yml is Style.Rule).
+ */
+export const parseValeRule = (text, path) => {
+  const parts = path.replace(/\.ya?ml$/i, '').split('/');
+  const id = parts[parts.length - 1];
+  const data = parseYaml(text);
+  if (!data || typeof data !== 'object') throw new Error(`${path}: not a Vale rule.`);
+  if (data.extends !== 'substitution') {
+    throw new Error(`${path}: only substitution rules can be imported (this one extends ${data.extends || 'nothing'}).`);
+  }
+  if (!data.swap || typeof data.swap !== 'object') throw new Error(`${path}: substitution rules need a swap mapping.`);
+
+  const patterns = Object.entries(data.swap);
+  const nonword = data.nonword === true;
+  const plain = !nonword && patterns.every(([pattern]) => isPlainPattern(pattern));
+  const terms = Object.fromEntries(patterns.map(([pattern, replacement]) => {
+    if (plain) return [pattern.replace(/\\(.)/g, '$1'), String(replacement ?? '')];
+    return [nonword ? pattern : `\\b(?:${pattern})\\b`, String(replacement ?? '')];
+  }));
+
+  return normalizeRule({
+    id,
+    group: parts.length > 1 ? parts[parts.length - 2] : '',
+    category: 'terminology',
+    severity: Object.keys(VALE_LEVELS).find(level => VALE_LEVELS[level] === data.level) || 'warning',
+    message: data.message,
+    link: data.link,
+    caseSensitive: data.ignorecase !== true,
+    regex: !plain,
+    terms,
+  });
+};
+
+export const parseValeRules = (files) => checkImported(
+  files.filter(file => /\.ya?ml$/i.test(file.path)).map(file => parseValeRule(file.content, file.path)),
+);
+
+// Reads a rule pack in whichever format the file name says
+export const readRulePack = async (file) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.json')) return parseRulesJSON(await file.text());
+  if (name.endsWith('.csv')) return parseRulesCSV(await file.text());
+  if (/\.ya?ml$/.test(name)) return parseValeRules([{ path: file.name, content: await file.text() }]);
+  if (name.endsWith('.zip')) {
+    const decoder = new TextDecoder();
+    const entries = await readZip(await file.arrayBuffer());
+    return parseValeRules(entries.map(entry => ({ path: entry.path, content: decoder.decode(entry.bytes) })));
+  }
+  throw new Error('Choose a .json, .csv, Vale .yml file or a .zip of Vale rules.');
+};
@@ -0,0 +1,129 @@
+// Score History
+//
+// Snapshots of a document's style score, taken when it is saved and when
+// fixes are applied, and the summaries the Style Dashboard draws from them:
+// trends per document and per project, the rules violated most, fixes applied
+// against findings ignored, and a comparison between two dates. Snapshots are
+// kept on the file record, oldest first, so they move with renames and go
+// away with their project.
+import { countBySeverity } from './lint.js';
+
+// Autosave runs after every pause in typing, so snapshots within one window
+// collapse into the latest
+const MERGE_WINDOW_MS = 15 * 60 * 1000;
+
+const MAX_SNAPSHOTS = 500;
+
+/**
+ * A snapshot of a lintMarkdown result: `{ takenAt, trigger, score,
+ * wordCount, counts, rules, fixed, ignored }`. `rules` counts open findings
+ * per rule; `fixed` is how many fixes led to it and `ignored` how many
+ * findings were set aside at the time.
+ */
+export const takeSnapshot = ({ issues, ignored, score }, { trigger, fixed = 0, takenAt = Date.now() }) => ({
+  takenAt,
+  trigger,
+  score: score.score,
+  wordCount: score.wordCount,
+  counts: countBySeverity(issues),
+  rules: issues.reduce((rules, issue) => ({ ...rules, [issue.rule]: (rules[issue.rule] || 0) + 1 }), {}),
+  fixed,
+  ignored: ignored.length,
+});
+
+/** Adds a snapshot to a history, merging it into the last one from the same window. */
+export const appendSnapshot = (history = [], snapshot) => {
+  const last = history[history.length - 1];
+  const merge = last && Math.floor(last.takenAt / MERGE_WINDOW_MS) === Math.floor(snapshot.takenAt / MERGE_WINDOW_MS);
+  const next = merge
+    ? [...history.slice(0, -1), { ...snapshot, fixed: last.fixed + snapshot.fixed }]
+    : [...history, snapshot];
+  return next.slice(-MAX_SNAPSHOTS);
+};
+
+// The last snapshot taken at or before `time`
+export const snapshotAt = (history, time) => {
+  let found = null;
+  for (const snapshot of history) {
+    if (snapshot.takenAt > time) break;
+    found = snapshot;
+  }
+  return found;
+};
+
+export const startOfDay = (time) => new Date(time).setHours(0, 0, 0, 0);
+
+export const endOfDay = (time) => {
+  const next = new Date(startOfDay(time));
+  next.setDate(next.getDate() + 1);
+  return next.getTime() - 1;
+};
+
+/**
+ * Where a set of documents (`[{ path, history }]`) stood at `time`, from
+ * each one's latest snapshot. The score is weighted by word count, so a long
+ * guide counts for more than a stub. Returns null before the first snapshot.
+ */
+export const summarizeAt = (documents, time) => {
+  const latest = documents.map(doc => snapshotAt(doc.history, time)).filter(Boolean);
+  if (!latest.length) return null;
+  const weight = (snapshot) => Math.max(snapshot.wordCount, 1);
+  const words = latest.reduce((sum, snapshot) => sum + weight(snapshot), 0);
+  const rules = {};
+  latest.forEach(snapshot => Object.entries(snapshot.rules).forEach(([rule, count]) => {
+    rules[rule] = { count: (rules[rule]?.count || 0) + count, documents: (rules[rule]?.documents || 0) + 1 };
+  }));
+  return {
+    score: Math.round(latest.reduce((sum, snapshot) => sum + snapshot.score * weight(snapshot), 0) / words),
+    documents: latest.length,
+    counts: latest.reduce((counts, snapshot) => ({
+      error: counts.error + snapshot.counts.error,
+      warning: counts.warning + snapshot.counts.warning,
+      info: counts.info + snapshot.counts.info,
+    }), { error: 0, warning: 0, info: 0 }),
+    ignored: latest.reduce((sum, snapshot) => sum + snapshot.ignored, 0),
+    rules,
+  };
+};
+
+/** One `{ time, score }` point per day, from the first snapshot to `now`. */
+export const dailyTrend = (documents, now = Date.now()) => {
+  const first = Math.min(...documents.flatMap(doc => doc.history.map(snapshot => snapshot.takenAt)));
+  if (!Number.isFinite(first)) return [];
+  const points = [];
+  for (let day = startOfDay(first); day <= now; day = endOfDay(day) + 1) {
+    points.push({ time: day, score: summarizeAt(documents, endOfDay(day)).score });
+  }
+  return points;
+};
+
+/** Rules with the most open findings in a summary, most first. */
+export const topRules = (summary, limit = 8) => Object.entries(summary?.rules || {})
+  .map(([rule, { count, documents }]) => ({ rule, count, documents }))
+  .sort((a, b) => b.count - a.count || b.documents - a.documents || a.rule.localeCompare(b.rule))
+  .slice(0, limit);
+
+/**
+ * Compares documents at the end of two days. Returns `{ before, after,
+ * changes, applied, ignored }`: the two summaries, the documents whose score
+ * changed (or that were new), biggest drop first, the fixes applied in
+ * between and the findings newly ignored.
+ */
+export const compareDates = (documents, from, to) => {
+  const start = endOfDay(from);
+  const end = endOfDay(to);
+  const changes = documents
+    .map(doc => ({ path: doc.path, before: snapshotAt(doc.history, start)?.score ?? null, after: snapshotAt(doc.history, end)?.score ?? null }))
+    .filter(change => change.after !== null && change.after !== change.before)
+    .sort((a, b) => (a.after - (a.before ?? a.after)) - (b.after - (b.before ?? b.after)) || a.path.localeCompare(b.path));
+  return {
+    before: summarizeAt(documents, start),
+    after: summarizeAt(documents, end),
+    changes,
+    applied: documents.reduce((sum, doc) => sum + doc.history
+      .filter(snapshot => snapshot.takenAt > start && snapshot.takenAt <= end)
+      .reduce((fixed, snapshot) => fixed + snapshot.fixed, 0), 0),
+    ignored: documents.reduce((sum, doc) => sum + Math.max(0,
+      (snapshotAt(doc.history, end)?.ignored ?? 0) - (snapshotAt(doc.history, start)?.ignored ?? 0)), 0),
+  };
+};
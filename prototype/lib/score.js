@@ -0,0 +1,76 @@
+// Style Score Model
+//
+// The score starts at 100 and loses points for every issue, weighted by its
+// severity and rule category, normalized per 100 words of prose so long and
+// short documents are comparable.
+import { countWords, stripCode } from './text-stats.js';
+
+export const defaultScoreConfig = {
+  severityWeights: { error: 5, warning: 2, info: 1 },
+  categoryWeights: { terminology: 1, style: 1, readability: 1 },
+  // Very short documents are normalized as if they had this many words
+  minWords: 50,
+  thresholds: [
+    { min: 90, label: 'In Harmony', tone: 'success' },
+    { min: 70, label: 'Minor Dissonance', tone: 'warning' },
+    { min: 0, label: 'Needs Tuning', tone: 'error' },
+  ],
+};
+
+const isWeight = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * A stored score config checked against the default: weights, the minimum
+ * word count and threshold minimums are taken from it where they are
+ * non-negative numbers, and everything else comes from the default. Returns
+ * undefined for something that isn't a config at all.
+ */
+export const restoreScoreConfig = (saved) => {
+  if (!saved || typeof saved !== 'object') return undefined;
+  const weights = (group) => Object.fromEntries(Object.entries(defaultScoreConfig[group])
+    .map(([key, weight]) => [key, isWeight(saved[group]?.[key]) ? saved[group][key] : weight]));
+  const thresholds = Array.isArray(saved.thresholds) ? saved.thresholds : [];
+  return {
+    severityWeights: weights('severityWeights'),
+    categoryWeights: weights('categoryWeights'),
+    minWords: isWeight(saved.minWords) ? saved.minWords : defaultScoreConfig.minWords,
+    thresholds: defaultScoreConfig.thresholds.map((band, i) => (
+      isWeight(thresholds[i]?.min) ? { ...band, min: Math.min(100, thresholds[i].min) } : band
+    )),
+  };
+};
+
+// The first threshold band the score reaches, highest first
+export const getScoreBand = (score, config = defaultScoreConfig) => {
+  const bands = [...config.thresholds].sort((a, b) => b.min - a.min);
+  return bands.find(band => score >= band.min) || bands[bands.length - 1];
+};
+
+/**
+ * Computes the style score of a document from its lint issues. The returned
+ * breakdown lists each category/severity pair that cost points.
+ */
+export const computeScore = (content, issues, config = defaultScoreConfig) => {
+  const wordCount = countWords(stripCode(content));
+  const normalizedWords = Math.max(wordCount, config.minWords, 1);
+  const groups = new Map();
+
+  issues.forEach(issue => {
+    const key = `${issue.category}:${issue.severity}`;
+    if (!groups.has(key)) {
+      const weight = (config.severityWeights[issue.severity] ?? 1) * (config.categoryWeights[issue.category] ?? 1);
+      groups.set(key, { category: issue.category, severity: issue.severity, weight, count: 0 });
+    }
+    groups.get(key).count++;
+  });
+
+  const breakdown = [...groups.values()].map(group => ({
+    ...group,
+    penalty: (group.weight * group.count * 100) / normalizedWords,
+  })).sort((a, b) => b.penalty - a.penalty);
+
+  const penalty = breakdown.reduce((sum, group) => sum + group.penalty, 0);
+  const score = Math.max(0, Math.min(100, Math.round(100 - penalty)));
+
+  return { score, penalty, wordCount, normalizedWords, breakdown, band: getScoreBand(score, config) };
+};
@@ -0,0 +1,286 @@
+// Search Engine
+//
+// Owns the Knowledge Hub index: workspace documents plus chunks of every added
+// source. It normally runs in a Web Worker (search-worker.js) so chunking and
+// indexing a large source never blocks typing; where workers are unavailable
+// the same engine runs in-process behind the same message protocol.
+//
+// Messages in:  sync { docs }, index { source }, pause { id }, resume { source },
+//               remove { id }, search { requestId, query, limit },
+//               retrieve { requestId, text, limit }
+// Messages out: ready, status { id, status, done, total, chunks, errors },
+//               results { requestId, results }
+import { createIndex, addDocument, removeDocument, syncIndex, search, similarDocuments } from './search.js';
+import { chunkFile } from './sources.js';
+import { basename } from './workspace.js';
+
+// Milliseconds of indexing between yields, so other messages get through
+const SLICE_MS = 15;
+
+// A search or retrieval that gets no answer in this time is rejected
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Chunk documents carry their position in the file so results point there
+const chunkDocument = (source, chunk, i) => ({
+  id: `${source.id}:${chunk.path}#${i}`,
+  title: basename(chunk.path),
+  heading: chunk.heading,
+  path: chunk.path,
+  text: chunk.text,
+  sourceId: source.id,
+  sourceName: source.name,
+  offset: chunk.start,
+  line: chunk.line,
+});
+
+// Moves a chunk's snippet from chunk coordinates to file coordinates
+const toFileResult = (result) => {
+  const { doc, snippet } = result;
+  if (!doc.sourceId) return { ...result, doc: { ...doc, text: undefined } };
+  return {
+    ...result,
+    snippet: { ...snippet, line: doc.line + snippet.line - 1, start: doc.offset + snippet.start, end: doc.offset + snippet.end },
+  };
+};
+
+export const createSearchEngine = (post) => {
+  const index = createIndex();
+  const jobs = new Map();
+  let timer = null;
+
+  const report = (job, status) => {
+    job.status = status;
+    post({
+      type: 'status',
+      id: job.id,
+      status,
+      done: job.cursor,
+      total: job.files.length,
+      chunks: job.chunks,
+      errors: job.errors,
+    });
+  };
+
+  const removeChunks = (id) => {
+    [...index.docs.values()].filter(doc => doc.sourceId === id).forEach(doc => removeDocument(index, doc.id));
+  };
+
+  // Indexes files from the first runnable job until the slice is used up
+  const step = () => {
+    timer = null;
+    const job = [...jobs.values()].find(j => !j.paused && j.cursor < j.files.length);
+    if (!job) return;
+    const deadline = Date.now() + SLICE_MS;
+    while (job.cursor < job.files.length && Date.now() < deadline) {
+      const file = job.files[job.cursor++];
+      try {
+        chunkFile(file).forEach((chunk, i) => {
+          addDocument(index, chunkDocument(job, chunk, i));
+          job.chunks++;
+        });
+      } catch (error) {
+        job.errors.push({ path: file.path, message: error.message });
+      }
+    }
+    if (job.cursor < job.files.length) {
+      report(job, 'indexing');
+    } else {
+      report(job, job.files.length && job.errors.length === job.files.length ? 'error' : 'indexed');
+    }
+    schedule();
+  };
+
+  const schedule = () => {
+    if (!timer) timer = setTimeout(step, 0);
+  };
+
+  const start = (source) => {
+    removeChunks(source.id);
+    const job = { id: source.id, name: source.name, files: source.files, cursor: 0, chunks: 0, errors: [], paused: false };
+    jobs.set(source.id, job);
+    report(job, 'indexing');
+    schedule();
+  };
+
+  const handle = (message) => {
+    const job = jobs.get(message.id ?? message.source?.id);
+    switch (message.type) {
+      case 'sync':
+        syncIndex(index, message.docs, doc => !doc.sourceId);
+        break;
+      case 'index':
+        start(message.source);
+        break;
+      case 'pause':
+        if (job && job.status === 'indexing') {
+          job.paused = true;
+          report(job, 'paused');
+        }
+        break;
+      case 'resume':
+        if (job && job.paused) {
+          job.paused = false;
+          report(job, 'indexing');
+          schedule();
+        } else if (!job) {
+          start(message.source);
+        }
+        break;
+      case 'remove':
+        jobs.delete(message.id);
+        removeChunks(message.id);
+        break;
+      case 'search':
+        post({ type: 'results', requestId: message.requestId, results: search(index, message.query, { limit: message.limit }).map(toFileResult) });
+        break;
+      case 'retrieve':
+        post({
+          type: 'results',
+          requestId: message.requestId,
+          results: similarDocuments(index, message.text, { limit: message.limit, filter: doc => Boolean(doc.sourceId) }),
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    jobs.clear();
+  };
+
+  return { handle, stop };
+};
+
+// The same engine on the main thread, answering asynchronously like a worker
+const createLocalEngine = (receive) => {
+  const engine = createSearchEngine(message => setTimeout(() => receive(message), 0));
+  return { postMessage: engine.handle, terminate: engine.stop };
+};
+
+/**
+ * Starts the search engine in a worker (or in-process as a fallback) and
+ * returns a client. `onStatus` receives source status messages; `search`
+ * resolves to ranked results and `retrieve` to the source chunks most
+ * similar to a question. Both reject if the engine fails or doesn't answer
+ * in time. A worker that fails is replaced by the in-process engine, which
+ * is given the documents and sources again.
+ */
+export const createSearchClient = ({ onStatus = () => {} } = {}) => {
+  const pending = new Map();
+  let nextRequest = 1;
+  let queue = [];
+  let target = null;
+  let worker = null;
+
+  // What the engine has been told, so a replacement can catch up
+  let documents = null;
+  const sources = new Map();
+
+  const receive = (message) => {
+    if (message.type === 'status') onStatus(message);
+    if (message.type === 'results') {
+      const request = pending.get(message.requestId);
+      if (!request) return;
+      pending.delete(message.requestId);
+      clearTimeout(request.timer);
+      request.resolve(message.results);
+    }
+  };
+
+  const rejectPending = (error) => {
+    pending.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+    pending.clear();
+  };
+
+  const useTarget = (next) => {
+    target = next;
+    queue.forEach(message => target.postMessage(message));
+    queue = [];
+  };
+
+  // Paused sources are queued for indexing and paused again straight away
+  const replay = () => [
+    ...(documents ? [{ type: 'sync', docs: documents }] : []),
+    ...[...sources.values()].flatMap(({ source, paused }) => [
+      { type: 'index', source },
+      ...(paused ? [{ type: 'pause', id: source.id }] : []),
+    ]),
+  ];
+
+  try {
+    worker = new Worker(new URL('./search-worker.js', import.meta.url), { type: 'module' });
+    let ready = false;
+    worker.onmessage = (event) => {
+      if (event.data.type !== 'ready') receive(event.data);
+      else if (!ready) {
+        ready = true;
+        useTarget(worker);
+      }
+    };
+    // Module workers that fail to load, or fail later, fall back to the main
+    // thread. Before the worker was ready everything it was sent is still queued.
+    const fallBack = () => {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+      if (ready) {
+        rejectPending(new Error('The search engine stopped unexpectedly. Please try again.'));
+        queue = replay();
+      }
+      useTarget(createLocalEngine(receive));
+    };
+    worker.onerror = fallBack;
+    worker.onmessageerror = fallBack;
+  } catch {
+    useTarget(createLocalEngine(receive));
+  }
+
+  const send = (message) => {
+    if (target) target.postMessage(message);
+    else queue.push(message);
+  };
+  const request = (message) => new Promise((resolve, reject) => {
+    const requestId = nextRequest++;
+    const timer = setTimeout(() => {
+      pending.delete(requestId);
+      reject(new Error('The search engine did not answer in time.'));
+    }, REQUEST_TIMEOUT_MS);
+    pending.set(requestId, { resolve, reject, timer });
+    send({ ...message, requestId });
+  });
+  const sourceMessage = ({ id, name, files }) => ({ id, name, files: files.map(({ path, content }) => ({ path, content })) });
+
+  const startSource = (type, source) => {
+    const message = sourceMessage(source);
+    sources.set(message.id, { source: message, paused: false });
+    send({ type, source: message });
+  };
+
+  return {
+    syncDocuments: (docs) => {
+      documents = docs;
+      send({ type: 'sync', docs });
+    },
+    indexSource: (source) => startSource('index', source),
+    pauseSource: (id) => {
+      if (sources.has(id)) sources.get(id).paused = true;
+      send({ type: 'pause', id });
+    },
+    resumeSource: (source) => startSource('resume', source),
+    removeSource: (id) => {
+      sources.delete(id);
+      send({ type: 'remove', id });
+    },
+    search: (query, { limit = 20 } = {}) => request({ type: 'search', query, limit }),
+    retrieve: (text, { limit = 4 } = {}) => request({ type: 'retrieve', text, limit }),
+    terminate: () => {
+      rejectPending(new Error('The search engine was stopped.'));
+      (target || worker)?.terminate();
+    },
+  };
+};
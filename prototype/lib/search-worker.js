@@ -0,0 +1,11 @@
+// Search Worker
+//
+// Runs the search engine off the main thread; see search-engine.js for the
+// message protocol.
+import { createSearchEngine } from './search-engine.js';
+
+const engine = createSearchEngine(message => self.postMessage(message));
+
+self.onmessage = (event) => engine.handle(event.data);
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,444 @@
+// Knowledge Search
+//
+// A local full-text index ranked with BM25. Text is split into words (camelCase
+// and snake_case identifiers also index their parts), lowercased and reduced
+// with the Porter stemmer, so "authenticating" finds "authentication".
+// Queries support "exact phrases", field prefixes (title:, heading:, body:,
+// path:, source:) and -exclusions.
+//
+// Unlike the other lib modules the index is mutable: re-copying every posting
+// list on each keystroke would make incremental updates too slow.
+import { getLineStarts, offsetToPosition } from './lint-engine.js';
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Term frequency weights per field; headings are part of the body as well
+const FIELD_WEIGHTS = { title: 3, heading: 2, body: 1 };
+
+export const searchFields = ['title', 'heading', 'body'];
+
+// Fields that filter by substring instead of matching terms
+const FILTER_FIELDS = ['path', 'source'];
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with',
+]);
+
+// Porter stemmer (https://tartarus.org/martin/PorterStemmer/)
+const C = '[^aeiou][^aeiouy]*';
+const V = '[aeiouy][aeiou]*';
+const MEASURE_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?[aeiouy]`);
+const ENDS_CVC = new RegExp(`^${C}[aeiouy][^aeiouwxy]$`);
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log',
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const STEP2_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP2).join('|')})$`);
+const STEP3_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP3).join('|')})$`);
+const STEP4_SUFFIX = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+export const stem = (word) => {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+  let w = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = w.match(/^(.+?)(ss|i)es$/))) w = match[1] + match[2];
+  else if ((match = w.match(/^(.+?)([^s])s$/))) w = match[1] + match[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = w.match(/^(.+?)eed$/))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = w.match(/^(.+?)(ed|ing)$/)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: y -> i
+  if ((match = w.match(/^(.+?)y$/)) && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Steps 2 and 3: double and single suffixes
+  if ((match = w.match(STEP2_SUFFIX)) && MEASURE_GT_0.test(match[1])) w = match[1] + STEP2[match[2]];
+  if ((match = w.match(STEP3_SUFFIX)) && MEASURE_GT_0.test(match[1])) w = match[1] + STEP3[match[2]];
+
+  // Step 4: remaining suffixes
+  if ((match = w.match(STEP4_SUFFIX))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = w.match(/^(.+?)([st])ion$/)) && MEASURE_GT_1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = w.match(/^(.+?)e$/))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  return w[0] === 'Y' ? `y${w.slice(1)}` : w;
+};
+
+export const normalizeTerm = (word) => stem(word.toLowerCase().replace(/['’]s$/, '').replace(/['’]/g, ''));
+
+// Parts of identifiers like getUserName or rate_limit
+const identifierParts = (word) => {
+  const parts = word.split(/_+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+  return parts.length > 1 ? parts : [];
+};
+
+const WORD = /[\p{L}\p{N}_]+(?:['’][\p{L}]+)*/gu;
+
+/**
+ * Splits text into `{ term, start, end, position }` tokens. Identifier parts
+ * share the position of the whole word so phrase matching is unaffected.
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+  for (const match of text.matchAll(WORD)) {
+    const word = match[0];
+    const start = match.index;
+    const end = start + word.length;
+    tokens.push({ term: normalizeTerm(word), start, end, position });
+    identifierParts(word).forEach(part => tokens.push({ term: normalizeTerm(part), start, end, position, part: true }));
+    position++;
+  }
+  return tokens;
+};
+
+// Markdown heading lines as [start, end) ranges
+const headingRanges = (text) => [...text.matchAll(/^ {0,3}#{1,6}[ \t]+.*$/gm)].map(m => [m.index, m.index + m[0].length]);
+
+// `revision` counts changes, so caches built from document frequencies know when to rebuild
+export const createIndex = () => ({ docs: new Map(), postings: new Map(), totalLength: 0, revision: 0 });
+
+export const removeDocument = (index, id) => {
+  const doc = index.docs.get(id);
+  if (!doc) return index;
+  doc.terms.forEach(term => {
+    const postings = index.postings.get(term);
+    postings.delete(id);
+    if (!postings.size) index.postings.delete(term);
+  });
+  index.totalLength -= doc.length;
+  index.docs.delete(id);
+  index.revision++;
+  return index;
+};
+
+/**
+ * Adds or replaces a document `{ id, title, path, text, heading?, ... }`.
+ * Extra properties are kept and returned with search results.
+ */
+export const addDocument = (index, doc) => {
+  removeDocument(index, doc.id);
+  const text = doc.text || '';
+  const body = tokenize(text);
+  const title = tokenize(`${doc.title || ''} ${doc.path || ''}`);
+  const headings = headingRanges(text);
+
+  const entry = { ...doc, text, tokens: body, length: 0, terms: new Set() };
+  const posting = (term) => {
+    let postings = index.postings.get(term);
+    if (!postings) index.postings.set(term, (postings = new Map()));
+    let item = postings.get(doc.id);
+    if (!item) {
+      postings.set(doc.id, (item = { title: 0, heading: 0, body: [] }));
+      entry.terms.add(term);
+    }
+    return item;
+  };
+
+  let h = 0;
+  body.forEach((token, i) => {
+    const item = posting(token.term);
+    item.body.push(i);
+    while (h < headings.length && headings[h][1] < token.start) h++;
+    if (h < headings.length && token.start >= headings[h][0]) item.heading++;
+    if (!token.part) entry.length++;
+  });
+  title.forEach(token => {
+    posting(token.term).title++;
+  });
+  // A heading passed with the document (a chunk's section) counts as heading text
+  tokenize(doc.heading || '').forEach(token => {
+    posting(token.term).heading++;
+  });
+
+  index.docs.set(doc.id, entry);
+  index.totalLength += entry.length;
+  index.revision++;
+  return index;
+};
+
+/**
+ * Brings the index in line with `docs`: new or changed documents are
+ * (re)indexed and documents that are no longer listed are removed. Only
+ * documents for which `belongs(doc)` is true are candidates for removal.
+ */
+export const syncIndex = (index, docs, belongs = () => true) => {
+  const ids = new Set();
+  docs.forEach(doc => {
+    ids.add(doc.id);
+    const current = index.docs.get(doc.id);
+    if (!current || current.text !== doc.text || current.title !== doc.title || current.path !== doc.path) addDocument(index, doc);
+  });
+  [...index.docs.values()].forEach(doc => {
+    if (!ids.has(doc.id) && belongs(doc)) removeDocument(index, doc.id);
+  });
+  return index;
+};
+
+/**
+ * Parses a query into clauses `{ type: 'term' | 'phrase', field, terms, negate }`
+ * and substring filters `{ field, value, negate }` for path: and source:.
+ */
+export const parseQuery = (query) => {
+  const clauses = [];
+  const filters = [];
+  const pattern = /(-)?(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  for (const match of query.matchAll(pattern)) {
+    const [, minus, prefix, quoted, bare] = match;
+    const negate = Boolean(minus);
+    const field = prefix ? prefix.toLowerCase() : null;
+    const value = quoted !== undefined ? quoted : bare;
+    if (field && FILTER_FIELDS.includes(field)) {
+      if (value) filters.push({ field, value: value.toLowerCase(), negate });
+      continue;
+    }
+    // An unknown prefix such as "http:" is part of the text
+    const known = !field || searchFields.includes(field);
+    const text = known ? value : `${prefix}:${value}`;
+    const terms = tokenize(text || '').filter(t => !t.part).map(t => t.term);
+    if (!terms.length) continue;
+    const scope = known ? field : null;
+    if (quoted !== undefined && terms.length > 1) clauses.push({ type: 'phrase', field: scope, terms, negate });
+    else terms.forEach(term => clauses.push({ type: 'term', field: scope, terms: [term], negate }));
+  }
+
+  // Stopwords only count when they are all the query has
+  const positive = clauses.filter(c => !c.negate);
+  const meaningful = positive.filter(c => c.type === 'phrase' || !STOPWORDS.has(c.terms[0]));
+  return {
+    clauses: meaningful.length ? clauses.filter(c => c.negate || meaningful.includes(c)) : clauses,
+    filters,
+  };
+};
+
+// Token indexes in the body where the phrase starts
+const phraseStarts = (index, doc, terms) => {
+  const lists = terms.map(term => index.postings.get(term)?.get(doc.id)?.body || []);
+  if (lists.some(list => !list.length)) return [];
+  const at = lists.map(list => new Set(list.map(i => doc.tokens[i].position)));
+  return lists[0].filter(i => {
+    const position = doc.tokens[i].position;
+    return at.every((positions, k) => positions.has(position + k));
+  });
+};
+
+// Title-only phrase check; titles are short enough to re-tokenize
+const titleHasPhrase = (doc, terms) => {
+  const words = tokenize(`${doc.title || ''} ${doc.path || ''}`).filter(t => !t.part).map(t => t.term);
+  return words.some((_, i) => terms.every((term, k) => words[i + k] === term));
+};
+
+// Weighted field frequencies (BM25F); only the body is normalized for length
+const weightedFrequency = (fields, counts, bodyNorm) => fields
+  .reduce((sum, f) => sum + (FIELD_WEIGHTS[f] * counts[f]) / (f === 'body' ? bodyNorm : 1), 0);
+
+// Term frequency of a clause in a document, plus the body token indexes it matched
+const clauseFrequency = (index, doc, clause, bodyNorm = 1) => {
+  const fields = clause.field ? [clause.field] : searchFields;
+  if (clause.type === 'phrase') {
+    const starts = phraseStarts(index, doc, clause.terms);
+    const headings = headingRanges(doc.text);
+    const inHeading = starts.filter(i => headings.some(([s, e]) => doc.tokens[i].start >= s && doc.tokens[i].start < e));
+    const counts = { title: titleHasPhrase(doc, clause.terms) ? 1 : 0, heading: inHeading.length, body: starts.length };
+    return {
+      tf: weightedFrequency(fields, counts, bodyNorm),
+      hits: { title: [], heading: inHeading }[clause.field] || starts,
+      length: clause.terms.length,
+    };
+  }
+  const item = index.postings.get(clause.terms[0])?.get(doc.id);
+  if (!item) return { tf: 0, hits: [], length: 1 };
+  const counts = { title: item.title, heading: item.heading, body: item.body.length };
+  return {
+    tf: weightedFrequency(fields, counts, bodyNorm),
+    hits: { title: [] }[clause.field] || item.body,
+    length: 1,
+  };
+};
+
+const documentFrequency = (index, clause) => {
+  if (clause.type === 'term') return index.postings.get(clause.terms[0])?.size || 0;
+  const lists = clause.terms.map(term => index.postings.get(term)?.size || 0);
+  return Math.min(...lists);
+};
+
+const passesFilters = (doc, filters) => filters.every(({ field, value, negate }) => {
+  const target = String(field === 'source' ? doc.sourceName || doc.source || '' : doc.path || doc.title || '').toLowerCase();
+  return target.includes(value) !== negate;
+});
+
+const SNIPPET_RADIUS = 80;
+
+// The line with the most matches, trimmed around them, as highlighted segments
+const buildSnippet = (doc, ranges) => {
+  const lineStarts = getLineStarts(doc.text);
+  if (!ranges.length) {
+    const first = doc.text.split('\n').find(line => line.trim()) || '';
+    return { line: 1, start: 0, end: 0, segments: [{ text: first.slice(0, SNIPPET_RADIUS * 2), match: false }] };
+  }
+
+  const byLine = new Map();
+  ranges.forEach(range => {
+    const { line } = offsetToPosition(lineStarts, range.start);
+    if (!byLine.has(line)) byLine.set(line, []);
+    byLine.get(line).push(range);
+  });
+  const [line, lineRanges] = [...byLine.entries()].sort((a, b) => b[1].length - a[1].length || a[0] - b[0])[0];
+  const lineStart = lineStarts[line - 1];
+  const lineEnd = line < lineStarts.length ? lineStarts[line] - 1 : doc.text.length;
+
+  const sorted = [...lineRanges].sort((a, b) => a.start - b.start);
+  // Cut at word boundaries so the snippet doesn't start or end mid-word
+  let from = Math.max(lineStart, sorted[0].start - SNIPPET_RADIUS);
+  if (from > lineStart) from = Math.min(sorted[0].start, doc.text.indexOf(' ', from) + 1 || from);
+  let to = Math.min(lineEnd, Math.max(sorted[sorted.length - 1].end, from + SNIPPET_RADIUS * 2));
+  if (to < lineEnd) to = Math.max(sorted[sorted.length - 1].end, doc.text.lastIndexOf(' ', to));
+  const segments = [];
+  let cursor = from;
+  sorted.forEach(range => {
+    if (range.start < cursor || range.end > to) return;
+    if (range.start > cursor) segments.push({ text: doc.text.slice(cursor, range.start), match: false });
+    segments.push({ text: doc.text.slice(range.start, range.end), match: true });
+    cursor = range.end;
+  });
+  if (cursor < to) segments.push({ text: doc.text.slice(cursor, to), match: false });
+  if (from > lineStart) segments[0] = { ...segments[0], text: `…${segments[0].text.trimStart()}` };
+  if (to < lineEnd) segments[segments.length - 1] = { ...segments[segments.length - 1], text: `${segments[segments.length - 1].text.trimEnd()}…` };
+  return { line, start: sorted[0].start, end: sorted[0].end, segments };
+};
+
+const publicDoc = ({ tokens, terms, length, vector, ...doc }) => doc;
+
+/**
+ * Ranks documents for `query` with BM25. Each result has the document
+ * (without its index data), `score`, `matches`, and a `snippet` with the
+ * best line number, the first match range on it and highlighted segments.
+ */
+export const search = (index, query, { limit = 20 } = {}) => {
+  const { clauses, filters } = parseQuery(query);
+  const positive = clauses.filter(c => !c.negate);
+  const negative = clauses.filter(c => c.negate);
+  if (!positive.length && !filters.length) return [];
+
+  const total = index.docs.size;
+  const averageLength = total ? index.totalLength / total || 1 : 1;
+  const idf = (clause) => {
+    const df = documentFrequency(index, clause);
+    return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  };
+  const weights = positive.map(idf);
+
+  const results = [];
+  index.docs.forEach(doc => {
+    if (!passesFilters(doc, filters)) return;
+    if (negative.some(clause => clauseFrequency(index, doc, clause).tf > 0)) return;
+
+    let score = 0;
+    let matched = 0;
+    const ranges = [];
+    let missingRequired = false;
+    const bodyNorm = 1 - B + B * (doc.length / averageLength);
+    positive.forEach((clause, i) => {
+      const { tf, hits, length } = clauseFrequency(index, doc, clause, bodyNorm);
+      if (!tf) {
+        if (clause.type === 'phrase' || clause.field) missingRequired = true;
+        return;
+      }
+      matched++;
+      score += weights[i] * ((tf * (K1 + 1)) / (tf + K1));
+      hits.forEach(h => {
+        const first = doc.tokens[h];
+        // Phrase hits span from the first word to the last
+        const last = length > 1
+          ? doc.tokens.slice(h).find(t => !t.part && t.position === first.position + length - 1) || first
+          : first;
+        ranges.push({ start: first.start, end: last.end });
+      });
+    });
+    // Phrases and field clauses are required; plain terms are ranked
+    if (missingRequired || (positive.length && !matched)) return;
+
+    const unique = [...new Map(ranges.map(r => [`${r.start}:${r.end}`, r])).values()];
+    results.push({ doc: publicDoc(doc), score, matches: unique.length, snippet: buildSnippet(doc, unique) });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || String(a.doc.title).localeCompare(String(b.doc.title)))
+    .slice(0, limit);
+};
+
+// Log-scaled term frequency times inverse document frequency
+const tfidf = (tf, df, total) => (1 + Math.log(tf)) * Math.log(1 + total / df);
+
+// A document's TF-IDF vector length, cached until the index changes
+const vectorLength = (index, doc) => {
+  const total = index.docs.size;
+  if (doc.vector?.revision !== index.revision) {
+    let sum = 0;
+    doc.terms.forEach(term => {
+      const postings = index.postings.get(term);
+      const item = postings.get(doc.id);
+      const tf = item.body.length + item.title;
+      if (tf) sum += tfidf(tf, postings.size, total) ** 2;
+    });
+    doc.vector = { length: Math.sqrt(sum) || 1, revision: index.revision };
+  }
+  return doc.vector.length;
+};
+
+/**
+ * Finds the documents most similar to free text by cosine similarity of
+ * TF-IDF vectors. Unlike `search`, the text is not parsed as a query, so it
+ * suits whole questions. `filter(doc)` narrows the candidates.
+ */
+export const similarDocuments = (index, text, { limit = 5, minScore = 0.05, filter = () => true } = {}) => {
+  const total = index.docs.size;
+  const counts = new Map();
+  tokenize(text).forEach(({ term }) => {
+    if (!STOPWORDS.has(term) && index.postings.has(term)) counts.set(term, (counts.get(term) || 0) + 1);
+  });
+  if (!counts.size) return [];
+
+  const query = [...counts].map(([term, tf]) => ({ term, weight: tfidf(tf, index.postings.get(term).size, total) }));
+  const queryLength = Math.sqrt(query.reduce((sum, q) => sum + q.weight ** 2, 0));
+  const dots = new Map();
+  query.forEach(({ term, weight }) => {
+    const postings = index.postings.get(term);
+    postings.forEach((item, id) => {
+      const tf = item.body.length + item.title;
+      if (tf) dots.set(id, (dots.get(id) || 0) + weight * tfidf(tf, postings.size, total));
+    });
+  });
+
+  return [...dots]
+    .map(([id, dot]) => ({ doc: index.docs.get(id), dot }))
+    .filter(({ doc }) => filter(doc))
+    .map(({ doc, dot }) => ({ doc: publicDoc(doc), score: dot / (queryLength * vectorLength(index, doc)) }))
+    .filter(result => result.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,154 @@
+// Knowledge Sources
+//
+// A source is a named set of files added to the Knowledge Hub (a docs folder,
+// a codebase, an API spec). Files are split into chunks of a few paragraphs,
+// each remembering its offset and line in the file, so search hits and
+// citations can point at the exact passage.
+import { getLineStarts, offsetToPosition } from './lint-engine.js';
+import { parseSpec, HTTP_METHODS } from './openapi.js';
+
+const KIND_EXTENSIONS = {
+  markdown: ['md', 'markdown', 'mdx'],
+  text: ['txt', 'rst', 'adoc'],
+  code: [
+    'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'cs',
+    'php', 'swift', 'sh', 'css', 'scss', 'html', 'vue', 'svelte', 'sql', 'toml', 'ini',
+  ],
+  // YAML and JSON files are specs when they say so, otherwise plain data
+  data: ['yaml', 'yml', 'json'],
+};
+
+export const MAX_SOURCE_FILE_BYTES = 1024 * 1024;
+
+// Characters per chunk before a new one is started
+const CHUNK_SIZE = 1500;
+
+const extension = (path) => (path.match(/\.([^./]+)$/)?.[1] || '').toLowerCase();
+
+// Folders that never hold anything worth indexing
+const IGNORED_DIRS = /(?:^|\/)(?:node_modules|\.git|dist|build|vendor|__pycache__|\.next)\//;
+
+export const isSupportedFile = (path) => !IGNORED_DIRS.test(path)
+  && Object.values(KIND_EXTENSIONS).some(list => list.includes(extension(path)));
+
+export const fileKind = (path, content = '') => {
+  const ext = extension(path);
+  const kind = Object.keys(KIND_EXTENSIONS).find(k => KIND_EXTENSIONS[k].includes(ext)) || null;
+  if (kind !== 'data') return kind;
+  return /^\s*["']?(?:openapi|swagger)["']?\s*:/m.test(content) ? 'openapi' : 'code';
+};
+
+let nextId = 1;
+
+export const createSource = (name, files, now = Date.now()) => ({
+  id: `source-${now.toString(36)}-${nextId++}`,
+  name,
+  createdAt: now,
+  files,
+  paused: false,
+  status: 'queued',
+  done: 0,
+  chunks: 0,
+  errors: [],
+  indexedAt: null,
+});
+
+// Blank-line separated blocks as [start, end) ranges
+const blocks = (text) => {
+  const ranges = [];
+  const pattern = /\n[^\S\n]*\n/g;
+  let start = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > start) ranges.push([start, match.index]);
+    start = match.index + match[0].length;
+  }
+  if (start < text.length) ranges.push([start, text.length]);
+  return ranges.filter(([s, e]) => text.slice(s, e).trim());
+};
+
+// Splits a block longer than the chunk size at line breaks
+const splitLong = (text, [start, end]) => {
+  if (end - start <= CHUNK_SIZE) return [[start, end]];
+  const parts = [];
+  let from = start;
+  while (end - from > CHUNK_SIZE) {
+    const newline = text.lastIndexOf('\n', from + CHUNK_SIZE);
+    const cut = newline > from ? newline + 1 : from + CHUNK_SIZE;
+    parts.push([from, cut]);
+    from = cut;
+  }
+  parts.push([from, end]);
+  return parts;
+};
+
+// Packs consecutive blocks into chunks; a heading block always starts a new one
+const packBlocks = (text, ranges, headingOf) => {
+  const chunks = [];
+  let current = null;
+  let heading = null;
+  ranges.flatMap(range => splitLong(text, range)).forEach(([start, end]) => {
+    const blockHeading = headingOf(text.slice(start, end));
+    if (blockHeading) heading = blockHeading;
+    if (!current || blockHeading || end - current.start > CHUNK_SIZE) {
+      current = { start, end, heading };
+      chunks.push(current);
+    } else {
+      current.end = end;
+    }
+  });
+  return chunks;
+};
+
+const markdownHeading = (block) => block.match(/^ {0,3}#{1,6}[ \t]+(.+?)[ \t#]*$/m)?.[1] || null;
+
+// One chunk per path item, located by its key in the raw spec
+const specChunks = (text) => {
+  const spec = parseSpec(text);
+  const paths = Object.entries(spec.paths || {});
+  const located = paths.map(([path, item]) => {
+    const escaped = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`^[^\\S\\n]*["']?${escaped}["']?\\s*:`, 'm').exec(text);
+    const operations = HTTP_METHODS.filter(method => item && item[method])
+      .map(method => `${method.toUpperCase()}${item[method].summary ? ` ${item[method].summary}` : ''}`);
+    return match && { start: match.index, heading: `${path} (${operations.join(', ')})` };
+  }).filter(Boolean).sort((a, b) => a.start - b.start);
+  if (!located.length) return null;
+
+  const chunks = located.map((chunk, i) => ({ ...chunk, end: i + 1 < located.length ? located[i + 1].start : text.length }));
+  // The info section before the first path describes the whole API
+  if (located[0].start > 0) chunks.unshift({ start: 0, end: located[0].start, heading: spec.info?.title || 'API' });
+  return chunks.flatMap(chunk => splitLong(text, [chunk.start, chunk.end]).map(([start, end]) => ({ start, end, heading: chunk.heading })));
+};
+
+/**
+ * Splits a file into chunks `{ path, heading, start, end, line, text }`.
+ * Markdown chunks follow headings, specs follow path items, and code and
+ * text follow blank lines. Throws for binary or oversized content.
+ */
+export const chunkFile = ({ path, content }) => {
+  if (content.length > MAX_SOURCE_FILE_BYTES) throw new Error('Larger than 1 MB');
+  if (content.includes('\u0000')) throw new Error('Looks like a binary file');
+  const kind = fileKind(path, content);
+  let ranges = null;
+  if (kind === 'openapi') {
+    try {
+      ranges = specChunks(content);
+    } catch {
+      // An invalid spec is still worth indexing as text
+    }
+  }
+  if (!ranges) ranges = packBlocks(content, blocks(content), kind === 'markdown' ? markdownHeading : () => null);
+
+  const lineStarts = getLineStarts(content);
+  return ranges.map(({ start, end, heading }) => ({
+    path,
+    kind,
+    heading,
+    start,
+    end,
+    line: offsetToPosition(lineStarts, start).line,
+    text: content.slice(start, end),
+  }));
+};
+
+export const sourceProgress = (source) => (source.files.length ? Math.round((source.done / source.files.length) * 100) : 100);
@@ -0,0 +1,71 @@
+// Style Report
+//
+// A summary of a document's lint results for review sign-off: the score,
+// the issues still open grouped by rule, and the readability metrics shown in
+// Analytics. Exports render it as an appendix or as a file of its own, so it
+// is plain data with labels and values already formatted.
+import { lintMarkdown, countBySeverity } from './lint.js';
+import { getDocumentStats } from './text-stats.js';
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+// Open issues grouped by rule, most severe rules first, then most frequent
+const groupByRule = (issues) => {
+  const rules = new Map();
+  issues.forEach((issue) => {
+    if (!rules.has(issue.rule)) {
+      rules.set(issue.rule, { rule: issue.rule, severity: issue.severity, category: issue.category, message: issue.message, occurrences: [] });
+    }
+    rules.get(issue.rule).occurrences.push({ line: issue.line, column: issue.column, word: issue.word, suggestion: issue.suggestion });
+  });
+  return [...rules.values()].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity)
+    || b.occurrences.length - a.occurrences.length
+    || a.rule.localeCompare(b.rule));
+};
+
+/**
+ * Builds the report for a document from a lintMarkdown result (`lint` is
+ * computed when it isn't passed). Returns `{ title, generatedAt, score,
+ * band, tone, counts, ignored, rules, metrics }`, where `metrics` are
+ * `{ label, value }` rows.
+ */
+export const buildStyleReport = (title, content, { lint, ...options } = {}, generatedAt = Date.now()) => {
+  const { analysis, issues, ignored, score } = lint || lintMarkdown(content, options);
+  const stats = getDocumentStats(content);
+  return {
+    title,
+    generatedAt,
+    score: score.score,
+    band: score.band.label,
+    tone: score.band.tone,
+    counts: countBySeverity(issues),
+    ignored: ignored.length,
+    rules: groupByRule(issues),
+    metrics: [
+      { label: 'Words', value: stats.words.toLocaleString('en-US') },
+      { label: 'Reading time', value: `~${stats.readingMinutes} min` },
+      { label: 'Sentences', value: String(analysis.sentences) },
+      { label: 'Grade level (FK)', value: analysis.fleschKincaidGrade.toFixed(1) },
+      { label: 'Avg. sentence', value: `${analysis.avgSentenceLength.toFixed(1)} words` },
+      { label: 'Long sentences', value: String(analysis.longSentences) },
+      { label: 'Passive voice', value: `${Math.round(analysis.passiveRatio * 100)}%` },
+      { label: 'Hedging words', value: String(analysis.hedgeCount) },
+      { label: 'Directness', value: `${Math.round(analysis.voice.directness)}/100` },
+      { label: 'Formality', value: `${Math.round(analysis.voice.formality)}/100` },
+      { label: 'Complexity', value: `${Math.round(analysis.voice.complexity)}/100` },
+    ],
+  };
+};
+
+export const formatReportDate = (timestamp) => new Date(timestamp).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit',
+});
+
+// "2 errors, 1 warning, 0 info"
+export const summarizeCounts = (counts) => SEVERITY_ORDER
+  .map(severity => `${counts[severity]} ${severity === 'info' ? 'info' : `${severity}${counts[severity] === 1 ? '' : 's'}`}`)
+  .join(', ');
+
+// One line per occurrence, e.g. `Ln 3: "whitelist" → "allowlist"`
+export const describeOccurrence = (occurrence) => `Ln ${occurrence.line}: "${occurrence.word.length > 60 ? `${occurrence.word.slice(0, 57)}…` : occurrence.word}"${
+  occurrence.suggestion != null ? ` → "${occurrence.suggestion}"` : ''}`;
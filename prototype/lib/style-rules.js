@@ -0,0 +1,34 @@
+// Default Style Rules
+//
+// Each rule maps one or more terms to their preferred replacement. Terms are
+// matched as whole words unless `regex` is set, in which case each key is used
+// as a regular expression source.
+export const defaultRules = [
+  {
+    id: 'TERM-001',
+    category: 'terminology',
+    severity: 'error',
+    message: 'Use inclusive terminology.',
+    caseSensitive: false,
+    terms: {
+      blacklist: 'blocklist',
+      whitelist: 'allowlist',
+    },
+  },
+  {
+    id: 'TERM-002',
+    category: 'style',
+    severity: 'warning',
+    message: 'Prefer the shorter form used throughout the docs.',
+    caseSensitive: false,
+    terms: {
+      administrator: 'admin',
+    },
+  },
+];
+
+export const ruleCategories = [
+  { id: 'terminology', label: 'Terminology Violations' },
+  { id: 'style', label: 'Style Warnings' },
+  { id: 'readability', label: 'Readability' },
+];
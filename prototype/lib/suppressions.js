@@ -0,0 +1,123 @@
+// Suppressions
+//
+// Findings can be set aside without fixing them, in two ways. Comment
+// directives live in the Markdown itself:
+//
+//   <!-- lexichord-disable TERM-001 -->     until a matching enable (no ids: all rules)
+//   <!-- lexichord-enable TERM-001 -->      ends a disable (no ids: ends all of them)
+//   <!-- lexichord-disable-next-line -->    only the line after the comment
+//
+// Enabling a rule by id also lifts it out of a disable of every rule.
+//
+// Ignores are chosen from the Inspector and stored as data: on the file for
+// "this occurrence" and "this document", and in the settings for
+// "everywhere". An occurrence is remembered by the text around it, so it
+// stays ignored while the document is edited elsewhere and comes back if
+// that sentence is rewritten.
+import { findCodeRanges, getLineStarts, offsetToPosition } from './lint-engine.js';
+
+export const IGNORE_SCOPES = [
+  { id: 'occurrence', label: 'This occurrence' },
+  { id: 'document', label: 'This document' },
+  { id: 'everywhere', label: 'Everywhere' },
+];
+
+// Characters of surrounding text that identify an ignored occurrence
+const CONTEXT_CHARS = 24;
+
+const DIRECTIVE = /<!--\s*lexichord-(disable-next-line|disable|enable)\b([^>]*?)\s*-->/g;
+
+/**
+ * Finds the directives outside code, in document order, as
+ * `{ type, rules, start, end, line }`; an empty `rules` means every rule.
+ */
+export const parseDirectives = (content) => {
+  const code = findCodeRanges(content);
+  const lineStarts = getLineStarts(content);
+  return [...content.matchAll(DIRECTIVE)]
+    .filter(match => !code.some(([from, to]) => match.index < to && match.index + match[0].length > from))
+    .map(match => ({
+      type: match[1],
+      rules: match[2].split(/[\s,]+/).filter(Boolean),
+      start: match.index,
+      end: match.index + match[0].length,
+      line: offsetToPosition(lineStarts, match.index).line,
+    }));
+};
+
+// The directive that silences an issue, if any
+const directiveFor = (directives, lineStarts, issue) => {
+  let disabledAll = null;
+  const disabled = new Map();
+  // Rules enabled again by name while every rule is disabled
+  const enabled = new Set();
+  for (const directive of directives) {
+    if (directive.start >= issue.start) break;
+    const applies = !directive.rules.length || directive.rules.includes(issue.rule);
+    if (directive.type === 'disable-next-line') {
+      const nextLine = offsetToPosition(lineStarts, directive.end).line + 1;
+      if (applies && issue.line === nextLine) return directive;
+    } else if (directive.type === 'disable') {
+      if (!directive.rules.length) {
+        disabledAll = directive;
+        enabled.clear();
+      } else {
+        directive.rules.forEach((rule) => {
+          disabled.set(rule, directive);
+          enabled.delete(rule);
+        });
+      }
+    } else if (!directive.rules.length) {
+      disabledAll = null;
+      disabled.clear();
+      enabled.clear();
+    } else {
+      directive.rules.forEach((rule) => {
+        disabled.delete(rule);
+        if (disabledAll) enabled.add(rule);
+      });
+    }
+  }
+  if (disabled.has(issue.rule)) return disabled.get(issue.rule);
+  return disabledAll && !enabled.has(issue.rule) ? disabledAll : null;
+};
+
+/** An ignore entry for an issue in the given scope. */
+export const createIgnore = (issue, content, scope, now = Date.now()) => ({
+  scope,
+  rule: issue.rule,
+  word: scope === 'occurrence' ? issue.word : issue.word.toLowerCase(),
+  ...(scope === 'occurrence' ? {
+    before: content.slice(Math.max(0, issue.start - CONTEXT_CHARS), issue.start),
+    after: content.slice(issue.end, issue.end + CONTEXT_CHARS),
+  } : {}),
+  createdAt: now,
+});
+
+export const matchesIgnore = (ignore, issue, content) => {
+  if (ignore.rule !== issue.rule) return false;
+  if (ignore.scope !== 'occurrence') return ignore.word === issue.word.toLowerCase();
+  return ignore.word === issue.word
+    && content.slice(Math.max(0, issue.start - ignore.before.length), issue.start) === ignore.before
+    && content.slice(issue.end, issue.end + ignore.after.length) === ignore.after;
+};
+
+/**
+ * Splits issues into the ones still reported and the ones set aside. Each
+ * ignored issue carries `suppressedBy`: `{ kind: 'directive', line }` or
+ * `{ kind: 'ignore', ignore }`.
+ */
+export const applySuppressions = (content, issues, ignores = []) => {
+  const directives = parseDirectives(content);
+  const lineStarts = getLineStarts(content);
+  const active = [];
+  const ignored = [];
+  issues.forEach((issue) => {
+    const directive = directives.length ? directiveFor(directives, lineStarts, issue) : null;
+    const ignore = directive ? null : ignores.find(entry => matchesIgnore(entry, issue, content));
+    if (directive) ignored.push({ ...issue, suppressedBy: { kind: 'directive', line: directive.line } });
+    else if (ignore) ignored.push({ ...issue, suppressedBy: { kind: 'ignore', ignore } });
+    else active.push(issue);
+  });
+  return { issues: active, ignored };
+};
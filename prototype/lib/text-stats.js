@@ -0,0 +1,32 @@
+// Text Statistics
+import { findCodeRanges } from './lint-engine.js';
+
+// Removes fenced and inline code so it does not count as prose
+export const stripCode = (content) => {
+  let prose = '';
+  let cursor = 0;
+  findCodeRanges(content).forEach(([start, end]) => {
+    prose += content.slice(cursor, start) + ' ';
+    cursor = end;
+  });
+  return prose + content.slice(cursor);
+};
+
+export const countWords = (text) => (text.match(/[A-Za-z0-9À-ɏ]+(?:['’-][A-Za-z0-9À-ɏ]+)*/g) || []).length;
+
+export const WORDS_PER_MINUTE = 200;
+
+/**
+ * Live statistics for the Inspector and status bar. Words exclude fenced and
+ * inline code; characters count the raw Markdown.
+ */
+export const getDocumentStats = (content) => {
+  const prose = stripCode(content);
+  const words = countWords(prose);
+  return {
+    words,
+    characters: content.length,
+    readingMinutes: words ? Math.ceil(words / WORDS_PER_MINUTE) : 0,
+    headings: (prose.match(/^ {0,3}#{1,6}(?:[ \t]|$)/gm) || []).length,
+  };
+};
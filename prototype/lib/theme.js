@@ -0,0 +1,183 @@
+// Themes
+//
+// The built-in light and dark palettes, and the helpers that turn the user's
+// appearance settings into one set of tokens: a mode (light, dark or following
+// the system), an optional accent color and an optional imported palette. An
+// accent regenerates accentPrimary, accentHover and accentMuted, nudged until
+// it stands out from the surfaces it is drawn on. Theme files are JSON with
+// the same token names as the palettes.
+
+export const colors = {
+  dark: {
+    surfaceBase: '#0D0D0F',
+    surfaceElevated: '#16161A',
+    surfaceOverlay: '#1E1E24',
+    surfaceEditor: '#121215',
+    borderSubtle: '#2A2A32',
+    borderDefault: '#3D3D47',
+    textPrimary: '#EAEAEC',
+    textSecondary: '#A0A0A8',
+    textTertiary: '#6B6B75',
+    accentPrimary: '#FF6B2C',
+    accentHover: '#FF8A57',
+    accentMuted: 'rgba(255, 107, 44, 0.15)',
+    statusSuccess: '#34D399',
+    statusWarning: '#FBBF24',
+    statusError: '#F87171',
+    statusInfo: '#60A5FA',
+  },
+  light: {
+    surfaceBase: '#FAFAFA',
+    surfaceElevated: '#FFFFFF',
+    surfaceOverlay: '#F5F5F5',
+    surfaceEditor: '#FFFFFF',
+    borderSubtle: '#E5E5E5',
+    borderDefault: '#D4D4D4',
+    textPrimary: '#18181B',
+    textSecondary: '#52525B',
+    textTertiary: '#A1A1AA',
+    accentPrimary: '#EA580C',
+    accentHover: '#F97316',
+    accentMuted: 'rgba(234, 88, 12, 0.1)',
+    statusSuccess: '#059669',
+    statusWarning: '#D97706',
+    statusError: '#DC2626',
+    statusInfo: '#2563EB',
+  },
+};
+
+export const MODES = ['light', 'dark'];
+
+export const TOKEN_NAMES = Object.keys(colors.dark);
+
+// Offered next to the palette's own accent
+export const ACCENT_PRESETS = ['#60A5FA', '#34D399', '#A78BFA', '#F87171'];
+
+export const defaultThemeSettings = { mode: 'dark', accent: null, palette: null };
+
+// WCAG 2.1: 3:1 for UI components and large text, 4.5:1 for body text
+const MIN_UI_CONTRAST = 3;
+const MIN_TEXT_CONTRAST = 4.5;
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+/** Parses #rgb, #rrggbb, rgb() and rgba() into { r, g, b, a }, or null. */
+export const parseColor = (value) => {
+  const text = String(value).trim();
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map(d => d + d).join('') : hex[1];
+    const n = parseInt(digits, 16);
+    return { r: n >> 16, g: (n >> 8) & 255, b: n & 255, a: 1 };
+  }
+  const rgb = text.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(0|1|0?\.\d+)\s*)?\)$/i);
+  if (rgb && [rgb[1], rgb[2], rgb[3]].every(n => Number(n) <= 255)) {
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: rgb[4] === undefined ? 1 : Number(rgb[4]) };
+  }
+  return null;
+};
+
+export const toHex = ({ r, g, b }) => `#${[r, g, b].map(n => Math.round(n).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+
+const toRgba = ({ r, g, b }, alpha) => `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
+
+const mix = (from, to, amount) => ({
+  r: from.r + (to.r - from.r) * amount,
+  g: from.g + (to.g - from.g) * amount,
+  b: from.b + (to.b - from.b) * amount,
+  a: 1,
+});
+
+const luminance = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map((channel) => {
+    const s = channel / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+/** WCAG contrast ratio between two opaque colors, from 1 to 21. */
+export const contrastRatio = (a, b) => {
+  const [la, lb] = [parseColor(a), parseColor(b)].map(luminance).sort((x, y) => y - x);
+  return (la + 0.05) / (lb + 0.05);
+};
+
+const isDarkPalette = (palette) => luminance(parseColor(palette.surfaceBase)) < 0.5;
+
+const SURFACES = ['surfaceBase', 'surfaceElevated', 'surfaceOverlay'];
+
+/**
+ * Derives the accent tokens for a palette from one color. The color is
+ * lightened on dark palettes (darkened on light ones) until it reaches 3:1
+ * against every surface, so links, borders and active states stay visible.
+ */
+export const accentTokens = (accent, palette) => {
+  const dark = isDarkPalette(palette);
+  const surfaces = SURFACES.map(name => palette[name]);
+  let primary = parseColor(accent);
+  for (let step = 0; step < 20 && Math.min(...surfaces.map(s => contrastRatio(toHex(primary), s))) < MIN_UI_CONTRAST; step++) {
+    primary = mix(primary, dark ? WHITE : BLACK, 0.1);
+  }
+  return {
+    accentPrimary: toHex(primary),
+    accentHover: toHex(mix(primary, WHITE, dark ? 0.2 : 0.15)),
+    accentMuted: toRgba(primary, dark ? 0.15 : 0.1),
+  };
+};
+
+export const resolveMode = (settings, systemDark) => (settings.mode === 'system' ? (systemDark ? 'dark' : 'light') : settings.mode);
+
+// The palette for one mode with the settings' accent applied
+export const themeTokens = (settings, mode) => {
+  const palette = settings.palette?.[mode] || colors[mode];
+  return settings.accent ? { ...palette, ...accentTokens(settings.accent, palette) } : palette;
+};
+
+/**
+ * Contrast checks for a token set: `{ label, ratio, min, pass }`. Buttons use
+ * white labels on the accent, so a very light accent is flagged here rather
+ * than silently changed.
+ */
+export const themeContrast = (tokens) => [
+  { label: 'Body text', ratio: contrastRatio(tokens.textPrimary, tokens.surfaceBase), min: MIN_TEXT_CONTRAST },
+  { label: 'Secondary text', ratio: contrastRatio(tokens.textSecondary, tokens.surfaceBase), min: MIN_TEXT_CONTRAST },
+  {
+    label: 'Accent on surfaces',
+    ratio: Math.min(...SURFACES.map(name => contrastRatio(tokens.accentPrimary, tokens[name]))),
+    min: MIN_UI_CONTRAST,
+  },
+  { label: 'Button labels on accent', ratio: contrastRatio('#FFFFFF', tokens.accentPrimary), min: MIN_UI_CONTRAST },
+].map(check => ({ ...check, pass: check.ratio >= check.min }));
+
+export const exportTheme = (settings, name = settings.palette?.name || 'Lexichord') => `${JSON.stringify({
+  name,
+  ...Object.fromEntries(MODES.map(mode => [mode, themeTokens(settings, mode)])),
+}, null, 2)}\n`;
+
+/**
+ * Reads a theme file `{ name, light: {...}, dark: {...} }` into a palette.
+ * Either mode may be missing and tokens may be partial; gaps are filled from
+ * the built-in palettes. Throws on unknown tokens or invalid colors.
+ */
+export const parseThemeFile = (text, fallbackName = 'Imported theme') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Theme files must be JSON.');
+  }
+  if (!data || typeof data !== 'object' || !MODES.some(mode => data[mode])) {
+    throw new Error('Theme files need a "light" or "dark" object of color tokens.');
+  }
+  const palette = { name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : fallbackName };
+  MODES.forEach((mode) => {
+    const tokens = data[mode] || {};
+    Object.entries(tokens).forEach(([token, value]) => {
+      if (!TOKEN_NAMES.includes(token)) throw new Error(`Unknown token "${token}" in ${mode}.`);
+      if (!parseColor(value)) throw new Error(`"${value}" is not a color (${mode}.${token}).`);
+    });
+    palette[mode] = { ...colors[mode], ...tokens };
+  });
+  return palette;
+};
@@ -0,0 +1,99 @@
+// Workspace Persistence
+//
+// Projects, agent sessions, knowledge sources and small settings live in
+// IndexedDB. When IndexedDB is missing (private browsing in some browsers,
+// server rendering) everything falls back to an in-memory map, so the app
+// keeps working without persistence.
+
+const DB_NAME = 'lexichord';
+const DB_VERSION = 3;
+
+// Object stores and their key paths; a null key path means explicit keys
+const STORES = {
+  projects: 'id',
+  sessions: 'id',
+  sources: 'id',
+  meta: null,
+};
+
+const memory = new Map(Object.keys(STORES).map(name => [name, new Map()]));
+
+let dbPromise = null;
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    const open = indexedDB.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = () => {
+      Object.entries(STORES).forEach(([name, keyPath]) => {
+        if (!open.result.objectStoreNames.contains(name)) {
+          open.result.createObjectStore(name, keyPath ? { keyPath } : undefined);
+        }
+      });
+    };
+    dbPromise = request(open).catch(() => null);
+  }
+  return dbPromise;
+};
+
+const withStore = async (name, mode, action) => {
+  const db = await openDb();
+  if (!db) return action(null);
+  const tx = db.transaction(name, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  // Both settle when a request fails, so wait for them together and the
+  // caller sees a single rejection
+  const [result] = await Promise.all([action(tx.objectStore(name)), done]);
+  return result;
+};
+
+export const getAll = (name) => withStore(name, 'readonly', store => (
+  store ? request(store.getAll()) : [...memory.get(name).values()]
+));
+
+export const get = (name, key) => withStore(name, 'readonly', store => (
+  store ? request(store.get(key)) : memory.get(name).get(key)
+));
+
+export const put = (name, value, key) => withStore(name, 'readwrite', store => {
+  if (store) return request(key === undefined ? store.put(value) : store.put(value, key));
+  memory.get(name).set(key === undefined ? value[STORES[name]] : key, value);
+  return undefined;
+});
+
+export const remove = (name, key) => withStore(name, 'readwrite', store => {
+  if (store) return request(store.delete(key));
+  memory.get(name).delete(key);
+  return undefined;
+});
+
+export const loadProjects = () => getAll('projects');
+
+export const saveProject = (project) => put('projects', project);
+
+export const deleteProject = (id) => remove('projects', id);
+
+export const loadSessions = () => getAll('sessions');
+
+export const saveSession = (session) => put('sessions', session);
+
+export const deleteSession = (id) => remove('sessions', id);
+
+export const loadSources = () => getAll('sources');
+
+export const saveSource = (source) => put('sources', source);
+
+export const deleteSource = (id) => remove('sources', id);
+
+export const loadSetting = (key) => get('meta', key);
+
+export const saveSetting = (key, value) => put('meta', value, key);
@@ -0,0 +1,155 @@
+// Workspace Model
+//
+// A project is a flat map of file paths to Markdown content plus a list of
+// explicit folders (so empty folders survive). Paths use "/" separators and
+// never start with one. All helpers return new project objects.
+
+export const MARKDOWN_EXTENSIONS = /\.(md|markdown|mdx|txt)$/i;
+
+let nextId = 1;
+
+export const normalizePath = (path) => path
+  .replace(/\\/g, '/')
+  .split('/')
+  .filter(part => part && part !== '.' && part !== '..')
+  .join('/');
+
+export const basename = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+export const dirname = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+
+export const joinPath = (...parts) => normalizePath(parts.filter(Boolean).join('/'));
+
+export const createProject = (name, files = {}) => {
+  const now = Date.now();
+  return {
+    id: `project-${now.toString(36)}-${nextId++}`,
+    name,
+    createdAt: now,
+    updatedAt: now,
+    folders: [],
+    files: Object.fromEntries(Object.entries(files).map(([path, content]) => [
+      normalizePath(path),
+      { path: normalizePath(path), content, updatedAt: now },
+    ])),
+    session: { openPaths: [], activePath: null },
+  };
+};
+
+const touch = (project, changes) => ({ ...project, ...changes, updatedAt: Date.now() });
+
+export const hasPath = (project, path) => Boolean(project.files[path]) ||
+  project.folders.includes(path) ||
+  Object.keys(project.files).some(file => file.startsWith(`${path}/`));
+
+// Appends " 2", " 3", ... before the extension until the path is free
+export const uniquePath = (project, path) => {
+  if (!hasPath(project, path)) return path;
+  const match = path.match(/^(.*?)(\.[^./]+)?$/);
+  let n = 2;
+  while (hasPath(project, `${match[1]} ${n}${match[2] || ''}`)) n++;
+  return `${match[1]} ${n}${match[2] || ''}`;
+};
+
+export const writeFile = (project, path, content) => {
+  const normalized = normalizePath(path);
+  if (project.files[normalized]?.content === content) return project;
+  return touch(project, {
+    files: { ...project.files, [normalized]: { ...project.files[normalized], path: normalized, content, updatedAt: Date.now() } },
+  });
+};
+
+// Findings the writer chose to ignore travel with the file (see suppressions.js)
+export const setFileIgnores = (project, path, ignores) => (project.files[path]
+  ? touch(project, { files: { ...project.files, [path]: { ...project.files[path], ignores } } })
+  : project);
+
+// So does the file's score history (see score-history.js)
+export const setFileScoreHistory = (project, path, scoreHistory) => (project.files[path]
+  ? touch(project, { files: { ...project.files, [path]: { ...project.files[path], scoreHistory } } })
+  : project);
+
+export const createFolder = (project, path) => {
+  const normalized = normalizePath(path);
+  if (!normalized || hasPath(project, normalized)) return project;
+  return touch(project, { folders: [...project.folders, normalized] });
+};
+
+const isWithin = (path, folder) => path === folder || path.startsWith(`${folder}/`);
+
+const rebase = (path, from, to) => (path === from ? to : `${to}${path.slice(from.length)}`);
+
+/**
+ * Renames or moves a file or folder. Returns the project unchanged when the
+ * destination is taken or would place a folder inside itself.
+ */
+export const movePath = (project, from, to) => {
+  const source = normalizePath(from);
+  const target = normalizePath(to);
+  if (!target || source === target || isWithin(target, source) || hasPath(project, target)) return project;
+
+  const files = {};
+  Object.values(project.files).forEach(file => {
+    const path = isWithin(file.path, source) ? rebase(file.path, source, target) : file.path;
+    files[path] = path === file.path ? file : { ...file, path };
+  });
+
+  return touch(project, {
+    files,
+    folders: project.folders.map(folder => (isWithin(folder, source) ? rebase(folder, source, target) : folder)),
+    session: {
+      openPaths: project.session.openPaths.map(path => (isWithin(path, source) ? rebase(path, source, target) : path)),
+      activePath: project.session.activePath && isWithin(project.session.activePath, source)
+        ? rebase(project.session.activePath, source, target)
+        : project.session.activePath,
+    },
+  });
+};
+
+export const deletePath = (project, path) => {
+  const target = normalizePath(path);
+  return touch(project, {
+    files: Object.fromEntries(Object.entries(project.files).filter(([file]) => !isWithin(file, target))),
+    folders: project.folders.filter(folder => !isWithin(folder, target)),
+    session: {
+      openPaths: project.session.openPaths.filter(open => !isWithin(open, target)),
+      activePath: project.session.activePath && isWithin(project.session.activePath, target) ? null : project.session.activePath,
+    },
+  });
+};
+
+// Adds imported files under `folder`, renaming any that collide
+export const importFiles = (project, files, folder = '') => files.reduce((next, file) => (
+  writeFile(next, uniquePath(next, joinPath(folder, file.path)), file.content)
+), project);
+
+/**
+ * Builds a sorted tree of `{ name, path, type, children }` nodes, folders
+ * before files, for the explorer panel.
+ */
+export const buildTree = (project) => {
+  const root = { name: project.name, path: '', type: 'folder', children: [] };
+  const folders = new Map([['', root]]);
+
+  const ensureFolder = (path) => {
+    if (folders.has(path)) return folders.get(path);
+    const parent = ensureFolder(dirname(path));
+    const node = { name: basename(path), path, type: 'folder', children: [] };
+    parent.children.push(node);
+    folders.set(path, node);
+    return node;
+  };
+
+  project.folders.forEach(ensureFolder);
+  Object.keys(project.files).forEach(path => {
+    ensureFolder(dirname(path)).children.push({ name: basename(path), path, type: 'file' });
+  });
+
+  const sort = (node) => {
+    node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+    node.children.forEach(child => child.type === 'folder' && sort(child));
+    return node;
+  };
+
+  return sort(root);
+};
@@ -0,0 +1,285 @@
+// YAML Parser
+//
+// The subset of YAML 1.2 that API specs and style configs use: block mappings
+// and sequences, flow collections, plain and quoted scalars, block scalars
+// (| and >, with chomping), comments and multiple-line plain scalars. Anchors,
+// aliases, tags and multiple documents are not supported.
+
+export class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+// Removes a trailing comment that isn't inside quotes
+const stripComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      if (i === 0 || /[\s[{,:-]/.test(line[i - 1])) quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+};
+
+const unescapeDouble = (text, line) => {
+  try {
+    return JSON.parse(`"${text.replace(/\\'/g, "'").replace(/\t/g, '\\t').replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1')}"`);
+  } catch {
+    throw new YamlError('Invalid escape in double-quoted string', line);
+  }
+};
+
+export const parseScalar = (raw, line) => {
+  const text = raw.trim();
+  if (text.startsWith('"')) {
+    if (!text.endsWith('"') || text.length < 2) throw new YamlError('Unterminated double-quoted string', line);
+    return unescapeDouble(text.slice(1, -1), line);
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new YamlError('Unterminated single-quoted string', line);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+  if (/^true$/i.test(text)) return true;
+  if (/^false$/i.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return Number(text);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text, 16);
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+  if (/^[-+]?\.inf$/i.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.nan$/i.test(text)) return NaN;
+  return text;
+};
+
+// Parses a flow collection (`[a, b]` or `{a: 1}`) starting at text[0]
+const parseFlow = (text, line) => {
+  let i = 0;
+  const skip = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+  const readScalar = (terminators) => {
+    skip();
+    if (text[i] === '"' || text[i] === "'") {
+      const quote = text[i];
+      let j = i + 1;
+      while (j < text.length && text[j] !== quote) j += text[j] === '\\' && quote === '"' ? 2 : 1;
+      if (quote === "'") {
+        while (text[j + 1] === "'") {
+          j += 2;
+          while (j < text.length && text[j] !== "'") j++;
+        }
+      }
+      const value = parseScalar(text.slice(i, j + 1), line);
+      i = j + 1;
+      return value;
+    }
+    const start = i;
+    while (i < text.length && !terminators.includes(text[i]) && !(text[i] === ':' && /[\s,\]}]/.test(text[i + 1] || ' '))) i++;
+    return parseScalar(text.slice(start, i), line);
+  };
+  const readValue = (terminators) => {
+    skip();
+    if (text[i] === '[' || text[i] === '{') return readCollection();
+    return readScalar(terminators);
+  };
+  const readCollection = () => {
+    const open = text[i++];
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+    skip();
+    while (text[i] !== close) {
+      if (i >= text.length) throw new YamlError(`Unterminated flow collection, expected "${close}"`, line);
+      if (open === '[') {
+        result.push(readValue([',', ']']));
+      } else {
+        const key = readScalar([',', '}', ':']);
+        skip();
+        let value = null;
+        if (text[i] === ':') {
+          i++;
+          value = readValue([',', '}']);
+        }
+        result[String(key)] = value;
+      }
+      skip();
+      if (text[i] === ',') {
+        i++;
+        skip();
+      } else if (text[i] !== close) {
+        throw new YamlError(`Expected "," or "${close}" in flow collection`, line);
+      }
+    }
+    i++;
+    return result;
+  };
+  const value = readCollection();
+  skip();
+  if (i < text.length) throw new YamlError('Unexpected text after flow collection', line);
+  return value;
+};
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[\]{},][^#]*?|\?[^#]*?)\s*:(?:\s+(.*)|$)/;
+
+/**
+ * Parses a YAML document into plain JavaScript values. Throws a YamlError
+ * with the line number when the input is outside the supported subset.
+ */
+export const parseYaml = (source) => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => {
+    const text = stripComment(raw).replace(/\s+$/, '');
+    return { raw, text, indent: text.length - text.trimStart().length, number: index + 1 };
+  });
+  let pos = 0;
+
+  const isContent = (line) => line.text.trim() !== '' && !/^(?:---|\.\.\.)\s*$/.test(line.text) && !/^%/.test(line.text);
+  const peek = () => {
+    while (pos < lines.length && !isContent(lines[pos])) pos++;
+    return lines[pos] || null;
+  };
+  const isSequenceItem = (text) => /^-(?:\s|$)/.test(text.trim());
+
+  const readBlockScalar = (header, parentIndent, lineNumber) => {
+    const match = header.match(/^([|>])([+-]?)(\d?)([+-]?)$/);
+    if (!match) throw new YamlError(`Invalid block scalar header "${header}"`, lineNumber);
+    const folded = match[1] === '>';
+    const chomp = match[2] || match[4];
+    const body = [];
+    let blockIndent = match[3] ? parentIndent + Number(match[3]) : null;
+    while (pos < lines.length) {
+      const { raw } = lines[pos];
+      const indent = raw.length - raw.trimStart().length;
+      if (raw.trim() === '') {
+        body.push('');
+        pos++;
+        continue;
+      }
+      if (blockIndent === null) blockIndent = indent;
+      if (indent < blockIndent || indent <= parentIndent) break;
+      body.push(raw.slice(blockIndent));
+      pos++;
+    }
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+    let text;
+    if (folded) {
+      text = '';
+      body.forEach((line, i) => {
+        if (i === 0) text = line;
+        else if (line === '' || /^\s/.test(line) || body[i - 1] === '' || /^\s/.test(body[i - 1])) text += `\n${line}`;
+        else text += ` ${line}`;
+      });
+    } else {
+      text = body.join('\n');
+    }
+    if (chomp === '-') return text;
+    if (chomp === '+') return `${text}\n${'\n'.repeat(trailing)}`;
+    return body.length ? `${text}\n` : '';
+  };
+
+  // An inline value after "key:" or "- ", possibly continued on later lines
+  const readInline = (text, parentIndent, lineNumber) => {
+    const value = text.trim();
+    if (/^[|>]/.test(value)) return readBlockScalar(value, parentIndent, lineNumber);
+    if (value.startsWith('[') || value.startsWith('{')) {
+      let flow = value;
+      while (!balanced(flow) && pos < lines.length) flow += ` ${lines[pos++].text.trim()}`;
+      return parseFlow(flow, lineNumber);
+    }
+    if (/^[&*!]/.test(value)) throw new YamlError('Anchors, aliases and tags are not supported', lineNumber);
+    let scalar = value;
+    if (!/^["']/.test(value)) {
+      // Plain scalars may continue on more-indented lines
+      while (pos < lines.length) {
+        const next = peek();
+        if (!next || next.indent <= parentIndent || KEY_PATTERN.test(next.text.trim()) || isSequenceItem(next.text)) break;
+        scalar += ` ${next.text.trim()}`;
+        pos++;
+      }
+    } else if (!(value.length > 1 && value.endsWith(value[0]))) {
+      // Quoted scalars may span lines too
+      while (pos < lines.length && !(scalar.length > 1 && scalar.endsWith(value[0]))) scalar += ` ${lines[pos++].raw.trim()}`;
+    }
+    return parseScalar(scalar, lineNumber);
+  };
+
+  const balanced = (text) => {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === '\\' && quote === '"') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") quote = ch;
+      else if (ch === '[' || ch === '{') depth++;
+      else if (ch === ']' || ch === '}') depth--;
+    }
+    return depth <= 0;
+  };
+
+  const parseNode = (minIndent) => {
+    const line = peek();
+    if (!line || line.indent < minIndent) return null;
+    if (isSequenceItem(line.text)) return parseSequence(line.indent);
+    if (KEY_PATTERN.test(line.text.trim())) return parseMapping(line.indent);
+    pos++;
+    return readInline(line.text, line.indent - 1, line.number);
+  };
+
+  const parseSequence = (indent) => {
+    const result = [];
+    for (let line = peek(); line && line.indent === indent && isSequenceItem(line.text); line = peek()) {
+      const rest = line.text.trim().slice(1);
+      const offset = line.text.length - line.text.trimStart().length + 1 + (rest.length - rest.trimStart().length);
+      if (!rest.trim()) {
+        pos++;
+        result.push(parseNode(indent + 1));
+      } else if (isSequenceItem(rest) || (KEY_PATTERN.test(rest.trim()) && !/^["']?[[{]/.test(rest.trim()))) {
+        // "- key: value" or "- - item": the item is a nested block starting mid-line
+        lines[pos] = { ...line, text: ' '.repeat(offset) + rest.trim(), indent: offset };
+        result.push(parseNode(offset));
+      } else {
+        pos++;
+        result.push(readInline(rest, indent, line.number));
+      }
+    }
+    return result;
+  };
+
+  const parseMapping = (indent) => {
+    const result = {};
+    for (let line = peek(); line && line.indent === indent && !isSequenceItem(line.text); line = peek()) {
+      const match = line.text.trim().match(KEY_PATTERN);
+      if (!match) throw new YamlError(`Expected "key: value" but found "${line.text.trim()}"`, line.number);
+      const rawKey = match[1].replace(/^\?\s*/, '');
+      const key = /^["']/.test(rawKey) ? String(parseScalar(rawKey, line.number)) : rawKey.trim();
+      pos++;
+      if (match[2] !== undefined && match[2].trim() !== '') {
+        result[key] = readInline(match[2], indent, line.number);
+      } else {
+        const next = peek();
+        if (next && next.indent === indent && isSequenceItem(next.text)) result[key] = parseSequence(indent);
+        else result[key] = next && next.indent > indent ? parseNode(indent + 1) : null;
+      }
+    }
+    const stray = peek();
+    if (stray && stray.indent > indent) throw new YamlError('Unexpected indentation', stray.number);
+    return result;
+  };
+
+  const root = parseNode(0);
+  const rest = peek();
+  if (rest) throw new YamlError(`Unexpected content "${rest.text.trim()}"`, rest.number);
+  return root;
+};